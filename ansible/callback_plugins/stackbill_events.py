@@ -0,0 +1,246 @@
+# -*- coding: utf-8 -*-
+# StackBill Deployment Center - structured playbook events
+#
+# Stdout callback that writes one JSON object per line for every play, task,
+# host result, loop item, retry and the final recap. The backend reads these
+# lines instead of scraping the human-readable default output.
+
+from __future__ import (absolute_import, division, print_function)
+__metaclass__ = type
+
+DOCUMENTATION = '''
+    name: stackbill_events
+    type: stdout
+    short_description: One JSON event per line for the StackBill Deployment Center
+    description:
+      - Emits newline-delimited JSON events (playbook_start, play_start, task_start,
+        host_result, item_result, retry, diff, recap) on stdout.
+      - In --diff mode, file and package differences are emitted as unified diff text.
+      - Module invocation arguments and internal keys are stripped from results.
+'''
+
+import difflib
+import json
+import sys
+import time
+
+from ansible.plugins.callback import CallbackBase
+
+# Keys that are never useful to the UI and may contain module arguments (passwords)
+STRIPPED_KEYS = ('invocation', '_ansible_verbose_always', '_ansible_no_log')
+
+
+def _clean(result):
+    """Copy a task result without internal keys and module arguments."""
+    if isinstance(result, dict):
+        return dict(
+            (key, _clean(value)) for key, value in result.items()
+            if key not in STRIPPED_KEYS and not key.startswith('_ansible')
+        )
+    if isinstance(result, list):
+        return [_clean(item) for item in result]
+    return result
+
+
+def _format_diff(diff):
+    """Render one Ansible diff entry (before/after or prepared) as unified diff text."""
+    if 'prepared' in diff:
+        return diff['prepared']
+
+    parts = []
+    if diff.get('dst_binary'):
+        parts.append('diff skipped: destination file appears to be binary')
+    if diff.get('src_binary'):
+        parts.append('diff skipped: source file appears to be binary')
+    if diff.get('dst_larger'):
+        parts.append('diff skipped: destination file size is greater than %d' % diff['dst_larger'])
+    if diff.get('src_larger'):
+        parts.append('diff skipped: source file size is greater than %d' % diff['src_larger'])
+
+    if 'before' in diff and 'after' in diff:
+        before = diff['before'] if isinstance(diff['before'], str) else json.dumps(diff['before'], indent=2, default=str)
+        after = diff['after'] if isinstance(diff['after'], str) else json.dumps(diff['after'], indent=2, default=str)
+        if not before.endswith('\n'):
+            before += '\n'
+        if not after.endswith('\n'):
+            after += '\n'
+        lines = difflib.unified_diff(
+            before.splitlines(True),
+            after.splitlines(True),
+            fromfile=diff.get('before_header', 'before'),
+            tofile=diff.get('after_header', 'after'),
+            n=3
+        )
+        parts.append(''.join(lines))
+
+    return '\n'.join(part for part in parts if part)
+
+
+class CallbackModule(CallbackBase):
+
+    CALLBACK_VERSION = 2.0
+    CALLBACK_TYPE = 'stdout'
+    CALLBACK_NAME = 'stackbill_events'
+
+    def __init__(self):
+        super(CallbackModule, self).__init__()
+        self._playbook_started = time.time()
+        self._task_started = {}
+        self._play_name = None
+
+    # ------------------------------------------------------------------ helpers
+
+    def _emit(self, event, **data):
+        data['event'] = event
+        data['time'] = round(time.time(), 3)
+        sys.stdout.write(json.dumps(data, default=str) + '\n')
+        sys.stdout.flush()
+
+    def _duration(self, task):
+        started = self._task_started.get(task._uuid)
+        return round(time.time() - started, 3) if started else None
+
+    def _item_label(self, result):
+        if hasattr(self, '_get_item_label'):
+            return self._get_item_label(result)
+        return result.get('_ansible_item_label', result.get('item'))
+
+    def _host_result(self, result, status, **extra):
+        task = result._task
+        data = _clean(result._result)
+        self._emit(
+            'host_result',
+            host=result._host.get_name(),
+            task=task.get_name(),
+            task_uuid=task._uuid,
+            action=task.action,
+            status=status,
+            changed=bool(data.get('changed', False)),
+            duration=self._duration(task),
+            result=data,
+            **extra
+        )
+
+    def _item_result(self, result, status):
+        task = result._task
+        data = _clean(result._result)
+        self._emit(
+            'item_result',
+            host=result._host.get_name(),
+            task=task.get_name(),
+            task_uuid=task._uuid,
+            status=status,
+            item=self._item_label(result._result),
+            changed=bool(data.get('changed', False)),
+            result=data
+        )
+
+    # ------------------------------------------------------------ playbook/play
+
+    def v2_playbook_on_start(self, playbook):
+        self._playbook_started = time.time()
+        self._emit('playbook_start', playbook=getattr(playbook, '_file_name', None))
+
+    def v2_playbook_on_play_start(self, play):
+        self._play_name = play.get_name().strip()
+        self._emit('play_start', play=self._play_name, hosts=play.hosts)
+
+    def v2_playbook_on_no_hosts_matched(self):
+        self._emit('warning', message='No hosts matched')
+
+    def v2_playbook_on_no_hosts_remaining(self):
+        self._emit('warning', message='No more hosts left')
+
+    # ------------------------------------------------------------------- tasks
+
+    def _task_start(self, task, handler=False):
+        self._task_started[task._uuid] = time.time()
+        self._emit(
+            'task_start',
+            task=task.get_name().strip(),
+            task_uuid=task._uuid,
+            action=task.action,
+            play=self._play_name,
+            handler=handler
+        )
+
+    def v2_playbook_on_task_start(self, task, is_conditional):
+        self._task_start(task)
+
+    def v2_playbook_on_handler_task_start(self, task):
+        self._task_start(task, handler=True)
+
+    # ------------------------------------------------------------ host results
+
+    def v2_runner_on_ok(self, result):
+        status = 'changed' if result._result.get('changed', False) else 'ok'
+        self._host_result(result, status)
+
+    def v2_runner_on_failed(self, result, ignore_errors=False):
+        self._host_result(result, 'failed', ignore_errors=bool(ignore_errors))
+
+    def v2_runner_on_skipped(self, result):
+        self._host_result(result, 'skipped')
+
+    def v2_runner_on_unreachable(self, result):
+        self._host_result(result, 'unreachable')
+
+    def v2_runner_item_on_ok(self, result):
+        status = 'changed' if result._result.get('changed', False) else 'ok'
+        self._item_result(result, status)
+
+    def v2_runner_item_on_failed(self, result):
+        self._item_result(result, 'failed')
+
+    def v2_runner_item_on_skipped(self, result):
+        self._item_result(result, 'skipped')
+
+    def v2_runner_retry(self, result):
+        self._emit(
+            'retry',
+            host=result._host.get_name(),
+            task=result._task.get_name(),
+            task_uuid=result._task._uuid,
+            attempts=result._result.get('attempts'),
+            retries=result._result.get('retries')
+        )
+
+    def v2_on_file_diff(self, result):
+        task = result._task
+        # Loop tasks report one diff per item
+        if task.loop and 'results' in result._result:
+            entries = [(r.get('_ansible_item_label', r.get('item')), r.get('diff')) for r in result._result['results']]
+        else:
+            entries = [(None, result._result.get('diff'))]
+
+        for item, diff in entries:
+            if not diff:
+                continue
+            text = '\n'.join(_format_diff(d) for d in (diff if isinstance(diff, list) else [diff]))
+            if not text.strip():
+                continue
+            self._emit(
+                'diff',
+                host=result._host.get_name(),
+                task=task.get_name(),
+                task_uuid=task._uuid,
+                item=item,
+                diff=text
+            )
+
+    # ------------------------------------------------------------------- recap
+
+    def v2_playbook_on_stats(self, stats):
+        hosts = {}
+        for host in sorted(stats.processed.keys()):
+            summary = stats.summarize(host)
+            hosts[host] = {
+                'ok': summary.get('ok', 0),
+                'changed': summary.get('changed', 0),
+                'unreachable': summary.get('unreachable', 0),
+                'failed': summary.get('failures', 0),
+                'skipped': summary.get('skipped', 0),
+                'rescued': summary.get('rescued', 0),
+                'ignored': summary.get('ignored', 0)
+            }
+        self._emit('recap', stats=hosts, duration=round(time.time() - self._playbook_started, 3))
@@ -0,0 +1,13 @@
+#!/bin/sh
+# StackBill Deployment Center - vault password client
+#
+# ansible-playbook runs this script (--vault-password-file) to get the one-time
+# password of the run's vault-encrypted secrets. The backend hands the password
+# over in the environment so it never touches disk or the command line.
+
+if [ -z "$STACKBILL_VAULT_PASSWORD" ]; then
+    echo "STACKBILL_VAULT_PASSWORD is not set" >&2
+    exit 1
+fi
+
+printf '%s\n' "$STACKBILL_VAULT_PASSWORD"
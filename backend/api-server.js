@@ -1,5 +1,4 @@
 const express = require('express');
-const { exec, spawn } = require('child_process');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
@@ -8,9 +7,30 @@ const os = require('os');
 
 // Database module for persistent storage
 const db = require('./database');
+const playbookService = require('./services/playbookService');
+// Inventory generation is shared with the modular backend: passwords and secret
+// variables are written to vault-encrypted files instead of the inventory and argv
+const {
+  ensureInventoryDir, generateInventory, readKnownHosts, cleanupInventory, sweepRunFiles
+} = require('./services/inventoryService');
+// Secrets in Vault (STACKBILL_SECRET_STORE=vault) are saved as references and resolved per run
+const { getSecretStore, storeSecrets, resolveSecrets, removeSecrets, getSecretPath } = require('./services/secretStore');
+// Full exports are encrypted with a passphrase (plain exports are a separate admin action)
+const { buildSessionExport, checkSessionImport, getImportSummary, importSession } = require('./services/sessionTransferService');
+const { getMissingPrerequisites } = require('./services/stepGraph');
+const { getRunKnownHosts, recordRunHostKeys } = require('./services/hostKeyService');
+const { MIN_PASSPHRASE_LENGTH, isEncryptedBundle, encryptBundle, decryptBundle } = require('./utils/exportBundleHelper');
+// Users, login sessions and API tokens are shared with the modular backend too
+const { authenticate, authorize } = require('./middleware/auth');
+const { hasRole, ensureAdminUser } = require('./services/authService');
+const { redactVariables } = require('./utils/redactHelper');
+// ...and so is the audit log
+const { auditTrail } = require('./middleware/audit');
+const config = require('./config');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+app.set('trust proxy', config.server.trustProxy);
 
 // =====================================================
 // LOGGING SYSTEM
@@ -138,565 +158,115 @@ app.use(express.json());
 app.use(requestLogger);
 app.use(express.static(path.join(__dirname, '..', 'frontend', 'public')));
 
-// Store for temporary inventory files
-const INVENTORY_DIR = path.join(__dirname, '.inventory');
-
-// Detect if running on Windows
-const IS_WINDOWS = process.platform === 'win32';
-
-// Convert Windows path to WSL path
-function toWslPath(windowsPath) {
-  if (!IS_WINDOWS) return windowsPath;
-  
-  // Convert C:\path\to\file to /mnt/c/path/to/file
-  // Handle both absolute and relative paths
-  let normalized = path.normalize(windowsPath);
-  
-  // Extract drive letter (C, D, etc.)
-  const driveMatch = normalized.match(/^([A-Za-z]):/);
-  if (!driveMatch) {
-    // No drive letter found, return as-is or handle relative path
-    return normalized.replace(/\\/g, '/');
-  }
-  
-  const drive = driveMatch[1].toLowerCase();
-  // Get everything after "C:" or "C:\"
-  let rest = normalized.substring(2);
-  
-  // Remove leading slashes/backslashes
-  rest = rest.replace(/^[\\\/]+/, '');
-  
-  // Convert backslashes to forward slashes
-  rest = rest.replace(/\\/g, '/');
-  
-  // Ensure we have a proper path
-  const wslPath = `/mnt/${drive}/${rest}`;
-  
-  // Escape spaces and special characters for shell
-  return wslPath.includes(' ') ? `"${wslPath}"` : wslPath;
-}
+// =====================================================
+// AUTHENTICATION
+// =====================================================
 
-// Ensure inventory directory exists
-async function ensureInventoryDir() {
-  try {
-    await fs.mkdir(INVENTORY_DIR, { recursive: true });
-  } catch (error) {
-    console.error('Error creating inventory directory:', error);
-  }
+/**
+ * Get the minimum role of a legacy API request
+ * Reads need a viewer; changes and file downloads an operator;
+ * settings changes, exports and imports an admin.
+ */
+function getRequiredRole(req) {
+  if (req.path.startsWith('/settings') && req.method !== 'GET') return 'admin';
+  if (/\/export(-full|-plain)?$/.test(req.path) || req.path === '/sessions/import') return 'admin';
+  if (req.path.endsWith('/download')) return 'operator';
+  return req.method === 'GET' ? 'viewer' : 'operator';
 }
 
-// Generate dynamic inventory file
-async function generateInventory(servers, playbookType) {
-  const inventoryId = crypto.randomBytes(8).toString('hex');
-  const inventoryPath = path.join(INVENTORY_DIR, `${inventoryId}.ini`);
-  
-  let inventoryContent = '';
-  
-  // Helper function to format server line with all variables
-  const formatServerLine = (server, name) => {
-    let line = `${name} ansible_host=${server.hostname} ansible_port=${server.ssh_port || 22}`;
-
-    // Set ansible user based on ssh_user_type
-    const sshUser = server.ssh_user || 'root';
-    const sshUserType = server.ssh_user_type || 'root';
-    const sshAuthType = server.ssh_auth_type || 'password';
-
-    line += ` ansible_user=${sshUser}`;
-
-    // Handle authentication type
-    if (sshAuthType === 'key') {
-      // SSH Key based authentication
-      if (server.ssh_key) {
-        // Reference the temp key file (created before inventory generation)
-        const keyPath = `/tmp/ansible_key_${server.hostname.replace(/\./g, '_')}.pem`;
-        line += ` ansible_ssh_private_key_file=${keyPath}`;
-      }
-    } else {
-      // Password based authentication
-      if (server.password) {
-        line += ` ansible_ssh_pass=${server.password}`;
-      }
-    }
+// Audited before the role check so denied attempts are recorded too
+app.use('/api/playbook', auditTrail('playbook'));
+app.use('/api/sessions', auditTrail('sessions'));
+app.use('/api/settings', auditTrail('settings'));
 
-    // Handle sudo escalation
-    if (sshUserType === 'sudo') {
-      line += ` ansible_become=yes ansible_become_method=sudo`;
-      // Use sudo_password if provided, otherwise use the SSH password
-      const sudoPass = server.sudo_password || server.password;
-      if (sudoPass) {
-        line += ` ansible_become_pass=${sudoPass}`;
-      }
-    }
-
-    // Add custom hostname if server name is provided
-    if (server.name && server.name.trim()) {
-      line += ` custom_hostname=${server.name.trim()}`;
-    }
+app.use('/api/auth', auditTrail('auth'), require('./routes/auth'));
+app.use('/api', (req, res, next) => {
+  if (req.path === '/health') return next();
+  authenticate(req, res, (err) => (err ? next(err) : authorize(getRequiredRole(req))(req, res, next)));
+});
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/steps', require('./routes/steps'));
 
-    return line;
-  };
+// A run for a session needs the step's prerequisites completed (see services/stepGraph)
+app.post('/api/playbook/:stepId', (req, res, next) => {
+  const sessionId = extractSessionId(req);
+  const session = sessionId ? db.getSession(sessionId) : null;
+  if (!session) return next();
 
-  // Write SSH keys to temp files if needed
-  for (const server of servers) {
-    if (server.ssh_auth_type === 'key' && server.ssh_key) {
-      const keyPath = `/tmp/ansible_key_${server.hostname.replace(/\./g, '_')}.pem`;
-      await fs.writeFile(keyPath, server.ssh_key, { mode: 0o600 });
-    }
+  const missing = getMissingPrerequisites(req.params.stepId, session.completedSteps);
+  if (missing.length > 0) {
+    return res.status(409).json({ error: `Step '${req.params.stepId}' needs ${missing.join(', ')} completed first` });
   }
-  
-  if (playbookType === 'mysql') {
-    // MySQL expects primary and secondary groups
-    const primaryServers = servers.filter(s => s.role === 'primary' || !s.role);
-    const secondaryServers = servers.filter(s => s.role === 'secondary');
-    
-    if (primaryServers.length > 0) {
-      inventoryContent += '[primary]\n';
-      primaryServers.forEach((server, idx) => {
-        inventoryContent += formatServerLine(server, `mysql-primary-${idx}`) + '\n';
-      });
-      inventoryContent += '\n';
-    }
-    
-    if (secondaryServers.length > 0) {
-      inventoryContent += '[secondary]\n';
-      secondaryServers.forEach((server, idx) => {
-        inventoryContent += formatServerLine(server, `mysql-secondary-${idx}`) + '\n';
-      });
-      inventoryContent += '\n';
-    }
-    
-    inventoryContent += '[mysql:children]\n';
-    if (primaryServers.length > 0) inventoryContent += 'primary\n';
-    if (secondaryServers.length > 0) inventoryContent += 'secondary\n';
-    
-  } else if (playbookType === 'mongodb') {
-    // MongoDB expects primary, secondary, and arbiter groups
-    const primaryServers = servers.filter(s => s.role === 'primary' || !s.role);
-    const secondaryServers = servers.filter(s => s.role === 'secondary');
-    const arbiterServers = servers.filter(s => s.role === 'arbiter');
-    
-    if (primaryServers.length > 0) {
-      inventoryContent += '[primary]\n';
-      primaryServers.forEach((server, idx) => {
-        inventoryContent += formatServerLine(server, `mongo-primary-${idx}`) + '\n';
-      });
-      inventoryContent += '\n';
-    }
-    
-    if (secondaryServers.length > 0) {
-      inventoryContent += '[secondary]\n';
-      secondaryServers.forEach((server, idx) => {
-        inventoryContent += formatServerLine(server, `mongo-secondary-${idx}`) + '\n';
-      });
-      inventoryContent += '\n';
-    }
-    
-    if (arbiterServers.length > 0) {
-      inventoryContent += '[arbiter]\n';
-      arbiterServers.forEach((server, idx) => {
-        inventoryContent += formatServerLine(server, `mongo-arbiter-${idx}`) + '\n';
-      });
-      inventoryContent += '\n';
-    }
-    
-    inventoryContent += '[mongo:children]\n';
-    if (primaryServers.length > 0) inventoryContent += 'primary\n';
-    if (secondaryServers.length > 0) inventoryContent += 'secondary\n';
-    if (arbiterServers.length > 0) inventoryContent += 'arbiter\n';
-    
-  } else if (playbookType === 'kubernetes') {
-    // Kubernetes expects master and worker groups
-    const masterServers = servers.filter(s => s.role === 'master');
-    const workerServers = servers.filter(s => s.role === 'worker');
-
-    if (masterServers.length > 0) {
-      inventoryContent += '[master]\n';
-      masterServers.forEach((server, idx) => {
-        inventoryContent += formatServerLine(server, `k8s-master-${idx}`) + '\n';
-      });
-      inventoryContent += '\n';
-    }
+  next();
+});
 
-    if (workerServers.length > 0) {
-      inventoryContent += '[worker]\n';
-      workerServers.forEach((server, idx) => {
-        inventoryContent += formatServerLine(server, `k8s-worker-${idx}`) + '\n';
-      });
-      inventoryContent += '\n';
-    }
+// Playbook processes in progress, stopped on shutdown (they run in their own process group)
+const runningPlaybooks = new Set();
 
-    inventoryContent += '[kubernetes:children]\n';
-    if (masterServers.length > 0) inventoryContent += 'master\n';
-    if (workerServers.length > 0) inventoryContent += 'worker\n';
+// Execute an Ansible playbook with the shared executor (services/playbookService),
+// logging its outcome with the session of the request
+async function executePlaybook(playbookType, inventoryPath, playbookPath, extraVars = {}, onOutput = null, sessionId = null, vault = null) {
+  const logMeta = sessionId ? { sessionId } : {};
+  logger.info(`Executing playbook: ${playbookType}`, {
+    ...logMeta,
+    playbookPath,
+    inventoryPath,
+    extraVars: Object.keys(extraVars)
+  });
 
-  } else {
-    // For NFS, RabbitMQ, env-check, kubectl, helm, ssl, stackbill - use 'all' group
-    inventoryContent += '[all]\n';
-    servers.forEach((server, idx) => {
-      inventoryContent += formatServerLine(server, `server-${idx}`) + '\n';
+  let child = null;
+  try {
+    const result = await playbookService.executePlaybook(playbookType, inventoryPath, playbookPath, extraVars, onOutput, {
+      vault,
+      onSpawn: (spawned) => {
+        child = spawned;
+        runningPlaybooks.add(child);
+      }
     });
+    logger.info(`Playbook ${playbookType} completed successfully`, { ...logMeta, exitCode: 0 });
+    return result;
+  } catch (error) {
+    // Log the last fatal lines of the output, which say more than the exit code
+    const fullOutput = error.fullOutput || `${error.stdout || ''}\n${error.stderr || ''}`;
+    const fatalLines = fullOutput.split('\n').filter(line =>
+      line.includes('fatal:') || line.includes('FAILED!') || line.includes('msg":')
+    );
+    const actualError = fatalLines.length > 0 ? fatalLines.slice(-3).join(' | ') : error.error;
+    logger.error(`Playbook ${playbookType} failed`, { ...logMeta, exitCode: error.exitCode, error: String(actualError).substring(0, 1000) });
+    throw error;
+  } finally {
+    runningPlaybooks.delete(child);
   }
-  
-  // Add common variables
-  inventoryContent += '\n[all:vars]\n';
-  const defaultUser = servers.find(s => s.ansible_user)?.ansible_user || 'ubuntu';
-  inventoryContent += `ansible_user=${defaultUser}\n`;
-  inventoryContent += 'ansible_become=true\n';
-  inventoryContent += "ansible_ssh_common_args='-o StrictHostKeyChecking=no -o UserKnownHostsFile=/dev/null -o PreferredAuthentications=password,keyboard-interactive -o PubkeyAuthentication=no'\n";
-  
-  await fs.writeFile(inventoryPath, inventoryContent);
-  return { inventoryId, inventoryPath };
 }
 
-// Execute Ansible playbook with streaming support
-function executePlaybook(playbookType, inventoryPath, playbookPath, extraVars = {}, onOutput = null, sessionId = null) {
-  return new Promise((resolve, reject) => {
-    const logMeta = sessionId ? { sessionId } : {};
-    // Convert paths to WSL format if on Windows
-    let finalInventoryPath = inventoryPath;
-    let finalPlaybookPath = playbookPath;
-    // Determine role path based on playbook type (service-specific)
-    let rolesPathNative;
-    if (playbookType === 'mysql') {
-      rolesPathNative = path.join(__dirname, '..', 'ansible', 'mysql', 'role');
-    } else if (playbookType === 'mongodb') {
-      rolesPathNative = path.join(__dirname, '..', 'ansible', 'mongodb', 'role');
-    } else {
-      // For NFS and RabbitMQ, use old path (they don't use roles)
-      rolesPathNative = path.join(__dirname, '..', 'ansible', 'roles');
-    }
-    let rolesPath = rolesPathNative;
-    let command;
-    
-    if (IS_WINDOWS) {
-      // Convert Windows paths to WSL paths
-      finalInventoryPath = toWslPath(inventoryPath);
-      finalPlaybookPath = toWslPath(playbookPath);
-      rolesPath = toWslPath(rolesPathNative);
-      if (rolesPath.startsWith('"') && rolesPath.endsWith('"')) {
-        rolesPath = rolesPath.slice(1, -1);
-      }
-    }
-    
-    // Build extra vars string
-    let extraVarsStr = '';
-    if (Object.keys(extraVars).length > 0) {
-      const varsJson = JSON.stringify(extraVars);
-      // Escape single quotes for shell, and handle WSL properly
-      const escapedJson = varsJson.replace(/'/g, "'\\''");
-      extraVarsStr = ` -e '${escapedJson}'`;
-    }
-    
-    if (IS_WINDOWS) {
-      // Execute through WSL - paths are already converted
-      const rolesExport = `ANSIBLE_ROLES_PATH=${rolesPath.includes(' ') ? `'${rolesPath}'` : rolesPath}`;
-      command = `wsl ${rolesExport} ansible-playbook -i ${finalInventoryPath} ${finalPlaybookPath}${extraVarsStr}`;
-    } else {
-      // Use paths as-is on Linux/Mac
-      const rolesExport = `ANSIBLE_ROLES_PATH=${rolesPath.includes(' ') ? `'${rolesPath}'` : rolesPath}`;
-      command = `${rolesExport} ansible-playbook -i ${finalInventoryPath} ${finalPlaybookPath}${extraVarsStr}`;
-    }
-    
-    // Set environment variables for Ansible
-    const env = {
-      ...process.env,
-      ANSIBLE_HOST_KEY_CHECKING: 'False',
-      ANSIBLE_SSH_COMMON_ARGS: '-o StrictHostKeyChecking=no',
-      PYTHONUNBUFFERED: '1', // Ensure Python output is unbuffered
-      ANSIBLE_ROLES_PATH: rolesPathNative
-    };
-    
-    logger.info(`Executing playbook: ${playbookType}`, {
-      ...logMeta,
-      playbookPath: finalPlaybookPath,
-      inventoryPath: finalInventoryPath,
-      extraVars: Object.keys(extraVars)
-    });
-    logger.debug(`Full command: ${command}`, logMeta);
-    
-    let child;
-    if (IS_WINDOWS) {
-      // On Windows, execute through WSL directly
-      const wslCommand = command.replace(/^wsl /, '');
-      child = spawn('wsl', ['bash', '-c', wslCommand], {
-        cwd: __dirname,
-        env: env
-      });
-    } else {
-      // On Linux/Mac, use shell directly
-      child = spawn('/bin/sh', ['-c', command], {
-        cwd: __dirname,
-        env: env
-      });
-    }
-    
-    let stdout = '';
-    let stderr = '';
-    let currentTask = '';
-    const credentials = {};
-    const credentialDefaults = {
-      mysql: { path: '/tmp/mysql_credentials.txt' },
-      mongodb: { path: '/tmp/mongodb_credentials.txt' } // RabbitMQ intentionally omitted
-    };
-    const currentService = playbookType === 'mysql'
-      ? 'mysql'
-      : playbookType === 'mongodb'
-        ? 'mongodb'
-        : playbookType === 'rabbitmq'
-          ? 'rabbitmq'
-          : null;
-
-    const recordCredential = (service, key, value) => {
-      if (!service || !key || value === undefined || value === null) return;
-      const normalizedService = service.toLowerCase();
-      if (!credentials[normalizedService]) {
-        credentials[normalizedService] = { ...(credentialDefaults[normalizedService] || {}) };
-      }
-      credentials[normalizedService][key] = value;
-    };
- 
-    // Parse Ansible output to extract task names and results
-    const parseAnsibleOutput = (line) => {
-      // Match task results like "ok: [host]", "changed: [host]", "fatal: [host]"
-      const taskResultMatch = line.match(/^(ok|changed|fatal|skipping):\s*\[(.+?)\]\s*(.*)/);
-      if (taskResultMatch) {
-        const status = taskResultMatch[1];
-        const host = taskResultMatch[2];
-        let message = taskResultMatch[3] || '';
-        let trimmedMessage = message.trim();
-        if (trimmedMessage.startsWith('=>')) {
-          trimmedMessage = trimmedMessage.replace(/^=>\s*/, '');
-        }
-
-        const displayMessages = [];
-        let credentialUpdate = null;
-
-        const processText = (text) => {
-          const trimmedText = String(text).trim();
-          if (!trimmedText) return;
-          let matched = false;
-          let match;
-
-          if (trimmedText.startsWith('CREDENTIALS|')) {
-            const parts = trimmedText.split('|');
-            const service = parts[1];
-            parts.slice(2).forEach(segment => {
-              const [k, v] = segment.split('=');
-              if (k && v) {
-                recordCredential(service, k.trim(), v.trim());
-              }
-            });
-            matched = true;
-            const normalizedService = service.toLowerCase();
-            if (credentials[normalizedService]) {
-              credentialUpdate = {
-                service: normalizedService,
-                data: { ...credentials[normalizedService] }
-              };
-            }
-          } else if ((match = trimmedText.match(/^MySQL user:\s*(.+)$/i))) {
-            recordCredential('mysql', 'username', match[1].trim());
-            matched = true;
-          } else if ((match = trimmedText.match(/^MySQL password:\s*(.+)$/i))) {
-            recordCredential('mysql', 'password', match[1].trim());
-            matched = true;
-          } else if ((match = trimmedText.match(/^MongoDB admin user:\s*(.+)$/i))) {
-            recordCredential('mongodb', 'username', match[1].trim());
-            matched = true;
-          } else if ((match = trimmedText.match(/^MongoDB admin password:\s*(.+)$/i))) {
-            recordCredential('mongodb', 'password', match[1].trim());
-            matched = true;
-          } else if ((match = trimmedText.match(/^MongoDB credentials stored in:\s*(.+)$/i))) {
-            recordCredential('mongodb', 'path', match[1].trim());
-            matched = true;
-          } else if ((match = trimmedText.match(/^RabbitMQ Username:\s*(.+)$/i))) {
-            recordCredential('rabbitmq', 'username', match[1].trim());
-            matched = true;
-          } else if ((match = trimmedText.match(/^RabbitMQ Password:\s*(.+)$/i))) {
-            recordCredential('rabbitmq', 'password', match[1].trim());
-            matched = true;
-          }
-
-          if (!matched) {
-            displayMessages.push(trimmedText);
-          }
-        };
-
-        if (trimmedMessage.startsWith('{')) {
-          try {
-            const parsedJson = JSON.parse(trimmedMessage);
-            if (parsedJson && parsedJson.msg !== undefined) {
-              const rawMessages = Array.isArray(parsedJson.msg) ? parsedJson.msg : [parsedJson.msg];
-              rawMessages.forEach(processText);
-            } else if (parsedJson && parsedJson.stdout) {
-              processText(parsedJson.stdout);
-            } else {
-              processText(trimmedMessage);
-            }
-          } catch (err) {
-            processText(trimmedMessage);
-          }
-        } else {
-          processText(trimmedMessage);
-        }
-
-        const displayMessage = displayMessages.join(' | ');
-        if (currentService === 'mysql' && !credentials.mysql && credentialDefaults.mysql) {
-          credentials.mysql = { ...credentialDefaults.mysql };
-        }
-        if (currentService === 'mongodb' && !credentials.mongodb && credentialDefaults.mongodb) {
-          credentials.mongodb = { ...credentialDefaults.mongodb };
-        }
- 
-        return { 
-          type: 'task_result', 
-          status: status, 
-          host: host, 
-          task: currentTask,
-          message: displayMessage,
-          line,
-          credentialUpdate
-        };
-      }
-      
-      // Match task names like "TASK [task name]"
-      const taskMatch = line.match(/TASK\s+\[(.+?)\]/);
-      if (taskMatch) {
-        currentTask = taskMatch[1];
-        return { type: 'task', task: currentTask, line };
-      }
-      
-      // Match play names
-      const playMatch = line.match(/PLAY\s+\[(.+?)\]/);
-      if (playMatch) {
-        return { type: 'play', play: playMatch[1], line };
-      }
-      
-      // Match summary status like "ok=5 changed=2 failed=0"
-      const statusMatch = line.match(/(ok|changed|failed|unreachable)=(\d+)/);
-      if (statusMatch) {
-        return { type: 'status', status: statusMatch[1], count: statusMatch[2], line };
-      }
-      
-      // Skip verbose output lines
-      return null;
-    };
-    
-    child.stdout.on('data', (data) => {
-      const text = data.toString();
-      stdout += text;
-      const lines = text.split('\n');
-      lines.forEach(line => {
-        if (line.trim() && onOutput) {
-          const parsed = parseAnsibleOutput(line);
-          if (parsed) {
-            onOutput(parsed);
-          }
-        }
-      });
-    });
-    
-    child.stderr.on('data', (data) => {
-      const text = data.toString();
-      stderr += text;
-      if (onOutput) {
-        onOutput({ type: 'error', line: text });
-      }
-    });
-    
-    child.on('close', (code) => {
-      // Parse credentials from stdout regardless of exit code
-      if (currentService && (!credentials[currentService] || Object.keys(credentials[currentService]).length <= 1)) {
-        const regex = new RegExp(`CREDENTIALS\\|${currentService}\\|([^\\n]+)`, 'g');
-        let match;
-        while ((match = regex.exec(stdout)) !== null) {
-          const segments = match[1].split('|');
-          segments.forEach(segment => {
-            const [k, v] = segment.split('=');
-            if (k && v) {
-              recordCredential(currentService, k.trim(), v.trim());
-            }
-          });
-        }
-      }
-      if (currentService && credentialDefaults[currentService]) {
-        credentials[currentService] = {
-          ...credentialDefaults[currentService],
-          ...(credentials[currentService] || {})
-        };
-      }
-
-      // Ansible exit codes:
-      // 0 = success
-      // 2 = one or more hosts had failures
-      // 4 = unreachable hosts
-      // Other = errors
-      if (code === 0) {
-        logger.info(`Playbook ${playbookType} completed successfully`, { ...logMeta, exitCode: code });
-        resolve({
-          success: true,
-          stdout,
-          stderr,
-          credentials
-        });
-      } else {
-        // Extract actual fatal error lines from output for better logging
-        const fullOutput = stdout + '\n' + stderr;
-        const fatalLines = fullOutput.split('\n').filter(line =>
-          line.includes('fatal:') || line.includes('FAILED!') || line.includes('msg":')
-        );
-        const actualError = fatalLines.length > 0
-          ? fatalLines.slice(-3).join(' | ')  // Get last 3 fatal-related lines
-          : (stderr || stdout || `Process exited with code ${code}`);
-
-        const errorDescription = code === 2 ? 'One or more tasks failed' :
-                                 code === 4 ? 'One or more hosts unreachable' :
-                                 `Process exited with code ${code}`;
-        logger.error(`Playbook ${playbookType} failed`, { ...logMeta, exitCode: code, error: actualError.substring(0, 1000) });
-        reject({
-          success: false,
-          error: errorDescription,
-          exitCode: code,
-          stdout,
-          stderr,
-          fullOutput: stdout + '\n' + stderr,
-          credentials
-        });
-      }
-    });
-
-    child.on('error', (error) => {
-      logger.error(`Playbook ${playbookType} spawn error`, { ...logMeta, error: error.message });
-      reject({
-        success: false,
-        error: error.message,
-        stdout,
-        stderr
-      });
-    });
-  });
+// Sessions and servers of the runs whose new host keys are recorded, by inventory ID
+const recordingRuns = new Map();
+
+// Generate a run's inventory after resolving references to secrets in Vault
+// Runs of a session check its pinned host keys as on the main backend: the environment
+// check records new keys, other steps are refused until theirs are confirmed (see hostKeyService)
+async function generateRunInventory(sessionId, servers, playbookType, variables) {
+  const resolved = await resolveSecrets({ servers, variables });
+  const knownHosts = getRunKnownHosts(sessionId, playbookType, resolved.servers);
+  const inventory = await generateInventory(resolved.servers, playbookType, resolved.variables, {}, { knownHosts });
+  if (sessionId && knownHosts.mode === 'record') {
+    recordingRuns.set(inventory.inventoryId, { sessionId, servers: resolved.servers });
+  }
+  return inventory;
 }
 
-// Cleanup inventory file
-async function cleanupInventory(inventoryId, servers = []) {
-  try {
-    const inventoryPath = path.join(INVENTORY_DIR, `${inventoryId}.ini`);
-    await fs.unlink(inventoryPath);
-
-    // Clean up SSH key files if any were created
-    for (const server of servers) {
-      if (server.ssh_auth_type === 'key' && server.ssh_key) {
-        const keyPath = `/tmp/ansible_key_${server.hostname.replace(/\./g, '_')}.pem`;
-        try {
-          await fs.unlink(keyPath);
-        } catch (e) {
-          // Ignore if file doesn't exist
-        }
-      }
+// Remove a run's files, after recording the host keys a run of a session met
+async function cleanupRunInventory(inventoryId) {
+  const run = recordingRuns.get(inventoryId);
+  recordingRuns.delete(inventoryId);
+  if (run) {
+    try {
+      recordRunHostKeys(run.sessionId, run.servers, await readKnownHosts(inventoryId));
+    } catch (error) {
+      logger.error('Host keys could not be recorded', { sessionId: run.sessionId, error: error.message });
     }
-  } catch (error) {
-    console.error('Error cleaning up inventory:', error);
   }
+  await cleanupInventory(inventoryId);
 }
 
 // Helper function to handle streaming playbook execution
@@ -720,16 +290,16 @@ async function executePlaybookStream(req, res, playbookType, playbookPath) {
     res.setHeader('Connection', 'keep-alive');
     res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
 
-    const { inventoryId, inventoryPath } = await generateInventory(servers, playbookType);
+    const { inventoryId, inventoryPath, extraVars, vault } = await generateRunInventory(sessionId, servers, playbookType, variables);
 
     const sendEvent = (data) => {
       res.write(`data: ${JSON.stringify(data)}\n\n`);
     };
 
     try {
-      const result = await executePlaybook(playbookType, inventoryPath, playbookPath, variables, (output) => {
+      const result = await executePlaybook(playbookType, inventoryPath, playbookPath, extraVars, (output) => {
         sendEvent(output);
-      }, sessionId);
+      }, sessionId, vault);
 
       sendEvent({
         type: 'complete',
@@ -738,7 +308,7 @@ async function executePlaybookStream(req, res, playbookType, playbookPath) {
         stdout: result.stdout,
         stderr: result.stderr
       });
-      await cleanupInventory(inventoryId, servers);
+      await cleanupRunInventory(inventoryId);
       res.end();
     } catch (error) {
       sendEvent({
@@ -749,7 +319,7 @@ async function executePlaybookStream(req, res, playbookType, playbookPath) {
         stderr: error.stderr,
         credentials: error.credentials || {}
       });
-      await cleanupInventory(inventoryId, servers);
+      await cleanupRunInventory(inventoryId);
       res.end();
     }
   } catch (error) {
@@ -786,18 +356,18 @@ app.post('/api/playbook/mysql', async (req, res) => {
       return res.status(400).json({ error: 'Servers array is required' });
     }
     
-    const { inventoryId, inventoryPath } = await generateInventory(servers, 'mysql');
+    const { inventoryId, inventoryPath, extraVars, vault } = await generateRunInventory(extractSessionId(req), servers, 'mysql', variables);
     
     try {
-      const result = await executePlaybook('mysql', inventoryPath, playbookPath, variables);
-      await cleanupInventory(inventoryId, servers);
+      const result = await executePlaybook('mysql', inventoryPath, playbookPath, extraVars, null, null, vault);
+      await cleanupRunInventory(inventoryId);
       res.json(result);
     } catch (error) {
-      await cleanupInventory(inventoryId, servers);
+      await cleanupRunInventory(inventoryId);
       res.status(500).json(error);
     }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -816,18 +386,18 @@ app.post('/api/playbook/mongodb', async (req, res) => {
       return res.status(400).json({ error: 'Servers array is required' });
     }
     
-    const { inventoryId, inventoryPath } = await generateInventory(servers, 'mongodb');
+    const { inventoryId, inventoryPath, extraVars, vault } = await generateRunInventory(extractSessionId(req), servers, 'mongodb', variables);
     
     try {
-      const result = await executePlaybook('mongodb', inventoryPath, playbookPath, variables);
-      await cleanupInventory(inventoryId, servers);
+      const result = await executePlaybook('mongodb', inventoryPath, playbookPath, extraVars, null, null, vault);
+      await cleanupRunInventory(inventoryId);
       res.json(result);
     } catch (error) {
-      await cleanupInventory(inventoryId, servers);
+      await cleanupRunInventory(inventoryId);
       res.status(500).json(error);
     }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -852,18 +422,18 @@ app.post('/api/playbook/nfs', async (req, res) => {
       });
     }
     
-    const { inventoryId, inventoryPath } = await generateInventory(servers, 'nfs');
+    const { inventoryId, inventoryPath, extraVars, vault } = await generateRunInventory(extractSessionId(req), servers, 'nfs', variables);
     
     try {
-      const result = await executePlaybook('nfs', inventoryPath, playbookPath, variables);
-      await cleanupInventory(inventoryId, servers);
+      const result = await executePlaybook('nfs', inventoryPath, playbookPath, extraVars, null, null, vault);
+      await cleanupRunInventory(inventoryId);
       res.json(result);
     } catch (error) {
-      await cleanupInventory(inventoryId, servers);
+      await cleanupRunInventory(inventoryId);
       res.status(500).json(error);
     }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -884,18 +454,18 @@ app.post('/api/playbook/rabbitmq', async (req, res) => {
       return res.status(400).json({ error: 'Servers array is required' });
     }
 
-    const { inventoryId, inventoryPath } = await generateInventory(servers, 'rabbitmq');
+    const { inventoryId, inventoryPath, extraVars, vault } = await generateRunInventory(extractSessionId(req), servers, 'rabbitmq', variables);
 
     try {
-      const result = await executePlaybook('rabbitmq', inventoryPath, playbookPath, variables);
-      await cleanupInventory(inventoryId, servers);
+      const result = await executePlaybook('rabbitmq', inventoryPath, playbookPath, extraVars, null, null, vault);
+      await cleanupRunInventory(inventoryId);
       res.json(result);
     } catch (error) {
-      await cleanupInventory(inventoryId, servers);
+      await cleanupRunInventory(inventoryId);
       res.status(500).json(error);
     }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -918,18 +488,18 @@ app.post('/api/playbook/env-check', async (req, res) => {
       return res.status(400).json({ error: 'Servers array is required' });
     }
 
-    const { inventoryId, inventoryPath } = await generateInventory(servers, 'env-check');
+    const { inventoryId, inventoryPath, extraVars, vault } = await generateRunInventory(extractSessionId(req), servers, 'env-check', variables);
 
     try {
-      const result = await executePlaybook('env-check', inventoryPath, playbookPath, variables);
-      await cleanupInventory(inventoryId, servers);
+      const result = await executePlaybook('env-check', inventoryPath, playbookPath, extraVars, null, null, vault);
+      await cleanupRunInventory(inventoryId);
       res.json(result);
     } catch (error) {
-      await cleanupInventory(inventoryId, servers);
+      await cleanupRunInventory(inventoryId);
       res.status(500).json(error);
     }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -954,18 +524,18 @@ app.post('/api/playbook/kubernetes', async (req, res) => {
       return res.status(400).json({ error: 'At least one master node is required' });
     }
 
-    const { inventoryId, inventoryPath } = await generateInventory(servers, 'kubernetes');
+    const { inventoryId, inventoryPath, extraVars, vault } = await generateRunInventory(extractSessionId(req), servers, 'kubernetes', variables);
 
     try {
-      const result = await executePlaybook('kubernetes', inventoryPath, playbookPath, variables);
-      await cleanupInventory(inventoryId, servers);
+      const result = await executePlaybook('kubernetes', inventoryPath, playbookPath, extraVars, null, null, vault);
+      await cleanupRunInventory(inventoryId);
       res.json(result);
     } catch (error) {
-      await cleanupInventory(inventoryId, servers);
+      await cleanupRunInventory(inventoryId);
       res.status(500).json(error);
     }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -984,18 +554,18 @@ app.post('/api/playbook/kubectl', async (req, res) => {
       return res.status(400).json({ error: 'Servers array is required' });
     }
 
-    const { inventoryId, inventoryPath } = await generateInventory(servers, 'kubectl');
+    const { inventoryId, inventoryPath, extraVars, vault } = await generateRunInventory(extractSessionId(req), servers, 'kubectl', variables);
 
     try {
-      const result = await executePlaybook('kubectl', inventoryPath, playbookPath, variables);
-      await cleanupInventory(inventoryId, servers);
+      const result = await executePlaybook('kubectl', inventoryPath, playbookPath, extraVars, null, null, vault);
+      await cleanupRunInventory(inventoryId);
       res.json(result);
     } catch (error) {
-      await cleanupInventory(inventoryId, servers);
+      await cleanupRunInventory(inventoryId);
       res.status(500).json(error);
     }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -1014,18 +584,18 @@ app.post('/api/playbook/helm', async (req, res) => {
       return res.status(400).json({ error: 'Servers array is required' });
     }
 
-    const { inventoryId, inventoryPath } = await generateInventory(servers, 'helm');
+    const { inventoryId, inventoryPath, extraVars, vault } = await generateRunInventory(extractSessionId(req), servers, 'helm', variables);
 
     try {
-      const result = await executePlaybook('helm', inventoryPath, playbookPath, variables);
-      await cleanupInventory(inventoryId, servers);
+      const result = await executePlaybook('helm', inventoryPath, playbookPath, extraVars, null, null, vault);
+      await cleanupRunInventory(inventoryId);
       res.json(result);
     } catch (error) {
-      await cleanupInventory(inventoryId, servers);
+      await cleanupRunInventory(inventoryId);
       res.status(500).json(error);
     }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -1044,18 +614,18 @@ app.post('/api/playbook/loadbalancer', async (req, res) => {
       return res.status(400).json({ error: 'Servers array is required' });
     }
 
-    const { inventoryId, inventoryPath } = await generateInventory(servers, 'loadbalancer');
+    const { inventoryId, inventoryPath, extraVars, vault } = await generateRunInventory(extractSessionId(req), servers, 'loadbalancer', variables);
 
     try {
-      const result = await executePlaybook('loadbalancer', inventoryPath, playbookPath, variables);
-      await cleanupInventory(inventoryId, servers);
+      const result = await executePlaybook('loadbalancer', inventoryPath, playbookPath, extraVars, null, null, vault);
+      await cleanupRunInventory(inventoryId);
       res.json(result);
     } catch (error) {
-      await cleanupInventory(inventoryId, servers);
+      await cleanupRunInventory(inventoryId);
       res.status(500).json(error);
     }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -1074,18 +644,18 @@ app.post('/api/playbook/ssl', async (req, res) => {
       return res.status(400).json({ error: 'Servers array is required' });
     }
 
-    const { inventoryId, inventoryPath } = await generateInventory(servers, 'ssl');
+    const { inventoryId, inventoryPath, extraVars, vault } = await generateRunInventory(extractSessionId(req), servers, 'ssl', variables);
 
     try {
-      const result = await executePlaybook('ssl', inventoryPath, playbookPath, variables);
-      await cleanupInventory(inventoryId, servers);
+      const result = await executePlaybook('ssl', inventoryPath, playbookPath, extraVars, null, null, vault);
+      await cleanupRunInventory(inventoryId);
       res.json(result);
     } catch (error) {
-      await cleanupInventory(inventoryId, servers);
+      await cleanupRunInventory(inventoryId);
       res.status(500).json(error);
     }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -1104,18 +674,18 @@ app.post('/api/playbook/stackbill', async (req, res) => {
       return res.status(400).json({ error: 'Servers array is required' });
     }
 
-    const { inventoryId, inventoryPath } = await generateInventory(servers, 'stackbill');
+    const { inventoryId, inventoryPath, extraVars, vault } = await generateRunInventory(extractSessionId(req), servers, 'stackbill', variables);
 
     try {
-      const result = await executePlaybook('stackbill', inventoryPath, playbookPath, variables);
-      await cleanupInventory(inventoryId, servers);
+      const result = await executePlaybook('stackbill', inventoryPath, playbookPath, extraVars, null, null, vault);
+      await cleanupRunInventory(inventoryId);
       res.json(result);
     } catch (error) {
-      await cleanupInventory(inventoryId, servers);
+      await cleanupRunInventory(inventoryId);
       res.status(500).json(error);
     }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -1151,7 +721,8 @@ app.get('/api/sessions/:id', (req, res) => {
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
     }
-    res.json({ success: true, session });
+    // Viewers get server passwords, keys and credentials masked
+    res.json({ success: true, session: hasRole(req.user.role, 'operator') ? session : redactVariables(session) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1171,8 +742,9 @@ app.patch('/api/sessions/:id', (req, res) => {
 });
 
 // Delete session
-app.delete('/api/sessions/:id', (req, res) => {
+app.delete('/api/sessions/:id', async (req, res) => {
   try {
+    await removeSecrets(getSecretPath('sessions', req.params.id));
     const success = db.deleteSession(req.params.id);
     if (!success) {
       return res.status(404).json({ error: 'Session not found' });
@@ -1184,13 +756,14 @@ app.delete('/api/sessions/:id', (req, res) => {
 });
 
 // Save servers for a step
-app.post('/api/sessions/:id/servers/:stepId', (req, res) => {
+app.post('/api/sessions/:id/servers/:stepId', async (req, res) => {
   try {
     const { servers } = req.body;
     if (!servers || !Array.isArray(servers)) {
       return res.status(400).json({ error: 'Servers array is required' });
     }
-    db.saveServers(req.params.id, req.params.stepId, servers);
+    const { id, stepId } = req.params;
+    db.saveServers(id, stepId, await storeSecrets(getSecretPath('sessions', id, 'servers', stepId), servers));
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -1208,13 +781,20 @@ app.delete('/api/sessions/:id/servers/:serverId', (req, res) => {
 });
 
 // Save credentials for a service
-app.post('/api/sessions/:id/credentials/:service', (req, res) => {
+app.post('/api/sessions/:id/credentials/:service', async (req, res) => {
   try {
     const { credentials } = req.body;
     if (!credentials || typeof credentials !== 'object') {
       return res.status(400).json({ error: 'Credentials object is required' });
     }
-    db.saveCredentials(req.params.id, req.params.service, credentials);
+    // The Vault secret of a service holds all its keys, including the ones saved before
+    const { id, service } = req.params;
+    const stored = await storeSecrets(
+      getSecretPath('sessions', id, 'credentials', service),
+      { ...db.getCredentials(id, service), ...credentials },
+      { everyField: true }
+    );
+    db.saveCredentials(id, service, Object.fromEntries(Object.keys(credentials).map(key => [key, stored[key]])));
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -1344,8 +924,8 @@ app.get('/api/sessions/:id/files/:fileId/download', (req, res) => {
   }
 });
 
-// Export all credentials for a session (legacy)
-app.get('/api/sessions/:id/export', (req, res) => {
+// Export all credentials for a session in clear text (legacy; admin only and audited)
+app.post('/api/sessions/:id/export', (req, res) => {
   try {
     const exportData = db.exportSessionCredentials(req.params.id);
     if (!exportData) {
@@ -1360,121 +940,79 @@ app.get('/api/sessions/:id/export', (req, res) => {
   }
 });
 
-// Export full session (for sharing across machines)
-app.get('/api/sessions/:id/export-full', (req, res) => {
+// Export full session (for sharing across machines), encrypted with the passphrase in the body
+app.post('/api/sessions/:id/export-full', async (req, res) => {
+  const { passphrase } = req.body;
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return res.status(400).json({ error: `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters` });
+  }
+
   try {
-    const session = db.getSession(req.params.id);
-    if (!session) {
+    const exportData = await buildSessionExport(req.params.id);
+    if (!exportData) {
       return res.status(404).json({ error: 'Session not found' });
     }
 
-    // Build comprehensive export data
-    const exportData = {
-      version: '1.0',
-      exportedAt: new Date().toISOString(),
-      session: {
-        name: session.name,
-        status: session.status,
-        current_step: session.current_step,
-        auto_cleanup: session.auto_cleanup,
-        notes: session.notes,
-        created_at: session.created_at,
-        completedSteps: session.completedSteps || [],
-        modes: session.modes || {},
-        sslConfig: session.sslConfig || {},
-        nfsConfig: session.nfsConfig || {},
-        loadBalancerConfig: session.loadBalancerConfig || {},
-        stepData: session.stepData || {}
-      },
-      servers: session.servers || {},
-      credentials: session.credentials || {}
-    };
-
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', `attachment; filename="stackbill-session-${req.params.id.substring(0, 8)}.json"`);
-    res.json(exportData);
+    res.json(await encryptBundle(exportData, passphrase));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Import session (create new session from exported data)
-app.post('/api/sessions/import', (req, res) => {
+// Export full session unencrypted (secrets in clear text, admin only and audited)
+app.post('/api/sessions/:id/export-plain', async (req, res) => {
   try {
-    const importData = req.body;
-
-    // Validate import data structure
-    if (!importData || !importData.session) {
-      return res.status(400).json({ error: 'Invalid import data: missing session object' });
-    }
-
-    // Create new session
-    const sessionData = importData.session;
-    const newSession = db.createSession(sessionData.name || 'Imported Session');
-
-    // Update session metadata
-    // Note: SQLite only accepts numbers, strings, bigints, buffers, and null - not booleans
-    db.updateSession(newSession.id, {
-      status: sessionData.status || 'in_progress',
-      current_step: sessionData.current_step || 0,
-      auto_cleanup: sessionData.auto_cleanup ? 1 : 0,  // Convert boolean to integer for SQLite
-      automation_mode: sessionData.automation_mode || 'manual',
-      notes: sessionData.notes || ''
-    });
-
-    // Import servers
-    if (importData.servers) {
-      for (const [stepId, servers] of Object.entries(importData.servers)) {
-        if (Array.isArray(servers) && servers.length > 0) {
-          db.saveServers(newSession.id, stepId, servers);
-        }
-      }
+    const exportData = await buildSessionExport(req.params.id);
+    if (!exportData) {
+      return res.status(404).json({ error: 'Session not found' });
     }
 
-    // Import credentials
-    if (importData.credentials) {
-      for (const [service, creds] of Object.entries(importData.credentials)) {
-        if (creds && typeof creds === 'object') {
-          db.saveCredentials(newSession.id, service, creds);
-        }
-      }
-    }
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="stackbill-session-${req.params.id.substring(0, 8)}-plain.json"`);
+    res.json(exportData);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Import completed steps
-    if (sessionData.completedSteps && Array.isArray(sessionData.completedSteps)) {
-      for (const stepId of sessionData.completedSteps) {
-        const stepData = sessionData.stepData?.[stepId] || {};
-        db.completeStep(newSession.id, stepId, stepData);
-      }
-    }
+// Import session (create new session from an encrypted bundle or a plain export)
+// Older export versions are migrated and validated against the export schema; ?dryRun=true only checks
+app.post('/api/sessions/import', async (req, res) => {
+  let importData = req.body;
 
-    // Import step modes
-    if (sessionData.modes) {
-      for (const [stepId, mode] of Object.entries(sessionData.modes)) {
-        db.setStepMode(newSession.id, stepId, mode);
-      }
+  if (importData && importData.bundle !== undefined) {
+    if (typeof importData.passphrase !== 'string' || !importData.passphrase) {
+      return res.status(400).json({ error: 'Passphrase is required to import an encrypted bundle' });
     }
-
-    // Import SSL config
-    if (sessionData.sslConfig && sessionData.sslConfig.type) {
-      db.saveSSLConfig(newSession.id, sessionData.sslConfig);
+    try {
+      importData = await decryptBundle(importData.bundle, importData.passphrase);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
+  } else if (isEncryptedBundle(importData)) {
+    return res.status(400).json({ error: 'Send encrypted bundles as { bundle, passphrase }' });
+  }
 
-    // Import NFS config
-    if (sessionData.nfsConfig) {
-      db.saveNFSConfig(newSession.id, sessionData.nfsConfig);
-    }
+  const { data, fromVersion, errors } = checkSessionImport(importData);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: `Invalid import data: ${errors.length === 1 ? errors[0] : `${errors.length} problems`}`,
+      errors
+    });
+  }
 
-    // Import Load Balancer config
-    if (sessionData.loadBalancerConfig) {
-      db.saveLBConfig(newSession.id, sessionData.loadBalancerConfig);
-    }
+  if (req.query.dryRun === 'true') {
+    return res.json({ success: true, valid: true, fromVersion, summary: getImportSummary(data) });
+  }
 
-    // Return the new session
-    const createdSession = db.getSession(newSession.id);
+  try {
+    const createdSession = await importSession(data);
     res.json({
       success: true,
       message: 'Session imported successfully',
+      fromVersion,
       session: createdSession
     });
   } catch (error) {
@@ -1484,8 +1022,9 @@ app.post('/api/sessions/import', (req, res) => {
 });
 
 // Cleanup session (remove sensitive data after completion)
-app.post('/api/sessions/:id/cleanup', (req, res) => {
+app.post('/api/sessions/:id/cleanup', async (req, res) => {
   try {
+    await removeSecrets(getSecretPath('sessions', req.params.id, 'servers'));
     db.cleanupSession(req.params.id);
     res.json({ success: true, message: 'Session cleaned up successfully' });
   } catch (error) {
@@ -1599,6 +1138,10 @@ app.delete('/api/settings/:key', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Authentication and validation errors of the shared middleware
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
   logger.error('Unhandled error', { error: err.message, stack: err.stack, url: req.originalUrl });
   res.status(500).json({ error: 'Internal server error' });
 });
@@ -1607,12 +1150,21 @@ app.use((err, req, res, next) => {
 let server;
 
 // Start server
-ensureInventoryDir().then(() => {
+// Inventories of runs the main backend has in progress stay
+ensureInventoryDir().then(() => sweepRunFiles(db.getActiveRunIds())).then(ensureAdminUser).then((admin) => {
+  if (admin) {
+    console.log(admin.passwordFile
+      ? `Created admin user '${admin.username}', its password is in ${admin.passwordFile} (change it after signing in, then delete the file)`
+      : `Created admin user '${admin.username}' from STACKBILL_ADMIN_PASSWORD`);
+  }
+  // Fails on an unknown store or incomplete Vault settings
+  const secretStore = getSecretStore();
   server = app.listen(PORT, () => {
     logger.info('Server started', { port: PORT, nodeEnv: process.env.NODE_ENV || 'development' });
     console.log(`🚀 Ansible API Server running on http://localhost:${PORT}`);
     console.log(`📋 Frontend available at http://localhost:${PORT}`);
     console.log(`💾 Database location: ./data/stackbill.db`);
+    console.log(`🔐 Secret store: ${secretStore.name}`);
     console.log(`📝 Logs location: ${LOG_FILE}`);
   });
 }).catch(err => {
@@ -1626,6 +1178,9 @@ function gracefulShutdown(signal) {
   logger.info(`${signal} received, starting graceful shutdown...`);
   console.log(`\n${signal} received. Graceful shutdown starting...`);
 
+  // Playbooks are stopped like cancelled runs; their requests then clean up their files
+  runningPlaybooks.forEach(child => playbookService.terminateProcessTree(child));
+
   // Stop accepting new connections
   if (server) {
     server.close((err) => {
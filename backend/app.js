@@ -12,6 +12,9 @@ const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 // Create Express app
 const app = express();
 
+// Client IPs (audit log) from X-Forwarded-For of trusted reverse proxies only
+app.set('trust proxy', config.server.trustProxy);
+
 // =====================================================
 // MIDDLEWARE
 // =====================================================
@@ -9,7 +9,12 @@ module.exports = {
   // Server configuration
   server: {
     port: process.env.PORT || 3000,
-    host: process.env.HOST || '0.0.0.0'
+    host: process.env.HOST || '0.0.0.0',
+    // Reverse proxies trusted for the client IP in X-Forwarded-For (Express 'trust proxy':
+    // a hop count, 'loopback' or a list of addresses); off by default
+    trustProxy: /^\d+$/.test(process.env.STACKBILL_TRUST_PROXY || '')
+      ? parseInt(process.env.STACKBILL_TRUST_PROXY, 10)
+      : process.env.STACKBILL_TRUST_PROXY || false
   },
 
   // Paths
@@ -18,32 +23,13 @@ module.exports = {
     backend: path.join(__dirname, '..'),
     frontend: path.join(__dirname, '..', '..', 'frontend', 'public'),
     ansible: path.join(__dirname, '..', '..', 'ansible'),
-    data: path.join(__dirname, '..', '..', 'data'),
+    callbackPlugins: path.join(__dirname, '..', '..', 'ansible', 'callback_plugins'),
+    vaultPasswordClient: path.join(__dirname, '..', '..', 'ansible', 'vault', 'password-client.sh'),
+    // Database and encryption key files (STACKBILL_DATA_DIR gives the tests their own)
+    data: process.env.STACKBILL_DATA_DIR || path.join(__dirname, '..', '..', 'data'),
     inventory: path.join(__dirname, '..', '.inventory')
   },
 
-  // Playbook paths
-  playbooks: {
-    mysql: 'mysql/playbook.yml',
-    mongodb: 'mongodb/playbook.yml',
-    nfs: 'nfs/playbook.yml',
-    rabbitmq: 'rabbitmq/playbook.yml',
-    'env-check': 'env-check/playbook.yml',
-    kubernetes: 'kubernetes/playbook.yml',
-    loadbalancer: 'loadbalancer/playbook.yml',
-    kubectl: 'kubectl-istio/playbook.yml',
-    helm: 'helm/playbook.yml',
-    ssl: 'ssl/playbook.yml',
-    stackbill: 'stackbill/playbook.yml'
-  },
-
-  // Role paths for Ansible
-  rolePaths: {
-    mysql: 'mysql/role',
-    mongodb: 'mongodb/role',
-    default: 'roles'
-  },
-
   // Platform detection
   platform: {
     isWindows: process.platform === 'win32',
@@ -53,13 +39,46 @@ module.exports = {
 
   // Ansible configuration
   ansible: {
-    hostKeyChecking: false,
-    sshCommonArgs: '-o StrictHostKeyChecking=no -o UserKnownHostsFile=/dev/null -o PreferredAuthentications=password,keyboard-interactive -o PubkeyAuthentication=no'
+    // Bundled callback plugin that writes one JSON event per line (ansible/callback_plugins)
+    stdoutCallback: 'stackbill_events'
+  },
+
+  // Deployment job queue
+  jobs: {
+    // Maximum number of playbooks executing at the same time
+    concurrency: parseInt(process.env.STACKBILL_JOB_CONCURRENCY, 10) || 2,
+    // Milliseconds to wait after cancelling before escalating SIGINT -> SIGTERM -> SIGKILL
+    cancelGracePeriod: parseInt(process.env.STACKBILL_CANCEL_GRACE_MS, 10) || 10000
+  },
+
+  // Authentication
+  auth: {
+    // Name of the login session cookie
+    cookieName: 'stackbill_session',
+    // Hours a login session stays valid
+    sessionTtlHours: parseInt(process.env.STACKBILL_SESSION_TTL_HOURS, 10) || 12,
+    // Send the cookie only over HTTPS (set to 'false' for plain-HTTP test setups)
+    secureCookies: process.env.STACKBILL_SECURE_COOKIES
+      ? process.env.STACKBILL_SECURE_COOKIES !== 'false'
+      : process.env.NODE_ENV === 'production',
+    // Initial admin account, created on first start when there are no users
+    adminUsername: process.env.STACKBILL_ADMIN_USERNAME || 'admin',
+    adminPassword: process.env.STACKBILL_ADMIN_PASSWORD || null
   },
 
-  // Credential defaults
-  credentialDefaults: {
-    mysql: { path: '/tmp/mysql_credentials.txt' },
-    mongodb: { path: '/tmp/mongodb_credentials.txt' }
+  // Where server passwords, SSH keys and service credentials are kept (see services/secretStore)
+  secrets: {
+    // 'local' (encrypted in SQLite) or 'vault' (KV v2 secrets engine, references in SQLite)
+    store: process.env.STACKBILL_SECRET_STORE || 'local',
+    vault: {
+      address: process.env.STACKBILL_VAULT_ADDR || process.env.VAULT_ADDR || null,
+      token: process.env.STACKBILL_VAULT_TOKEN || process.env.VAULT_TOKEN || null,
+      namespace: process.env.STACKBILL_VAULT_NAMESPACE || process.env.VAULT_NAMESPACE || null,
+      caCert: process.env.STACKBILL_VAULT_CACERT || process.env.VAULT_CACERT || null,
+      // KV v2 mount and the path below it that holds everything of this installation
+      mount: (process.env.STACKBILL_VAULT_MOUNT || 'secret').replace(/^\/+|\/+$/g, ''),
+      prefix: (process.env.STACKBILL_VAULT_PREFIX || 'stackbill').replace(/^\/+|\/+$/g, ''),
+      timeout: parseInt(process.env.STACKBILL_VAULT_TIMEOUT_MS, 10) || 10000
+    }
   }
 };
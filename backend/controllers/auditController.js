@@ -0,0 +1,32 @@
+/**
+ * Audit Controller
+ * Handles reading the audit log (admin only)
+ */
+
+const db = require('../database');
+const response = require('../utils/responseHelper');
+
+/**
+ * GET /api/audit
+ * List audit events, newest first
+ * Filter with ?username=, ?userId=, ?action=, ?targetType=, ?targetId=, ?sessionId=,
+ * ?outcome=, ?ip=, ?from=, ?to=; page with ?limit= and ?before=<event id>.
+ */
+function listAuditEvents(req, res) {
+  const {
+    username, userId, action, targetType, targetId, sessionId, outcome, ip, from, to, before
+  } = req.query;
+  const limit = req.query.limit || 100;
+
+  const events = db.listAuditEvents({
+    username, userId, action, targetType, targetId, sessionId, outcome, ip, from, to, before, limit
+  });
+
+  // Cursor for the next (older) page, when this page is full
+  const nextBefore = events.length === limit ? events[events.length - 1].id : null;
+  response.success(res, { events, nextBefore });
+}
+
+module.exports = {
+  listAuditEvents
+};
@@ -0,0 +1,138 @@
+/**
+ * Auth Controller
+ * Handles login, logout, the current user and API tokens
+ */
+
+const config = require('../config');
+const db = require('../database');
+const authService = require('../services/authService');
+const response = require('../utils/responseHelper');
+const { unauthorized, forbidden, notFound } = require('../middleware/errorHandler');
+const { getSessionToken } = require('../middleware/auth');
+
+/**
+ * Get the options of the login session cookie
+ * HttpOnly keeps it away from scripts; SameSite=Strict stops cross-site requests
+ * from carrying it.
+ * @param {object} req - Express request
+ * @returns {object} Cookie options
+ */
+function getCookieOptions(req) {
+  return {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: config.auth.secureCookies || req.secure,
+    path: '/'
+  };
+}
+
+/**
+ * POST /api/auth/login
+ * Sign in with username and password and set the session cookie
+ */
+async function login(req, res) {
+  const { username, password } = req.body;
+
+  const result = await authService.login(username, password);
+  if (!result) {
+    throw unauthorized('Invalid username or password');
+  }
+
+  res.cookie(config.auth.cookieName, result.token, {
+    ...getCookieOptions(req),
+    maxAge: config.auth.sessionTtlHours * 60 * 60 * 1000
+  });
+  response.success(res, { user: result.user });
+}
+
+/**
+ * POST /api/auth/logout
+ * End the login session and clear the cookie
+ */
+function logout(req, res) {
+  const token = getSessionToken(req);
+  if (token) {
+    authService.logout(token);
+  }
+
+  res.clearCookie(config.auth.cookieName, getCookieOptions(req));
+  response.success(res);
+}
+
+/**
+ * GET /api/auth/me
+ * Get the signed-in user (or the owner of the API token)
+ */
+function getCurrentUser(req, res) {
+  response.success(res, { user: req.user, authMethod: req.authMethod });
+}
+
+/**
+ * POST /api/auth/password
+ * Change the signed-in user's password (other login sessions are closed)
+ */
+async function changePassword(req, res) {
+  const { currentPassword, newPassword } = req.body;
+
+  const changed = await authService.changePassword(req.user, currentPassword, newPassword, getSessionToken(req));
+  if (!changed) {
+    throw unauthorized('Current password is incorrect');
+  }
+
+  response.success(res);
+}
+
+/**
+ * GET /api/auth/tokens
+ * List API tokens: the user's own, or all with ?all=true (admin)
+ */
+function listTokens(req, res) {
+  const all = req.query.all === 'true';
+  if (all && !authService.hasRole(req.user.role, 'admin')) {
+    throw forbidden('Listing all tokens requires the admin role');
+  }
+
+  const tokens = db.listApiTokens(all ? null : req.user.id);
+  response.success(res, { tokens });
+}
+
+/**
+ * POST /api/auth/tokens
+ * Create an API token (e.g. for n8n); the token is only shown in this response
+ */
+function createToken(req, res) {
+  const { name, role = req.user.role, expiresInDays = null } = req.body;
+
+  if (!authService.hasRole(req.user.role, role)) {
+    throw forbidden(`Cannot create a token with more privileges than your role (${req.user.role})`);
+  }
+
+  const { token, apiToken } = authService.createApiToken(req.user, { name: name.trim(), role, expiresInDays });
+  response.created(res, { token, apiToken });
+}
+
+/**
+ * DELETE /api/auth/tokens/:tokenId
+ * Revoke an API token (own tokens, or any token as admin)
+ */
+function revokeToken(req, res) {
+  const apiToken = db.getApiToken(req.params.tokenId);
+  const canRevoke = apiToken &&
+    (apiToken.userId === req.user.id || authService.hasRole(req.user.role, 'admin'));
+  if (!canRevoke) {
+    throw notFound('API token');
+  }
+
+  db.deleteApiToken(apiToken.id);
+  response.success(res);
+}
+
+module.exports = {
+  login,
+  logout,
+  getCurrentUser,
+  changePassword,
+  listTokens,
+  createToken,
+  revokeToken
+};
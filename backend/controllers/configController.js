@@ -1,10 +1,14 @@
 /**
  * Config Controller
- * Handles NFS and Load Balancer configuration management
+ * Handles NFS, Load Balancer, execution options and jump host configuration management
  */
 
 const db = require('../database');
 const response = require('../utils/responseHelper');
+const { getPlaybook } = require('../services/playbookRegistry');
+const { EXECUTION_OPTIONS, getDefaultExecutionOptions } = require('../services/executionOptions');
+const { storeSecrets, removeSecrets, getSecretPath } = require('../services/secretStore');
+const { notFound } = require('../middleware/errorHandler');
 
 /**
  * POST /api/sessions/:id/nfs-config
@@ -66,9 +70,70 @@ function getLBConfig(req, res) {
   }
 }
 
+/**
+ * GET /api/sessions/:id/execution-options
+ * Get the execution options stored for the session and its steps, with the defaults
+ * and the definition of every option (for the step panel)
+ */
+function getExecutionOptions(req, res) {
+  if (!db.getSession(req.params.id)) {
+    throw notFound('Session');
+  }
+  response.success(res, {
+    options: db.getExecutionOptions(req.params.id),
+    defaults: getDefaultExecutionOptions(),
+    definitions: EXECUTION_OPTIONS.map(({ pattern, ...option }) => option)
+  });
+}
+
+/**
+ * POST /api/sessions/:id/execution-options
+ * POST /api/sessions/:id/steps/:stepId/execution-options
+ * Replace the execution options of the session or of one step ({} removes them)
+ */
+function saveExecutionOptions(req, res) {
+  const { id: sessionId, stepId = null } = req.params;
+  if (!db.getSession(sessionId)) {
+    throw notFound('Session');
+  }
+  if (stepId && !getPlaybook(stepId)) {
+    throw notFound(`Step '${stepId}'`);
+  }
+
+  db.saveExecutionOptions(sessionId, stepId, req.body.options);
+  response.success(res, { options: db.getExecutionOptions(sessionId) });
+}
+
+/**
+ * POST /api/sessions/:id/jump-host
+ * Replace the jump host the session's servers are reached through (null or {} removes it)
+ * With the vault secret store, its password and key go to Vault like the servers' logins.
+ */
+async function saveJumpHost(req, res) {
+  const { id } = req.params;
+  if (!db.getSession(id)) {
+    throw notFound('Session');
+  }
+
+  const { jumpHost } = req.body;
+  const secretPath = getSecretPath('sessions', id, 'jump-host');
+  if (!jumpHost || Object.keys(jumpHost).length === 0) {
+    db.saveJumpHost(id, null);
+    await removeSecrets(secretPath);
+    return response.success(res, { jumpHost: null });
+  }
+
+  db.saveJumpHost(id, await storeSecrets(secretPath, jumpHost));
+  const { password, ssh_key: sshKey, ssh_key_passphrase: passphrase, ...stored } = db.getJumpHost(id);
+  response.success(res, { jumpHost: stored });
+}
+
 module.exports = {
   saveNFSConfig,
   getNFSConfig,
   saveLBConfig,
-  getLBConfig
+  getLBConfig,
+  getExecutionOptions,
+  saveExecutionOptions,
+  saveJumpHost
 };
@@ -5,15 +5,25 @@
 
 const db = require('../database');
 const response = require('../utils/responseHelper');
+const { storeSecrets, getSecretPath } = require('../services/secretStore');
 
 /**
  * POST /api/sessions/:id/credentials/:service
- * Save credentials for a service
+ * Save credentials for a service (keys that are not sent keep their value)
+ * With the vault secret store every value goes to Vault and the database keeps
+ * references to them. The Vault secret holds all keys of the service, so it is
+ * written with the ones saved before.
  */
-function saveCredentials(req, res) {
+async function saveCredentials(req, res) {
   try {
+    const { id, service } = req.params;
     const { credentials } = req.body;
-    db.saveCredentials(req.params.id, req.params.service, credentials);
+    const stored = await storeSecrets(
+      getSecretPath('sessions', id, 'credentials', service),
+      { ...db.getCredentials(id, service), ...credentials },
+      { everyField: true }
+    );
+    db.saveCredentials(id, service, Object.fromEntries(Object.keys(credentials).map(key => [key, stored[key]])));
     response.success(res);
   } catch (error) {
     response.error(res, error.message);
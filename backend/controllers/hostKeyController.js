@@ -0,0 +1,59 @@
+/**
+ * Host Key Controller
+ * Handles the pinned SSH host keys of a session (see services/hostKeyService)
+ */
+
+const db = require('../database');
+const response = require('../utils/responseHelper');
+const { notFound } = require('../middleware/errorHandler');
+
+/**
+ * Look up the session in the URL
+ * @param {object} req - Express request
+ */
+function requireSession(req) {
+  if (!db.getSession(req.params.id)) {
+    throw notFound('Session');
+  }
+}
+
+/**
+ * GET /api/sessions/:id/host-keys
+ * List the host keys recorded for the session's servers with their fingerprints
+ */
+function listHostKeys(req, res) {
+  requireSession(req);
+  response.success(res, { hostKeys: db.getHostKeys(req.params.id) });
+}
+
+/**
+ * POST /api/sessions/:id/host-keys/confirm
+ * Confirm recorded host keys after comparing their fingerprints ({ ids }, or every
+ * unconfirmed key without ids); steps after the environment check need them confirmed
+ */
+function confirmHostKeys(req, res) {
+  requireSession(req);
+  const confirmed = db.confirmHostKeys(req.params.id, req.body.ids || null, req.user.username);
+  response.success(res, { confirmed, hostKeys: db.getHostKeys(req.params.id) });
+}
+
+/**
+ * POST /api/sessions/:id/host-keys/retrust
+ * Remove the pinned keys of a rebuilt server ({ hostname, port }); the next environment
+ * check records its new key for confirmation
+ */
+function retrustHost(req, res) {
+  requireSession(req);
+  const { hostname, port = 22 } = req.body;
+  const removed = db.removeHostKeys(req.params.id, hostname, port);
+  if (removed === 0) {
+    throw notFound(`Host keys of ${hostname}:${port}`);
+  }
+  response.success(res, { removed, hostKeys: db.getHostKeys(req.params.id) });
+}
+
+module.exports = {
+  listHostKeys,
+  confirmHostKeys,
+  retrustHost
+};
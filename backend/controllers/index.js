@@ -5,13 +5,21 @@
 
 module.exports = {
   health: require('./healthController'),
+  auth: require('./authController'),
+  user: require('./userController'),
+  audit: require('./auditController'),
   playbook: require('./playbookController'),
+  job: require('./jobController'),
   session: require('./sessionController'),
   server: require('./serverController'),
   credential: require('./credentialController'),
   step: require('./stepController'),
+  run: require('./runController'),
+  orchestration: require('./orchestrationController'),
+  hostKey: require('./hostKeyController'),
   ssl: require('./sslController'),
   file: require('./fileController'),
   settings: require('./settingsController'),
+  webhook: require('./webhookController'),
   config: require('./configController')
 };
@@ -0,0 +1,129 @@
+/**
+ * Job Controller
+ * Handles deployment job status and event stream attachment
+ */
+
+const db = require('../database');
+const jobService = require('../services/jobService');
+const response = require('../utils/responseHelper');
+const { conflict, notFound } = require('../middleware/errorHandler');
+const { openStream, sendEvent } = require('../utils/sseHelper');
+
+/**
+ * Stream a job's events to the client over SSE
+ * Closing the connection only detaches the client - the job keeps running.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} jobId - Job ID
+ * @param {number} afterSeq - Resume after this event sequence number
+ */
+function streamJob(req, res, jobId, afterSeq = 0) {
+  openStream(res);
+
+  const detach = jobService.attach(
+    jobId,
+    afterSeq,
+    (seq, event) => sendEvent(res, event, seq),
+    () => res.end()
+  );
+
+  res.on('close', detach);
+}
+
+/**
+ * GET /api/jobs
+ * List jobs, filterable by sessionId, stepId and status
+ */
+function listJobs(req, res) {
+  try {
+    const { sessionId, stepId, status } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 100;
+    const jobs = db.listJobs({ sessionId, stepId, status, limit });
+    response.success(res, { jobs });
+  } catch (error) {
+    response.error(res, error.message);
+  }
+}
+
+/**
+ * GET /api/jobs/locks
+ * List the session steps and hosts locked by queued and running jobs (?sessionId=)
+ */
+function listLocks(req, res) {
+  response.success(res, { locks: db.getRunLocks({ sessionId: req.query.sessionId }) });
+}
+
+/**
+ * DELETE /api/jobs/:id/locks
+ * Release the locks of a job (admin override of a stale lock); the job keeps running
+ */
+function releaseLocks(req, res) {
+  if (!db.getJob(req.params.id)) {
+    return response.notFound(res, 'Job');
+  }
+
+  const released = jobService.releaseJobLocks(req.params.id);
+  if (released.length === 0) {
+    throw notFound('Locks of the job');
+  }
+  response.success(res, { released });
+}
+
+/**
+ * GET /api/jobs/:id
+ * Get job status
+ */
+function getJob(req, res) {
+  try {
+    const job = jobService.getJob(req.params.id);
+    if (!job) {
+      return response.notFound(res, 'Job');
+    }
+    response.success(res, { job });
+  } catch (error) {
+    response.error(res, error.message);
+  }
+}
+
+/**
+ * GET /api/jobs/:id/events
+ * Attach to a job's event stream (SSE)
+ * Resumes after ?after=<seq> or the Last-Event-ID header, otherwise replays from the start.
+ */
+function streamJobEvents(req, res) {
+  const job = db.getJob(req.params.id);
+  if (!job) {
+    return response.notFound(res, 'Job');
+  }
+
+  const afterSeq = parseInt(req.query.after || req.headers['last-event-id'], 10) || 0;
+  streamJob(req, res, job.id, afterSeq);
+}
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued or running job
+ */
+function cancelJob(req, res) {
+  const existing = db.getJob(req.params.id);
+  if (!existing) {
+    return response.notFound(res, 'Job');
+  }
+
+  const job = jobService.cancelJob(existing.id);
+  if (!job) {
+    throw conflict(`Job already ${existing.status}`);
+  }
+
+  response.success(res, { job });
+}
+
+module.exports = {
+  streamJob,
+  listJobs,
+  getJob,
+  streamJobEvents,
+  cancelJob,
+  listLocks,
+  releaseLocks
+};
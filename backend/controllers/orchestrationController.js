@@ -0,0 +1,90 @@
+/**
+ * Orchestration Controller
+ * Handles deploy-all of a session and its session-level event stream
+ */
+
+const db = require('../database');
+const orchestratorService = require('../services/orchestratorService');
+const response = require('../utils/responseHelper');
+const { notFound } = require('../middleware/errorHandler');
+const { openStream, sendEvent } = require('../utils/sseHelper');
+
+/**
+ * Look up the session in the URL
+ * @param {object} req - Express request
+ * @returns {object} Session
+ */
+function requireSession(req) {
+  const session = db.getSession(req.params.id);
+  if (!session) {
+    throw notFound('Session');
+  }
+  return session;
+}
+
+/**
+ * POST /api/sessions/:id/deploy-all
+ * Start deploying every remaining step of the session
+ */
+function startDeployAll(req, res) {
+  requireSession(req);
+  const orchestration = orchestratorService.startDeployAll(req.params.id, req.user.username);
+  response.success(res, { orchestration }, 202);
+}
+
+/**
+ * GET /api/sessions/:id/deploy-all
+ * Get the session's latest deploy-all (null if it never ran) and the ID of the latest
+ * session event, to follow the event stream from there
+ */
+function getDeployAll(req, res) {
+  requireSession(req);
+  response.success(res, {
+    orchestration: orchestratorService.getDeployAll(req.params.id),
+    lastEventId: db.getLastSessionEventId(req.params.id)
+  });
+}
+
+/**
+ * POST /api/sessions/:id/deploy-all/pause
+ * Pause deploy-all: running steps finish, no new step starts
+ */
+function pauseDeployAll(req, res) {
+  requireSession(req);
+  const orchestration = orchestratorService.pauseDeployAll(req.params.id, req.user.username);
+  response.success(res, { orchestration });
+}
+
+/**
+ * POST /api/sessions/:id/deploy-all/resume
+ * Resume a paused or interrupted deploy-all from its failed step
+ */
+function resumeDeployAll(req, res) {
+  requireSession(req);
+  const orchestration = orchestratorService.resumeDeployAll(req.params.id);
+  response.success(res, { orchestration }, 202);
+}
+
+/**
+ * GET /api/sessions/:id/events
+ * Attach to the session's event stream (SSE): deploy-all and step progress, and the
+ * output of the steps deploy-all runs
+ * Resumes after ?after=<id> or the Last-Event-ID header, otherwise replays from the start.
+ * Job output is sent without an event ID; it is not replayed.
+ */
+function streamSessionEvents(req, res) {
+  requireSession(req);
+  const afterId = parseInt(req.query.after || req.headers['last-event-id'], 10) || 0;
+
+  openStream(res);
+  const detach = orchestratorService.attachSession(req.params.id, afterId, (id, event) => sendEvent(res, event, id));
+  res.on('close', detach);
+}
+
+module.exports = {
+  startDeployAll,
+  getDeployAll,
+  pauseDeployAll,
+  resumeDeployAll,
+  streamSessionEvents
+};
@@ -3,140 +3,139 @@
  * Handles all playbook execution endpoints
  */
 
-const { generateInventory, cleanupInventory } = require('../services/inventoryService');
-const { executePlaybook } = require('../services/playbookService');
-const { getPlaybookPath } = require('../utils/pathHelper');
+const jobService = require('../services/jobService');
+const playbookRegistry = require('../services/playbookRegistry');
+const { getMissingPrerequisites } = require('../services/stepGraph');
+const { streamJob } = require('./jobController');
+const { isStreamingRequest } = require('../utils/sseHelper');
+const { badRequest, notFound, conflict } = require('../middleware/errorHandler');
 const db = require('../database');
+const response = require('../utils/responseHelper');
+
+const EXECUTION_MODES = ['run', 'check'];
 
 /**
- * Check if request wants streaming
+ * Read the execution mode from the query string or body
+ * mode=check runs the playbook with --check; diff=true adds --diff
  * @param {object} req - Express request
- * @returns {boolean}
+ * @returns {object} { check, diff }
  */
-function isStreamingRequest(req) {
-  return req.query.stream === 'true' || req.headers.accept?.includes('text/event-stream');
+function getExecutionMode(req) {
+  const mode = req.query.mode || req.body.mode || 'run';
+  if (!EXECUTION_MODES.includes(mode)) {
+    throw badRequest(`Invalid mode '${mode}'. Expected one of: ${EXECUTION_MODES.join(', ')}`);
+  }
+
+  const diff = req.query.diff ?? req.body.diff;
+  return {
+    check: mode === 'check',
+    diff: diff === true || diff === 'true'
+  };
 }
 
 /**
- * Execute playbook with streaming support
+ * Queue a playbook job from the request body
+ * A run for a session needs the step's prerequisites (manifest dependsOn) completed
+ * in that session; previews and runs without a session are not checked.
  * @param {object} req - Express request
- * @param {object} res - Express response
  * @param {string} playbookType - Type of playbook
+ * @returns {Promise<object>} Job record
  */
-async function executePlaybookStream(req, res, playbookType) {
-  const sessionId = req.body.sessionId || req.query.sessionId;
-
-  try {
-    const { servers, variables = {} } = req.body;
-    const playbookPath = getPlaybookPath(playbookType);
-
-    // Set up Server-Sent Events
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no');
-
-    const { inventoryId, inventoryPath } = await generateInventory(servers, playbookType);
-
-    // Start tracking this deployment
-    if (sessionId) {
-      db.startActiveDeployment(sessionId, playbookType);
+async function enqueuePlaybookJob(req, playbookType) {
+  const sessionId = req.body.sessionId || req.query.sessionId || null;
+  const {
+    servers, variables = {}, groupVars = {}, limit = [], startAtTask = null, executionOptions = {}, jumpHost
+  } = req.body;
+  const { check, diff } = getExecutionMode(req);
+
+  if (sessionId) {
+    const session = db.getSession(sessionId);
+    if (!session) {
+      throw notFound('Session');
     }
 
-    const sendEvent = (data) => {
-      res.write(`data: ${JSON.stringify(data)}\n\n`);
-      // Also track in database for reconnection
-      if (sessionId) {
-        db.addDeploymentEvent(sessionId, playbookType, data);
-      }
-    };
-
-    try {
-      const result = await executePlaybook(playbookType, inventoryPath, playbookPath, variables, (output) => {
-        sendEvent(output);
-      });
-
-      const completeEvent = {
-        type: 'complete',
-        success: true,
-        credentials: result.credentials || {},
-        stdout: result.stdout,
-        stderr: result.stderr
-      };
-      sendEvent(completeEvent);
-
-      // Mark deployment as completed
-      if (sessionId) {
-        db.completeActiveDeployment(sessionId, playbookType, true);
-      }
-
-      await cleanupInventory(inventoryId, servers);
-      res.end();
-    } catch (error) {
-      const errorEvent = {
-        type: 'complete',
-        success: false,
-        error: error.error || error.message,
-        stdout: error.stdout,
-        stderr: error.stderr,
-        credentials: error.credentials || {}
-      };
-      sendEvent(errorEvent);
-
-      // Mark deployment as failed
-      if (sessionId) {
-        db.completeActiveDeployment(sessionId, playbookType, false, error.error || error.message);
-      }
-
-      await cleanupInventory(inventoryId, servers);
-      res.end();
-    }
-  } catch (error) {
-    res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-    // Mark as failed
-    if (sessionId) {
-      db.completeActiveDeployment(sessionId, playbookType, false, error.message);
+    const missing = check ? [] : getMissingPrerequisites(playbookType, session.completedSteps);
+    if (missing.length > 0) {
+      throw conflict(`Step '${playbookType}' needs ${missing.join(', ')} completed first`);
     }
-    res.end();
   }
+
+  return jobService.enqueueJob(playbookType, {
+    sessionId, servers, variables, groupVars, check, diff, limit, startAtTask, executionOptions,
+    // {} in a request means no jump host, like on the session
+    jumpHost: jumpHost && Object.keys(jumpHost).length === 0 ? null : jumpHost,
+    requestedBy: req.user.username
+  });
 }
 
 /**
- * Execute playbook without streaming
- * @param {object} req - Express request
+ * Wait for a job and respond with the final result (blocking mode for n8n-style callers)
  * @param {object} res - Express response
- * @param {string} playbookType - Type of playbook
+ * @param {string} jobId - Job ID
  */
-async function executePlaybookStandard(req, res, playbookType) {
-  const { servers, variables = {} } = req.body;
-  const playbookPath = getPlaybookPath(playbookType);
-
-  const { inventoryId, inventoryPath } = await generateInventory(servers, playbookType);
-
-  try {
-    const result = await executePlaybook(playbookType, inventoryPath, playbookPath, variables);
-    await cleanupInventory(inventoryId, servers);
-    res.json(result);
-  } catch (error) {
-    await cleanupInventory(inventoryId, servers);
-    res.status(500).json(error);
+async function respondWithJobResult(res, jobId) {
+  const result = await jobService.waitForJob(jobId);
+
+  if (result.success) {
+    return res.json({
+      success: true,
+      jobId,
+      mode: result.mode,
+      diffs: result.diffs || [],
+      stdout: result.stdout,
+      stderr: result.stderr,
+      credentials: result.credentials || {}
+    });
   }
+
+  res.status(500).json({
+    success: false,
+    jobId,
+    mode: result.mode,
+    diffs: result.diffs || [],
+    error: result.error,
+    exitCode: result.exitCode,
+    stdout: result.stdout,
+    stderr: result.stderr,
+    credentials: result.credentials || {}
+  });
 }
 
 /**
  * Generic playbook handler factory
+ * Every request queues a persisted job. The response depends on the request:
+ * - SSE (?stream=true): attach to the job's event stream
+ * - ?wait=true: block until the job finishes and return its result
+ * - otherwise: 202 with the job ID
+ * ?mode=check (optionally with &diff=true) queues a dry run that reports changes
+ * per task without applying them or updating the step's status.
  * @param {string} playbookType - Type of playbook
  * @returns {Function} Express handler
  */
 function createPlaybookHandler(playbookType) {
   return async (req, res) => {
+    const job = await enqueuePlaybookJob(req, playbookType);
+
     if (isStreamingRequest(req)) {
-      return executePlaybookStream(req, res, playbookType);
+      return streamJob(req, res, job.id);
+    }
+    if (req.query.wait === 'true') {
+      return respondWithJobResult(res, job.id);
     }
-    return executePlaybookStandard(req, res, playbookType);
+    response.success(res, { jobId: job.id, job }, 202);
   };
 }
 
+/**
+ * List the registered playbooks (their manifests) in wizard order
+ * The frontend builds its deployment steps and step forms from this list.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ */
+async function listPlaybooks(req, res) {
+  response.success(res, { playbooks: playbookRegistry.listPlaybooks() });
+}
+
 /**
  * Get deployment status for reconnection
  * @param {object} req - Express request
@@ -181,37 +180,12 @@ async function getActiveDeployments(req, res) {
   });
 }
 
-// Export individual handlers
 module.exports = {
-  // MySQL
-  executeMysql: createPlaybookHandler('mysql'),
-
-  // MongoDB
-  executeMongodb: createPlaybookHandler('mongodb'),
-
-  // NFS
-  executeNfs: createPlaybookHandler('nfs'),
-
-  // RabbitMQ
-  executeRabbitmq: createPlaybookHandler('rabbitmq'),
-
-  // Environment Check
-  executeEnvCheck: createPlaybookHandler('env-check'),
-
-  // Kubernetes
-  executeKubernetes: createPlaybookHandler('kubernetes'),
-
-  // Kubectl/Istio
-  executeKubectl: createPlaybookHandler('kubectl'),
-
-  // Helm
-  executeHelm: createPlaybookHandler('helm'),
-
-  // Load Balancer
-  executeLoadbalancer: createPlaybookHandler('loadbalancer'),
+  // Playbook execution (one handler per manifest, see routes/playbook.js)
+  createPlaybookHandler,
 
-  // StackBill
-  executeStackbill: createPlaybookHandler('stackbill'),
+  // Registry
+  listPlaybooks,
 
   // Status endpoints
   getDeploymentStatus,
@@ -0,0 +1,78 @@
+/**
+ * Run Controller
+ * Handles the per-attempt deployment run history of a session
+ */
+
+const db = require('../database');
+const response = require('../utils/responseHelper');
+
+/**
+ * Look up a run that belongs to the session in the URL
+ * @param {object} req - Express request
+ * @param {boolean} includeLogs - Include decompressed stdout/stderr
+ * @returns {object|null}
+ */
+function findSessionRun(req, includeLogs = false) {
+  const run = db.getRun(req.params.runId, includeLogs);
+  return run && run.sessionId === req.params.id ? run : null;
+}
+
+/**
+ * GET /api/sessions/:id/runs
+ * List a session's deployment runs, newest first (filter with ?stepId= and ?mode=run|check)
+ */
+function listRuns(req, res) {
+  try {
+    if (!db.getSession(req.params.id)) {
+      return response.notFound(res, 'Session');
+    }
+
+    const limit = parseInt(req.query.limit, 10) || 100;
+    const runs = db.listRuns(req.params.id, { stepId: req.query.stepId, mode: req.query.mode, limit });
+    response.success(res, { runs });
+  } catch (error) {
+    response.error(res, error.message);
+  }
+}
+
+/**
+ * GET /api/sessions/:id/runs/:runId
+ * Get a single run including its full stdout/stderr
+ */
+function getRun(req, res) {
+  try {
+    const run = findSessionRun(req, true);
+    if (!run) {
+      return response.notFound(res, 'Run');
+    }
+    response.success(res, { run });
+  } catch (error) {
+    response.error(res, error.message);
+  }
+}
+
+/**
+ * GET /api/sessions/:id/runs/:runId/log
+ * Download a run's output as a text file
+ */
+function downloadRunLog(req, res) {
+  try {
+    const run = findSessionRun(req, true);
+    if (!run) {
+      return response.notFound(res, 'Run');
+    }
+
+    const log = run.stderr ? `${run.stdout}\n--- stderr ---\n${run.stderr}` : run.stdout;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${run.stepId}-attempt-${run.attempt}.log"`);
+    res.send(log);
+  } catch (error) {
+    response.error(res, error.message);
+  }
+}
+
+module.exports = {
+  listRuns,
+  getRun,
+  downloadRunLog
+};
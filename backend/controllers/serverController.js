@@ -5,15 +5,19 @@
 
 const db = require('../database');
 const response = require('../utils/responseHelper');
+const { storeSecrets, getSecretPath } = require('../services/secretStore');
 
 /**
  * POST /api/sessions/:id/servers/:stepId
  * Save servers for a specific step
+ * With the vault secret store, passwords and keys go to Vault and the database
+ * keeps references to them.
  */
-function saveServers(req, res) {
+async function saveServers(req, res) {
   try {
-    const { servers } = req.body;
-    db.saveServers(req.params.id, req.params.stepId, servers);
+    const { id, stepId } = req.params;
+    const servers = await storeSecrets(getSecretPath('sessions', id, 'servers', stepId), req.body.servers);
+    db.saveServers(id, stepId, servers);
     response.success(res);
   } catch (error) {
     response.error(res, error.message);
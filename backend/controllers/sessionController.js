@@ -5,6 +5,16 @@
 
 const db = require('../database');
 const response = require('../utils/responseHelper');
+const { hasRole } = require('../services/authService');
+const { redactVariables } = require('../utils/redactHelper');
+const { removeSecrets, getSecretPath } = require('../services/secretStore');
+const {
+  buildSessionExport,
+  checkSessionImport,
+  getImportSummary,
+  importSession: importSessionData
+} = require('../services/sessionTransferService');
+const { encryptBundle, decryptBundle } = require('../utils/exportBundleHelper');
 
 /**
  * POST /api/sessions
@@ -36,6 +46,7 @@ function listSessions(req, res) {
 /**
  * GET /api/sessions/:id
  * Get session by ID with full details
+ * Viewers get server passwords, keys and credentials masked.
  */
 function getSession(req, res) {
   try {
@@ -43,7 +54,9 @@ function getSession(req, res) {
     if (!session) {
       return response.notFound(res, 'Session');
     }
-    response.success(res, { session });
+    response.success(res, {
+      session: hasRole(req.user.role, 'operator') ? session : redactVariables(session)
+    });
   } catch (error) {
     response.error(res, error.message);
   }
@@ -68,9 +81,11 @@ function updateSession(req, res) {
 /**
  * DELETE /api/sessions/:id
  * Delete a session and all related data
+ * Secrets in Vault are deleted first, so a Vault error leaves the session intact.
  */
-function deleteSession(req, res) {
+async function deleteSession(req, res) {
   try {
+    await removeSecrets(getSecretPath('sessions', req.params.id));
     const success = db.deleteSession(req.params.id);
     if (!success) {
       return response.notFound(res, 'Session');
@@ -85,8 +100,9 @@ function deleteSession(req, res) {
  * POST /api/sessions/:id/cleanup
  * Cleanup session sensitive data
  */
-function cleanupSession(req, res) {
+async function cleanupSession(req, res) {
   try {
+    await removeSecrets(getSecretPath('sessions', req.params.id, 'servers'));
     db.cleanupSession(req.params.id);
     response.success(res, { message: 'Session cleaned up successfully' });
   } catch (error) {
@@ -95,8 +111,8 @@ function cleanupSession(req, res) {
 }
 
 /**
- * GET /api/sessions/:id/export
- * Export session credentials as JSON
+ * POST /api/sessions/:id/export
+ * Export session credentials as JSON, in clear text (admin only, audited as session.export)
  */
 function exportSession(req, res) {
   try {
@@ -113,6 +129,85 @@ function exportSession(req, res) {
   }
 }
 
+/**
+ * Send a session export as a file download
+ */
+function sendExportFile(res, sessionId, data, suffix = '') {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Content-Disposition', `attachment; filename="stackbill-session-${sessionId.substring(0, 8)}${suffix}.json"`);
+  res.json(data);
+}
+
+/**
+ * POST /api/sessions/:id/export-full
+ * Export the full session (for sharing across machines) as a bundle encrypted
+ * with the passphrase in the request body
+ */
+async function exportFullSession(req, res) {
+  try {
+    const exportData = await buildSessionExport(req.params.id);
+    if (!exportData) {
+      return response.notFound(res, 'Session');
+    }
+    sendExportFile(res, req.params.id, await encryptBundle(exportData, req.body.passphrase));
+  } catch (error) {
+    response.error(res, error.message);
+  }
+}
+
+/**
+ * POST /api/sessions/:id/export-plain
+ * Export the full session unencrypted (secrets in clear text)
+ */
+async function exportPlainSession(req, res) {
+  try {
+    const exportData = await buildSessionExport(req.params.id);
+    if (!exportData) {
+      return response.notFound(res, 'Session');
+    }
+    sendExportFile(res, req.params.id, exportData, '-plain');
+  } catch (error) {
+    response.error(res, error.message);
+  }
+}
+
+/**
+ * POST /api/sessions/import
+ * Create a new session from an encrypted bundle ({ bundle, passphrase }) or a plain export
+ * Older export versions are migrated, then validated against the export schema.
+ * With ?dryRun=true the file is only checked and summarized.
+ */
+async function importSession(req, res) {
+  let importData = req.body;
+  if (req.body.bundle) {
+    try {
+      importData = await decryptBundle(req.body.bundle, req.body.passphrase);
+    } catch (error) {
+      return response.badRequest(res, error.message);
+    }
+  }
+
+  const { data, fromVersion, errors } = checkSessionImport(importData);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: `Invalid import data: ${errors.length === 1 ? errors[0] : `${errors.length} problems`}`,
+      errors
+    });
+  }
+
+  if (req.query.dryRun === 'true') {
+    return response.success(res, { valid: true, fromVersion, summary: getImportSummary(data) });
+  }
+
+  try {
+    const session = await importSessionData(data);
+    response.success(res, { message: 'Session imported successfully', fromVersion, session });
+  } catch (error) {
+    console.error('Import error:', error);
+    response.error(res, error.message);
+  }
+}
+
 module.exports = {
   createSession,
   listSessions,
@@ -120,5 +215,8 @@ module.exports = {
   updateSession,
   deleteSession,
   cleanupSession,
-  exportSession
+  exportSession,
+  exportFullSession,
+  exportPlainSession,
+  importSession
 };
@@ -3,17 +3,46 @@
  * Handles step completion and mode management
  */
 
+const crypto = require('crypto');
 const db = require('../database');
+const jobService = require('../services/jobService');
+const { runSessionStep } = require('../services/orchestratorService');
+const { buildStepRequest } = require('../services/stepRequestService');
+const { getPlaybook } = require('../services/playbookRegistry');
+const { getStepGraph, getStepParallelism } = require('../services/stepGraph');
+const { INVENTORY_FORMATS, renderInventoryPreview } = require('../services/inventoryService');
+const { resolveExecutionOptions } = require('../services/executionOptions');
+const { completeSessionIfDone } = require('../services/webhookService');
 const response = require('../utils/responseHelper');
+const { badRequest, notFound, conflict } = require('../middleware/errorHandler');
+
+const INVENTORY_CONTENT_TYPES = {
+  ini: 'text/plain; charset=utf-8',
+  yaml: 'text/yaml; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+/**
+ * GET /api/steps
+ * List the deployment steps with their dependencies (see services/stepGraph)
+ */
+function listSteps(req, res) {
+  const { steps, levels } = getStepGraph();
+  response.success(res, { steps, levels, parallelism: getStepParallelism() });
+}
 
 /**
  * POST /api/sessions/:id/steps/:stepId/complete
- * Mark a step as completed
+ * Record the outcome of a step ({ stepData, status: 'completed' | 'failed', taskResults });
+ * the session is completed with its last step
  */
 function completeStep(req, res) {
   try {
-    const { stepData } = req.body;
-    db.completeStep(req.params.id, req.params.stepId, stepData || {});
+    const { stepData, status, taskResults } = req.body;
+    db.completeStep(req.params.id, req.params.stepId, stepData || {}, status || 'completed', taskResults || null);
+    if (!status || status === 'completed') {
+      completeSessionIfDone(req.params.id);
+    }
     response.success(res);
   } catch (error) {
     response.error(res, error.message);
@@ -34,7 +63,200 @@ function setStepMode(req, res) {
   }
 }
 
+/**
+ * POST /api/sessions/:id/steps/:stepId/cancel
+ * Cancel the queued or running deployment of a step
+ */
+function cancelStep(req, res) {
+  const { id: sessionId, stepId } = req.params;
+
+  if (!db.getSession(sessionId)) {
+    throw notFound('Session');
+  }
+
+  const current = db.getCurrentJob(sessionId, stepId);
+  const job = current && jobService.cancelJob(current.id);
+  if (!job) {
+    throw conflict(`No running deployment for step '${stepId}'`);
+  }
+
+  response.success(res, { jobId: job.id, job });
+}
+
+/**
+ * Build the run resource of a step's job, for callers that poll instead of streaming
+ * @param {object} job - Job (jobService.getJob)
+ * @returns {object}
+ */
+function formatStepRun(job) {
+  const run = db.getJobRun(job.id);
+  const complete = jobService.isFinished(job) ? db.getLastJobEvent(job.id) : null;
+
+  return {
+    id: job.id,
+    sessionId: job.sessionId,
+    stepId: job.stepId,
+    status: job.status,
+    queuePosition: job.queuePosition,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    exitCode: job.exitCode,
+    error: job.errorMessage,
+    runId: run ? run.id : null,
+    attempt: run ? run.attempt : null,
+    failedHosts: run ? run.failedHosts : [],
+    // Names only: the values are saved to the session
+    credentials: complete?.credentials || {},
+    links: {
+      self: `/api/sessions/${job.sessionId}/steps/${job.stepId}/runs/${job.id}`,
+      events: `/api/jobs/${job.id}/events`,
+      cancel: `/api/jobs/${job.id}/cancel`,
+      log: run ? `/api/sessions/${job.sessionId}/runs/${run.id}/log` : null
+    }
+  };
+}
+
+/**
+ * Respond with the run resource of a queued job
+ * @param {object} res - Express response
+ * @param {string} jobId - Job ID
+ */
+function respondWithStepRun(res, jobId) {
+  const run = formatStepRun(jobService.getJob(jobId));
+  res.setHeader('Location', run.links.self);
+  response.success(res, { run }, 202);
+}
+
+/**
+ * Hash what decides the run a request queues, so a repeated request matches its first one
+ * whatever the order of its keys (keys are sorted at every level, defaults filled in)
+ * @param {object} body - Request body
+ * @returns {string} SHA-256 hex digest
+ */
+function getRunRequestHash({ servers, variables = {}, executionOptions = {}, saveCredentials = true }) {
+  const canonical = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(canonical);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+    }
+    return value;
+  };
+  const request = canonical({ servers, variables, executionOptions, saveCredentials });
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+/**
+ * POST /api/sessions/:id/steps/:stepId/run
+ * Queue a run of the step with the servers and config the session stores (see
+ * orchestratorService.runSessionStep) and return it as a run resource to poll. The run
+ * marks the step completed or failed and saves the generated credentials to the session.
+ * A request repeated with the same Idempotency-Key header (kept 24 hours) returns the
+ * run of the first one instead of queueing another.
+ */
+async function runStep(req, res) {
+  const { id: sessionId, stepId } = req.params;
+  const { servers, variables, executionOptions, saveCredentials } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (idempotencyKey) {
+    if (!db.getSession(sessionId)) {
+      throw notFound('Session');
+    }
+
+    const requestHash = getRunRequestHash(req.body);
+    const first = db.reserveIdempotencyKey({
+      sessionId, stepId, key: idempotencyKey, requestHash, username: req.user.username
+    });
+    if (first) {
+      if (first.requestHash !== requestHash) {
+        throw conflict('Idempotency-Key was already used with a different request');
+      }
+      if (!first.jobId) {
+        throw conflict('The request with this Idempotency-Key is still being processed');
+      }
+      res.setHeader('Idempotent-Replayed', 'true');
+      return respondWithStepRun(res, first.jobId);
+    }
+  }
+
+  let job;
+  try {
+    job = await runSessionStep(sessionId, stepId, {
+      servers, variables, executionOptions, saveCredentials, requestedBy: req.user.username
+    });
+  } catch (error) {
+    // A request that queued nothing may be sent again with the same key
+    if (idempotencyKey) {
+      db.releaseIdempotencyKey(sessionId, stepId, idempotencyKey);
+    }
+    throw error;
+  }
+  if (idempotencyKey) {
+    db.setIdempotencyKeyJob(sessionId, stepId, idempotencyKey, job.id);
+  }
+
+  respondWithStepRun(res, job.id);
+}
+
+/**
+ * GET /api/sessions/:id/steps/:stepId/runs/:jobId
+ * Poll a run of the step (the job ID returned by POST .../run, or any job of the step)
+ */
+function getStepRun(req, res) {
+  const { id: sessionId, stepId, jobId } = req.params;
+
+  const job = jobService.getJob(jobId);
+  if (!job || job.sessionId !== sessionId || job.stepId !== stepId) {
+    throw notFound('Run');
+  }
+  response.success(res, { run: formatStepRun(job) });
+}
+
+/**
+ * GET /api/sessions/:id/steps/:stepId/inventory?format=ini|yaml|json
+ * Render the inventory a step would run against, from the request a run of the step
+ * would send (its saved servers, or else the env-check servers of its purposes), with
+ * passwords and other secrets masked
+ */
+function getStepInventory(req, res) {
+  const { id: sessionId, stepId } = req.params;
+  const format = req.query.format || 'ini';
+
+  if (!INVENTORY_FORMATS.includes(format)) {
+    throw badRequest(`Invalid format '${format}'. Expected one of: ${INVENTORY_FORMATS.join(', ')}`);
+  }
+
+  const session = db.getSession(sessionId);
+  if (!session) {
+    throw notFound('Session');
+  }
+  if (!getPlaybook(stepId)) {
+    throw notFound(`Step '${stepId}'`);
+  }
+
+  const { servers } = buildStepRequest(session, stepId);
+  if (servers.length === 0) {
+    throw notFound(`Servers for step '${stepId}'`);
+  }
+
+  res.setHeader('Content-Type', INVENTORY_CONTENT_TYPES[format]);
+  res.send(renderInventoryPreview(servers, stepId, format, {}, {
+    executionOptions: resolveExecutionOptions(session.executionOptions, stepId),
+    jumpHost: session.jumpHost,
+    // How host keys are checked; the keys themselves are not part of the inventory
+    knownHosts: { mode: getPlaybook(stepId).type === 'check' ? 'record' : 'strict', keys: [] }
+  }));
+}
+
 module.exports = {
+  listSteps,
   completeStep,
-  setStepMode
+  setStepMode,
+  cancelStep,
+  runStep,
+  getStepRun,
+  getStepInventory
 };
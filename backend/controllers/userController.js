@@ -0,0 +1,97 @@
+/**
+ * User Controller
+ * Handles user account management (admin only)
+ */
+
+const db = require('../database');
+const authService = require('../services/authService');
+const response = require('../utils/responseHelper');
+const { notFound, conflict } = require('../middleware/errorHandler');
+const { getSessionToken } = require('../middleware/auth');
+
+/**
+ * Check whether a change would leave no enabled admin
+ * @param {object} user - User being changed
+ * @param {object} updates - { role, disabled } (or { deleted: true })
+ * @returns {boolean}
+ */
+function removesLastAdmin(user, updates) {
+  if (user.role !== 'admin' || user.disabled) return false;
+
+  const losesAdmin = updates.deleted ||
+    updates.disabled === true ||
+    (updates.role !== undefined && updates.role !== 'admin');
+  return losesAdmin && db.countUsers('admin') <= 1;
+}
+
+/**
+ * GET /api/users
+ * List all users
+ */
+function listUsers(req, res) {
+  response.success(res, { users: db.listUsers() });
+}
+
+/**
+ * POST /api/users
+ * Create a user
+ */
+async function createUser(req, res) {
+  const { username, password, role } = req.body;
+
+  if (db.getUserCredentials(username)) {
+    throw conflict(`User '${username}' already exists`);
+  }
+
+  const user = await authService.createUser({ username, password, role });
+  response.created(res, { user });
+}
+
+/**
+ * PATCH /api/users/:userId
+ * Change a user's role, password or disabled flag
+ * The user's login sessions are closed, so the change applies immediately.
+ */
+async function updateUser(req, res) {
+  const existing = db.getUser(req.params.userId);
+  if (!existing) {
+    throw notFound('User');
+  }
+
+  const { role, password, disabled } = req.body;
+  if (removesLastAdmin(existing, { role, disabled })) {
+    throw conflict('At least one enabled admin is required');
+  }
+
+  // Keep the admin's own session open when they change their own account
+  const keepToken = existing.id === req.user.id ? getSessionToken(req) : null;
+  const user = await authService.updateUser(existing.id, { role, password, disabled }, keepToken);
+  response.success(res, { user });
+}
+
+/**
+ * DELETE /api/users/:userId
+ * Delete a user with their login sessions and API tokens
+ */
+function deleteUser(req, res) {
+  const existing = db.getUser(req.params.userId);
+  if (!existing) {
+    throw notFound('User');
+  }
+  if (existing.id === req.user.id) {
+    throw conflict('You cannot delete your own account');
+  }
+  if (removesLastAdmin(existing, { deleted: true })) {
+    throw conflict('At least one enabled admin is required');
+  }
+
+  db.deleteUser(existing.id);
+  response.success(res);
+}
+
+module.exports = {
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser
+};
@@ -0,0 +1,129 @@
+/**
+ * Webhook Controller
+ * Handles webhook subscriptions and their delivery log (see services/webhookService)
+ */
+
+const db = require('../database');
+const webhookService = require('../services/webhookService');
+const response = require('../utils/responseHelper');
+const { notFound, conflict } = require('../middleware/errorHandler');
+const { generateWebhookSecret } = require('../utils/webhookHelper');
+
+/**
+ * Look up the webhook in the URL
+ * @param {object} req - Express request
+ * @returns {object} Webhook
+ */
+function requireWebhook(req) {
+  const webhook = db.getWebhook(req.params.webhookId);
+  if (!webhook) {
+    throw notFound('Webhook');
+  }
+  return webhook;
+}
+
+/**
+ * GET /api/webhooks
+ * List webhook subscriptions (?sessionId=, or ?sessionId=global) and the events they can list
+ */
+function listWebhooks(req, res) {
+  response.success(res, {
+    webhooks: db.listWebhooks({ sessionId: req.query.sessionId }),
+    events: webhookService.WEBHOOK_EVENTS
+  });
+}
+
+/**
+ * POST /api/webhooks
+ * Subscribe a URL to events, for every session or for one ({ sessionId })
+ * The signing secret is generated unless one is sent, and returned only here.
+ */
+function createWebhook(req, res) {
+  const { sessionId = null, url, events, description = null, enabled = true } = req.body;
+  if (sessionId && !db.getSession(sessionId)) {
+    throw notFound('Session');
+  }
+
+  const secret = req.body.secret || generateWebhookSecret();
+  const webhook = db.createWebhook({
+    sessionId, url, secret, events, description, enabled, createdBy: req.user.username
+  });
+  response.created(res, { webhook, secret });
+}
+
+/**
+ * PATCH /api/webhooks/:webhookId
+ * Change a webhook's URL, events, description or enabled flag; rotateSecret: true
+ * replaces its secret and returns the new one. Disabling it cancels its pending deliveries.
+ */
+function updateWebhook(req, res) {
+  requireWebhook(req);
+  const { url, events, description, enabled, rotateSecret } = req.body;
+
+  const secret = rotateSecret ? generateWebhookSecret() : undefined;
+  const webhook = db.updateWebhook(req.params.webhookId, { url, events, description, enabled, secret });
+  if (!webhook.enabled) {
+    webhookService.cancelDeliveries(webhook.id, 'Webhook disabled');
+  }
+  response.success(res, { webhook, ...(secret && { secret }) });
+}
+
+/**
+ * DELETE /api/webhooks/:webhookId
+ * Delete a webhook with its delivery log
+ * Its pending deliveries are cancelled first, so one being posted right now is not retried.
+ */
+function deleteWebhook(req, res) {
+  requireWebhook(req);
+  webhookService.cancelDeliveries(req.params.webhookId, 'Webhook deleted');
+  db.deleteWebhook(req.params.webhookId);
+  response.success(res);
+}
+
+/**
+ * POST /api/webhooks/:webhookId/test
+ * Queue a 'ping' delivery to the webhook
+ */
+function testWebhook(req, res) {
+  const webhook = requireWebhook(req);
+  if (!webhook.enabled) {
+    throw conflict('Webhook is disabled');
+  }
+  const delivery = webhookService.sendTest(webhook, req.user.username);
+  response.success(res, { delivery }, 202);
+}
+
+/**
+ * GET /api/webhooks/deliveries
+ * List deliveries, newest first (?webhookId=, ?event=, ?status=, ?limit=)
+ */
+function listDeliveries(req, res) {
+  const { webhookId, event, status, limit } = req.query;
+  response.success(res, { deliveries: db.listWebhookDeliveries({ webhookId, event, status, limit }) });
+}
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * Send a delivery again right away (same ID and body)
+ */
+function redeliver(req, res) {
+  const existing = db.getWebhookDelivery(req.params.deliveryId);
+  if (!existing) {
+    throw notFound('Delivery');
+  }
+  if (!db.getWebhook(existing.webhookId).enabled) {
+    throw conflict('Webhook is disabled');
+  }
+  const delivery = webhookService.redeliver(req.params.deliveryId);
+  response.success(res, { delivery }, 202);
+}
+
+module.exports = {
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  testWebhook,
+  listDeliveries,
+  redeliver
+};
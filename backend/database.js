@@ -6,9 +6,20 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const crypto = require('crypto');
+const zlib = require('zlib');
+const config = require('./config');
+const {
+  loadKeyring,
+  saveKeyring,
+  encryptWithKeyring,
+  decryptWithKeyring,
+  getCiphertextKeyId
+} = require('./utils/encryptionHelper');
+const { isSecretRef } = require('./utils/secretRefHelper');
+const { getFingerprint } = require('./utils/knownHostsHelper');
 
 // Database file location
-const DB_PATH = path.join(__dirname, '..', 'data', 'stackbill.db');
+const DB_PATH = path.join(config.paths.data, 'stackbill.db');
 
 // Ensure data directory exists
 const fs = require('fs');
@@ -18,68 +29,11 @@ if (!fs.existsSync(dataDir)) {
 }
 
 // ==================== ENCRYPTION KEY MANAGEMENT ====================
-// The encryption key file stores a unique key per installation
+// Versioned keys (keyring) with a unique salt per installation, see utils/encryptionHelper
 const KEY_FILE = path.join(dataDir, '.encryption_key');
 const SALT_FILE = path.join(dataDir, '.encryption_salt');
 
-/**
- * Get or generate unique encryption key for this installation
- * Priority: 1. Environment variable, 2. Key file, 3. Generate new
- */
-function getEncryptionKey() {
-  // 1. Check environment variable (highest priority - for production)
-  if (process.env.STACKBILL_ENCRYPTION_KEY) {
-    return process.env.STACKBILL_ENCRYPTION_KEY;
-  }
-
-  // 2. Check for existing key file
-  if (fs.existsSync(KEY_FILE)) {
-    try {
-      const key = fs.readFileSync(KEY_FILE, 'utf8').trim();
-      if (key.length >= 32) return key;
-    } catch (e) {
-      console.error('Failed to read encryption key file:', e.message);
-    }
-  }
-
-  // 3. Generate new unique key for this installation
-  const newKey = crypto.randomBytes(32).toString('hex');
-  try {
-    fs.writeFileSync(KEY_FILE, newKey, { mode: 0o600 }); // Read/write only for owner
-    console.log('Generated new encryption key for this installation');
-  } catch (e) {
-    console.error('Failed to save encryption key:', e.message);
-    console.warn('WARNING: Using in-memory key - data will not be decryptable after restart!');
-  }
-  return newKey;
-}
-
-/**
- * Get or generate unique salt for this installation
- */
-function getEncryptionSalt() {
-  // Check for existing salt file
-  if (fs.existsSync(SALT_FILE)) {
-    try {
-      return fs.readFileSync(SALT_FILE, 'utf8').trim();
-    } catch (e) {
-      console.error('Failed to read salt file:', e.message);
-    }
-  }
-
-  // Generate new unique salt
-  const newSalt = crypto.randomBytes(16).toString('hex');
-  try {
-    fs.writeFileSync(SALT_FILE, newSalt, { mode: 0o600 });
-  } catch (e) {
-    console.error('Failed to save salt:', e.message);
-  }
-  return newSalt;
-}
-
-// Get unique key and salt for this installation
-const ENCRYPTION_KEY = getEncryptionKey();
-const ENCRYPTION_SALT = getEncryptionSalt();
+let keyring = loadKeyring(KEY_FILE, SALT_FILE);
 
 // Initialize database
 const db = new Database(DB_PATH);
@@ -243,6 +197,252 @@ try {
   // Column already exists, ignore error
 }
 
+// Migration: Link active deployments to the job that runs them
+try {
+  db.exec(`ALTER TABLE active_deployments ADD COLUMN job_id TEXT`);
+} catch (e) {
+  // Column already exists, ignore error
+}
+
+// Migration: Additional inventory roles of a server (JSON array, next to role)
+try {
+  db.exec(`ALTER TABLE servers ADD COLUMN roles TEXT`);
+} catch (e) {
+  // Column already exists, ignore error
+}
+
+db.exec(`
+  -- Deployment jobs (queued/running playbook executions, independent of HTTP clients)
+  CREATE TABLE IF NOT EXISTS deployment_jobs (
+    id TEXT PRIMARY KEY,
+    session_id TEXT,
+    step_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued',
+    payload_encrypted TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    started_at TEXT,
+    completed_at TEXT,
+    exit_code INTEGER,
+    error_message TEXT,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+  );
+
+  -- Ordered event log per job (used to replay output when a client reattaches)
+  CREATE TABLE IF NOT EXISTS job_events (
+    job_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    event TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (job_id, seq),
+    FOREIGN KEY (job_id) REFERENCES deployment_jobs(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_deployment_jobs_session ON deployment_jobs(session_id);
+  CREATE INDEX IF NOT EXISTS idx_deployment_jobs_status ON deployment_jobs(status);
+`);
+
+db.exec(`
+  -- Deployment run history (one row per attempt, kept after the step is re-run)
+  CREATE TABLE IF NOT EXISTS deployment_runs (
+    id TEXT PRIMARY KEY,
+    job_id TEXT,
+    session_id TEXT,
+    step_id TEXT NOT NULL,
+    attempt INTEGER NOT NULL DEFAULT 1,
+    status TEXT NOT NULL DEFAULT 'running',
+    started_at TEXT NOT NULL DEFAULT (datetime('now')),
+    completed_at TEXT,
+    exit_code INTEGER,
+    error_message TEXT,
+    variables TEXT,
+    hosts TEXT,
+    host_recap TEXT,
+    stdout_gz BLOB,
+    stderr_gz BLOB,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_deployment_runs_session ON deployment_runs(session_id, step_id);
+  CREATE INDEX IF NOT EXISTS idx_deployment_runs_job ON deployment_runs(job_id);
+`);
+
+// Migration: Execution mode of jobs and runs ('run' or 'check' for previews)
+try {
+  db.exec(`ALTER TABLE deployment_jobs ADD COLUMN mode TEXT DEFAULT 'run'`);
+} catch (e) {
+  // Column already exists, ignore error
+}
+
+try {
+  db.exec(`ALTER TABLE deployment_runs ADD COLUMN mode TEXT DEFAULT 'run'`);
+} catch (e) {
+  // Column already exists, ignore error
+}
+
+// Migration: Failed hosts and task names of runs, and the hosts/task a retry was limited to
+for (const column of ['failed_hosts', 'tasks', 'limit_hosts', 'start_at_task']) {
+  try {
+    db.exec(`ALTER TABLE deployment_runs ADD COLUMN ${column} TEXT`);
+  } catch (e) {
+    // Column already exists, ignore error
+  }
+}
+
+db.exec(`
+  -- Deploy-all orchestrations (server-side runs of every remaining step of a session)
+  CREATE TABLE IF NOT EXISTS orchestrations (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'running',
+    steps TEXT NOT NULL,
+    step_jobs TEXT,
+    failed_step TEXT,
+    reason TEXT,
+    started_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    finished_at TEXT,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+  );
+
+  -- Session-level event log (replayed on the session's SSE channel)
+  CREATE TABLE IF NOT EXISTS session_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_orchestrations_session ON orchestrations(session_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_session_events_session ON session_events(session_id, id);
+`);
+
+db.exec(`
+  -- Execution options (forks, timeouts, SSH tuning) of a session ('' step) and of its steps
+  CREATE TABLE IF NOT EXISTS execution_options (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    step_id TEXT NOT NULL DEFAULT '',
+    options TEXT NOT NULL,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+    UNIQUE(session_id, step_id)
+  );
+
+  -- Jump host (bastion) the servers of a session are reached through
+  CREATE TABLE IF NOT EXISTS jump_hosts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL UNIQUE,
+    hostname TEXT NOT NULL,
+    ssh_port INTEGER DEFAULT 22,
+    ssh_user TEXT DEFAULT 'root',
+    ssh_auth_type TEXT DEFAULT 'key',
+    password_encrypted TEXT,
+    ssh_key_encrypted TEXT,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+  );
+
+  -- SSH host keys of the session's servers, recorded by env-check and confirmed by an operator
+  CREATE TABLE IF NOT EXISTS host_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    hostname TEXT NOT NULL,
+    port INTEGER NOT NULL DEFAULT 22,
+    key_type TEXT NOT NULL,
+    public_key TEXT NOT NULL,
+    fingerprint TEXT NOT NULL,
+    recorded_at TEXT NOT NULL DEFAULT (datetime('now')),
+    confirmed_by TEXT,
+    confirmed_at TEXT,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+    UNIQUE(session_id, hostname, port, key_type)
+  );
+`);
+
+db.exec(`
+  -- Locks of queued and running jobs: a session step is deployed by one job at a time,
+  -- and a host is only worked on by the jobs of one session (services/jobService)
+  CREATE TABLE IF NOT EXISTS run_locks (
+    job_id TEXT NOT NULL,
+    lock_type TEXT NOT NULL,
+    target TEXT NOT NULL,
+    session_id TEXT,
+    step_id TEXT NOT NULL,
+    locked_by TEXT,
+    locked_at TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (job_id, lock_type, target)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_run_locks_target ON run_locks(lock_type, target);
+`);
+
+// Migration: Passphrases of encrypted SSH keys (added to the run's ssh-agent)
+for (const table of ['servers', 'jump_hosts']) {
+  try {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ssh_key_passphrase_encrypted TEXT`);
+  } catch (e) {
+    // Column already exists, ignore error
+  }
+}
+
+db.exec(`
+  -- Webhook subscriptions: global (session_id NULL) or for one session
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    session_id TEXT,
+    url TEXT NOT NULL,
+    secret_encrypted TEXT NOT NULL,
+    events TEXT NOT NULL,
+    description TEXT,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+  );
+
+  -- Webhook deliveries: one per event and subscription, retried until delivered
+  -- (status pending -> delivered | failed | cancelled)
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    webhook_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    session_id TEXT,
+    data TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT,
+    last_attempt_at TEXT,
+    response_status INTEGER,
+    error TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    delivered_at TEXT,
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_webhooks_session ON webhooks(session_id);
+  CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+`);
+
+db.exec(`
+  -- Idempotency keys of session step runs: a request repeated with the same key gets the
+  -- job of the first one (job_id is NULL while the first request is still being queued)
+  CREATE TABLE IF NOT EXISTS idempotency_keys (
+    session_id TEXT NOT NULL,
+    step_id TEXT NOT NULL,
+    idempotency_key TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+    job_id TEXT,
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (session_id, step_id, idempotency_key),
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+  );
+`);
+
 db.exec(`
   -- Global settings table (deployment URLs, versions, etc.)
   CREATE TABLE IF NOT EXISTS global_settings (
@@ -254,11 +454,98 @@ db.exec(`
   );
 `);
 
+db.exec(`
+  -- API users (roles: admin, operator, viewer)
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'viewer',
+    disabled INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_login_at TEXT
+  );
+
+  -- Login sessions (cookie), stored by SHA-256 of the session token
+  CREATE TABLE IF NOT EXISTS auth_sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    expires_at TEXT NOT NULL,
+    last_seen_at TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  -- API tokens for automation (n8n), stored by SHA-256 of the token
+  CREATE TABLE IF NOT EXISTS api_tokens (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    token_prefix TEXT NOT NULL,
+    role TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    expires_at TEXT,
+    last_used_at TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id);
+  CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+`);
+
+db.exec(`
+  -- Audit trail of operator actions and secret reads (append-only, no foreign keys
+  -- so events outlive the users and sessions they refer to)
+  CREATE TABLE IF NOT EXISTS audit_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    user_id TEXT,
+    username TEXT,
+    role TEXT,
+    auth_method TEXT,
+    token_id TEXT,
+    ip TEXT,
+    action TEXT NOT NULL,
+    target_type TEXT,
+    target_id TEXT,
+    session_id TEXT,
+    method TEXT,
+    path TEXT,
+    status_code INTEGER,
+    outcome TEXT NOT NULL,
+    details TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_audit_events_created ON audit_events(created_at);
+  CREATE INDEX IF NOT EXISTS idx_audit_events_user ON audit_events(user_id);
+  CREATE INDEX IF NOT EXISTS idx_audit_events_session ON audit_events(session_id);
+  CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action);
+
+  CREATE TRIGGER IF NOT EXISTS audit_events_no_update
+  BEFORE UPDATE ON audit_events
+  BEGIN
+    SELECT RAISE(ABORT, 'audit_events is append-only');
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS audit_events_no_delete
+  BEFORE DELETE ON audit_events
+  BEGIN
+    SELECT RAISE(ABORT, 'audit_events is append-only');
+  END;
+`);
+
 // ==================== DEFAULT SETTINGS ====================
 // Insert default settings if they don't exist
 const defaultSettings = [
   // Deployment Settings (General)
   { key: 'auto_cleanup', value: 'false', description: 'Automatically remove server passwords from database after deployment completes', category: 'deployment' },
+  { key: 'step_parallelism', value: '2', description: 'Maximum number of independent steps Auto-Complete runs at the same time', category: 'deployment' },
+
+  // Webhook notifications
+  { key: 'webhook_max_attempts', value: '6', description: 'Attempts per webhook delivery before it is marked failed (retried after 30s, 2m, 10m, 30m, then every 2h)', category: 'webhooks' },
+  { key: 'webhook_timeout', value: '10', description: 'Seconds to wait for a webhook endpoint to respond', category: 'webhooks' },
 
   // Kubernetes URLs
   { key: 'k8s_common_install_url', value: 'https://stacbilldeploy.s3.us-east-1.amazonaws.com/Kubernetes/k8-common-installation.sh', description: 'Kubernetes common installation script URL', category: 'kubernetes' },
@@ -300,30 +587,16 @@ for (const setting of defaultSettings) {
 }
 
 // ==================== ENCRYPTION FUNCTIONS ====================
-// AES-256-CBC encryption with unique key and salt per installation
-
-// Derive encryption key using scrypt (slow hash to prevent brute force)
-let derivedKey = null;
-function getDerivedKey() {
-  if (!derivedKey) {
-    derivedKey = crypto.scryptSync(ENCRYPTION_KEY, ENCRYPTION_SALT, 32);
-  }
-  return derivedKey;
-}
+// AES-256-GCM with the keyring's active key; legacy AES-256-CBC values stay readable
 
 /**
- * Encrypt sensitive data using AES-256-CBC
- * Format: iv:encryptedData (both in hex)
+ * Encrypt sensitive data with the active key
+ * Format: keyId:iv:authTag:encryptedData (hex)
  */
 function encrypt(text) {
   if (!text) return null;
   try {
-    const key = getDerivedKey();
-    const iv = crypto.randomBytes(16); // Random IV for each encryption
-    const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return iv.toString('hex') + ':' + encrypted;
+    return encryptWithKeyring(text, keyring);
   } catch (e) {
     console.error('Encryption error:', e);
     return null;
@@ -331,28 +604,34 @@ function encrypt(text) {
 }
 
 /**
- * Decrypt data encrypted with encrypt()
+ * Decrypt data encrypted with encrypt() (or legacy iv:encryptedData CBC values)
  */
 function decrypt(text) {
   if (!text) return null;
   try {
-    const key = getDerivedKey();
-    const parts = text.split(':');
-    if (parts.length !== 2) {
-      console.error('Invalid encrypted data format');
-      return null;
-    }
-    const iv = Buffer.from(parts[0], 'hex');
-    const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-    let decrypted = decipher.update(parts[1], 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
+    return decryptWithKeyring(text, keyring);
   } catch (e) {
-    console.error('Decryption error:', e);
+    console.error('Decryption error:', e.message);
     return null;
   }
 }
 
+/**
+ * Column value of a session secret (server password or key, credential)
+ * References to an external secret store (see services/secretStore) are kept as they
+ * are, anything else is encrypted.
+ */
+function sealSecret(value) {
+  return isSecretRef(value) ? value : encrypt(value);
+}
+
+/**
+ * Read a column written by sealSecret() - references are returned unresolved
+ */
+function openSecret(value) {
+  return isSecretRef(value) ? value : decrypt(value);
+}
+
 // Generate unique session ID
 function generateSessionId() {
   return crypto.randomBytes(16).toString('hex');
@@ -397,10 +676,12 @@ function getSession(sessionId) {
       ssh_auth_type: server.ssh_auth_type,
       ssh_user: server.ssh_user,
       ssh_user_type: server.ssh_user_type,
-      password: decrypt(server.password_encrypted),
-      ssh_key: decrypt(server.ssh_key_encrypted),
-      sudo_password: decrypt(server.sudo_password_encrypted),
+      password: openSecret(server.password_encrypted),
+      ssh_key: openSecret(server.ssh_key_encrypted),
+      ssh_key_passphrase: openSecret(server.ssh_key_passphrase_encrypted),
+      sudo_password: openSecret(server.sudo_password_encrypted),
       role: server.role,
+      roles: JSON.parse(server.roles || '[]'),
       purpose: server.purpose,
       name: server.name
     });
@@ -411,7 +692,7 @@ function getSession(sessionId) {
   const credentials = {};
   credsRaw.forEach(cred => {
     if (!credentials[cred.service]) credentials[cred.service] = {};
-    credentials[cred.service][cred.key] = decrypt(cred.value_encrypted);
+    credentials[cred.service][cred.key] = openSecret(cred.value_encrypted);
   });
 
   // Get step modes
@@ -456,6 +737,7 @@ function getSession(sessionId) {
     ...session,
     completedSteps: completedSteps.filter(s => s.status === 'completed' || !s.status).map(s => s.step_id),
     failedSteps: completedSteps.filter(s => s.status === 'failed').map(s => s.step_id),
+    cancelledSteps: completedSteps.filter(s => s.status === 'cancelled').map(s => s.step_id),
     stepStatuses,
     stepTaskResults,
     servers,
@@ -464,6 +746,9 @@ function getSession(sessionId) {
     sslConfig,
     nfsConfig,
     loadBalancerConfig,
+    executionOptions: getExecutionOptions(sessionId),
+    jumpHost: getJumpHost(sessionId),
+    hostKeys: getHostKeys(sessionId),
     stepData
   };
 }
@@ -507,6 +792,17 @@ function updateSession(sessionId, updates) {
   return stmt.run(...values).changes > 0;
 }
 
+/**
+ * Mark a session completed (only once, from in progress)
+ * @returns {boolean} Whether the session was in progress
+ */
+function markSessionCompleted(sessionId) {
+  return db.prepare(`
+    UPDATE sessions SET status = 'completed', completed_at = datetime('now'), updated_at = datetime('now')
+    WHERE id = ? AND status = 'in_progress'
+  `).run(sessionId).changes > 0;
+}
+
 /**
  * Delete session and all related data
  */
@@ -527,9 +823,9 @@ function saveServers(sessionId, stepId, servers) {
   // Insert new servers
   const stmt = db.prepare(`
     INSERT INTO servers (session_id, step_id, hostname, ssh_port, ssh_auth_type, ssh_user,
-                        ssh_user_type, password_encrypted, ssh_key_encrypted, sudo_password_encrypted,
-                        role, purpose, name)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                        ssh_user_type, password_encrypted, ssh_key_encrypted, ssh_key_passphrase_encrypted,
+                        sudo_password_encrypted, role, roles, purpose, name)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   const insertMany = db.transaction((servers) => {
@@ -542,10 +838,12 @@ function saveServers(sessionId, stepId, servers) {
         server.ssh_auth_type || 'password',
         server.ssh_user || 'root',
         server.ssh_user_type || 'root',
-        encrypt(server.password),
-        encrypt(server.ssh_key),
-        encrypt(server.sudo_password),
+        sealSecret(server.password),
+        sealSecret(server.ssh_key),
+        sealSecret(server.ssh_key_passphrase),
+        sealSecret(server.sudo_password),
         server.role,
+        Array.isArray(server.roles) && server.roles.length > 0 ? JSON.stringify(server.roles) : null,
         server.purpose,
         server.name
       );
@@ -589,7 +887,7 @@ function saveCredentials(sessionId, service, credentials) {
 
   const insertMany = db.transaction((creds) => {
     for (const [key, value] of Object.entries(creds)) {
-      stmt.run(sessionId, service, key, encrypt(value));
+      stmt.run(sessionId, service, key, sealSecret(value));
     }
   });
 
@@ -607,7 +905,7 @@ function getCredentials(sessionId, service) {
 
   const result = {};
   rows.forEach(row => {
-    result[row.key] = decrypt(row.value_encrypted);
+    result[row.key] = openSecret(row.value_encrypted);
   });
   return result;
 }
@@ -763,6 +1061,167 @@ function getLBConfig(sessionId) {
   return { type: 'haproxy', backendPort: '30080' };
 }
 
+// ==================== EXECUTION OPTIONS OPERATIONS ====================
+
+/**
+ * Save the execution options of a session (stepId null) or of one of its steps
+ * Replaces the stored options; an empty object removes them.
+ */
+function saveExecutionOptions(sessionId, stepId, options) {
+  if (Object.keys(options).length === 0) {
+    return db.prepare('DELETE FROM execution_options WHERE session_id = ? AND step_id = ?')
+      .run(sessionId, stepId || '').changes > 0;
+  }
+  return db.prepare(`
+    INSERT INTO execution_options (session_id, step_id, options, updated_at)
+    VALUES (?, ?, ?, datetime('now'))
+    ON CONFLICT(session_id, step_id) DO UPDATE SET options = excluded.options, updated_at = excluded.updated_at
+  `).run(sessionId, stepId || '', JSON.stringify(options)).changes > 0;
+}
+
+/**
+ * Get the execution options stored for a session
+ * @returns {object} { session: {...}, steps: { stepId: {...} } }
+ */
+function getExecutionOptions(sessionId) {
+  const rows = db.prepare('SELECT step_id, options FROM execution_options WHERE session_id = ?').all(sessionId);
+  const result = { session: {}, steps: {} };
+  rows.forEach(row => {
+    if (row.step_id) {
+      result.steps[row.step_id] = JSON.parse(row.options);
+    } else {
+      result.session = JSON.parse(row.options);
+    }
+  });
+  return result;
+}
+
+// ==================== JUMP HOST OPERATIONS ====================
+
+/**
+ * Save the jump host of a session (null removes it)
+ * Like the servers' logins, the password and key are stored encrypted or as references.
+ */
+function saveJumpHost(sessionId, jumpHost) {
+  if (!jumpHost) {
+    return db.prepare('DELETE FROM jump_hosts WHERE session_id = ?').run(sessionId).changes > 0;
+  }
+  return db.prepare(`
+    INSERT INTO jump_hosts (session_id, hostname, ssh_port, ssh_user, ssh_auth_type,
+                            password_encrypted, ssh_key_encrypted, ssh_key_passphrase_encrypted, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(session_id) DO UPDATE SET
+      hostname = excluded.hostname,
+      ssh_port = excluded.ssh_port,
+      ssh_user = excluded.ssh_user,
+      ssh_auth_type = excluded.ssh_auth_type,
+      password_encrypted = excluded.password_encrypted,
+      ssh_key_encrypted = excluded.ssh_key_encrypted,
+      ssh_key_passphrase_encrypted = excluded.ssh_key_passphrase_encrypted,
+      updated_at = excluded.updated_at
+  `).run(
+    sessionId,
+    jumpHost.hostname,
+    jumpHost.ssh_port || 22,
+    jumpHost.ssh_user || 'root',
+    jumpHost.ssh_auth_type || 'key',
+    sealSecret(jumpHost.password),
+    sealSecret(jumpHost.ssh_key),
+    sealSecret(jumpHost.ssh_key_passphrase)
+  ).changes > 0;
+}
+
+/**
+ * Get the jump host of a session
+ * @returns {object|null} { hostname, ssh_port, ssh_user, ssh_auth_type, password, ssh_key, ssh_key_passphrase }
+ */
+function getJumpHost(sessionId) {
+  const row = db.prepare('SELECT * FROM jump_hosts WHERE session_id = ?').get(sessionId);
+  if (!row) return null;
+  return {
+    hostname: row.hostname,
+    ssh_port: row.ssh_port,
+    ssh_user: row.ssh_user,
+    ssh_auth_type: row.ssh_auth_type,
+    password: openSecret(row.password_encrypted),
+    ssh_key: openSecret(row.ssh_key_encrypted),
+    ssh_key_passphrase: openSecret(row.ssh_key_passphrase_encrypted)
+  };
+}
+
+// ==================== HOST KEY OPERATIONS ====================
+
+/**
+ * Map a host_keys row to the API representation
+ */
+function formatHostKey(row) {
+  return {
+    id: row.id,
+    hostname: row.hostname,
+    port: row.port,
+    keyType: row.key_type,
+    publicKey: row.public_key,
+    fingerprint: row.fingerprint,
+    recordedAt: row.recorded_at,
+    confirmed: Boolean(row.confirmed_at),
+    confirmedBy: row.confirmed_by,
+    confirmedAt: row.confirmed_at
+  };
+}
+
+/**
+ * Record host keys of a session; keys already recorded for a host are kept as they are
+ * @param {Array<object>} keys - [{ hostname, port, keyType, publicKey, confirmedBy?, confirmedAt? }]
+ * @returns {number} Number of new keys
+ */
+function recordHostKeys(sessionId, keys) {
+  const stmt = db.prepare(`
+    INSERT INTO host_keys (session_id, hostname, port, key_type, public_key, fingerprint, confirmed_by, confirmed_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(session_id, hostname, port, key_type) DO NOTHING
+  `);
+  const insertMany = db.transaction(() => keys.reduce((count, key) => count + stmt.run(
+    sessionId, key.hostname, key.port || 22, key.keyType, key.publicKey, getFingerprint(key.publicKey),
+    key.confirmedBy || null, key.confirmedAt || null
+  ).changes, 0));
+  return insertMany();
+}
+
+/**
+ * Get the host keys of a session, by host
+ */
+function getHostKeys(sessionId) {
+  return db.prepare('SELECT * FROM host_keys WHERE session_id = ? ORDER BY hostname, port, key_type')
+    .all(sessionId)
+    .map(formatHostKey);
+}
+
+/**
+ * Confirm host keys of a session (ids null confirms every unconfirmed key)
+ * @returns {number} Number of keys confirmed
+ */
+function confirmHostKeys(sessionId, ids, username) {
+  let query = `
+    UPDATE host_keys SET confirmed_by = ?, confirmed_at = datetime('now')
+    WHERE session_id = ? AND confirmed_at IS NULL
+  `;
+  const params = [username, sessionId];
+  if (ids) {
+    query += ` AND id IN (${ids.map(() => '?').join(', ') || 'NULL'})`;
+    params.push(...ids);
+  }
+  return db.prepare(query).run(...params).changes;
+}
+
+/**
+ * Remove the host keys of one server of a session, so the next env-check records new ones
+ * @returns {number} Number of keys removed
+ */
+function removeHostKeys(sessionId, hostname, port = 22) {
+  return db.prepare('DELETE FROM host_keys WHERE session_id = ? AND hostname = ? AND port = ?')
+    .run(sessionId, hostname, port).changes;
+}
+
 // ==================== GENERATED FILES OPERATIONS ====================
 
 /**
@@ -817,15 +1276,15 @@ function markFileDownloaded(fileId) {
 /**
  * Start tracking an active deployment
  */
-function startActiveDeployment(sessionId, stepId) {
+function startActiveDeployment(sessionId, stepId, jobId = null) {
   // First, clean up any stale deployment for this session/step
   db.prepare('DELETE FROM active_deployments WHERE session_id = ? AND step_id = ?').run(sessionId, stepId);
 
   const stmt = db.prepare(`
-    INSERT INTO active_deployments (session_id, step_id, status, started_at, updated_at, task_events)
-    VALUES (?, ?, 'running', datetime('now'), datetime('now'), '[]')
+    INSERT INTO active_deployments (session_id, step_id, status, started_at, updated_at, task_events, job_id)
+    VALUES (?, ?, 'running', datetime('now'), datetime('now'), '[]', ?)
   `);
-  stmt.run(sessionId, stepId);
+  stmt.run(sessionId, stepId, jobId);
   return true;
 }
 
@@ -865,14 +1324,15 @@ function addDeploymentEvent(sessionId, stepId, event) {
 
 /**
  * Complete an active deployment
+ * @param {string} status - Optional explicit final status (e.g. 'cancelled'), overrides success
  */
-function completeActiveDeployment(sessionId, stepId, success, errorMessage = null) {
+function completeActiveDeployment(sessionId, stepId, success, errorMessage = null, status = null) {
   const stmt = db.prepare(`
     UPDATE active_deployments
     SET status = ?, completed_at = datetime('now'), updated_at = datetime('now'), error_message = ?
     WHERE session_id = ? AND step_id = ?
   `);
-  stmt.run(success ? 'completed' : 'failed', errorMessage, sessionId, stepId);
+  stmt.run(status || (success ? 'completed' : 'failed'), errorMessage, sessionId, stepId);
   return true;
 }
 
@@ -895,6 +1355,7 @@ function getActiveDeployment(sessionId, stepId) {
     completedAt: row.completed_at,
     currentTask: row.current_task,
     errorMessage: row.error_message,
+    jobId: row.job_id,
     taskEvents: JSON.parse(row.task_events || '[]')
   };
 }
@@ -904,7 +1365,7 @@ function getActiveDeployment(sessionId, stepId) {
  */
 function getActiveDeploymentsForSession(sessionId) {
   const rows = db.prepare(`
-    SELECT step_id, status, current_task, started_at, updated_at
+    SELECT step_id, status, current_task, started_at, updated_at, job_id
     FROM active_deployments
     WHERE session_id = ? AND status = 'running'
     ORDER BY started_at DESC
@@ -913,21 +1374,647 @@ function getActiveDeploymentsForSession(sessionId) {
   return rows;
 }
 
+/**
+ * Mark deployments left in 'running' state as interrupted
+ * Called on startup - no playbook process survives a server restart
+ */
+function interruptActiveDeployments(errorMessage = 'Deployment interrupted by server restart') {
+  const stmt = db.prepare(`
+    UPDATE active_deployments
+    SET status = 'interrupted', completed_at = datetime('now'), updated_at = datetime('now'), error_message = ?
+    WHERE status = 'running'
+  `);
+  return stmt.run(errorMessage).changes;
+}
+
 /**
  * Clean up old completed deployments (keep last 24 hours)
  */
 function cleanupOldDeployments() {
   db.prepare(`
     DELETE FROM active_deployments
-    WHERE status IN ('completed', 'failed')
+    WHERE status IN ('completed', 'failed', 'interrupted', 'cancelled')
     AND completed_at < datetime('now', '-24 hours')
   `).run();
 }
 
-// ==================== CLEANUP OPERATIONS ====================
+// ==================== DEPLOYMENT JOB OPERATIONS ====================
 
 /**
- * Clean up completed session data (for auto-cleanup after installation)
+ * Map a deployment_jobs row to the API representation
+ */
+function formatJob(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    stepId: row.step_id,
+    mode: row.mode || 'run',
+    status: row.status,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    exitCode: row.exit_code,
+    errorMessage: row.error_message
+  };
+}
+
+/**
+ * Create a queued job
+ * The payload (servers and variables) contains passwords, so it is stored encrypted
+ * @param {string} mode - 'run' or 'check' (dry run preview)
+ * @param {string} id - Job ID, if it was chosen beforehand (to lock the job's targets)
+ */
+function createJob(sessionId, stepId, payload, mode = 'run', id = crypto.randomBytes(16).toString('hex')) {
+  db.prepare(`
+    INSERT INTO deployment_jobs (id, session_id, step_id, mode, status, payload_encrypted, created_at)
+    VALUES (?, ?, ?, ?, 'queued', ?, datetime('now'))
+  `).run(id, sessionId || null, stepId, mode, encrypt(JSON.stringify(payload || {})));
+  return getJob(id);
+}
+
+/**
+ * Get job by ID (without payload)
+ */
+function getJob(jobId) {
+  const row = db.prepare('SELECT * FROM deployment_jobs WHERE id = ?').get(jobId);
+  return row ? formatJob(row) : null;
+}
+
+/**
+ * Get decrypted job payload ({ servers, variables })
+ */
+function getJobPayload(jobId) {
+  const row = db.prepare('SELECT payload_encrypted FROM deployment_jobs WHERE id = ?').get(jobId);
+  if (!row) return null;
+  const payload = decrypt(row.payload_encrypted);
+  return payload ? JSON.parse(payload) : {};
+}
+
+/**
+ * List jobs, optionally filtered by session, step and status
+ */
+function listJobs(filters = {}) {
+  let query = 'SELECT * FROM deployment_jobs WHERE 1 = 1';
+  const params = [];
+
+  if (filters.sessionId) {
+    query += ' AND session_id = ?';
+    params.push(filters.sessionId);
+  }
+  if (filters.stepId) {
+    query += ' AND step_id = ?';
+    params.push(filters.stepId);
+  }
+  if (filters.status) {
+    query += ' AND status = ?';
+    params.push(filters.status);
+  }
+
+  query += ' ORDER BY created_at DESC, rowid DESC LIMIT ?';
+  params.push(filters.limit || 100);
+
+  return db.prepare(query).all(...params).map(formatJob);
+}
+
+/**
+ * Get IDs of jobs still waiting in the queue (oldest first)
+ */
+function getQueuedJobIds() {
+  return db.prepare(`
+    SELECT id FROM deployment_jobs WHERE status = 'queued' ORDER BY created_at ASC, rowid ASC
+  `).all().map(row => row.id);
+}
+
+/**
+ * Get the queued or running job for a session step (most recent first)
+ */
+function getCurrentJob(sessionId, stepId) {
+  const row = db.prepare(`
+    SELECT * FROM deployment_jobs
+    WHERE session_id = ? AND step_id = ? AND status IN ('queued', 'running')
+    ORDER BY created_at DESC, rowid DESC LIMIT 1
+  `).get(sessionId, stepId);
+  return row ? formatJob(row) : null;
+}
+
+/**
+ * Mark a job as running
+ */
+function startJob(jobId) {
+  return db.prepare(`
+    UPDATE deployment_jobs SET status = 'running', started_at = datetime('now') WHERE id = ?
+  `).run(jobId).changes > 0;
+}
+
+/**
+ * Mark a job as finished
+ * @param {string} jobId - Job ID
+ * @param {string} status - 'completed', 'failed', 'cancelled' or 'interrupted'
+ * @param {number|null} exitCode - ansible-playbook exit code
+ * @param {string|null} errorMessage - Error description
+ */
+function finishJob(jobId, status, exitCode = null, errorMessage = null) {
+  return db.prepare(`
+    UPDATE deployment_jobs
+    SET status = ?, completed_at = datetime('now'), exit_code = ?, error_message = ?
+    WHERE id = ?
+  `).run(status, exitCode, errorMessage, jobId).changes > 0;
+}
+
+/**
+ * Mark jobs left in 'running' state as interrupted
+ * Called on startup - returns the affected jobs
+ */
+function interruptRunningJobs(errorMessage = 'Job interrupted by server restart') {
+  const rows = db.prepare("SELECT * FROM deployment_jobs WHERE status = 'running'").all();
+  const stmt = db.prepare(`
+    UPDATE deployment_jobs
+    SET status = 'interrupted', completed_at = datetime('now'), error_message = ?
+    WHERE id = ?
+  `);
+  const interruptMany = db.transaction((jobs) => {
+    for (const job of jobs) {
+      stmt.run(errorMessage, job.id);
+    }
+  });
+  interruptMany(rows);
+  return rows.map(formatJob);
+}
+
+/**
+ * Append an event to a job's event log
+ * @returns {number} Sequence number of the stored event
+ */
+function addJobEvent(jobId, event) {
+  const appendEvent = db.transaction(() => {
+    const row = db.prepare('SELECT COALESCE(MAX(seq), 0) AS seq FROM job_events WHERE job_id = ?').get(jobId);
+    const seq = row.seq + 1;
+    db.prepare(`
+      INSERT INTO job_events (job_id, seq, event, created_at) VALUES (?, ?, ?, datetime('now'))
+    `).run(jobId, seq, JSON.stringify(event));
+    return seq;
+  });
+  return appendEvent();
+}
+
+/**
+ * Get job events after a given sequence number
+ */
+function getJobEvents(jobId, afterSeq = 0) {
+  return db.prepare(`
+    SELECT seq, event FROM job_events WHERE job_id = ? AND seq > ? ORDER BY seq ASC
+  `).all(jobId, afterSeq).map(row => ({ seq: row.seq, event: JSON.parse(row.event) }));
+}
+
+/**
+ * Get the last event of a job (the 'complete' event once it has finished)
+ */
+function getLastJobEvent(jobId) {
+  const row = db.prepare('SELECT event FROM job_events WHERE job_id = ? ORDER BY seq DESC LIMIT 1').get(jobId);
+  return row ? JSON.parse(row.event) : null;
+}
+
+// ==================== RUN LOCK OPERATIONS ====================
+
+/**
+ * Map a run_locks row (joined with its job) to the API representation
+ */
+function formatRunLock(row) {
+  return {
+    type: row.lock_type,
+    target: row.target,
+    jobId: row.job_id,
+    sessionId: row.session_id,
+    stepId: row.step_id,
+    status: row.status || null,
+    lockedBy: row.locked_by,
+    lockedAt: row.locked_at
+  };
+}
+
+/**
+ * Lock the session step and hosts of a job, or report the locks in the way
+ * A step lock conflicts with a lock on the same step of the same session; a host lock
+ * with the jobs of other sessions (and of runs without a session) on that host. Locks of
+ * jobs that have finished are stale and taken over.
+ * @param {string} jobId - Job ID (the job may not be created yet)
+ * @param {object} lock - { sessionId, stepId, hosts ('hostname:port'), username }
+ * @returns {Array<object>} Conflicting locks; empty if the locks were taken
+ */
+function acquireRunLocks(jobId, { sessionId = null, stepId, hosts = [], username = null }) {
+  const acquire = db.transaction(() => {
+    db.prepare(`
+      DELETE FROM run_locks WHERE job_id IN (
+        SELECT id FROM deployment_jobs WHERE status NOT IN ('queued', 'running')
+      )
+    `).run();
+
+    const conflicts = [];
+    if (sessionId) {
+      conflicts.push(...db.prepare(`
+        SELECT l.*, j.status FROM run_locks l LEFT JOIN deployment_jobs j ON j.id = l.job_id
+        WHERE l.lock_type = 'step' AND l.session_id = ? AND l.target = ?
+      `).all(sessionId, stepId));
+    }
+    const hostLocks = db.prepare(`
+      SELECT l.*, j.status FROM run_locks l LEFT JOIN deployment_jobs j ON j.id = l.job_id
+      WHERE l.lock_type = 'host' AND l.target = ?
+        AND (? IS NULL OR l.session_id IS NULL OR l.session_id != ?)
+    `);
+    for (const host of hosts) {
+      conflicts.push(...hostLocks.all(host, sessionId, sessionId));
+    }
+    if (conflicts.length > 0) {
+      return conflicts.map(formatRunLock);
+    }
+
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO run_locks (job_id, lock_type, target, session_id, step_id, locked_by, locked_at)
+      VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+    `);
+    if (sessionId) {
+      insert.run(jobId, 'step', stepId, sessionId, stepId, username);
+    }
+    for (const host of hosts) {
+      insert.run(jobId, 'host', host, sessionId, stepId, username);
+    }
+    return [];
+  });
+  return acquire();
+}
+
+/**
+ * Release the locks of a job
+ * @returns {number} Number of released locks
+ */
+function releaseRunLocks(jobId) {
+  return db.prepare('DELETE FROM run_locks WHERE job_id = ?').run(jobId).changes;
+}
+
+/**
+ * Release the locks of every job that is not queued (on startup: no job is running yet,
+ * and jobs that never got created or were interrupted hold none)
+ * @returns {number} Number of released locks
+ */
+function releaseStaleRunLocks() {
+  return db.prepare(`
+    DELETE FROM run_locks WHERE job_id NOT IN (SELECT id FROM deployment_jobs WHERE status = 'queued')
+  `).run().changes;
+}
+
+/**
+ * List the held locks with the status of their jobs
+ * @param {object} filters - { sessionId, jobId }
+ */
+function getRunLocks(filters = {}) {
+  let query = 'SELECT l.*, j.status FROM run_locks l LEFT JOIN deployment_jobs j ON j.id = l.job_id WHERE 1=1';
+  const params = [];
+  if (filters.sessionId) {
+    query += ' AND l.session_id = ?';
+    params.push(filters.sessionId);
+  }
+  if (filters.jobId) {
+    query += ' AND l.job_id = ?';
+    params.push(filters.jobId);
+  }
+  query += ' ORDER BY l.locked_at, l.job_id, l.lock_type DESC, l.target';
+  return db.prepare(query).all(...params).map(formatRunLock);
+}
+
+// ==================== IDEMPOTENCY KEY OPERATIONS ====================
+
+/**
+ * Reserve the idempotency key of a step run request, or get the request that holds it
+ * Keys are kept for 24 hours. The check and the insert are one transaction, so of two
+ * concurrent requests with the same key only one reserves it.
+ * @param {object} request - { sessionId, stepId, key, requestHash, username }
+ * @returns {object|null} null if the key was reserved now, otherwise the first request's
+ *   { requestHash, jobId (null while it is being queued), createdBy, createdAt }
+ */
+function reserveIdempotencyKey({ sessionId, stepId, key, requestHash, username = null }) {
+  const reserve = db.transaction(() => {
+    db.prepare(`DELETE FROM idempotency_keys WHERE created_at < datetime('now', '-24 hours')`).run();
+
+    const row = db.prepare(`
+      SELECT * FROM idempotency_keys WHERE session_id = ? AND step_id = ? AND idempotency_key = ?
+    `).get(sessionId, stepId, key);
+    if (row) {
+      return { requestHash: row.request_hash, jobId: row.job_id, createdBy: row.created_by, createdAt: row.created_at };
+    }
+
+    db.prepare(`
+      INSERT INTO idempotency_keys (session_id, step_id, idempotency_key, request_hash, created_by, created_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now'))
+    `).run(sessionId, stepId, key, requestHash, username);
+    return null;
+  });
+  return reserve();
+}
+
+/**
+ * Record the job queued for a reserved idempotency key
+ */
+function setIdempotencyKeyJob(sessionId, stepId, key, jobId) {
+  return db.prepare(`
+    UPDATE idempotency_keys SET job_id = ? WHERE session_id = ? AND step_id = ? AND idempotency_key = ?
+  `).run(jobId, sessionId, stepId, key).changes > 0;
+}
+
+/**
+ * Release a reserved idempotency key whose request failed, so it can be sent again
+ */
+function releaseIdempotencyKey(sessionId, stepId, key) {
+  return db.prepare(`
+    DELETE FROM idempotency_keys WHERE session_id = ? AND step_id = ? AND idempotency_key = ? AND job_id IS NULL
+  `).run(sessionId, stepId, key).changes > 0;
+}
+
+/**
+ * Release the idempotency keys reserved by requests that never queued a job
+ * (on startup, when no request can still be in progress)
+ * @returns {number} Number of released keys
+ */
+function releasePendingIdempotencyKeys() {
+  return db.prepare('DELETE FROM idempotency_keys WHERE job_id IS NULL').run().changes;
+}
+
+// ==================== DEPLOYMENT RUN HISTORY OPERATIONS ====================
+
+/**
+ * Map a deployment_runs row to the API representation
+ * Logs are only decompressed when requested - they can be several MB per run.
+ */
+function formatRun(row, includeLogs = false) {
+  const run = {
+    id: row.id,
+    jobId: row.job_id,
+    sessionId: row.session_id,
+    stepId: row.step_id,
+    mode: row.mode || 'run',
+    attempt: row.attempt,
+    status: row.status,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    exitCode: row.exit_code,
+    errorMessage: row.error_message,
+    variables: JSON.parse(row.variables || '{}'),
+    hosts: JSON.parse(row.hosts || '[]'),
+    hostRecap: JSON.parse(row.host_recap || '{}'),
+    failedHosts: JSON.parse(row.failed_hosts || '[]'),
+    tasks: JSON.parse(row.tasks || '[]'),
+    limit: JSON.parse(row.limit_hosts || '[]'),
+    startAtTask: row.start_at_task || null
+  };
+
+  if (includeLogs) {
+    run.stdout = row.stdout_gz ? zlib.gunzipSync(row.stdout_gz).toString('utf8') : '';
+    run.stderr = row.stderr_gz ? zlib.gunzipSync(row.stderr_gz).toString('utf8') : '';
+  }
+
+  return run;
+}
+
+/**
+ * Record the start of a playbook run
+ * Previews (mode 'check') are numbered separately from deployment attempts.
+ * @param {object} run - { jobId, sessionId, stepId, mode, variables, hosts, limit, startAtTask } (secrets already redacted)
+ *   limit holds the hostnames a retry ran on (--limit), startAtTask the task it started at
+ */
+function createRun({ jobId = null, sessionId = null, stepId, mode = 'run', variables = {}, hosts = [], limit = [], startAtTask = null }) {
+  const id = crypto.randomBytes(16).toString('hex');
+
+  const insert = db.transaction(() => {
+    const { count } = db.prepare(`
+      SELECT COUNT(*) as count FROM deployment_runs
+      WHERE session_id IS ? AND step_id = ? AND COALESCE(mode, 'run') = ?
+    `).get(sessionId, stepId, mode);
+
+    db.prepare(`
+      INSERT INTO deployment_runs (id, job_id, session_id, step_id, mode, attempt, status, started_at, variables, hosts, limit_hosts, start_at_task)
+      VALUES (?, ?, ?, ?, ?, ?, 'running', datetime('now'), ?, ?, ?, ?)
+    `).run(id, jobId, sessionId, stepId, mode, count + 1, JSON.stringify(variables), JSON.stringify(hosts), JSON.stringify(limit), startAtTask);
+  });
+  insert();
+
+  return getRun(id);
+}
+
+/**
+ * Record the outcome of a playbook run
+ * stdout/stderr are stored gzip-compressed.
+ * @param {string} runId - Run ID
+ * @param {object} result - { status, exitCode, errorMessage, hostRecap, failedHosts, tasks, stdout, stderr }
+ *   failedHosts: [{ host (inventory name), hostname, status ('failed' | 'unreachable') }], tasks: task names in run order
+ */
+function finishRun(runId, { status, exitCode = null, errorMessage = null, hostRecap = {}, failedHosts = [], tasks = [], stdout = '', stderr = '' }) {
+  return db.prepare(`
+    UPDATE deployment_runs
+    SET status = ?, completed_at = datetime('now'), exit_code = ?, error_message = ?,
+        host_recap = ?, failed_hosts = ?, tasks = ?, stdout_gz = ?, stderr_gz = ?
+    WHERE id = ?
+  `).run(
+    status,
+    exitCode,
+    errorMessage,
+    JSON.stringify(hostRecap),
+    JSON.stringify(failedHosts),
+    JSON.stringify(tasks),
+    zlib.gzipSync(stdout || ''),
+    zlib.gzipSync(stderr || ''),
+    runId
+  ).changes > 0;
+}
+
+/**
+ * Get a single run
+ * @param {string} runId - Run ID
+ * @param {boolean} includeLogs - Include decompressed stdout/stderr
+ */
+function getRun(runId, includeLogs = false) {
+  const row = db.prepare('SELECT * FROM deployment_runs WHERE id = ?').get(runId);
+  return row ? formatRun(row, includeLogs) : null;
+}
+
+/**
+ * Get the run of a job (without logs); null until the job has started
+ */
+function getJobRun(jobId) {
+  const row = db.prepare('SELECT * FROM deployment_runs WHERE job_id = ? ORDER BY rowid DESC LIMIT 1').get(jobId);
+  return row ? formatRun(row) : null;
+}
+
+/**
+ * List a session's runs, newest first (without logs)
+ */
+function listRuns(sessionId, filters = {}) {
+  let query = 'SELECT * FROM deployment_runs WHERE session_id = ?';
+  const params = [sessionId];
+
+  if (filters.stepId) {
+    query += ' AND step_id = ?';
+    params.push(filters.stepId);
+  }
+  if (filters.mode) {
+    query += " AND COALESCE(mode, 'run') = ?";
+    params.push(filters.mode);
+  }
+
+  query += ' ORDER BY started_at DESC, rowid DESC LIMIT ?';
+  params.push(filters.limit || 100);
+
+  return db.prepare(query).all(...params).map(row => formatRun(row));
+}
+
+/**
+ * Get the IDs of the runs whose job is still queued or running
+ * Their inventories are in use, also by another backend sharing the data directory.
+ */
+function getActiveRunIds() {
+  return db.prepare(`
+    SELECT r.id FROM deployment_runs r
+    JOIN deployment_jobs j ON j.id = r.job_id
+    WHERE j.status IN ('queued', 'running')
+  `).all().map(row => row.id);
+}
+
+/**
+ * Mark runs left in 'running' state as interrupted (called on startup)
+ */
+function interruptRunningRuns(errorMessage = 'Run interrupted by server restart') {
+  return db.prepare(`
+    UPDATE deployment_runs
+    SET status = 'interrupted', completed_at = datetime('now'), error_message = ?
+    WHERE status = 'running'
+  `).run(errorMessage).changes;
+}
+
+// ==================== ORCHESTRATION OPERATIONS ====================
+
+/**
+ * Map an orchestrations row to the API representation
+ */
+function formatOrchestration(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    status: row.status,
+    steps: JSON.parse(row.steps),
+    stepJobs: row.step_jobs ? JSON.parse(row.step_jobs) : {},
+    failedStep: row.failed_step,
+    reason: row.reason,
+    startedBy: row.started_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at
+  };
+}
+
+/**
+ * Create a running orchestration
+ * @param {string} sessionId - Session ID
+ * @param {Array<string>} steps - Step IDs it deploys
+ * @param {string|null} startedBy - Username
+ */
+function createOrchestration(sessionId, steps, startedBy = null) {
+  const id = crypto.randomBytes(16).toString('hex');
+  db.prepare(`
+    INSERT INTO orchestrations (id, session_id, status, steps, step_jobs, started_by, created_at, updated_at)
+    VALUES (?, ?, 'running', ?, '{}', ?, datetime('now'), datetime('now'))
+  `).run(id, sessionId, JSON.stringify(steps), startedBy);
+  return getOrchestration(id);
+}
+
+/**
+ * Get an orchestration by ID
+ */
+function getOrchestration(orchestrationId) {
+  const row = db.prepare('SELECT * FROM orchestrations WHERE id = ?').get(orchestrationId);
+  return row ? formatOrchestration(row) : null;
+}
+
+/**
+ * Get the most recent orchestration of a session
+ */
+function getLatestOrchestration(sessionId) {
+  const row = db.prepare(`
+    SELECT * FROM orchestrations WHERE session_id = ? ORDER BY created_at DESC, rowid DESC LIMIT 1
+  `).get(sessionId);
+  return row ? formatOrchestration(row) : null;
+}
+
+/**
+ * Update an orchestration
+ * @param {object} updates - { status, stepJobs, failedStep, reason, finished }
+ */
+function updateOrchestration(orchestrationId, updates) {
+  const columns = { status: 'status', failedStep: 'failed_step', reason: 'reason' };
+  const fields = [];
+  const values = [];
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(updates[key]);
+    }
+  }
+  if (updates.stepJobs !== undefined) {
+    fields.push('step_jobs = ?');
+    values.push(JSON.stringify(updates.stepJobs));
+  }
+  if (updates.finished !== undefined) {
+    fields.push(updates.finished ? "finished_at = datetime('now')" : 'finished_at = NULL');
+  }
+  fields.push("updated_at = datetime('now')");
+
+  values.push(orchestrationId);
+  db.prepare(`UPDATE orchestrations SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+  return getOrchestration(orchestrationId);
+}
+
+/**
+ * Mark orchestrations that were running when the server stopped as interrupted
+ * @returns {Array<object>} The interrupted orchestrations
+ */
+function interruptRunningOrchestrations(reason) {
+  const rows = db.prepare("SELECT * FROM orchestrations WHERE status = 'running'").all();
+  db.prepare(`
+    UPDATE orchestrations SET status = 'interrupted', reason = ?, updated_at = datetime('now')
+    WHERE status = 'running'
+  `).run(reason);
+  return rows.map(row => ({ ...formatOrchestration(row), status: 'interrupted', reason }));
+}
+
+/**
+ * Append an event to a session's event log
+ * @returns {number} ID of the stored event
+ */
+function addSessionEvent(sessionId, event) {
+  return Number(db.prepare(`
+    INSERT INTO session_events (session_id, event, created_at) VALUES (?, ?, datetime('now'))
+  `).run(sessionId, JSON.stringify(event)).lastInsertRowid);
+}
+
+/**
+ * Get a session's events after a given event ID
+ */
+function getSessionEvents(sessionId, afterId = 0) {
+  return db.prepare(`
+    SELECT id, event FROM session_events WHERE session_id = ? AND id > ? ORDER BY id ASC
+  `).all(sessionId, afterId).map(row => ({ id: row.id, event: JSON.parse(row.event) }));
+}
+
+/**
+ * Get the ID of a session's latest event (0 without events)
+ */
+function getLastSessionEventId(sessionId) {
+  const row = db.prepare('SELECT MAX(id) AS id FROM session_events WHERE session_id = ?').get(sessionId);
+  return row.id || 0;
+}
+
+// ==================== CLEANUP OPERATIONS ====================
+
+/**
+ * Clean up completed session data (for auto-cleanup after installation)
  */
 function cleanupSession(sessionId) {
   // Delete sensitive data but keep the session record
@@ -935,41 +2022,830 @@ function cleanupSession(sessionId) {
   db.prepare('DELETE FROM ssl_config WHERE session_id = ?').run(sessionId);
   db.prepare('DELETE FROM nfs_config WHERE session_id = ?').run(sessionId);
   db.prepare('DELETE FROM lb_config WHERE session_id = ?').run(sessionId);
+  db.prepare('DELETE FROM jump_hosts WHERE session_id = ?').run(sessionId);
+
+  // Update session status
+  db.prepare(`
+    UPDATE sessions
+    SET status = 'cleaned', updated_at = datetime('now')
+    WHERE id = ?
+  `).run(sessionId);
+
+  return true;
+}
+
+/**
+ * Export all credentials for a session as JSON
+ */
+function exportSessionCredentials(sessionId) {
+  const session = getSession(sessionId);
+  if (!session) return null;
+
+  return {
+    sessionId,
+    sessionName: session.name,
+    exportedAt: new Date().toISOString(),
+    credentials: session.credentials,
+    servers: Object.entries(session.servers).reduce((acc, [stepId, servers]) => {
+      acc[stepId] = servers.map(s => ({
+        hostname: s.hostname,
+        role: s.role,
+        roles: s.roles,
+        purpose: s.purpose,
+        name: s.name
+      }));
+      return acc;
+    }, {})
+  };
+}
+
+/**
+ * Create a session from imported export data in one transaction
+ * Any failure rolls back every row, so no half-created session is left behind.
+ * @param {string} sessionId - ID of the new session (generateSessionId)
+ * @param {object} data - { session, servers, credentials } as validated by the import schema;
+ *   servers and credentials as they are to be stored (see services/secretStore)
+ */
+function importSession(sessionId, { session, servers, credentials }) {
+  const insert = db.transaction(() => {
+    db.prepare(`
+      INSERT INTO sessions (id, name, created_at, updated_at, status)
+      VALUES (?, ?, datetime('now'), datetime('now'), 'in_progress')
+    `).run(sessionId, session.name);
+
+    updateSession(sessionId, {
+      status: session.status || 'in_progress',
+      current_step: session.current_step || 0,
+      auto_cleanup: session.auto_cleanup ? 1 : 0,
+      automation_mode: session.automation_mode || 'manual',
+      notes: session.notes || ''
+    });
+
+    for (const [stepId, stepServers] of Object.entries(servers)) {
+      saveServers(sessionId, stepId, stepServers);
+    }
+    for (const [service, creds] of Object.entries(credentials)) {
+      saveCredentials(sessionId, service, creds);
+    }
+    for (const stepId of session.completedSteps || []) {
+      completeStep(sessionId, stepId, (session.stepData || {})[stepId] || {});
+    }
+    for (const [stepId, mode] of Object.entries(session.modes || {})) {
+      setStepMode(sessionId, stepId, mode);
+    }
+
+    if (session.sslConfig && session.sslConfig.type) {
+      saveSSLConfig(sessionId, session.sslConfig);
+    }
+    if (session.nfsConfig) {
+      saveNFSConfig(sessionId, session.nfsConfig);
+    }
+    if (session.loadBalancerConfig) {
+      saveLBConfig(sessionId, session.loadBalancerConfig);
+    }
+    if (session.executionOptions) {
+      saveExecutionOptions(sessionId, null, session.executionOptions.session || {});
+      for (const [stepId, options] of Object.entries(session.executionOptions.steps || {})) {
+        saveExecutionOptions(sessionId, stepId, options);
+      }
+    }
+    if (session.jumpHost) {
+      saveJumpHost(sessionId, session.jumpHost);
+    }
+    if (session.hostKeys) {
+      recordHostKeys(sessionId, session.hostKeys);
+    }
+  });
+
+  insert();
+}
+
+// ==================== USER OPERATIONS ====================
+
+/**
+ * Map a users row to the API representation (without the password hash)
+ */
+function formatUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    disabled: !!row.disabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastLoginAt: row.last_login_at
+  };
+}
+
+/**
+ * Create a user
+ * @param {object} user - { username, passwordHash, role }
+ */
+function createUser({ username, passwordHash, role }) {
+  const id = crypto.randomBytes(16).toString('hex');
+  db.prepare(`
+    INSERT INTO users (id, username, password_hash, role, created_at, updated_at)
+    VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
+  `).run(id, username, passwordHash, role);
+  return getUser(id);
+}
+
+/**
+ * Get user by ID
+ */
+function getUser(userId) {
+  const row = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+  return row ? formatUser(row) : null;
+}
+
+/**
+ * Get a user and the password hash by username (case-insensitive), for logins
+ */
+function getUserCredentials(username) {
+  const row = db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+  return row ? { ...formatUser(row), passwordHash: row.password_hash } : null;
+}
+
+/**
+ * List all users
+ */
+function listUsers() {
+  return db.prepare('SELECT * FROM users ORDER BY username').all().map(formatUser);
+}
 
-  // Update session status
+/**
+ * Count users, optionally only enabled ones with a role
+ */
+function countUsers(role = null) {
+  const row = role
+    ? db.prepare('SELECT COUNT(*) AS count FROM users WHERE role = ? AND disabled = 0').get(role)
+    : db.prepare('SELECT COUNT(*) AS count FROM users').get();
+  return row.count;
+}
+
+/**
+ * Update a user's role, password hash or disabled flag
+ */
+function updateUser(userId, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.role !== undefined) {
+    fields.push('role = ?');
+    values.push(updates.role);
+  }
+  if (updates.passwordHash !== undefined) {
+    fields.push('password_hash = ?');
+    values.push(updates.passwordHash);
+  }
+  if (updates.disabled !== undefined) {
+    fields.push('disabled = ?');
+    values.push(updates.disabled ? 1 : 0);
+  }
+
+  if (fields.length === 0) return false;
+
+  fields.push("updated_at = datetime('now')");
+  values.push(userId);
+
+  return db.prepare(`UPDATE users SET ${fields.join(', ')} WHERE id = ?`).run(...values).changes > 0;
+}
+
+/**
+ * Record a successful login
+ */
+function recordLogin(userId) {
+  db.prepare("UPDATE users SET last_login_at = datetime('now') WHERE id = ?").run(userId);
+}
+
+/**
+ * Delete a user (login sessions and API tokens are removed with it)
+ */
+function deleteUser(userId) {
+  return db.prepare('DELETE FROM users WHERE id = ?').run(userId).changes > 0;
+}
+
+// ==================== LOGIN SESSION OPERATIONS ====================
+
+/**
+ * Store a login session
+ * @param {string} tokenHash - SHA-256 of the session token
+ * @param {number} ttlHours - Hours until the session expires
+ */
+function createAuthSession(tokenHash, userId, ttlHours) {
   db.prepare(`
-    UPDATE sessions
-    SET status = 'cleaned', updated_at = datetime('now')
+    INSERT INTO auth_sessions (token_hash, user_id, created_at, expires_at, last_seen_at)
+    VALUES (?, ?, datetime('now'), datetime('now', ?), datetime('now'))
+  `).run(tokenHash, userId, `+${ttlHours} hours`);
+}
+
+/**
+ * Get the user of an unexpired login session (null if expired, unknown or disabled)
+ */
+function getAuthSessionUser(tokenHash) {
+  const row = db.prepare(`
+    SELECT users.* FROM auth_sessions
+    JOIN users ON users.id = auth_sessions.user_id
+    WHERE auth_sessions.token_hash = ?
+    AND auth_sessions.expires_at > datetime('now')
+    AND users.disabled = 0
+  `).get(tokenHash);
+  if (!row) return null;
+
+  db.prepare("UPDATE auth_sessions SET last_seen_at = datetime('now') WHERE token_hash = ?").run(tokenHash);
+  return formatUser(row);
+}
+
+/**
+ * Delete a login session (logout)
+ */
+function deleteAuthSession(tokenHash) {
+  return db.prepare('DELETE FROM auth_sessions WHERE token_hash = ?').run(tokenHash).changes > 0;
+}
+
+/**
+ * Delete all login sessions of a user (password change, role change, disable)
+ * @param {string} exceptTokenHash - Session to keep (the one making the change)
+ */
+function deleteUserAuthSessions(userId, exceptTokenHash = null) {
+  return db.prepare('DELETE FROM auth_sessions WHERE user_id = ? AND token_hash != ?')
+    .run(userId, exceptTokenHash || '').changes;
+}
+
+/**
+ * Remove expired login sessions
+ */
+function cleanupExpiredAuthSessions() {
+  return db.prepare("DELETE FROM auth_sessions WHERE expires_at <= datetime('now')").run().changes;
+}
+
+// ==================== API TOKEN OPERATIONS ====================
+
+/**
+ * Map an api_tokens row to the API representation (without the hash)
+ */
+function formatApiToken(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    username: row.username,
+    name: row.name,
+    prefix: row.token_prefix,
+    role: row.role,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at
+  };
+}
+
+/**
+ * Store an API token
+ * @param {object} token - { userId, name, tokenHash, tokenPrefix, role, expiresInDays }
+ */
+function createApiToken({ userId, name, tokenHash, tokenPrefix, role, expiresInDays = null }) {
+  const id = crypto.randomBytes(16).toString('hex');
+  db.prepare(`
+    INSERT INTO api_tokens (id, user_id, name, token_hash, token_prefix, role, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, datetime('now'), CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)
+  `).run(id, userId, name, tokenHash, tokenPrefix, role, expiresInDays, `+${expiresInDays} days`);
+  return getApiToken(id);
+}
+
+/**
+ * Get API token by ID
+ */
+function getApiToken(tokenId) {
+  const row = db.prepare(`
+    SELECT api_tokens.*, users.username FROM api_tokens
+    JOIN users ON users.id = api_tokens.user_id
+    WHERE api_tokens.id = ?
+  `).get(tokenId);
+  return row ? formatApiToken(row) : null;
+}
+
+/**
+ * List API tokens, of one user or of all users
+ */
+function listApiTokens(userId = null) {
+  let query = `
+    SELECT api_tokens.*, users.username FROM api_tokens
+    JOIN users ON users.id = api_tokens.user_id
+  `;
+  const params = [];
+  if (userId) {
+    query += ' WHERE api_tokens.user_id = ?';
+    params.push(userId);
+  }
+  query += ' ORDER BY api_tokens.created_at DESC';
+  return db.prepare(query).all(...params).map(formatApiToken);
+}
+
+/**
+ * Resolve an unexpired API token of an enabled user
+ * @returns {object|null} { token, user }
+ */
+function getApiTokenUser(tokenHash) {
+  const row = db.prepare(`
+    SELECT api_tokens.*, users.username, users.role AS user_role, users.disabled,
+      users.created_at AS user_created_at, users.updated_at AS user_updated_at,
+      users.last_login_at
+    FROM api_tokens
+    JOIN users ON users.id = api_tokens.user_id
+    WHERE api_tokens.token_hash = ?
+    AND (api_tokens.expires_at IS NULL OR api_tokens.expires_at > datetime('now'))
+    AND users.disabled = 0
+  `).get(tokenHash);
+  if (!row) return null;
+
+  db.prepare("UPDATE api_tokens SET last_used_at = datetime('now') WHERE id = ?").run(row.id);
+  return {
+    token: formatApiToken(row),
+    user: formatUser({
+      id: row.user_id,
+      username: row.username,
+      role: row.user_role,
+      disabled: row.disabled,
+      created_at: row.user_created_at,
+      updated_at: row.user_updated_at,
+      last_login_at: row.last_login_at
+    })
+  };
+}
+
+/**
+ * Delete an API token
+ */
+function deleteApiToken(tokenId) {
+  return db.prepare('DELETE FROM api_tokens WHERE id = ?').run(tokenId).changes > 0;
+}
+
+// ==================== WEBHOOK OPERATIONS ====================
+
+/**
+ * Map a webhooks row to the API representation (without the secret)
+ */
+function formatWebhook(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    url: row.url,
+    events: JSON.parse(row.events),
+    description: row.description,
+    enabled: row.enabled === 1,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Create a webhook subscription
+ * @param {object} webhook - { sessionId, url, secret, events, description, enabled, createdBy }
+ */
+function createWebhook({ sessionId = null, url, secret, events, description = null, enabled = true, createdBy = null }) {
+  const id = crypto.randomBytes(16).toString('hex');
+  db.prepare(`
+    INSERT INTO webhooks (id, session_id, url, secret_encrypted, events, description, enabled, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+  `).run(id, sessionId, url, encrypt(secret), JSON.stringify(events), description, enabled ? 1 : 0, createdBy);
+  return getWebhook(id);
+}
+
+/**
+ * Get webhook subscription by ID
+ */
+function getWebhook(webhookId) {
+  const row = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(webhookId);
+  return row ? formatWebhook(row) : null;
+}
+
+/**
+ * Get the signing secret of a webhook
+ */
+function getWebhookSecret(webhookId) {
+  const row = db.prepare('SELECT secret_encrypted FROM webhooks WHERE id = ?').get(webhookId);
+  return row ? decrypt(row.secret_encrypted) : null;
+}
+
+/**
+ * List webhook subscriptions
+ * @param {object} filters - { sessionId } ('global' for the subscriptions of every session)
+ */
+function listWebhooks(filters = {}) {
+  let query = 'SELECT * FROM webhooks';
+  const params = [];
+  if (filters.sessionId === 'global') {
+    query += ' WHERE session_id IS NULL';
+  } else if (filters.sessionId) {
+    query += ' WHERE session_id = ?';
+    params.push(filters.sessionId);
+  }
+  query += ' ORDER BY created_at, id';
+  return db.prepare(query).all(...params).map(formatWebhook);
+}
+
+/**
+ * Update a webhook subscription
+ * @param {object} updates - { url, events, description, enabled, secret }
+ * @returns {object|null} Updated webhook
+ */
+function updateWebhook(webhookId, updates) {
+  const columns = {
+    url: value => value,
+    events: value => JSON.stringify(value),
+    description: value => value,
+    enabled: value => (value ? 1 : 0),
+    secret: value => encrypt(value)
+  };
+  const fields = [];
+  const values = [];
+  for (const [key, toColumn] of Object.entries(columns)) {
+    if (updates[key] !== undefined) {
+      fields.push(`${key === 'secret' ? 'secret_encrypted' : key} = ?`);
+      values.push(toColumn(updates[key]));
+    }
+  }
+
+  if (fields.length > 0) {
+    fields.push("updated_at = datetime('now')");
+    db.prepare(`UPDATE webhooks SET ${fields.join(', ')} WHERE id = ?`).run(...values, webhookId);
+  }
+  return getWebhook(webhookId);
+}
+
+/**
+ * Delete a webhook subscription with its delivery log
+ */
+function deleteWebhook(webhookId) {
+  return db.prepare('DELETE FROM webhooks WHERE id = ?').run(webhookId).changes > 0;
+}
+
+/**
+ * Get the enabled subscriptions of an event: the global ones and those of the session
+ * @param {string} event - Event name
+ * @param {string|null} sessionId - Session of the event (null for runs without one)
+ */
+function getWebhookSubscribers(event, sessionId = null) {
+  return db.prepare(`
+    SELECT * FROM webhooks
+    WHERE enabled = 1
+      AND (session_id IS NULL OR session_id = ?)
+      AND EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE value = ?)
+  `).all(sessionId, event).map(formatWebhook);
+}
+
+/**
+ * Map a webhook_deliveries row to the API representation
+ */
+function formatWebhookDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    sessionId: row.session_id,
+    data: JSON.parse(row.data),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastAttemptAt: row.last_attempt_at,
+    responseStatus: row.response_status,
+    error: row.error,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at
+  };
+}
+
+/**
+ * Queue a delivery of an event to a webhook (due right away)
+ * @param {object} delivery - { webhookId, event, sessionId, data }
+ */
+function createWebhookDelivery({ webhookId, event, sessionId = null, data = {} }) {
+  const id = crypto.randomBytes(16).toString('hex');
+  db.prepare(`
+    INSERT INTO webhook_deliveries (id, webhook_id, event, session_id, data, status, next_attempt_at, created_at)
+    VALUES (?, ?, ?, ?, ?, 'pending', datetime('now'), datetime('now'))
+  `).run(id, webhookId, event, sessionId, JSON.stringify(data));
+  return getWebhookDelivery(id);
+}
+
+/**
+ * Get webhook delivery by ID
+ */
+function getWebhookDelivery(deliveryId) {
+  const row = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(deliveryId);
+  return row ? formatWebhookDelivery(row) : null;
+}
+
+/**
+ * List webhook deliveries, newest first
+ * @param {object} filters - { webhookId, event, status, limit }
+ */
+function listWebhookDeliveries(filters = {}) {
+  let query = 'SELECT * FROM webhook_deliveries WHERE 1=1';
+  const params = [];
+  if (filters.webhookId) {
+    query += ' AND webhook_id = ?';
+    params.push(filters.webhookId);
+  }
+  if (filters.event) {
+    query += ' AND event = ?';
+    params.push(filters.event);
+  }
+  if (filters.status) {
+    query += ' AND status = ?';
+    params.push(filters.status);
+  }
+  query += ' ORDER BY created_at DESC, rowid DESC LIMIT ?';
+  params.push(filters.limit || 100);
+  return db.prepare(query).all(...params).map(formatWebhookDelivery);
+}
+
+/**
+ * Get the pending deliveries that are due, oldest first
+ */
+function getDueWebhookDeliveries(limit = 20) {
+  return db.prepare(`
+    SELECT * FROM webhook_deliveries
+    WHERE status = 'pending' AND next_attempt_at <= datetime('now')
+    ORDER BY next_attempt_at, rowid LIMIT ?
+  `).all(limit).map(formatWebhookDelivery);
+}
+
+/**
+ * Get the seconds until the next pending delivery is due
+ * @returns {number|null} 0 if one is due, null if none is pending
+ */
+function getNextWebhookDeliveryDelay() {
+  const row = db.prepare(`
+    SELECT (julianday(MIN(next_attempt_at)) - julianday('now')) * 86400 AS delay
+    FROM webhook_deliveries WHERE status = 'pending'
+  `).get();
+  return row.delay === null ? null : Math.max(0, row.delay);
+}
+
+/**
+ * Record a delivery attempt
+ * A delivery cancelled while it was being posted stays cancelled unless it was delivered.
+ * @param {object} attempt - { delivered, responseStatus, error, retryIn (seconds; null: give up) }
+ */
+function recordWebhookAttempt(deliveryId, { delivered, responseStatus = null, error = null, retryIn = null }) {
+  const status = delivered ? 'delivered' : (retryIn === null ? 'failed' : 'pending');
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = attempts + 1, last_attempt_at = datetime('now'),
+      next_attempt_at = CASE WHEN ? = 'pending' THEN datetime('now', ?) ELSE NULL END,
+      delivered_at = CASE WHEN ? = 'delivered' THEN datetime('now') ELSE NULL END,
+      response_status = ?, error = ?
+    WHERE id = ? AND (status = 'pending' OR ? = 'delivered')
+  `).run(status, status, `+${retryIn || 0} seconds`, status, responseStatus, error, deliveryId, status);
+  return getWebhookDelivery(deliveryId);
+}
+
+/**
+ * Queue a delivery again, due right away (attempts keep counting)
+ */
+function retryWebhookDelivery(deliveryId) {
+  db.prepare(`
+    UPDATE webhook_deliveries SET status = 'pending', next_attempt_at = datetime('now'), delivered_at = NULL
     WHERE id = ?
-  `).run(sessionId);
+  `).run(deliveryId);
+  return getWebhookDelivery(deliveryId);
+}
 
-  return true;
+/**
+ * Cancel the pending deliveries of a webhook, or only one of them
+ * @param {string} reason - Stored as the deliveries' error
+ * @param {string|null} deliveryId - Only this delivery
+ * @returns {number} Number of cancelled deliveries
+ */
+function cancelWebhookDeliveries(webhookId, reason, deliveryId = null) {
+  let query = `
+    UPDATE webhook_deliveries SET status = 'cancelled', next_attempt_at = NULL, error = ?
+    WHERE webhook_id = ? AND status = 'pending'`;
+  const params = [reason, webhookId];
+  if (deliveryId) {
+    query += ' AND id = ?';
+    params.push(deliveryId);
+  }
+  return db.prepare(query).run(...params).changes;
 }
 
 /**
- * Export all credentials for a session as JSON
+ * Delete finished deliveries older than a number of days
+ * @returns {number} Number of deleted deliveries
  */
-function exportSessionCredentials(sessionId) {
-  const session = getSession(sessionId);
-  if (!session) return null;
+function pruneWebhookDeliveries(days) {
+  return db.prepare(`
+    DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < datetime('now', ?)
+  `).run(`-${days} days`).changes;
+}
+
+// ==================== AUDIT OPERATIONS ====================
 
+/**
+ * Convert an audit_events row to the API shape
+ */
+function formatAuditEvent(row) {
   return {
-    sessionId,
-    sessionName: session.name,
-    exportedAt: new Date().toISOString(),
-    credentials: session.credentials,
-    servers: Object.entries(session.servers).reduce((acc, [stepId, servers]) => {
-      acc[stepId] = servers.map(s => ({
-        hostname: s.hostname,
-        role: s.role,
-        purpose: s.purpose,
-        name: s.name
-      }));
-      return acc;
-    }, {})
+    id: row.id,
+    createdAt: row.created_at,
+    actor: {
+      userId: row.user_id,
+      username: row.username,
+      role: row.role,
+      authMethod: row.auth_method,
+      tokenId: row.token_id
+    },
+    ip: row.ip,
+    action: row.action,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    sessionId: row.session_id,
+    method: row.method,
+    path: row.path,
+    statusCode: row.status_code,
+    outcome: row.outcome,
+    details: row.details ? JSON.parse(row.details) : null
   };
 }
 
+/**
+ * Append an audit event
+ */
+function addAuditEvent(event) {
+  const result = db.prepare(`
+    INSERT INTO audit_events (
+      created_at, user_id, username, role, auth_method, token_id, ip, action,
+      target_type, target_id, session_id, method, path, status_code, outcome, details
+    ) VALUES (COALESCE(?, datetime('now')), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    event.createdAt || null,
+    event.userId || null,
+    event.username || null,
+    event.role || null,
+    event.authMethod || null,
+    event.tokenId || null,
+    event.ip || null,
+    event.action,
+    event.targetType || null,
+    event.targetId || null,
+    event.sessionId || null,
+    event.method || null,
+    event.path || null,
+    event.statusCode || null,
+    event.outcome,
+    event.details ? JSON.stringify(event.details) : null
+  );
+  return result.lastInsertRowid;
+}
+
+/**
+ * List audit events, newest first
+ * An action filter also matches its sub-actions ('session' matches 'session.delete').
+ * Page backwards with `before` (the smallest event ID of the previous page).
+ */
+function listAuditEvents(filters = {}) {
+  let query = 'SELECT * FROM audit_events WHERE 1 = 1';
+  const params = [];
+
+  if (filters.userId) {
+    query += ' AND user_id = ?';
+    params.push(filters.userId);
+  }
+  if (filters.username) {
+    query += ' AND username = ? COLLATE NOCASE';
+    params.push(filters.username);
+  }
+  if (filters.action) {
+    query += " AND (action = ? OR action LIKE ? || '.%')";
+    params.push(filters.action, filters.action);
+  }
+  if (filters.targetType) {
+    query += ' AND target_type = ?';
+    params.push(filters.targetType);
+  }
+  if (filters.targetId) {
+    query += ' AND target_id = ?';
+    params.push(filters.targetId);
+  }
+  if (filters.sessionId) {
+    query += ' AND session_id = ?';
+    params.push(filters.sessionId);
+  }
+  if (filters.outcome) {
+    query += ' AND outcome = ?';
+    params.push(filters.outcome);
+  }
+  if (filters.ip) {
+    query += ' AND ip = ?';
+    params.push(filters.ip);
+  }
+  if (filters.from) {
+    query += ' AND created_at >= ?';
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    query += ' AND created_at <= ?';
+    params.push(filters.to);
+  }
+  if (filters.before) {
+    query += ' AND id < ?';
+    params.push(filters.before);
+  }
+
+  query += ' ORDER BY id DESC LIMIT ?';
+  params.push(filters.limit || 100);
+
+  return db.prepare(query).all(...params).map(formatAuditEvent);
+}
+
+// ==================== ENCRYPTION KEY ROTATION ====================
+
+// Columns holding encrypt() output, by table
+const ENCRYPTED_COLUMNS = {
+  servers: ['password_encrypted', 'ssh_key_encrypted', 'ssh_key_passphrase_encrypted', 'sudo_password_encrypted'],
+  credentials: ['value_encrypted'],
+  jump_hosts: ['password_encrypted', 'ssh_key_encrypted', 'ssh_key_passphrase_encrypted'],
+  ssl_config: ['certificate_encrypted', 'private_key_encrypted'],
+  generated_files: ['content_encrypted'],
+  deployment_jobs: ['payload_encrypted'],
+  webhooks: ['secret_encrypted']
+};
+
+/**
+ * Get the keyring in use (see utils/encryptionHelper)
+ */
+function getKeyring() {
+  return keyring;
+}
+
+/**
+ * Write a keyring to data/.encryption_key (not used for keys from the environment)
+ */
+function saveKeyringFile(newKeyring) {
+  saveKeyring(newKeyring, KEY_FILE);
+}
+
+/**
+ * Count the stored encrypted values per table and key ID ('legacy' for AES-256-CBC,
+ * 'vault' for references to the external secret store, which are not encrypted)
+ */
+function getEncryptionStatus() {
+  const tables = {};
+  for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+    tables[table] = {};
+    for (const row of db.prepare(`SELECT ${columns.join(', ')} FROM ${table}`).all()) {
+      for (const column of columns) {
+        if (row[column]) {
+          const keyId = isSecretRef(row[column]) ? 'vault' : getCiphertextKeyId(row[column]);
+          tables[table][keyId] = (tables[table][keyId] || 0) + 1;
+        }
+      }
+    }
+  }
+  return tables;
+}
+
+/**
+ * Re-encrypt every stored secret with the active key of a new keyring, in one transaction
+ * Nothing is changed if any value cannot be decrypted. Afterwards the new keyring is used.
+ * References to the external secret store are left as they are.
+ * @param {object} newKeyring - Keyring whose active key encrypts from now on
+ * @returns {object} Number of re-encrypted values per table
+ */
+function rotateEncryptionKey(newKeyring) {
+  const rotate = db.transaction(() => {
+    const counts = {};
+    for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+      const update = db.prepare(
+        `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE rowid = ?`
+      );
+      counts[table] = 0;
+
+      for (const row of db.prepare(`SELECT rowid AS row_id, ${columns.join(', ')} FROM ${table}`).all()) {
+        const values = columns.map(column => {
+          if (!row[column] || isSecretRef(row[column])) return row[column];
+
+          let plaintext;
+          try {
+            plaintext = decryptWithKeyring(row[column], keyring);
+          } catch (e) {
+            throw new Error(`Cannot decrypt ${table}.${column} of row ${row.row_id}: ${e.message}`);
+          }
+          counts[table]++;
+          return encryptWithKeyring(plaintext, newKeyring);
+        });
+        update.run(...values, row.row_id);
+      }
+    }
+    return counts;
+  });
+
+  const counts = rotate();
+  keyring = newKeyring;
+  return counts;
+}
+
 // ==================== GLOBAL SETTINGS OPERATIONS ====================
 
 /**
@@ -1064,6 +2940,7 @@ module.exports = {
   getSession,
   listSessions,
   updateSession,
+  markSessionCompleted,
   deleteSession,
 
   // Servers
@@ -1094,6 +2971,16 @@ module.exports = {
   saveLBConfig,
   getLBConfig,
 
+  // Execution options
+  saveExecutionOptions,
+  getExecutionOptions,
+  saveJumpHost,
+  getJumpHost,
+  recordHostKeys,
+  getHostKeys,
+  confirmHostKeys,
+  removeHostKeys,
+
   // Generated files
   saveGeneratedFile,
   getGeneratedFiles,
@@ -1103,6 +2990,7 @@ module.exports = {
   // Cleanup
   cleanupSession,
   exportSessionCredentials,
+  importSession,
 
   // Active deployments
   startActiveDeployment,
@@ -1110,8 +2998,98 @@ module.exports = {
   completeActiveDeployment,
   getActiveDeployment,
   getActiveDeploymentsForSession,
+  interruptActiveDeployments,
   cleanupOldDeployments,
 
+  // Deployment jobs
+  createJob,
+  getJob,
+  getJobPayload,
+  listJobs,
+  getQueuedJobIds,
+  getCurrentJob,
+  startJob,
+  finishJob,
+  interruptRunningJobs,
+  acquireRunLocks,
+  releaseRunLocks,
+  releaseStaleRunLocks,
+  getRunLocks,
+  addJobEvent,
+  getJobEvents,
+  getLastJobEvent,
+
+  // Idempotency keys of step runs
+  reserveIdempotencyKey,
+  setIdempotencyKeyJob,
+  releaseIdempotencyKey,
+  releasePendingIdempotencyKeys,
+
+  // Deployment run history
+  createRun,
+  finishRun,
+  getRun,
+  getJobRun,
+  listRuns,
+  getActiveRunIds,
+  interruptRunningRuns,
+
+  // Deploy-all orchestrations and session events
+  createOrchestration,
+  getOrchestration,
+  getLatestOrchestration,
+  updateOrchestration,
+  interruptRunningOrchestrations,
+  addSessionEvent,
+  getSessionEvents,
+  getLastSessionEventId,
+
+  // Users
+  createUser,
+  getUser,
+  getUserCredentials,
+  listUsers,
+  countUsers,
+  updateUser,
+  recordLogin,
+  deleteUser,
+
+  // Login sessions
+  createAuthSession,
+  getAuthSessionUser,
+  deleteAuthSession,
+  deleteUserAuthSessions,
+  cleanupExpiredAuthSessions,
+
+  // API tokens
+  createApiToken,
+  getApiToken,
+  listApiTokens,
+  getApiTokenUser,
+  deleteApiToken,
+
+  // Webhooks
+  createWebhook,
+  getWebhook,
+  getWebhookSecret,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookSubscribers,
+  createWebhookDelivery,
+  getWebhookDelivery,
+  listWebhookDeliveries,
+  getDueWebhookDeliveries,
+  getNextWebhookDeliveryDelay,
+  recordWebhookAttempt,
+  retryWebhookDelivery,
+  cancelWebhookDeliveries,
+  pruneWebhookDeliveries,
+
+  // Audit
+  addAuditEvent,
+  listAuditEvents,
+
   // Global settings
   getAllSettings,
   getSettingsByCategory,
@@ -1122,6 +3100,12 @@ module.exports = {
   resetSetting,
   resetAllSettings,
 
+  // Encryption key rotation
+  getKeyring,
+  saveKeyringFile,
+  getEncryptionStatus,
+  rotateEncryptionKey,
+
   // Utilities
   generateSessionId,
   encrypt,
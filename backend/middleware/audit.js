@@ -0,0 +1,350 @@
+/**
+ * Audit Middleware
+ * Appends an audit event (actor, IP, action, target, outcome) for every change, every
+ * sign-in (successful or not) and every read that can return secrets: session details,
+ * exports and file downloads.
+ * The event is written when the response has been sent, so it records the status
+ * code, including requests that were denied (403) or failed.
+ */
+
+const db = require('../database');
+const { hasRole } = require('../services/authService');
+
+// Outcome of an audited request, by response status code
+const AUDIT_OUTCOMES = ['success', 'denied', 'failure'];
+
+// Audited requests per mounted resource: [method, path (relative to the mount), action]
+const AUDIT_RULES = {
+  sessions: [
+    ['POST', '/import', 'session.import'],
+    ['POST', '/', 'session.create'],
+    ['GET', '/:sessionId', 'session.view'],
+    ['PATCH', '/:sessionId', 'session.update'],
+    ['DELETE', '/:sessionId', 'session.delete'],
+    ['POST', '/:sessionId/servers/:stepId', 'servers.save'],
+    ['DELETE', '/:sessionId/servers/:serverId', 'servers.remove'],
+    ['POST', '/:sessionId/credentials/:service', 'credentials.save'],
+    ['POST', '/:sessionId/steps/:stepId/complete', 'step.complete'],
+    ['POST', '/:sessionId/steps/:stepId/mode', 'step.mode'],
+    ['POST', '/:sessionId/steps/:stepId/cancel', 'step.cancel'],
+    ['POST', '/:sessionId/steps/:stepId/run', 'step.run'],
+    ['POST', '/:sessionId/deploy-all', 'deploy_all.start'],
+    ['POST', '/:sessionId/deploy-all/pause', 'deploy_all.pause'],
+    ['POST', '/:sessionId/deploy-all/resume', 'deploy_all.resume'],
+    ['POST', '/:sessionId/ssl-config', 'config.ssl'],
+    ['POST', '/:sessionId/nfs-config', 'config.nfs'],
+    ['POST', '/:sessionId/lb-config', 'config.lb'],
+    ['POST', '/:sessionId/execution-options', 'config.execution_options'],
+    ['POST', '/:sessionId/steps/:stepId/execution-options', 'config.execution_options'],
+    ['POST', '/:sessionId/jump-host', 'config.jump_host'],
+    ['POST', '/:sessionId/host-keys/confirm', 'host_keys.confirm'],
+    ['POST', '/:sessionId/host-keys/retrust', 'host_keys.retrust'],
+    ['POST', '/:sessionId/files', 'file.upload'],
+    ['GET', '/:sessionId/files/:fileId/download', 'file.download'],
+    ['POST', '/:sessionId/export', 'session.export'],
+    ['POST', '/:sessionId/export-full', 'session.export_full'],
+    ['POST', '/:sessionId/export-plain', 'session.export_plain'],
+    ['POST', '/:sessionId/cleanup', 'session.cleanup']
+  ],
+  settings: [
+    ['POST', '/reset-all', 'setting.reset_all'],
+    ['POST', '/', 'setting.create'],
+    ['PATCH', '/:key', 'setting.update'],
+    ['POST', '/:key/reset', 'setting.reset'],
+    ['DELETE', '/:key', 'setting.delete']
+  ],
+  playbook: [
+    ['POST', '/:playbook', 'playbook.run']
+  ],
+  jobs: [
+    ['POST', '/:jobId/cancel', 'job.cancel'],
+    ['DELETE', '/:jobId/locks', 'job.unlock']
+  ],
+  users: [
+    ['POST', '/', 'user.create'],
+    ['PATCH', '/:userId', 'user.update'],
+    ['DELETE', '/:userId', 'user.delete']
+  ],
+  auth: [
+    ['POST', '/login', 'auth.login'],
+    ['POST', '/password', 'auth.password'],
+    ['POST', '/tokens', 'token.create'],
+    ['DELETE', '/tokens/:tokenId', 'token.revoke']
+  ],
+  webhooks: [
+    ['POST', '/deliveries/:deliveryId/redeliver', 'webhook.redeliver'],
+    ['POST', '/', 'webhook.create'],
+    ['PATCH', '/:webhookId', 'webhook.update'],
+    ['DELETE', '/:webhookId', 'webhook.delete'],
+    ['POST', '/:webhookId/test', 'webhook.test']
+  ]
+};
+
+// Target type of a rule, by the last parameter in its path
+const TARGET_TYPES = {
+  sessionId: 'session',
+  stepId: 'step',
+  serverId: 'server',
+  service: 'credentials',
+  fileId: 'file',
+  key: 'setting',
+  playbook: 'playbook',
+  jobId: 'job',
+  userId: 'user',
+  webhookId: 'webhook',
+  deliveryId: 'webhook_delivery',
+  tokenId: 'token'
+};
+
+// Actions that create their target: target type and how to read its ID from the response
+const CREATED_TARGETS = {
+  'session.create': ['session', body => body.session && body.session.id],
+  'session.import': ['session', body => body.session && body.session.id],
+  'user.create': ['user', body => body.user && body.user.id],
+  'webhook.create': ['webhook', body => body.webhook && body.webhook.id],
+  'token.create': ['token', body => body.apiToken && body.apiToken.id]
+};
+
+/**
+ * Compile a rule path ('/:sessionId/files/:fileId/download') into a matcher
+ * @param {string} rulePath - Path with :param segments
+ * @returns {Function} (path) => params object or null
+ */
+function compilePath(rulePath) {
+  const names = [];
+  const pattern = rulePath.replace(/:(\w+)/g, (match, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  const regex = new RegExp(`^${pattern.replace(/\/$/, '')}/?$`);
+
+  return (path) => {
+    const match = regex.exec(path);
+    if (!match) return null;
+
+    const params = {};
+    names.forEach((name, index) => {
+      try {
+        params[name] = decodeURIComponent(match[index + 1]);
+      } catch (e) {
+        params[name] = match[index + 1];
+      }
+    });
+    return params;
+  };
+}
+
+const COMPILED_RULES = Object.fromEntries(
+  Object.entries(AUDIT_RULES).map(([resource, rules]) => [
+    resource,
+    rules.map(([method, rulePath, action]) => ({
+      method,
+      action,
+      match: compilePath(rulePath),
+      targetParam: (rulePath.match(/:(\w+)/g) || []).map(param => param.slice(1)).pop()
+    }))
+  ])
+);
+
+/**
+ * Find the audited action of a request
+ * Changes without a rule are still recorded (as '<resource>.<method>'); reads are only
+ * recorded when a rule lists them.
+ * @returns {object|null} { action, params, targetParam }
+ */
+function resolveAction(resource, method, path) {
+  for (const rule of COMPILED_RULES[resource] || []) {
+    if (rule.method !== method) continue;
+    const params = rule.match(path);
+    if (params) {
+      return { action: rule.action, params, targetParam: rule.targetParam };
+    }
+  }
+
+  if (method === 'GET' || method === 'HEAD' || method === 'OPTIONS') {
+    return null;
+  }
+  return { action: `${resource.replace(/s$/, '')}.${method.toLowerCase()}`, params: {}, targetParam: null };
+}
+
+/**
+ * Get the target of an audited request
+ * @returns {object} { targetType, targetId, sessionId }
+ */
+function getTarget(resource, resolved, req, body) {
+  const { action, params, targetParam } = resolved;
+  let targetType = TARGET_TYPES[targetParam] || null;
+  let targetId = targetParam ? params[targetParam] : null;
+
+  if (CREATED_TARGETS[action]) {
+    const [type, readId] = CREATED_TARGETS[action];
+    targetType = type;
+    targetId = (body && readId(body)) || null;
+  }
+
+  let sessionId = params.sessionId || null;
+  if (resource === 'playbook' || resource === 'webhooks') {
+    sessionId = req.body.sessionId || req.query.sessionId || null;
+  } else if (targetType === 'session') {
+    sessionId = targetId;
+  }
+
+  return { targetType, targetId, sessionId };
+}
+
+/**
+ * Classify a response status code
+ * @param {number} statusCode
+ * @returns {string} 'success' | 'denied' | 'failure'
+ */
+function getOutcome(statusCode) {
+  if (statusCode < 400) return 'success';
+  if (statusCode === 401 || statusCode === 403) return 'denied';
+  return 'failure';
+}
+
+/**
+ * Collect the details worth keeping for an action (never request values of secrets)
+ * @returns {object|null}
+ */
+function getDetails(action, req, body) {
+  const details = {};
+
+  if (action === 'playbook.run') {
+    details.mode = req.query.mode || req.body.mode || 'run';
+    details.jobId = body && (body.jobId || (body.job && body.job.id));
+  }
+  if (action === 'step.run') {
+    details.jobId = body && body.run && body.run.id;
+    details.idempotencyKey = req.get('Idempotency-Key');
+    details.saveCredentials = req.body.saveCredentials === false ? false : undefined;
+  }
+  if (action === 'session.view') {
+    // Viewers get server passwords and credentials masked (see sessionController.getSession)
+    details.secretsMasked = !hasRole(req.user.role, 'operator');
+  }
+  if (action === 'session.import') {
+    details.encrypted = req.body.bundle !== undefined;
+    details.dryRun = req.query.dryRun === 'true' || undefined;
+    details.fromVersion = body && body.fromVersion;
+  }
+  if (action === 'step.mode') {
+    details.mode = req.body.mode;
+  }
+  if (action === 'host_keys.confirm') {
+    details.confirmed = body && body.confirmed;
+  }
+  if (action === 'host_keys.retrust') {
+    details.host = `${req.body.hostname}:${req.body.port || 22}`;
+  }
+  if (action === 'job.unlock') {
+    details.released = body && body.released && body.released.map(lock => `${lock.type}:${lock.target}`);
+  }
+  if (action === 'webhook.create' || action === 'webhook.update') {
+    // Not the URL: endpoints such as chat webhooks carry their token in it
+    details.events = req.body.events;
+    details.enabled = req.body.enabled;
+    details.secretRotated = req.body.rotateSecret || undefined;
+  }
+  if (action === 'user.update' || action === 'user.create') {
+    details.role = req.body.role;
+    details.disabled = req.body.disabled;
+    details.passwordChanged = action === 'user.update' ? Boolean(req.body.password) : undefined;
+  }
+  if (body && typeof body.error === 'string') {
+    details.error = body.error;
+  }
+
+  const kept = Object.entries(details).filter(([, value]) => value !== undefined && value !== null);
+  return kept.length > 0 ? Object.fromEntries(kept) : null;
+}
+
+/**
+ * Get the actor of an audited request
+ * Sign-ins have no user yet: a successful one is recorded as the user it signed in, a
+ * failed one by the username it tried (without a user ID).
+ * @returns {object|null} { id, username, role, tokenId, authMethod }, null for requests
+ *   that were rejected before reaching the API (401)
+ */
+function getActor(action, req, body) {
+  if (req.user) {
+    return { ...req.user, authMethod: req.authMethod };
+  }
+  if (action !== 'auth.login') {
+    return null;
+  }
+  if (body && body.user) {
+    return { id: body.user.id, username: body.user.username, role: body.user.role, authMethod: 'password' };
+  }
+  return typeof req.body.username === 'string' && req.body.username
+    ? { username: req.body.username.slice(0, 100), authMethod: 'password' }
+    : null;
+}
+
+/**
+ * Audit requests to a mounted resource
+ * @param {string} resource - Key of AUDIT_RULES ('sessions', 'settings', ...)
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.use('/sessions', auditTrail('sessions'), sessionRoutes);
+ */
+function auditTrail(resource) {
+  return (req, res, next) => {
+    const resolved = resolveAction(resource, req.method, req.path);
+    if (!resolved) {
+      return next();
+    }
+
+    // SQLite datetime format, taken when the request starts (deployments can stream for long)
+    const createdAt = new Date().toISOString().replace('T', ' ').slice(0, 19);
+    const path = req.originalUrl.split('?')[0];
+
+    // Keep the JSON response to learn IDs created by the request (new session, queued job)
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    let recorded = false;
+    const record = () => {
+      const { action } = resolved;
+      const actor = getActor(action, req, responseBody);
+      if (recorded || !actor) return;
+      recorded = true;
+
+      try {
+        db.addAuditEvent({
+          createdAt,
+          userId: actor.id,
+          username: actor.username,
+          role: actor.role,
+          authMethod: actor.authMethod,
+          tokenId: actor.tokenId,
+          ip: req.ip,
+          action,
+          ...getTarget(resource, resolved, req, responseBody),
+          method: req.method,
+          path,
+          statusCode: res.statusCode,
+          outcome: getOutcome(res.statusCode),
+          details: getDetails(action, req, responseBody)
+        });
+      } catch (error) {
+        console.error(`[AUDIT] Failed to record ${action}: ${error.message}`);
+      }
+    };
+
+    // 'close' covers clients that disconnect from a streamed (SSE) run
+    res.on('finish', record);
+    res.on('close', record);
+    next();
+  };
+}
+
+module.exports = {
+  AUDIT_OUTCOMES,
+  auditTrail
+};
@@ -0,0 +1,99 @@
+/**
+ * Authentication Middleware
+ * Identifies the caller by an API token (Authorization: Bearer ...) or the login
+ * session cookie, and enforces the minimum role of a route.
+ */
+
+const config = require('../config');
+const { unauthorized, forbidden } = require('./errorHandler');
+const authService = require('../services/authService');
+
+/**
+ * Parse the Cookie header
+ * @param {string} header - Cookie header value
+ * @returns {object} Cookie name -> value
+ */
+function parseCookies(header = '') {
+  const cookies = {};
+  header.split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const name = part.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch (e) {
+        // Malformed value, ignore the cookie
+      }
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Get the login session token of a request
+ * @param {object} req - Express request object
+ * @returns {string|null}
+ */
+function getSessionToken(req) {
+  return parseCookies(req.headers.cookie)[config.auth.cookieName] || null;
+}
+
+/**
+ * Get the bearer token of a request
+ * @param {object} req - Express request object
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Require a signed-in user or a valid API token
+ * Sets req.user ({ id, username, role, ... }) and req.authMethod ('token' | 'session').
+ */
+function authenticate(req, res, next) {
+  const bearer = getBearerToken(req);
+  if (bearer) {
+    const user = authService.getTokenUser(bearer);
+    if (!user) {
+      return next(unauthorized('Invalid or expired API token'));
+    }
+    req.user = user;
+    req.authMethod = 'token';
+    return next();
+  }
+
+  const sessionToken = getSessionToken(req);
+  const user = sessionToken ? authService.getSessionUser(sessionToken) : null;
+  if (!user) {
+    return next(unauthorized(sessionToken ? 'Session expired, please sign in again' : 'Authentication required'));
+  }
+
+  req.user = user;
+  req.authMethod = 'session';
+  next();
+}
+
+/**
+ * Require a minimum role (viewer < operator < admin)
+ * @param {string} role - Minimum role
+ * @returns {Function} Express middleware
+ */
+function authorize(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(unauthorized());
+    }
+    if (!authService.hasRole(req.user.role, role)) {
+      return next(forbidden(`This action requires the ${role} role`));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  getSessionToken,
+  authenticate,
+  authorize
+};
@@ -7,9 +7,10 @@
  * Custom API Error class
  */
 class ApiError extends Error {
-  constructor(message, statusCode = 500) {
+  constructor(message, statusCode = 500, details = null) {
     super(message);
     this.statusCode = statusCode;
+    this.details = details;
     this.name = 'ApiError';
   }
 }
@@ -23,6 +24,24 @@ function badRequest(message) {
   return new ApiError(message, 400);
 }
 
+/**
+ * Create an unauthorized error (no or invalid credentials)
+ * @param {string} message - Error message
+ * @returns {ApiError}
+ */
+function unauthorized(message = 'Authentication required') {
+  return new ApiError(message, 401);
+}
+
+/**
+ * Create a forbidden error (authenticated, but the role is not sufficient)
+ * @param {string} message - Error message
+ * @returns {ApiError}
+ */
+function forbidden(message = 'Insufficient permissions') {
+  return new ApiError(message, 403);
+}
+
 /**
  * Create a not found error
  * @param {string} resource - Resource name
@@ -32,6 +51,16 @@ function notFound(resource = 'Resource') {
   return new ApiError(`${resource} not found`, 404);
 }
 
+/**
+ * Create a conflict error (request clashes with the resource's current state)
+ * @param {string} message - Error message
+ * @param {object} details - Fields added to the response (e.g. what holds a lock)
+ * @returns {ApiError}
+ */
+function conflict(message, details = null) {
+  return new ApiError(message, 409, details);
+}
+
 /**
  * Async handler wrapper to catch errors in async route handlers
  * @param {Function} fn - Async function to wrap
@@ -54,7 +83,7 @@ function errorHandler(err, req, res, next) {
   console.error('Error:', err.message);
 
   if (err instanceof ApiError) {
-    return res.status(err.statusCode).json({ error: err.message });
+    return res.status(err.statusCode).json({ error: err.message, ...err.details });
   }
 
   // Default to 500 internal server error
@@ -73,7 +102,10 @@ function notFoundHandler(req, res) {
 module.exports = {
   ApiError,
   badRequest,
+  unauthorized,
+  forbidden,
   notFound,
+  conflict,
   asyncHandler,
   errorHandler,
   notFoundHandler
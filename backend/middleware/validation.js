@@ -4,50 +4,171 @@
  */
 
 const { badRequest } = require('./errorHandler');
+const {
+  applyVariableDefaults,
+  validateVariables,
+  validateServerGroups,
+  validateGroupVars
+} = require('../services/playbookRegistry');
+const { ROLES, MIN_PASSWORD_LENGTH } = require('../services/authService');
+const { AUDIT_OUTCOMES } = require('./audit');
+const { MIN_PASSPHRASE_LENGTH, isEncryptedBundle } = require('../utils/exportBundleHelper');
+const { validateExecutionOptions: getExecutionOptionErrors } = require('../services/executionOptions');
+const { WEBHOOK_EVENTS } = require('../services/webhookService');
+
+// Statuses of webhook deliveries
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'cancelled'];
+
+// Idempotency-Key header values: visible ASCII characters
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
 
 /**
  * Validate servers array in request body
  */
 function validateServers(req, res, next) {
-  const { servers } = req.body;
+  const error = getServersError(req.body.servers);
+  if (error) {
+    return next(badRequest(error));
+  }
+
+  next();
+}
 
+/**
+ * Check a servers array of a request
+ * @param {*} servers - Servers
+ * @returns {string|null} Error message
+ */
+function getServersError(servers) {
   if (!servers || !Array.isArray(servers) || servers.length === 0) {
-    return next(badRequest('Servers array is required'));
+    return 'Servers array is required';
   }
 
   // Validate each server has required fields
   for (let i = 0; i < servers.length; i++) {
     const server = servers[i];
     if (!server.hostname) {
-      return next(badRequest(`Server ${i + 1}: hostname is required`));
+      return `Server ${i + 1}: hostname is required`;
+    }
+    if (server.roles !== undefined &&
+      (!Array.isArray(server.roles) || server.roles.some(role => typeof role !== 'string'))) {
+      return `Server ${i + 1}: roles must be an array of strings`;
     }
   }
 
-  next();
+  return null;
+}
+
+/**
+ * Check the scope of a retry: limit (hostnames among the request's servers) and startAtTask
+ * @param {object} body - Request body
+ * @returns {Array<string>} Error messages
+ */
+function getRunScopeErrors({ servers = [], limit, startAtTask }) {
+  const errors = [];
+
+  if (limit !== undefined) {
+    if (!Array.isArray(limit) || limit.some(host => typeof host !== 'string' || host.trim() === '')) {
+      errors.push('limit must be an array of hostnames');
+    } else {
+      const unknown = limit.filter(host => !servers.some(server => server.hostname === host));
+      if (unknown.length > 0) {
+        errors.push(`limit: ${unknown.join(', ')} not among the servers`);
+      }
+    }
+  }
+  if (startAtTask !== undefined && startAtTask !== null &&
+    (typeof startAtTask !== 'string' || startAtTask.trim() === '')) {
+    errors.push('startAtTask must be a task name');
+  }
+
+  return errors;
 }
 
 /**
- * Validate NFS variables
+ * Check a jump host (null or {} for none)
+ * Hostname and user end up in the ProxyCommand, so only plain names are accepted.
+ * @param {*} jumpHost - { hostname, ssh_port, ssh_user, ssh_auth_type, password, ssh_key, ssh_key_passphrase }
+ * @returns {Array<string>} Error messages
  */
-function validateNfsVariables(req, res, next) {
-  const { variables = {} } = req.body;
+function getJumpHostErrors(jumpHost) {
+  if (jumpHost === null) return [];
+  if (typeof jumpHost !== 'object' || Array.isArray(jumpHost)) {
+    return ['jumpHost must be an object'];
+  }
+  if (Object.keys(jumpHost).length === 0) return [];
 
-  if (!variables.disk_device || !variables.client_ip_range) {
-    return next(badRequest('Variables disk_device and client_ip_range are required'));
+  const errors = [];
+  const { hostname, ssh_port: port, ssh_user: user, ssh_auth_type: authType = 'key' } = jumpHost;
+  if (typeof hostname !== 'string' || !/^[A-Za-z0-9.-]+$/.test(hostname)) {
+    errors.push('jumpHost: hostname must be a host name or IPv4 address');
+  }
+  if (port !== undefined && !(Number.isInteger(Number(port)) && Number(port) >= 1 && Number(port) <= 65535)) {
+    errors.push('jumpHost: ssh_port must be a port number');
   }
+  if (user !== undefined && (typeof user !== 'string' || !/^[A-Za-z0-9._-]+$/.test(user))) {
+    errors.push('jumpHost: ssh_user must be a user name');
+  }
+  if (!['key', 'password'].includes(authType)) {
+    errors.push("jumpHost: ssh_auth_type must be 'key' or 'password'");
+  } else if (authType === 'key' ? !jumpHost.ssh_key : !jumpHost.password) {
+    errors.push(`jumpHost: ${authType === 'key' ? 'SSH private key' : 'SSH password'} is required`);
+  }
+  return errors;
+}
 
-  next();
+/**
+ * Create a validator for a playbook's manifest
+ * Applies the declared variable defaults, then checks variable types, required
+ * variables, the minimum number of servers per inventory group, the group vars and
+ * the scope of a retry (limit, startAtTask).
+ * @param {object} manifest - Playbook manifest (services/playbookRegistry)
+ * @returns {Function} Express middleware
+ */
+function validatePlaybookRequest(manifest) {
+  return (req, res, next) => {
+    req.body.variables = applyVariableDefaults(manifest, req.body.variables);
+
+    const errors = [
+      ...validateServerGroups(manifest, req.body.servers),
+      ...validateVariables(manifest, req.body.variables),
+      ...validateGroupVars(manifest, req.body.servers, req.body.groupVars ?? {}),
+      ...getRunScopeErrors(req.body),
+      ...(req.body.executionOptions !== undefined ? getExecutionOptionErrors(req.body.executionOptions) : []),
+      ...(req.body.jumpHost !== undefined ? getJumpHostErrors(req.body.jumpHost) : [])
+    ];
+    if (errors.length > 0) {
+      return next(badRequest(errors.join('; ')));
+    }
+
+    next();
+  };
 }
 
 /**
- * Validate Kubernetes has at least one master
+ * Validate a run of a session step: the optional servers, variables and execution options
+ * that replace the stored ones, and the Idempotency-Key header
  */
-function validateKubernetesMaster(req, res, next) {
-  const { servers } = req.body;
+function validateStepRun(req, res, next) {
+  const { servers, variables, executionOptions, saveCredentials } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key');
 
-  const hasMaster = servers.some(s => s.role === 'master');
-  if (!hasMaster) {
-    return next(badRequest('At least one master node is required'));
+  if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    return next(badRequest('Idempotency-Key must be 1-255 printable characters without spaces'));
+  }
+  const serversError = servers !== undefined ? getServersError(servers) : null;
+  if (serversError) {
+    return next(badRequest(serversError));
+  }
+  if (variables !== undefined && (!variables || typeof variables !== 'object' || Array.isArray(variables))) {
+    return next(badRequest('variables must be an object'));
+  }
+  if (saveCredentials !== undefined && typeof saveCredentials !== 'boolean') {
+    return next(badRequest('saveCredentials must be true or false'));
+  }
+  const errors = executionOptions !== undefined ? getExecutionOptionErrors(executionOptions) : [];
+  if (errors.length > 0) {
+    return next(badRequest(errors.join('; ')));
   }
 
   next();
@@ -105,6 +226,60 @@ function validateSSLConfig(req, res, next) {
   next();
 }
 
+/**
+ * Validate the execution options to store (a partial set, see services/executionOptions)
+ */
+function validateExecutionOptions(req, res, next) {
+  const errors = getExecutionOptionErrors(req.body.options);
+  if (errors.length > 0) {
+    return next(badRequest(errors.join('; ')));
+  }
+
+  next();
+}
+
+/**
+ * Validate the jump host to store for a session (null or {} removes it)
+ */
+function validateJumpHost(req, res, next) {
+  if (req.body.jumpHost === undefined) {
+    return next(badRequest('jumpHost is required'));
+  }
+  const errors = getJumpHostErrors(req.body.jumpHost);
+  if (errors.length > 0) {
+    return next(badRequest(errors.join('; ')));
+  }
+
+  next();
+}
+
+/**
+ * Validate the host keys to confirm (optional IDs, all unconfirmed keys without)
+ */
+function validateHostKeyConfirm(req, res, next) {
+  const { ids } = req.body;
+  if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id)))) {
+    return next(badRequest('ids must be an array of host key IDs'));
+  }
+
+  next();
+}
+
+/**
+ * Validate the server to re-trust ({ hostname, port })
+ */
+function validateHostRetrust(req, res, next) {
+  const { hostname, port } = req.body;
+  if (typeof hostname !== 'string' || hostname.trim() === '') {
+    return next(badRequest('hostname is required'));
+  }
+  if (port !== undefined && !(Number.isInteger(port) && port >= 1 && port <= 65535)) {
+    return next(badRequest('port must be a port number'));
+  }
+
+  next();
+}
+
 /**
  * Validate file upload fields
  */
@@ -118,6 +293,40 @@ function validateFileUpload(req, res, next) {
   next();
 }
 
+/**
+ * Validate the passphrase of an encrypted session export
+ */
+function validateExportPassphrase(req, res, next) {
+  const { passphrase } = req.body;
+
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return next(badRequest(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`));
+  }
+
+  next();
+}
+
+/**
+ * Validate session import: an encrypted bundle needs its passphrase
+ * (the export itself is checked against its schema by services/sessionTransferService)
+ */
+function validateSessionImport(req, res, next) {
+  const { bundle, passphrase } = req.body;
+
+  if (bundle !== undefined) {
+    if (!isEncryptedBundle(bundle)) {
+      return next(badRequest('Invalid import data: bundle is not an encrypted session bundle'));
+    }
+    if (typeof passphrase !== 'string' || !passphrase) {
+      return next(badRequest('Passphrase is required to import an encrypted bundle'));
+    }
+  } else if (isEncryptedBundle(req.body)) {
+    return next(badRequest('Send encrypted bundles as { bundle, passphrase }'));
+  }
+
+  next();
+}
+
 /**
  * Validate setting value
  */
@@ -127,6 +336,10 @@ function validateSettingValue(req, res, next) {
   if (value === undefined) {
     return next(badRequest('Value is required'));
   }
+  const positiveSettings = ['step_parallelism', 'webhook_max_attempts', 'webhook_timeout'];
+  if (positiveSettings.includes(req.params.key) && !/^[1-9]\d*$/.test(String(value))) {
+    return next(badRequest(`${req.params.key} must be a positive whole number`));
+  }
 
   next();
 }
@@ -144,15 +357,274 @@ function validateNewSetting(req, res, next) {
   next();
 }
 
+/**
+ * Check a new password against the password policy
+ * @param {*} password - Password from the request
+ * @returns {string|null} Error message
+ */
+function getPasswordError(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validate login request
+ */
+function validateLogin(req, res, next) {
+  const { username, password } = req.body;
+
+  if (typeof username !== 'string' || !username || typeof password !== 'string' || !password) {
+    return next(badRequest('Username and password are required'));
+  }
+
+  next();
+}
+
+/**
+ * Validate new user request
+ */
+function validateNewUser(req, res, next) {
+  const { username, password, role } = req.body;
+
+  if (typeof username !== 'string' || !/^[A-Za-z0-9._@-]{3,64}$/.test(username)) {
+    return next(badRequest('Username must be 3-64 characters: letters, digits, ".", "_", "@" or "-"'));
+  }
+  if (!ROLES.includes(role)) {
+    return next(badRequest(`Role must be one of: ${ROLES.join(', ')}`));
+  }
+
+  const passwordError = getPasswordError(password);
+  if (passwordError) {
+    return next(badRequest(passwordError));
+  }
+
+  next();
+}
+
+/**
+ * Validate user update request
+ */
+function validateUserUpdate(req, res, next) {
+  const { role, password, disabled } = req.body;
+
+  if (role === undefined && password === undefined && disabled === undefined) {
+    return next(badRequest('Nothing to update (role, password or disabled)'));
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    return next(badRequest(`Role must be one of: ${ROLES.join(', ')}`));
+  }
+  if (disabled !== undefined && typeof disabled !== 'boolean') {
+    return next(badRequest('disabled must be a boolean'));
+  }
+
+  const passwordError = password !== undefined && getPasswordError(password);
+  if (passwordError) {
+    return next(badRequest(passwordError));
+  }
+
+  next();
+}
+
+/**
+ * Validate password change request
+ */
+function validatePasswordChange(req, res, next) {
+  const { currentPassword, newPassword } = req.body;
+
+  if (typeof currentPassword !== 'string' || !currentPassword) {
+    return next(badRequest('Current password is required'));
+  }
+
+  const passwordError = getPasswordError(newPassword);
+  if (passwordError) {
+    return next(badRequest(passwordError));
+  }
+
+  next();
+}
+
+/**
+ * Validate new API token request
+ */
+function validateApiToken(req, res, next) {
+  const { name, role, expiresInDays } = req.body;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return next(badRequest('Token name is required'));
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    return next(badRequest(`Role must be one of: ${ROLES.join(', ')}`));
+  }
+  if (expiresInDays !== undefined && expiresInDays !== null &&
+    (!Number.isInteger(expiresInDays) || expiresInDays < 1)) {
+    return next(badRequest('expiresInDays must be a positive integer'));
+  }
+
+  next();
+}
+
+/**
+ * Get the problem with the fields of a webhook that are sent
+ * @param {object} body - { url, events, description, enabled, secret }
+ * @returns {string|null} Error message
+ */
+function getWebhookError({ url, events, description, enabled, secret }) {
+  if (url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      // Reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url must be an http or https URL';
+    }
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return `Unknown webhook events: ${unknown.join(', ')} (use ${WEBHOOK_EVENTS.join(', ')})`;
+    }
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    return 'secret must be at least 16 characters';
+  }
+  return null;
+}
+
+/**
+ * Validate new webhook request
+ */
+function validateNewWebhook(req, res, next) {
+  const { url, events, sessionId } = req.body;
+
+  if (url === undefined || events === undefined) {
+    return next(badRequest('url and events are required'));
+  }
+  if (sessionId !== undefined && sessionId !== null && typeof sessionId !== 'string') {
+    return next(badRequest('sessionId must be a string'));
+  }
+
+  const error = getWebhookError(req.body);
+  next(error ? badRequest(error) : undefined);
+}
+
+/**
+ * Validate webhook update request (the session of a webhook cannot change)
+ */
+function validateWebhookUpdate(req, res, next) {
+  const { url, events, description, enabled, rotateSecret } = req.body;
+
+  if ([url, events, description, enabled, rotateSecret].every(value => value === undefined)) {
+    return next(badRequest('Nothing to update (url, events, description, enabled or rotateSecret)'));
+  }
+  if (rotateSecret !== undefined && typeof rotateSecret !== 'boolean') {
+    return next(badRequest('rotateSecret must be a boolean'));
+  }
+
+  const error = getWebhookError({ url, events, description, enabled });
+  next(error ? badRequest(error) : undefined);
+}
+
+/**
+ * Validate webhook delivery log filters
+ */
+function validateDeliveryQuery(req, res, next) {
+  const { status, limit } = req.query;
+
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return next(badRequest(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`));
+  }
+  if (limit !== undefined) {
+    req.query.limit = Number(limit);
+    if (!Number.isInteger(req.query.limit) || req.query.limit < 1 || req.query.limit > 500) {
+      return next(badRequest('limit must be an integer between 1 and 500'));
+    }
+  }
+
+  next();
+}
+
+/**
+ * Convert an ISO 8601 timestamp to the SQLite datetime format of stored timestamps (UTC)
+ * @param {string} value - e.g. '2026-10-19' or '2026-10-19T08:00:00Z'
+ * @returns {string|null} 'YYYY-MM-DD HH:MM:SS', or null if invalid
+ */
+function toSqliteDatetime(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Validate audit log filters
+ * Normalizes ?from= and ?to= to stored timestamps, and ?limit= / ?before= to integers.
+ */
+function validateAuditQuery(req, res, next) {
+  const { from, to, outcome, limit, before } = req.query;
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined) {
+      const datetime = toSqliteDatetime(value);
+      if (!datetime) {
+        return next(badRequest(`${name} must be an ISO 8601 date or timestamp`));
+      }
+      req.query[name] = datetime;
+    }
+  }
+  if (outcome !== undefined && !AUDIT_OUTCOMES.includes(outcome)) {
+    return next(badRequest(`outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}`));
+  }
+  if (limit !== undefined) {
+    req.query.limit = Number(limit);
+    if (!Number.isInteger(req.query.limit) || req.query.limit < 1 || req.query.limit > 500) {
+      return next(badRequest('limit must be an integer between 1 and 500'));
+    }
+  }
+  if (before !== undefined) {
+    req.query.before = Number(before);
+    if (!Number.isInteger(req.query.before) || req.query.before < 1) {
+      return next(badRequest('before must be a positive event ID'));
+    }
+  }
+
+  next();
+}
+
 module.exports = {
   validateServers,
-  validateNfsVariables,
-  validateKubernetesMaster,
+  validatePlaybookRequest,
+  validateStepRun,
   validateSessionId,
   validateCredentials,
   validateMode,
   validateSSLConfig,
+  validateExecutionOptions,
+  validateJumpHost,
+  validateHostKeyConfirm,
+  validateHostRetrust,
   validateFileUpload,
+  validateExportPassphrase,
+  validateSessionImport,
   validateSettingValue,
-  validateNewSetting
+  validateNewSetting,
+  validateLogin,
+  validateNewUser,
+  validateUserUpdate,
+  validatePasswordChange,
+  validateApiToken,
+  validateAuditQuery,
+  validateNewWebhook,
+  validateWebhookUpdate,
+  validateDeliveryQuery
 };
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Encryption key rotation
+ * Adds a new active key and re-encrypts every stored secret (server passwords and keys,
+ * credentials, SSL certificates, generated files, job payloads) with it in one transaction.
+ * Legacy AES-256-CBC values are converted to AES-256-GCM on the way.
+ *
+ * Stop the server first: a running server keeps encrypting with the key it loaded.
+ *
+ * Usage:
+ *   npm run rotate-key                Rotate to a new generated key (old keys stay readable)
+ *   npm run rotate-key -- --retire    Rotate, then remove the old keys
+ *   npm run rotate-key -- --status    Show the keys and how many values each one encrypts
+ *
+ * Set STACKBILL_NEW_ENCRYPTION_KEY to rotate to a given key instead of a generated one.
+ */
+
+const db = require('./database');
+const {
+  ACTIVE_KEY_ENV,
+  OLD_KEYS_ENV,
+  generateKeySecret,
+  addActiveKey,
+  retireOldKeys
+} = require('./utils/encryptionHelper');
+
+const NEW_KEY_ENV = 'STACKBILL_NEW_ENCRYPTION_KEY';
+
+function printStatus() {
+  const keyring = db.getKeyring();
+  console.log(`Keys (${keyring.source === 'env' ? ACTIVE_KEY_ENV + ' / ' + OLD_KEYS_ENV : 'data/.encryption_key'}):`);
+  for (const id of keyring.keys.keys()) {
+    const labels = [
+      id === keyring.activeKeyId ? 'active' : null,
+      id === keyring.legacyKeyId ? 'decrypts legacy CBC values' : null
+    ].filter(Boolean);
+    console.log(`  ${id}${labels.length ? ` (${labels.join(', ')})` : ''}`);
+  }
+
+  console.log('\nEncrypted values by key:');
+  for (const [table, counts] of Object.entries(db.getEncryptionStatus())) {
+    const summary = Object.entries(counts).map(([id, count]) => `${id}: ${count}`).join(', ');
+    console.log(`  ${table}: ${summary || 'none'}`);
+  }
+}
+
+/**
+ * Check that every stored value uses the active key (references to Vault use none)
+ */
+function usesOnlyActiveKey() {
+  const { activeKeyId } = db.getKeyring();
+  return Object.values(db.getEncryptionStatus())
+    .every(counts => Object.keys(counts).every(id => id === activeKeyId || id === 'vault'));
+}
+
+function rotate(retire) {
+  const previous = db.getKeyring();
+  let next = addActiveKey(previous, process.env[NEW_KEY_ENV] || generateKeySecret());
+  if (next.activeKeyId === previous.activeKeyId) {
+    throw new Error(`${NEW_KEY_ENV} is the key already in use`);
+  }
+
+  // Keep the new key on disk before any value depends on it
+  if (previous.source === 'file') {
+    db.saveKeyringFile(next);
+  }
+
+  let counts;
+  try {
+    counts = db.rotateEncryptionKey(next);
+  } catch (e) {
+    if (previous.source === 'file') {
+      db.saveKeyringFile(previous);
+    }
+    throw e;
+  }
+
+  console.log(`✅ Re-encrypted with key ${next.activeKeyId}:`);
+  for (const [table, count] of Object.entries(counts)) {
+    console.log(`   ${table}: ${count}`);
+  }
+
+  if (retire) {
+    if (usesOnlyActiveKey()) {
+      next = retireOldKeys(next);
+      if (previous.source === 'file') {
+        db.saveKeyringFile(next);
+      }
+      console.log('✅ Old keys removed');
+    } else {
+      console.warn('⚠️  Some values still use an old key (was the server running?), the old keys were kept');
+    }
+  }
+
+  if (previous.source === 'env') {
+    const oldKeys = [...next.keys.values()]
+      .filter(entry => entry.id !== next.activeKeyId)
+      .map(entry => entry.secret);
+    console.log('\n⚠️  Keys come from the environment. Set these before starting the server:');
+    console.log(`   ${ACTIVE_KEY_ENV}=${next.keys.get(next.activeKeyId).secret}`);
+    console.log(`   ${OLD_KEYS_ENV}=${oldKeys.join(',')}`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--status')) {
+    printStatus();
+    return;
+  }
+
+  console.log('🔑 Rotating the encryption key (make sure the server is stopped)...\n');
+  rotate(args.includes('--retire'));
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ Key rotation failed, nothing was changed: ${error.message}`);
+  process.exitCode = 1;
+}
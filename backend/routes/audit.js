@@ -0,0 +1,24 @@
+/**
+ * Audit Routes
+ * /api/audit endpoints for the audit log of operator actions and secret reads
+ */
+
+const express = require('express');
+const router = express.Router();
+const { audit } = require('../controllers');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+const { validateAuditQuery } = require('../middleware/validation');
+
+/**
+ * @route   GET /api/audit
+ * @desc    List audit events (filter with ?username=, ?action=, ?sessionId=, ?outcome=, ?from=, ?to=, ...)
+ * @access  Admin
+ */
+router.get('/',
+  authorize('admin'),
+  validateAuditQuery,
+  asyncHandler(audit.listAuditEvents)
+);
+
+module.exports = router;
@@ -0,0 +1,73 @@
+/**
+ * Auth Routes
+ * /api/auth/* endpoints for login sessions and API tokens
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../controllers');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate } = require('../middleware/auth');
+const { validateLogin, validatePasswordChange, validateApiToken } = require('../middleware/validation');
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Sign in and receive the session cookie
+ * @access  Public
+ */
+router.post('/login',
+  validateLogin,
+  asyncHandler(auth.login)
+);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    End the login session
+ * @access  Public
+ */
+router.post('/logout', asyncHandler(auth.logout));
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the signed-in user and role
+ * @access  Viewer
+ */
+router.get('/me', authenticate, asyncHandler(auth.getCurrentUser));
+
+/**
+ * @route   POST /api/auth/password
+ * @desc    Change own password
+ * @access  Viewer
+ */
+router.post('/password',
+  authenticate,
+  validatePasswordChange,
+  asyncHandler(auth.changePassword)
+);
+
+/**
+ * @route   GET /api/auth/tokens
+ * @desc    List own API tokens (?all=true lists every user's tokens, admin only)
+ * @access  Viewer
+ */
+router.get('/tokens', authenticate, asyncHandler(auth.listTokens));
+
+/**
+ * @route   POST /api/auth/tokens
+ * @desc    Create an API token (returned once)
+ * @access  Viewer (the token's role cannot exceed the caller's)
+ */
+router.post('/tokens',
+  authenticate,
+  validateApiToken,
+  asyncHandler(auth.createToken)
+);
+
+/**
+ * @route   DELETE /api/auth/tokens/:tokenId
+ * @desc    Revoke an API token
+ * @access  Viewer (own tokens), Admin (any token)
+ */
+router.delete('/tokens/:tokenId', authenticate, asyncHandler(auth.revokeToken));
+
+module.exports = router;
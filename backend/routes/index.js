@@ -6,16 +6,36 @@
 const express = require('express');
 const router = express.Router();
 
+const { authenticate } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+
 // Import route modules
 const healthRoutes = require('./health');
+const authRoutes = require('./auth');
+const userRoutes = require('./users');
+const auditRoutes = require('./audit');
 const playbookRoutes = require('./playbook');
+const jobRoutes = require('./jobs');
 const sessionRoutes = require('./sessions');
+const stepRoutes = require('./steps');
 const settingsRoutes = require('./settings');
+const webhookRoutes = require('./webhooks');
 
-// Mount routes
+// Public routes (login is public; the other auth routes authenticate themselves)
 router.use('/health', healthRoutes);
-router.use('/playbook', playbookRoutes);
-router.use('/sessions', sessionRoutes);
-router.use('/settings', settingsRoutes);
+router.use('/auth', auditTrail('auth'), authRoutes);
+
+// Everything else needs a login session or an API token; the routes check the role
+router.use(authenticate);
+
+// Changes and secret reads are recorded in the audit log (see middleware/audit)
+router.use('/users', auditTrail('users'), userRoutes);
+router.use('/audit', auditRoutes);
+router.use('/playbook', auditTrail('playbook'), playbookRoutes);
+router.use('/jobs', auditTrail('jobs'), jobRoutes);
+router.use('/sessions', auditTrail('sessions'), sessionRoutes);
+router.use('/steps', stepRoutes);
+router.use('/settings', auditTrail('settings'), settingsRoutes);
+router.use('/webhooks', auditTrail('webhooks'), webhookRoutes);
 
 module.exports = router;
@@ -0,0 +1,55 @@
+/**
+ * Job Routes
+ * /api/jobs/* endpoints for queued playbook executions
+ */
+
+const express = require('express');
+const router = express.Router();
+const { job } = require('../controllers');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List jobs (filter with ?sessionId=, ?stepId=, ?status=)
+ * @access  Viewer
+ */
+router.get('/', authorize('viewer'), asyncHandler(job.listJobs));
+
+/**
+ * @route   GET /api/jobs/locks
+ * @desc    List the session steps and hosts locked by queued and running jobs (?sessionId=)
+ * @access  Viewer
+ */
+router.get('/locks', authorize('viewer'), asyncHandler(job.listLocks));
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Get job status
+ * @access  Viewer
+ */
+router.get('/:id', authorize('viewer'), asyncHandler(job.getJob));
+
+/**
+ * @route   GET /api/jobs/:id/events
+ * @desc    Attach to a job's event stream (SSE), replaying past events
+ * @access  Viewer
+ * @streaming Resume with ?after=<seq> or the Last-Event-ID header
+ */
+router.get('/:id/events', authorize('viewer'), asyncHandler(job.streamJobEvents));
+
+/**
+ * @route   POST /api/jobs/:id/cancel
+ * @desc    Cancel a queued or running job
+ * @access  Operator
+ */
+router.post('/:id/cancel', authorize('operator'), asyncHandler(job.cancelJob));
+
+/**
+ * @route   DELETE /api/jobs/:id/locks
+ * @desc    Release a job's step and host locks (override a stale lock; the job is not stopped)
+ * @access  Admin
+ */
+router.delete('/:id/locks', authorize('admin'), asyncHandler(job.releaseLocks));
+
+module.exports = router;
@@ -1,147 +1,65 @@
 /**
  * Playbook Routes
  * /api/playbook/* endpoints for Ansible playbook execution
+ *
+ * One POST /api/playbook/<id> route is generated for every playbook manifest
+ * (ansible/<dir>/manifest.json, see services/playbookRegistry).
+ * Every POST queues a persisted job (see /api/jobs) and returns 202 with its ID.
+ * Use ?stream=true to attach to the job over SSE, or ?wait=true to block until it finishes.
+ * Use ?mode=check (optionally &diff=true) to preview changes with ansible-playbook --check --diff.
  */
 
 const express = require('express');
 const router = express.Router();
 const { playbook } = require('../controllers');
 const { asyncHandler } = require('../middleware/errorHandler');
-const {
-  validateServers,
-  validateNfsVariables,
-  validateKubernetesMaster
-} = require('../middleware/validation');
+const { authorize } = require('../middleware/auth');
+const { validateServers, validatePlaybookRequest } = require('../middleware/validation');
+const playbookRegistry = require('../services/playbookRegistry');
 
 /**
- * @route   POST /api/playbook/mysql
- * @desc    Execute MySQL installation playbook
- * @access  Public
- * @streaming Supports SSE with ?stream=true
- */
-router.post('/mysql',
-  validateServers,
-  asyncHandler(playbook.executeMysql)
-);
-
-/**
- * @route   POST /api/playbook/mongodb
- * @desc    Execute MongoDB installation playbook
- * @access  Public
- * @streaming Supports SSE with ?stream=true
- */
-router.post('/mongodb',
-  validateServers,
-  asyncHandler(playbook.executeMongodb)
-);
-
-/**
- * @route   POST /api/playbook/nfs
- * @desc    Execute NFS server installation playbook
- * @access  Public
- * @requires disk_device and client_ip_range variables
- * @streaming Supports SSE with ?stream=true
- */
-router.post('/nfs',
-  validateServers,
-  validateNfsVariables,
-  asyncHandler(playbook.executeNfs)
-);
-
-/**
- * @route   POST /api/playbook/rabbitmq
- * @desc    Execute RabbitMQ installation playbook
- * @access  Public
- * @streaming Supports SSE with ?stream=true
- */
-router.post('/rabbitmq',
-  validateServers,
-  asyncHandler(playbook.executeRabbitmq)
-);
-
-/**
- * @route   POST /api/playbook/env-check
- * @desc    Execute environment verification playbook
- * @access  Public
- * @streaming Supports SSE with ?stream=true
+ * @route   GET /api/playbook
+ * @desc    List registered playbooks with their manifests (wizard steps)
+ * @access  Viewer
  */
-router.post('/env-check',
-  validateServers,
-  asyncHandler(playbook.executeEnvCheck)
+router.get('/',
+  authorize('viewer'),
+  asyncHandler(playbook.listPlaybooks)
 );
 
 /**
- * @route   POST /api/playbook/kubernetes
- * @desc    Execute Kubernetes cluster setup playbook
- * @access  Public
- * @requires At least one server with role='master'
+ * @route   POST /api/playbook/:id
+ * @desc    Execute a registered playbook (mysql, mongodb, nfs, kubernetes, ...)
+ * @access  Operator
+ * @requires Variables and inventory groups declared as required in the manifest
  * @streaming Supports SSE with ?stream=true
  */
-router.post('/kubernetes',
-  validateServers,
-  validateKubernetesMaster,
-  asyncHandler(playbook.executeKubernetes)
-);
-
-/**
- * @route   POST /api/playbook/kubectl
- * @desc    Execute kubectl and Istio installation playbook
- * @access  Public
- * @streaming Supports SSE with ?stream=true
- */
-router.post('/kubectl',
-  validateServers,
-  asyncHandler(playbook.executeKubectl)
-);
-
-/**
- * @route   POST /api/playbook/helm
- * @desc    Execute Helm installation playbook
- * @access  Public
- * @streaming Supports SSE with ?stream=true
- */
-router.post('/helm',
-  validateServers,
-  asyncHandler(playbook.executeHelm)
-);
-
-/**
- * @route   POST /api/playbook/loadbalancer
- * @desc    Execute HAProxy load balancer installation playbook
- * @access  Public
- * @streaming Supports SSE with ?stream=true
- */
-router.post('/loadbalancer',
-  validateServers,
-  asyncHandler(playbook.executeLoadbalancer)
-);
-
-/**
- * @route   POST /api/playbook/stackbill
- * @desc    Execute StackBill application deployment playbook
- * @access  Public
- * @streaming Supports SSE with ?stream=true
- */
-router.post('/stackbill',
-  validateServers,
-  asyncHandler(playbook.executeStackbill)
-);
+for (const manifest of playbookRegistry.listPlaybooks()) {
+  router.post(`/${manifest.id}`,
+    authorize('operator'),
+    validateServers,
+    validatePlaybookRequest(manifest),
+    asyncHandler(playbook.createPlaybookHandler(manifest.id))
+  );
+}
 
 /**
  * @route   GET /api/playbook/status/:sessionId/:stepId
  * @desc    Get active deployment status for reconnection
- * @access  Public
+ * @access  Viewer
  */
 router.get('/status/:sessionId/:stepId',
+  authorize('viewer'),
   asyncHandler(playbook.getDeploymentStatus)
 );
 
 /**
  * @route   GET /api/playbook/active/:sessionId
  * @desc    Get all active deployments for a session
- * @access  Public
+ * @access  Viewer
  */
 router.get('/active/:sessionId',
+  authorize('viewer'),
   asyncHandler(playbook.getActiveDeployments)
 );
 
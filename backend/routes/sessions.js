@@ -5,14 +5,22 @@
 
 const express = require('express');
 const router = express.Router();
-const { session, server, credential, step, ssl, file, config } = require('../controllers');
+const { session, server, credential, step, run, orchestration, hostKey, ssl, file, config } = require('../controllers');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
 const {
   validateServers,
+  validateStepRun,
   validateCredentials,
   validateMode,
   validateSSLConfig,
-  validateFileUpload
+  validateExecutionOptions,
+  validateJumpHost,
+  validateHostKeyConfirm,
+  validateHostRetrust,
+  validateFileUpload,
+  validateExportPassphrase,
+  validateSessionImport
 } = require('../middleware/validation');
 
 // =====================================================
@@ -22,37 +30,44 @@ const {
 /**
  * @route   POST /api/sessions
  * @desc    Create a new deployment session
- * @access  Public
+ * @access  Operator
+ */
+router.post('/', authorize('operator'), asyncHandler(session.createSession));
+
+/**
+ * @route   POST /api/sessions/import
+ * @desc    Create a session from an encrypted bundle or a plain export (?dryRun=true only checks it)
+ * @access  Admin
  */
-router.post('/', asyncHandler(session.createSession));
+router.post('/import', authorize('admin'), validateSessionImport, asyncHandler(session.importSession));
 
 /**
  * @route   GET /api/sessions
  * @desc    List all deployment sessions
- * @access  Public
+ * @access  Viewer
  */
-router.get('/', asyncHandler(session.listSessions));
+router.get('/', authorize('viewer'), asyncHandler(session.listSessions));
 
 /**
  * @route   GET /api/sessions/:id
  * @desc    Get session by ID with full details
- * @access  Public
+ * @access  Viewer
  */
-router.get('/:id', asyncHandler(session.getSession));
+router.get('/:id', authorize('viewer'), asyncHandler(session.getSession));
 
 /**
  * @route   PATCH /api/sessions/:id
  * @desc    Update session properties
- * @access  Public
+ * @access  Operator
  */
-router.patch('/:id', asyncHandler(session.updateSession));
+router.patch('/:id', authorize('operator'), asyncHandler(session.updateSession));
 
 /**
  * @route   DELETE /api/sessions/:id
  * @desc    Delete a session and all related data
- * @access  Public
+ * @access  Operator
  */
-router.delete('/:id', asyncHandler(session.deleteSession));
+router.delete('/:id', authorize('operator'), asyncHandler(session.deleteSession));
 
 // =====================================================
 // SERVER MANAGEMENT
@@ -61,9 +76,10 @@ router.delete('/:id', asyncHandler(session.deleteSession));
 /**
  * @route   POST /api/sessions/:id/servers/:stepId
  * @desc    Save servers for a specific step
- * @access  Public
+ * @access  Operator
  */
 router.post('/:id/servers/:stepId',
+  authorize('operator'),
   validateServers,
   asyncHandler(server.saveServers)
 );
@@ -71,9 +87,9 @@ router.post('/:id/servers/:stepId',
 /**
  * @route   DELETE /api/sessions/:id/servers/:serverId
  * @desc    Remove a single server by ID
- * @access  Public
+ * @access  Operator
  */
-router.delete('/:id/servers/:serverId', asyncHandler(server.removeServer));
+router.delete('/:id/servers/:serverId', authorize('operator'), asyncHandler(server.removeServer));
 
 // =====================================================
 // CREDENTIAL MANAGEMENT
@@ -82,9 +98,10 @@ router.delete('/:id/servers/:serverId', asyncHandler(server.removeServer));
 /**
  * @route   POST /api/sessions/:id/credentials/:service
  * @desc    Save credentials for a service
- * @access  Public
+ * @access  Operator
  */
 router.post('/:id/credentials/:service',
+  authorize('operator'),
   validateCredentials,
   asyncHandler(credential.saveCredentials)
 );
@@ -96,20 +113,117 @@ router.post('/:id/credentials/:service',
 /**
  * @route   POST /api/sessions/:id/steps/:stepId/complete
  * @desc    Mark a step as completed
- * @access  Public
+ * @access  Operator
  */
-router.post('/:id/steps/:stepId/complete', asyncHandler(step.completeStep));
+router.post('/:id/steps/:stepId/complete', authorize('operator'), asyncHandler(step.completeStep));
 
 /**
  * @route   POST /api/sessions/:id/steps/:stepId/mode
  * @desc    Set the mode for a step
- * @access  Public
+ * @access  Operator
  */
 router.post('/:id/steps/:stepId/mode',
+  authorize('operator'),
   validateMode,
   asyncHandler(step.setStepMode)
 );
 
+/**
+ * @route   POST /api/sessions/:id/steps/:stepId/cancel
+ * @desc    Cancel the queued or running deployment of a step
+ * @access  Operator
+ */
+router.post('/:id/steps/:stepId/cancel', authorize('operator'), asyncHandler(step.cancelStep));
+
+/**
+ * @route   POST /api/sessions/:id/steps/:stepId/run
+ * @desc    Queue a run of the step from the session's stored servers and config (Idempotency-Key header)
+ * @access  Operator
+ */
+router.post('/:id/steps/:stepId/run',
+  authorize('operator'),
+  validateStepRun,
+  asyncHandler(step.runStep)
+);
+
+/**
+ * @route   GET /api/sessions/:id/steps/:stepId/runs/:jobId
+ * @desc    Poll a run of the step (status, failed hosts, names of saved credentials)
+ * @access  Viewer
+ */
+router.get('/:id/steps/:stepId/runs/:jobId', authorize('viewer'), asyncHandler(step.getStepRun));
+
+/**
+ * @route   GET /api/sessions/:id/steps/:stepId/inventory
+ * @desc    Preview the step's inventory from its saved servers (?format=ini|yaml|json, secrets masked)
+ * @access  Viewer
+ */
+router.get('/:id/steps/:stepId/inventory', authorize('viewer'), asyncHandler(step.getStepInventory));
+
+// =====================================================
+// DEPLOY ALL
+// =====================================================
+
+/**
+ * @route   POST /api/sessions/:id/deploy-all
+ * @desc    Deploy every remaining step on the server, in dependency order
+ * @access  Operator
+ */
+router.post('/:id/deploy-all', authorize('operator'), asyncHandler(orchestration.startDeployAll));
+
+/**
+ * @route   GET /api/sessions/:id/deploy-all
+ * @desc    Get the session's latest deploy-all
+ * @access  Viewer
+ */
+router.get('/:id/deploy-all', authorize('viewer'), asyncHandler(orchestration.getDeployAll));
+
+/**
+ * @route   POST /api/sessions/:id/deploy-all/pause
+ * @desc    Pause deploy-all (running steps finish, no new step starts)
+ * @access  Operator
+ */
+router.post('/:id/deploy-all/pause', authorize('operator'), asyncHandler(orchestration.pauseDeployAll));
+
+/**
+ * @route   POST /api/sessions/:id/deploy-all/resume
+ * @desc    Resume a paused or interrupted deploy-all from its failed step
+ * @access  Operator
+ */
+router.post('/:id/deploy-all/resume', authorize('operator'), asyncHandler(orchestration.resumeDeployAll));
+
+/**
+ * @route   GET /api/sessions/:id/events
+ * @desc    Session event stream (SSE) with deploy-all progress (?after= or Last-Event-ID to resume)
+ * @access  Viewer
+ */
+router.get('/:id/events', authorize('viewer'), asyncHandler(orchestration.streamSessionEvents));
+
+// =====================================================
+// RUN HISTORY
+// =====================================================
+
+/**
+ * @route   GET /api/sessions/:id/runs
+ * @desc    List deployment runs (every attempt of every step, ?stepId= to filter)
+ * @access  Viewer
+ */
+router.get('/:id/runs', authorize('viewer'), asyncHandler(run.listRuns));
+
+/**
+ * @route   GET /api/sessions/:id/runs/:runId
+ * @desc    Get a deployment run with its full output
+ * @access  Viewer
+ */
+router.get('/:id/runs/:runId', authorize('viewer'), asyncHandler(run.getRun));
+
+/**
+ * @route   GET /api/sessions/:id/runs/:runId/log
+ * @desc    Download a deployment run's output as a text file
+ * @access  Viewer
+ */
+router.get('/:id/runs/:runId/log', authorize('viewer'), asyncHandler(run.downloadRunLog));
+
 // =====================================================
 // SSL CONFIGURATION
 // =====================================================
@@ -117,9 +231,10 @@ router.post('/:id/steps/:stepId/mode',
 /**
  * @route   POST /api/sessions/:id/ssl-config
  * @desc    Save SSL configuration
- * @access  Public
+ * @access  Operator
  */
 router.post('/:id/ssl-config',
+  authorize('operator'),
   validateSSLConfig,
   asyncHandler(ssl.saveSSLConfig)
 );
@@ -131,16 +246,16 @@ router.post('/:id/ssl-config',
 /**
  * @route   POST /api/sessions/:id/nfs-config
  * @desc    Save NFS configuration
- * @access  Public
+ * @access  Operator
  */
-router.post('/:id/nfs-config', asyncHandler(config.saveNFSConfig));
+router.post('/:id/nfs-config', authorize('operator'), asyncHandler(config.saveNFSConfig));
 
 /**
  * @route   GET /api/sessions/:id/nfs-config
  * @desc    Get NFS configuration
- * @access  Public
+ * @access  Viewer
  */
-router.get('/:id/nfs-config', asyncHandler(config.getNFSConfig));
+router.get('/:id/nfs-config', authorize('viewer'), asyncHandler(config.getNFSConfig));
 
 // =====================================================
 // LOAD BALANCER CONFIGURATION
@@ -149,16 +264,97 @@ router.get('/:id/nfs-config', asyncHandler(config.getNFSConfig));
 /**
  * @route   POST /api/sessions/:id/lb-config
  * @desc    Save Load Balancer configuration
- * @access  Public
+ * @access  Operator
  */
-router.post('/:id/lb-config', asyncHandler(config.saveLBConfig));
+router.post('/:id/lb-config', authorize('operator'), asyncHandler(config.saveLBConfig));
 
 /**
  * @route   GET /api/sessions/:id/lb-config
  * @desc    Get Load Balancer configuration
- * @access  Public
+ * @access  Viewer
+ */
+router.get('/:id/lb-config', authorize('viewer'), asyncHandler(config.getLBConfig));
+
+// =====================================================
+// EXECUTION OPTIONS
+// =====================================================
+
+/**
+ * @route   GET /api/sessions/:id/execution-options
+ * @desc    Get the execution options of the session and its steps, with defaults and definitions
+ * @access  Viewer
+ */
+router.get('/:id/execution-options', authorize('viewer'), asyncHandler(config.getExecutionOptions));
+
+/**
+ * @route   POST /api/sessions/:id/execution-options
+ * @desc    Save the session's execution options (forks, timeouts, SSH tuning)
+ * @access  Operator
+ */
+router.post('/:id/execution-options',
+  authorize('operator'),
+  validateExecutionOptions,
+  asyncHandler(config.saveExecutionOptions)
+);
+
+/**
+ * @route   POST /api/sessions/:id/steps/:stepId/execution-options
+ * @desc    Save a step's execution options (override the session's)
+ * @access  Operator
+ */
+router.post('/:id/steps/:stepId/execution-options',
+  authorize('operator'),
+  validateExecutionOptions,
+  asyncHandler(config.saveExecutionOptions)
+);
+
+// =====================================================
+// JUMP HOST
+// =====================================================
+
+/**
+ * @route   POST /api/sessions/:id/jump-host
+ * @desc    Save the jump host (bastion) the session's servers are reached through
+ * @access  Operator
  */
-router.get('/:id/lb-config', asyncHandler(config.getLBConfig));
+router.post('/:id/jump-host',
+  authorize('operator'),
+  validateJumpHost,
+  asyncHandler(config.saveJumpHost)
+);
+
+// =====================================================
+// SSH HOST KEYS
+// =====================================================
+
+/**
+ * @route   GET /api/sessions/:id/host-keys
+ * @desc    List the pinned SSH host keys of the session's servers with their fingerprints
+ * @access  Viewer
+ */
+router.get('/:id/host-keys', authorize('viewer'), asyncHandler(hostKey.listHostKeys));
+
+/**
+ * @route   POST /api/sessions/:id/host-keys/confirm
+ * @desc    Confirm recorded host keys so later steps may connect to their servers
+ * @access  Operator
+ */
+router.post('/:id/host-keys/confirm',
+  authorize('operator'),
+  validateHostKeyConfirm,
+  asyncHandler(hostKey.confirmHostKeys)
+);
+
+/**
+ * @route   POST /api/sessions/:id/host-keys/retrust
+ * @desc    Re-trust a rebuilt server: remove its pinned keys for the next environment check
+ * @access  Operator
+ */
+router.post('/:id/host-keys/retrust',
+  authorize('operator'),
+  validateHostRetrust,
+  asyncHandler(hostKey.retrustHost)
+);
 
 // =====================================================
 // FILE MANAGEMENT
@@ -167,9 +363,10 @@ router.get('/:id/lb-config', asyncHandler(config.getLBConfig));
 /**
  * @route   POST /api/sessions/:id/files
  * @desc    Save a generated file
- * @access  Public
+ * @access  Operator
  */
 router.post('/:id/files',
+  authorize('operator'),
   validateFileUpload,
   asyncHandler(file.saveFile)
 );
@@ -177,33 +374,51 @@ router.post('/:id/files',
 /**
  * @route   GET /api/sessions/:id/files
  * @desc    List generated files for a session
- * @access  Public
+ * @access  Viewer
  */
-router.get('/:id/files', asyncHandler(file.listFiles));
+router.get('/:id/files', authorize('viewer'), asyncHandler(file.listFiles));
 
 /**
  * @route   GET /api/sessions/:id/files/:fileId/download
  * @desc    Download a generated file
- * @access  Public
+ * @access  Operator
  */
-router.get('/:id/files/:fileId/download', asyncHandler(file.downloadFile));
+router.get('/:id/files/:fileId/download', authorize('operator'), asyncHandler(file.downloadFile));
 
 // =====================================================
 // SESSION UTILITIES
 // =====================================================
 
 /**
- * @route   GET /api/sessions/:id/export
- * @desc    Export session credentials as JSON
- * @access  Public
+ * @route   POST /api/sessions/:id/export
+ * @desc    Export session credentials as JSON (in clear text)
+ * @access  Admin
+ */
+router.post('/:id/export', authorize('admin'), asyncHandler(session.exportSession));
+
+/**
+ * @route   POST /api/sessions/:id/export-full
+ * @desc    Export the full session as a passphrase-encrypted bundle
+ * @access  Admin
+ */
+router.post('/:id/export-full',
+  authorize('admin'),
+  validateExportPassphrase,
+  asyncHandler(session.exportFullSession)
+);
+
+/**
+ * @route   POST /api/sessions/:id/export-plain
+ * @desc    Export the full session unencrypted (secrets in clear text)
+ * @access  Admin
  */
-router.get('/:id/export', asyncHandler(session.exportSession));
+router.post('/:id/export-plain', authorize('admin'), asyncHandler(session.exportPlainSession));
 
 /**
  * @route   POST /api/sessions/:id/cleanup
  * @desc    Cleanup session sensitive data
- * @access  Public
+ * @access  Operator
  */
-router.post('/:id/cleanup', asyncHandler(session.cleanupSession));
+router.post('/:id/cleanup', authorize('operator'), asyncHandler(session.cleanupSession));
 
 module.exports = router;
@@ -7,21 +7,23 @@ const express = require('express');
 const router = express.Router();
 const { settings } = require('../controllers');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
 const { validateSettingValue, validateNewSetting } = require('../middleware/validation');
 
 /**
  * @route   GET /api/settings
  * @desc    Get all global settings
- * @access  Public
+ * @access  Viewer
  */
-router.get('/', asyncHandler(settings.getAllSettings));
+router.get('/', authorize('viewer'), asyncHandler(settings.getAllSettings));
 
 /**
  * @route   POST /api/settings
  * @desc    Add a new setting
- * @access  Public
+ * @access  Admin
  */
 router.post('/',
+  authorize('admin'),
   validateNewSetting,
   asyncHandler(settings.addSetting)
 );
@@ -29,31 +31,32 @@ router.post('/',
 /**
  * @route   POST /api/settings/reset-all
  * @desc    Reset all settings to defaults
- * @access  Public
+ * @access  Admin
  * @note    Must be defined before /:key routes
  */
-router.post('/reset-all', asyncHandler(settings.resetAllSettings));
+router.post('/reset-all', authorize('admin'), asyncHandler(settings.resetAllSettings));
 
 /**
  * @route   GET /api/settings/category/:category
  * @desc    Get settings by category
- * @access  Public
+ * @access  Viewer
  */
-router.get('/category/:category', asyncHandler(settings.getSettingsByCategory));
+router.get('/category/:category', authorize('viewer'), asyncHandler(settings.getSettingsByCategory));
 
 /**
  * @route   GET /api/settings/:key
  * @desc    Get a single setting by key
- * @access  Public
+ * @access  Viewer
  */
-router.get('/:key', asyncHandler(settings.getSetting));
+router.get('/:key', authorize('viewer'), asyncHandler(settings.getSetting));
 
 /**
  * @route   PATCH /api/settings/:key
  * @desc    Update a setting value
- * @access  Public
+ * @access  Admin
  */
 router.patch('/:key',
+  authorize('admin'),
   validateSettingValue,
   asyncHandler(settings.updateSetting)
 );
@@ -61,15 +64,15 @@ router.patch('/:key',
 /**
  * @route   POST /api/settings/:key/reset
  * @desc    Reset a setting to its default value
- * @access  Public
+ * @access  Admin
  */
-router.post('/:key/reset', asyncHandler(settings.resetSetting));
+router.post('/:key/reset', authorize('admin'), asyncHandler(settings.resetSetting));
 
 /**
  * @route   DELETE /api/settings/:key
  * @desc    Delete a setting
- * @access  Public
+ * @access  Admin
  */
-router.delete('/:key', asyncHandler(settings.deleteSetting));
+router.delete('/:key', authorize('admin'), asyncHandler(settings.deleteSetting));
 
 module.exports = router;
@@ -0,0 +1,22 @@
+/**
+ * Step Routes
+ * /api/steps endpoints for the deployment step graph
+ */
+
+const express = require('express');
+const router = express.Router();
+const { step } = require('../controllers');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/steps
+ * @desc    List the deployment steps with their prerequisites, dependents and parallel levels
+ * @access  Viewer
+ */
+router.get('/',
+  authorize('viewer'),
+  asyncHandler(step.listSteps)
+);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+/**
+ * User Routes
+ * /api/users/* endpoints for user account management
+ */
+
+const express = require('express');
+const router = express.Router();
+const { user } = require('../controllers');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+const { validateNewUser, validateUserUpdate } = require('../middleware/validation');
+
+// Every user route is admin only
+router.use(authorize('admin'));
+
+/**
+ * @route   GET /api/users
+ * @desc    List all users
+ * @access  Admin
+ */
+router.get('/', asyncHandler(user.listUsers));
+
+/**
+ * @route   POST /api/users
+ * @desc    Create a user
+ * @access  Admin
+ */
+router.post('/',
+  validateNewUser,
+  asyncHandler(user.createUser)
+);
+
+/**
+ * @route   PATCH /api/users/:userId
+ * @desc    Change a user's role, password or disabled flag
+ * @access  Admin
+ */
+router.patch('/:userId',
+  validateUserUpdate,
+  asyncHandler(user.updateUser)
+);
+
+/**
+ * @route   DELETE /api/users/:userId
+ * @desc    Delete a user
+ * @access  Admin
+ */
+router.delete('/:userId', asyncHandler(user.deleteUser));
+
+module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * Webhook Routes
+ * /api/webhooks/* endpoints for webhook subscriptions and their delivery log
+ */
+
+const express = require('express');
+const router = express.Router();
+const { webhook } = require('../controllers');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+const { validateNewWebhook, validateWebhookUpdate, validateDeliveryQuery } = require('../middleware/validation');
+
+// Webhooks send deployment details to other systems: admin only
+router.use(authorize('admin'));
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List webhook subscriptions (?sessionId=, ?sessionId=global) and the available events
+ * @access  Admin
+ */
+router.get('/', asyncHandler(webhook.listWebhooks));
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Subscribe a URL to events, globally or for one session
+ * @access  Admin
+ */
+router.post('/',
+  validateNewWebhook,
+  asyncHandler(webhook.createWebhook)
+);
+
+/**
+ * @route   GET /api/webhooks/deliveries
+ * @desc    Delivery log, newest first (?webhookId=, ?event=, ?status=, ?limit=)
+ * @access  Admin
+ */
+router.get('/deliveries',
+  validateDeliveryQuery,
+  asyncHandler(webhook.listDeliveries)
+);
+
+/**
+ * @route   POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * @desc    Send a delivery again right away
+ * @access  Admin
+ */
+router.post('/deliveries/:deliveryId/redeliver', asyncHandler(webhook.redeliver));
+
+/**
+ * @route   PATCH /api/webhooks/:webhookId
+ * @desc    Change a webhook's URL, events, description or enabled flag, or rotate its secret
+ * @access  Admin
+ */
+router.patch('/:webhookId',
+  validateWebhookUpdate,
+  asyncHandler(webhook.updateWebhook)
+);
+
+/**
+ * @route   DELETE /api/webhooks/:webhookId
+ * @desc    Delete a webhook with its delivery log
+ * @access  Admin
+ */
+router.delete('/:webhookId', asyncHandler(webhook.deleteWebhook));
+
+/**
+ * @route   POST /api/webhooks/:webhookId/test
+ * @desc    Send a 'ping' delivery to the webhook
+ * @access  Admin
+ */
+router.post('/:webhookId/test', asyncHandler(webhook.testWebhook));
+
+module.exports = router;
@@ -4,26 +4,111 @@
  */
 
 const app = require('./app');
+const db = require('./database');
 const config = require('./config');
-const { ensureInventoryDir } = require('./services/inventoryService');
+const { ensureInventoryDir, sweepRunFiles } = require('./services/inventoryService');
+const { initializeJobs, stopJobs } = require('./services/jobService');
+const { initializeOrchestrations } = require('./services/orchestratorService');
+const { initializeWebhooks } = require('./services/webhookService');
+const { ensureAdminUser } = require('./services/authService');
+const { getSecretStore } = require('./services/secretStore');
 
-// Ensure required directories exist
+// Ensure required directories exist and reconcile jobs from a previous run
 async function initialize() {
   await ensureInventoryDir();
+
+  // Fails on an unknown store or incomplete Vault settings
+  getSecretStore();
+
+  const admin = await ensureAdminUser();
+  if (admin) {
+    console.log(admin.passwordFile
+      ? `Created admin user '${admin.username}', its password is in ${admin.passwordFile} (change it after signing in, then delete the file)`
+      : `Created admin user '${admin.username}' from STACKBILL_ADMIN_PASSWORD`);
+  }
+
+  const { interrupted, requeued, released } = initializeJobs();
+  if (interrupted > 0 || requeued > 0) {
+    console.log(`Jobs: ${interrupted} marked interrupted, ${requeued} requeued`);
+  }
+  if (released > 0) {
+    console.log(`Released ${released} Idempotency-Key(s) of step runs that were never queued`);
+  }
+
+  // Once the interrupted jobs are marked, their inventories and keys are leftovers;
+  // those of runs still in progress (requeued jobs already starting, another backend) stay
+  const leftovers = await sweepRunFiles(db.getActiveRunIds());
+  if (leftovers > 0) {
+    console.log(`Removed ${leftovers} leftover inventory and key file(s) of interrupted runs`);
+  }
+
+  const orchestrations = initializeOrchestrations();
+  if (orchestrations > 0) {
+    console.log(`Deploy-all: ${orchestrations} marked interrupted (resume them from the session)`);
+  }
+
+  // Pending webhook deliveries are sent on, old ones dropped
+  const pruned = initializeWebhooks();
+  if (pruned > 0) {
+    console.log(`Webhooks: removed ${pruned} old delivery log entries`);
+  }
 }
 
+// Time the running jobs get to stop and remove their files before the process exits anyway
+const SHUTDOWN_TIMEOUT = 25000;
+
+let server = null;
+let shuttingDown = false;
+
+// Stop on SIGTERM (systemd stop) and SIGINT (Ctrl+C): process.on('exit') does not run on
+// a signal, so the running playbooks are stopped here and their jobs remove their
+// inventories, key directories and secrets before the process exits
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`\n${signal} received, stopping running jobs...`);
+
+  setTimeout(() => {
+    console.error('Jobs did not stop in time, exiting anyway');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT).unref();
+
+  if (server) {
+    server.close();
+  }
+  try {
+    const stopped = await stopJobs();
+    if (stopped > 0) {
+      console.log(`Stopped ${stopped} running job(s)`);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('Jobs could not be stopped:', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Start server
 initialize().then(() => {
-  app.listen(config.server.port, () => {
+  server = app.listen(config.server.port, () => {
     console.log(`🚀 Ansible API Server running on http://localhost:${config.server.port}`);
     console.log(`📋 Frontend available at http://localhost:${config.server.port}`);
     console.log(`💾 Database location: ./data/stackbill.db`);
+    console.log(`🔐 Secret store: ${getSecretStore().name}`);
     console.log('');
     console.log('API Endpoints:');
     console.log('  Health:     GET  /api/health');
+    console.log('  Auth:       POST /api/auth/login|logout, GET /api/auth/me, /api/auth/tokens');
+    console.log('  Users:      GET|POST|PATCH|DELETE /api/users (admin)');
     console.log('  Playbooks:  POST /api/playbook/{mysql|mongodb|nfs|rabbitmq|...}');
+    console.log('  Jobs:       GET  /api/jobs/:id[/events]');
     console.log('  Sessions:   GET|POST|PATCH|DELETE /api/sessions');
+    console.log('  Deploy all: POST /api/sessions/:id/deploy-all[/pause|/resume], GET /api/sessions/:id/events');
     console.log('  Settings:   GET|POST|PATCH|DELETE /api/settings');
+    console.log('  Webhooks:   GET|POST|PATCH|DELETE /api/webhooks, GET /api/webhooks/deliveries (admin)');
   });
 }).catch(error => {
   console.error('Failed to start server:', error);
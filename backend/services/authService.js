@@ -0,0 +1,266 @@
+/**
+ * Auth Service
+ * User accounts, login sessions and API tokens.
+ *
+ * Passwords are hashed with scrypt. Login session tokens (cookie) and API tokens
+ * are random; only their SHA-256 is stored, so a copy of the database cannot be
+ * used to sign in.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const config = require('../config');
+const db = require('../database');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const MIN_PASSWORD_LENGTH = 10;
+
+// scrypt cost parameters (stored with each hash, so they can be raised later)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const HASH_LENGTH = 64;
+
+// Generated password of the initial admin (owner read/write only), never written to the log
+const ADMIN_PASSWORD_FILE = 'initial-admin-password';
+
+// Makes API tokens easy to recognise (secret scanners, logs)
+const API_TOKEN_PREFIX = 'sbk_';
+
+// Compared against when a username does not exist, so failed logins take equally long
+let dummyHash = null;
+
+/**
+ * Check whether a role includes the privileges of another one
+ * @param {string} role - Role of the user
+ * @param {string} required - Minimum role
+ * @returns {boolean}
+ */
+function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Hash a password
+ * Format: scrypt$N$r$p$salt$hash (salt and hash in hex)
+ * @param {string} password - Plain password
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, HASH_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('hex'), hash.toString('hex')].join('$');
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Hash a session or API token for storage and lookup
+ * @param {string} token - Token
+ * @returns {string} SHA-256 in hex
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check a username and password and open a login session
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<object|null>} { user, token } or null if the login failed
+ */
+async function login(username, password) {
+  const account = db.getUserCredentials(username);
+
+  if (!account) {
+    dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(password, dummyHash);
+    return null;
+  }
+  if (!await verifyPassword(password, account.passwordHash) || account.disabled) {
+    return null;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  db.cleanupExpiredAuthSessions();
+  db.createAuthSession(hashToken(token), account.id, config.auth.sessionTtlHours);
+  db.recordLogin(account.id);
+
+  const { passwordHash, ...user } = account;
+  return { user, token };
+}
+
+/**
+ * Close a login session
+ * @param {string} token - Session token from the cookie
+ */
+function logout(token) {
+  db.deleteAuthSession(hashToken(token));
+}
+
+/**
+ * Resolve the user of a login session
+ * @param {string} token - Session token from the cookie
+ * @returns {object|null} User
+ */
+function getSessionUser(token) {
+  return db.getAuthSessionUser(hashToken(token));
+}
+
+/**
+ * Create an API token
+ * The token is only returned here; afterwards just its prefix is shown.
+ * @param {object} user - Owner
+ * @param {object} options - { name, role (defaults to the owner's), expiresInDays }
+ * @returns {object} { token, apiToken }
+ */
+function createApiToken(user, { name, role = user.role, expiresInDays = null }) {
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+  const apiToken = db.createApiToken({
+    userId: user.id,
+    name,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+    role,
+    expiresInDays
+  });
+  return { token, apiToken };
+}
+
+/**
+ * Resolve the user of an API token
+ * The token acts with its own role, but never more than its owner currently has.
+ * @param {string} token - Bearer token
+ * @returns {object|null} User with the effective role and the token ID
+ */
+function getTokenUser(token) {
+  const result = db.getApiTokenUser(hashToken(token));
+  if (!result) return null;
+
+  const { token: apiToken, user } = result;
+  const role = hasRole(user.role, apiToken.role) ? apiToken.role : user.role;
+  return { ...user, role, tokenId: apiToken.id };
+}
+
+/**
+ * Create a user
+ * @param {object} user - { username, password, role }
+ * @returns {Promise<object>} User
+ */
+async function createUser({ username, password, role }) {
+  return db.createUser({ username, passwordHash: await hashPassword(password), role });
+}
+
+/**
+ * Update a user's role, password or disabled flag
+ * Other login sessions of the user are closed, so the change applies immediately.
+ * @param {string} userId - User ID
+ * @param {object} updates - { role, password, disabled }
+ * @param {string} keepSessionToken - Login session to keep open (the user's own)
+ * @returns {Promise<object|null>} Updated user
+ */
+async function updateUser(userId, { role, password, disabled }, keepSessionToken = null) {
+  const updated = db.updateUser(userId, {
+    role,
+    disabled,
+    passwordHash: password !== undefined ? await hashPassword(password) : undefined
+  });
+  if (!updated) return null;
+
+  db.deleteUserAuthSessions(userId, keepSessionToken ? hashToken(keepSessionToken) : null);
+  return db.getUser(userId);
+}
+
+/**
+ * Change the password of the signed-in user after checking the current one
+ * @param {object} user - Signed-in user
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @param {string} keepSessionToken - Login session to keep open
+ * @returns {Promise<boolean>} False if the current password is wrong
+ */
+async function changePassword(user, currentPassword, newPassword, keepSessionToken = null) {
+  const account = db.getUserCredentials(user.username);
+  if (!account || !await verifyPassword(currentPassword, account.passwordHash)) {
+    return false;
+  }
+
+  await updateUser(user.id, { password: newPassword }, keepSessionToken);
+  return true;
+}
+
+/**
+ * Write a generated admin password to the data directory, readable by its owner only
+ * @param {string} password - Generated password
+ * @returns {string} Path of the file
+ * @throws {Error} The file cannot be written (the account is not created then)
+ */
+function writeAdminPasswordFile(password) {
+  const file = path.join(config.paths.data, ADMIN_PASSWORD_FILE);
+  try {
+    fs.writeFileSync(file, `${password}\n`, { mode: 0o600 });
+    // The mode only applies to a new file
+    fs.chmodSync(file, 0o600);
+  } catch (error) {
+    throw new Error(`Cannot write the initial admin password to ${file} (${error.message}); set STACKBILL_ADMIN_PASSWORD instead`);
+  }
+  return file;
+}
+
+/**
+ * Create the initial admin account when there are no users yet
+ * Uses STACKBILL_ADMIN_USERNAME / STACKBILL_ADMIN_PASSWORD. Without a password one is
+ * generated and written to data/initial-admin-password (mode 0600), not to the log.
+ * @returns {Promise<object|null>} { username, passwordFile (only if generated) } or null
+ */
+async function ensureAdminUser() {
+  if (db.countUsers() > 0) return null;
+
+  const username = config.auth.adminUsername;
+  let password = config.auth.adminPassword;
+  let passwordFile = null;
+  if (!password) {
+    password = crypto.randomBytes(9).toString('base64').replace(/[+/]/g, 'x');
+    passwordFile = writeAdminPasswordFile(password);
+  }
+  await createUser({ username, password, role: 'admin' });
+
+  return { username, passwordFile };
+}
+
+module.exports = {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  hasRole,
+  login,
+  logout,
+  getSessionUser,
+  createApiToken,
+  getTokenUser,
+  createUser,
+  updateUser,
+  changePassword,
+  ensureAdminUser
+};
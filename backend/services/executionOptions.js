@@ -0,0 +1,187 @@
+/**
+ * Execution Options
+ * How a step's playbook is executed: parallel hosts, timeouts and SSH connection tuning.
+ *
+ * Options are stored per session and per step (database execution_options). A step's own
+ * options override the session's, which override the defaults declared below; a playbook
+ * request may override them once more with executionOptions. Unset options are left out
+ * of the stored objects, so a step follows later changes of the session defaults.
+ */
+
+// [user@]host[:port]: one hop, whose host key is pinned like a jump host's (see getProxyJumpHost)
+const PROXY_JUMP_PATTERN = /^(?:([A-Za-z0-9._-]+)@)?([A-Za-z0-9.-]+)(?::(\d{1,5}))?$/;
+
+const EXECUTION_OPTIONS = [
+  {
+    name: 'forks',
+    label: 'Forks',
+    type: 'integer',
+    min: 1,
+    max: 100,
+    default: 5,
+    description: 'Hosts a task runs on in parallel'
+  },
+  {
+    name: 'timeout',
+    label: 'Run timeout (s)',
+    type: 'integer',
+    min: 0,
+    max: 86400,
+    default: 0,
+    description: 'The playbook is stopped after this many seconds (0 = no limit)'
+  },
+  {
+    name: 'taskTimeout',
+    label: 'Task timeout (s)',
+    type: 'integer',
+    min: 0,
+    max: 86400,
+    default: 0,
+    description: 'A single task fails after this many seconds (0 = no limit)'
+  },
+  {
+    name: 'connectTimeout',
+    label: 'SSH connect timeout (s)',
+    type: 'integer',
+    min: 1,
+    max: 600,
+    default: 10,
+    description: 'Seconds to wait for an SSH connection'
+  },
+  {
+    name: 'sshRetries',
+    label: 'SSH retries',
+    type: 'integer',
+    min: 0,
+    max: 10,
+    default: 0,
+    description: 'Times a failed SSH connection is retried'
+  },
+  {
+    name: 'pipelining',
+    label: 'Pipelining',
+    type: 'boolean',
+    default: false,
+    description: 'Send modules over the open SSH session instead of copying them (sudo must not require a TTY)'
+  },
+  {
+    name: 'controlPersist',
+    label: 'ControlPersist (s)',
+    type: 'integer',
+    min: 0,
+    max: 3600,
+    default: 60,
+    description: 'Seconds an idle SSH connection is kept open for reuse (0 = a new connection per task)'
+  },
+  {
+    name: 'proxyJump',
+    label: 'Jump host',
+    type: 'string',
+    pattern: PROXY_JUMP_PATTERN,
+    default: '',
+    description: 'Connect through this bastion ([user@]host[:port]); it must accept the key of this machine, and its host key is pinned like the servers\''
+  }
+];
+
+/**
+ * Get the default of every option
+ * @returns {object}
+ */
+function getDefaultExecutionOptions() {
+  return Object.fromEntries(EXECUTION_OPTIONS.map(option => [option.name, option.default]));
+}
+
+/**
+ * Check execution options (a partial set)
+ * @param {*} options - Options to store or apply
+ * @returns {Array<string>} Error messages
+ */
+function validateExecutionOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return ['Execution options must be an object'];
+  }
+
+  return Object.entries(options).flatMap(([name, value]) => {
+    const option = EXECUTION_OPTIONS.find(o => o.name === name);
+    if (!option) {
+      return [`Unknown execution option '${name}'`];
+    }
+    if (option.type === 'integer') {
+      return Number.isInteger(value) && value >= option.min && value <= option.max
+        ? []
+        : [`${name} must be a whole number from ${option.min} to ${option.max}`];
+    }
+    if (option.type === 'boolean') {
+      return typeof value === 'boolean' ? [] : [`${name} must be true or false`];
+    }
+    return typeof value === 'string' && (value === '' || option.pattern.test(value))
+      ? []
+      : [`${name} must look like [user@]host[:port]`];
+  });
+}
+
+/**
+ * Get the options a step runs with
+ * @param {object} stored - { session, steps } (database.getExecutionOptions)
+ * @param {string} stepId - Step ID
+ * @param {object} overrides - Options of the request
+ * @returns {object} Every option
+ */
+function resolveExecutionOptions(stored = {}, stepId = null, overrides = {}) {
+  return {
+    ...getDefaultExecutionOptions(),
+    ...(stored.session || {}),
+    ...((stored.steps || {})[stepId] || {}),
+    ...overrides
+  };
+}
+
+/**
+ * Get the bastion of the proxyJump option
+ * It is reached with a ProxyCommand rather than ProxyJump, whose hop would not get the
+ * run's host key options, and its key is pinned like a session jump host's.
+ * @param {object} options - Resolved options
+ * @returns {object|null} { hostname, ssh_port, ssh_user }, null without proxyJump
+ * @throws {Error} For a chain of hops (stored before chains were refused)
+ */
+function getProxyJumpHost(options = {}) {
+  if (!options.proxyJump) return null;
+
+  const match = PROXY_JUMP_PATTERN.exec(options.proxyJump);
+  if (!match) {
+    throw new Error(`proxyJump must be a single host ([user@]host[:port]), not '${options.proxyJump}'`);
+  }
+  return { hostname: match[2], ssh_port: Number(match[3]) || 22, ssh_user: match[1] || null };
+}
+
+/**
+ * Get the Ansible environment variables for a set of options
+ * ANSIBLE_SSH_ARGS replaces Ansible's default ssh_args (-C -o ControlMaster=auto
+ * -o ControlPersist=60s), so connection sharing is set here as well.
+ * @param {object} options - Resolved options
+ * @returns {object} Variable name -> value
+ */
+function getAnsibleEnv(options) {
+  const env = {
+    ANSIBLE_FORKS: String(options.forks),
+    ANSIBLE_TIMEOUT: String(options.connectTimeout),
+    ANSIBLE_SSH_RETRIES: String(options.sshRetries),
+    ANSIBLE_PIPELINING: options.pipelining ? 'True' : 'False',
+    ANSIBLE_SSH_ARGS: options.controlPersist > 0
+      ? `-C -o ControlMaster=auto -o ControlPersist=${options.controlPersist}s`
+      : '-C -o ControlMaster=no'
+  };
+  if (options.taskTimeout > 0) {
+    env.ANSIBLE_TASK_TIMEOUT = String(options.taskTimeout);
+  }
+  return env;
+}
+
+module.exports = {
+  EXECUTION_OPTIONS,
+  getDefaultExecutionOptions,
+  validateExecutionOptions,
+  resolveExecutionOptions,
+  getProxyJumpHost,
+  getAnsibleEnv
+};
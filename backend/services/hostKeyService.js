@@ -0,0 +1,109 @@
+/**
+ * Host Key Service
+ * Pins the SSH host keys of a session's servers instead of trusting any key.
+ *
+ * The environment check (the step of type 'check') connects with
+ * StrictHostKeyChecking=accept-new: keys already recorded for the session are checked,
+ * the keys of new servers are written to the run's known_hosts file and recorded here.
+ * An operator confirms their fingerprints; every other step runs with
+ * StrictHostKeyChecking=yes against the confirmed keys and is refused while one of its
+ * servers has none. A rebuilt server gets a new key: re-trusting it removes the old
+ * one, so the next environment check records the new key for confirmation.
+ * A session's jump host, or the bastion of the proxyJump execution option, is pinned the
+ * same way as its servers.
+ */
+
+const db = require('../database');
+const { getPlaybook } = require('./playbookRegistry');
+const { parseKnownHosts } = require('../utils/knownHostsHelper');
+const { conflict } = require('../middleware/errorHandler');
+const { getProxyJumpHost } = require('./executionOptions');
+
+/**
+ * Check whether a host key belongs to a server
+ * @param {object} key - Host key (database.getHostKeys)
+ * @param {object} server - Server configuration
+ * @returns {boolean}
+ */
+function isServerKey(key, server) {
+  return key.hostname === server.hostname && key.port === (Number(server.ssh_port) || 22);
+}
+
+/**
+ * Get the hosts of a run whose keys are pinned: its servers and the jump host
+ * @param {Array<object>} servers - Servers of the run
+ * @param {object|null} jumpHost - Jump host or proxyJump bastion of the run (getRunBastion)
+ * @returns {Array<object>} [{ hostname, ssh_port }]
+ */
+function getPinnedHosts(servers = [], jumpHost = null) {
+  return jumpHost ? [...servers, jumpHost] : servers;
+}
+
+/**
+ * Get the host a run connects through: the session's jump host, else the bastion of
+ * the proxyJump execution option
+ * @param {object|null} jumpHost - Jump host of the run
+ * @param {object} executionOptions - Resolved execution options of the run
+ * @returns {object|null} { hostname, ssh_port, ... }
+ */
+function getRunBastion(jumpHost, executionOptions = {}) {
+  return jumpHost || getProxyJumpHost(executionOptions);
+}
+
+/**
+ * Get the known hosts a run of a step checks against
+ * Runs outside a session have nowhere to pin keys: like an environment check they
+ * accept the keys of their hosts on first contact, into the run's own known_hosts file,
+ * and nothing is recorded.
+ * @param {string|null} sessionId - Session ID
+ * @param {string} stepId - Step ID
+ * @param {Array<object>} servers - Servers of the run
+ * @param {object|null} jumpHost - Jump host or proxyJump bastion of the run (getRunBastion)
+ * @returns {object} { mode: 'record' | 'strict', keys: [{ hostname, port, keyType, publicKey }] }
+ * @throws {ApiError} 409 if a server or the jump host of a step other than the check has
+ *   no confirmed key
+ */
+function getRunKnownHosts(sessionId, stepId, servers = [], jumpHost = null) {
+  if (!sessionId) {
+    return { mode: 'record', keys: [] };
+  }
+
+  const keys = db.getHostKeys(sessionId);
+  const toEntry = ({ hostname, port, keyType, publicKey }) => ({ hostname, port, keyType, publicKey });
+
+  if (getPlaybook(stepId)?.type === 'check') {
+    return { mode: 'record', keys: keys.map(toEntry) };
+  }
+
+  const confirmed = keys.filter(key => key.confirmed);
+  const unpinned = getPinnedHosts(servers, jumpHost).filter(server => !confirmed.some(key => isServerKey(key, server)));
+  if (unpinned.length > 0) {
+    const hosts = Array.from(new Set(unpinned.map(server => server.hostname))).join(', ');
+    throw conflict(
+      `SSH host keys of ${hosts} are not confirmed: run the environment check and confirm their fingerprints`
+    );
+  }
+
+  return { mode: 'strict', keys: confirmed.map(toEntry) };
+}
+
+/**
+ * Record the new host keys a run wrote to its known_hosts file
+ * Only keys of the run's servers and jump host are taken over.
+ * @param {string} sessionId - Session ID
+ * @param {Array<object>} servers - Servers of the run
+ * @param {string} content - known_hosts file of the run
+ * @param {object|null} jumpHost - Jump host or proxyJump bastion of the run (getRunBastion)
+ * @returns {number} Number of new keys
+ */
+function recordRunHostKeys(sessionId, servers, content, jumpHost = null) {
+  const hosts = getPinnedHosts(servers, jumpHost);
+  const keys = parseKnownHosts(content).filter(key => hosts.some(server => isServerKey(key, server)));
+  return keys.length > 0 ? db.recordHostKeys(sessionId, keys) : 0;
+}
+
+module.exports = {
+  getRunBastion,
+  getRunKnownHosts,
+  recordRunHostKeys
+};
@@ -1,259 +1,780 @@
 /**
  * Inventory Service
  * Handles Ansible inventory file generation and management
+ *
+ * Every run gets its own directory under .inventory/<id>/:
+ *   hosts.yml            - hosts and groups (YAML inventory), no secrets
+ *   host_vars/<host>.yml - vault-encrypted SSH and sudo passwords
+ *   group_vars/<group>.yml - vault-encrypted secret group vars
+ *   secrets.yml          - vault-encrypted secret playbook variables (passed with -e @file)
+ *   known_hosts          - pinned SSH host keys of the session (services/hostKeyService)
+ * SSH logins go to a private key directory of the run under /tmp (0700, see getKeyDir):
+ *   <host>.key(.pub)     - SSH key of an inventory host (public key if it has a passphrase)
+ *   jump_host.key/.pass  - login of the session's jump host, read by the ProxyCommand
+ *   agent.sock           - the run's ssh-agent, holding the passphrase-protected keys
+ * Both directories are removed when the run ends (cleanupInventory); leftovers of a
+ * backend that stopped during a run are removed on the next start (sweepRunFiles), but
+ * not the files of runs still in progress in this or another backend.
+ * The vault password is generated per run and only kept in memory.
  */
 
 const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
 const path = require('path');
 const crypto = require('crypto');
 const config = require('../config');
+const { generateVaultPassword, encryptVault, toVaultYaml } = require('../utils/vaultHelper');
+const { toYaml } = require('../utils/yamlHelper');
+const { REDACTED, splitSecretVariables } = require('../utils/redactHelper');
+const { formatKnownHosts } = require('../utils/knownHostsHelper');
+const { getPublicKey, startAgent, addKey, stopAgent } = require('../utils/sshAgentHelper');
+const { getPlaybook, getServerRoles, assignServersToGroups } = require('./playbookRegistry');
+const { getProxyJumpHost } = require('./executionOptions');
+
+// Formats of the inventory preview
+const INVENTORY_FORMATS = ['ini', 'yaml', 'json'];
+
+// Where the runs' key directories are created: /tmp rather than os.tmpdir(), whose
+// per-user path on macOS leaves no room for the agent socket (104 bytes at most)
+const KEY_ROOT = config.platform.isWindows ? os.tmpdir() : '/tmp';
+
+// Name prefix of the runs' key directories
+const KEY_DIR_PREFIX = 'stackbill-keys-';
+
+// Socket of a run's ssh-agent in its key directory
+const AGENT_SOCKET = 'agent.sock';
+
+// Key files earlier versions wrote to /tmp, removed by sweepRunFiles
+const LEGACY_KEY_FILE_PATTERN = /^ansible_key_.+\.pem$/;
+
+// Inventory IDs of the runs in progress -> their ssh-agent (or null)
+const activeRuns = new Map();
+
+// Key directories of runs still in progress when the backend exits are removed on the
+// way out (an uncaught error, process.exit); sweepRunFiles catches the rest
+process.on('exit', () => {
+  for (const inventoryId of activeRuns.keys()) {
+    fsSync.rmSync(getKeyDir(inventoryId), { recursive: true, force: true });
+  }
+});
 
 // Ensure inventory directory exists
 async function ensureInventoryDir() {
   try {
-    await fs.mkdir(config.paths.inventory, { recursive: true });
+    await fs.mkdir(config.paths.inventory, { recursive: true, mode: 0o700 });
+    await fs.chmod(config.paths.inventory, 0o700);
   } catch (error) {
     console.error('Error creating inventory directory:', error);
   }
 }
 
 /**
- * Format a server line for the inventory file
- * @param {object} server - Server configuration
- * @param {string} name - Server name for inventory
- * @returns {string} Formatted inventory line
+ * Get the inventory ID of a run (deployment_runs)
+ * @param {string} runId - Run ID
+ * @returns {string}
  */
-function formatServerLine(server, name) {
-  let line = `${name} ansible_host=${server.hostname} ansible_port=${server.ssh_port || 22}`;
+function getRunInventoryId(runId) {
+  return `run-${runId}`;
+}
 
-  const sshUser = server.ssh_user || 'root';
-  const sshUserType = server.ssh_user_type || 'root';
-  const sshAuthType = server.ssh_auth_type || 'password';
+/**
+ * Get the directory of a run's inventory
+ * @param {string} inventoryId - Inventory ID
+ * @returns {string}
+ */
+function getInventoryDir(inventoryId) {
+  return path.join(config.paths.inventory, inventoryId);
+}
 
-  line += ` ansible_user=${sshUser}`;
+/**
+ * Get the private directory of a run's SSH logins and ssh-agent socket
+ * Named by the backend's process ID as well, so the startup sweep can tell the leftovers
+ * of a stopped backend from the runs of another one that is still running.
+ * @param {string} inventoryId - Inventory ID
+ * @returns {string}
+ */
+function getKeyDir(inventoryId) {
+  return path.join(KEY_ROOT, `${KEY_DIR_PREFIX}${process.pid}-${inventoryId}`);
+}
+
+/**
+ * Get the inventory variables of a host
+ * Passwords are not part of them - see getHostSecrets.
+ * @param {object} server - Server configuration
+ * @param {string} name - Server name for inventory
+ * @param {string} keyDir - Key directory of the run
+ * @returns {object} Host variables
+ */
+function getHostVars(server, name, keyDir) {
+  const vars = {
+    ansible_host: server.hostname,
+    ansible_port: Number(server.ssh_port) || 22,
+    ansible_user: server.ssh_user || 'root'
+  };
 
   // Pass custom_hostname for playbooks that set the hostname (kubernetes)
   // Use the server's friendly name if provided, otherwise use the inventory name
-  const customHostname = server.name || name;
-  if (customHostname) {
-    line += ` custom_hostname=${customHostname}`;
-  }
-
-  // Handle authentication type
-  if (sshAuthType === 'key') {
-    if (server.ssh_key) {
-      const keyPath = `/tmp/ansible_key_${server.hostname.replace(/\./g, '_')}.pem`;
-      line += ` ansible_ssh_private_key_file=${keyPath}`;
+  vars.custom_hostname = server.name || name;
+
+  // Handle authentication type: only the method of the server is offered, so key logins
+  // are not refused and password logins do not try the keys of the deployment machine
+  if (server.ssh_auth_type === 'key' && server.ssh_key) {
+    vars.ansible_ssh_private_key_file = path.join(keyDir, `${name}.key`);
+    vars.ansible_ssh_extra_args = '-o PreferredAuthentications=publickey -o IdentitiesOnly=yes';
+    if (server.ssh_key_passphrase) {
+      vars.ansible_ssh_extra_args += ` -o IdentityAgent='${path.join(keyDir, AGENT_SOCKET)}'`;
     }
   } else {
-    if (server.password) {
-      line += ` ansible_ssh_pass=${server.password}`;
-    }
+    vars.ansible_ssh_extra_args = '-o PreferredAuthentications=password,keyboard-interactive';
   }
 
   // Handle sudo escalation
-  if (sshUserType === 'sudo') {
-    line += ` ansible_become=yes ansible_become_method=sudo`;
+  if ((server.ssh_user_type || 'root') === 'sudo') {
+    vars.ansible_become = true;
+    vars.ansible_become_method = 'sudo';
+  }
+
+  return vars;
+}
+
+/**
+ * Get the connection passwords of a server for its vault-encrypted host_vars file
+ * @param {object} server - Server configuration
+ * @returns {object} ansible_ssh_pass / ansible_become_pass (empty if none)
+ */
+function getHostSecrets(server) {
+  const secrets = {};
+
+  if ((server.ssh_auth_type || 'password') !== 'key' && server.password) {
+    secrets.ansible_ssh_pass = server.password;
+  }
+
+  if ((server.ssh_user_type || 'root') === 'sudo') {
     const sudoPass = server.sudo_password || server.password;
     if (sudoPass) {
-      line += ` ansible_become_pass=${sudoPass}`;
+      secrets.ansible_become_pass = sudoPass;
     }
   }
 
-  return line;
+  return secrets;
 }
 
 /**
- * Write SSH keys to temp files
- * @param {Array} servers - Server configurations
+ * Get the file a jump host's key or password is written to (see writeJumpHostFile)
+ * @param {object} jumpHost - Jump host (database.getJumpHost)
+ * @param {string} keyDir - Key directory of the run
+ * @returns {string}
  */
-async function writeSSHKeys(servers) {
-  for (const server of servers) {
+function getJumpHostFile(jumpHost, keyDir) {
+  return path.join(keyDir, jumpHost.ssh_auth_type === 'password' ? 'jump_host.pass' : 'jump_host.key');
+}
+
+/**
+ * Get the ProxyCommand that reaches the hosts of a run through a jump host
+ * The jump host's own login is offered only (key, or the password through sshpass),
+ * so the target's credentials never reach the bastion. Its host key is checked like
+ * the targets' (the same known_hosts file and mode), before the login is sent.
+ * @param {object} jumpHost - Jump host
+ * @param {string} keyDir - Key directory of the run
+ * @param {object} executionOptions - Execution options (connectTimeout)
+ * @param {string} hostKeyArgs - SSH options for the host keys of the run (getHostKeyArgs)
+ * @returns {string}
+ */
+function getProxyCommand(jumpHost, keyDir, executionOptions, hostKeyArgs) {
+  const file = getJumpHostFile(jumpHost, keyDir);
+  const ssh = [
+    'ssh',
+    hostKeyArgs,
+    `-o ConnectTimeout=${executionOptions.connectTimeout || 10}`,
+    jumpHost.ssh_auth_type === 'password'
+      ? '-o PreferredAuthentications=password,keyboard-interactive'
+      : `-o PreferredAuthentications=publickey -o IdentitiesOnly=yes -i '${file}'`,
+    ...(jumpHost.ssh_auth_type !== 'password' && jumpHost.ssh_key_passphrase
+      ? [`-o IdentityAgent='${path.join(keyDir, AGENT_SOCKET)}'`]
+      : []),
+    `-p ${Number(jumpHost.ssh_port) || 22}`,
+    '-W %h:%p',
+    `${jumpHost.ssh_user || 'root'}@${jumpHost.hostname}`
+  ].join(' ');
+  return jumpHost.ssh_auth_type === 'password' ? `sshpass -f '${file}' ${ssh}` : ssh;
+}
+
+/**
+ * Get the ProxyCommand that reaches the hosts of a run through the proxyJump bastion
+ * Replaces ProxyJump, which would connect to the bastion without the run's host key
+ * options; this machine's own key logs in, as with ProxyJump.
+ * @param {object} bastion - { hostname, ssh_port, ssh_user } (executionOptions.getProxyJumpHost)
+ * @param {object} executionOptions - Execution options (connectTimeout)
+ * @param {string} hostKeyArgs - SSH options for the host keys of the run (getHostKeyArgs)
+ * @returns {string}
+ */
+function getProxyJumpCommand(bastion, executionOptions, hostKeyArgs) {
+  return [
+    'ssh',
+    hostKeyArgs,
+    `-o ConnectTimeout=${executionOptions.connectTimeout || 10}`,
+    `-p ${bastion.ssh_port}`,
+    '-W %h:%p',
+    bastion.ssh_user ? `${bastion.ssh_user}@${bastion.hostname}` : bastion.hostname
+  ].join(' ');
+}
+
+/**
+ * Write the key or password of a jump host into the run's key directory
+ * @param {object} jumpHost - Jump host
+ * @param {string} keyDir - Key directory of the run
+ */
+async function writeJumpHostFile(jumpHost, keyDir) {
+  const secret = jumpHost.ssh_auth_type === 'password'
+    ? jumpHost.password
+    : jumpHost.ssh_key.endsWith('\n') ? jumpHost.ssh_key : `${jumpHost.ssh_key}\n`;
+  await fs.writeFile(getJumpHostFile(jumpHost, keyDir), secret, { mode: 0o600 });
+}
+
+/**
+ * Get the SSH options for the host keys of a run
+ * Pinned keys are checked against the run's known_hosts file: 'record' accepts the keys
+ * of unknown hosts and writes them there, 'strict' refuses them. Every run has known
+ * hosts (see hostKeyService.getRunKnownHosts); without them host key checking would be
+ * off, so the run is refused.
+ * @param {object} knownHosts - { mode, keys } (hostKeyService.getRunKnownHosts)
+ * @param {string} inventoryDir - Directory of the run's inventory
+ * @returns {string}
+ * @throws {Error} If knownHosts is missing
+ */
+function getHostKeyArgs(knownHosts, inventoryDir) {
+  if (!knownHosts) {
+    throw new Error('The run has no known SSH host keys: host key checking cannot be turned off');
+  }
+  return [
+    `-o StrictHostKeyChecking=${knownHosts.mode === 'record' ? 'accept-new' : 'yes'}`,
+    `-o UserKnownHostsFile='${path.join(inventoryDir, 'known_hosts')}'`,
+    '-o HashKnownHosts=no',
+    '-o CheckHostIP=no'
+  ].join(' ');
+}
+
+/**
+ * Write the SSH keys of a run's hosts into its key directory
+ * Passphrase-protected keys (and the jump host's) are added to a private ssh-agent of
+ * the run; ssh finds them there by the public key written next to the key file.
+ * @param {Array} hosts - Inventory hosts [{ name, server }] (buildInventoryLayout)
+ * @param {object} jumpHost - Jump host (its file is already written) or null
+ * @param {string} keyDir - Key directory of the run
+ * @returns {Promise<object|null>} The run's ssh-agent, if a key has a passphrase
+ */
+async function writeSSHKeys(hosts, jumpHost, keyDir) {
+  const encryptedKeys = [];
+  for (const { name, server } of hosts) {
     if (server.ssh_auth_type === 'key' && server.ssh_key) {
-      const keyPath = `/tmp/ansible_key_${server.hostname.replace(/\./g, '_')}.pem`;
-      await fs.writeFile(keyPath, server.ssh_key, { mode: 0o600 });
+      const keyPath = path.join(keyDir, `${name}.key`);
+      await fs.writeFile(keyPath, server.ssh_key.endsWith('\n') ? server.ssh_key : `${server.ssh_key}\n`, { mode: 0o600 });
+      if (server.ssh_key_passphrase) {
+        encryptedKeys.push({ keyPath, passphrase: server.ssh_key_passphrase, label: server.hostname });
+      }
     }
   }
+  if (jumpHost && jumpHost.ssh_auth_type !== 'password' && jumpHost.ssh_key_passphrase) {
+    encryptedKeys.push({
+      keyPath: getJumpHostFile(jumpHost, keyDir),
+      passphrase: jumpHost.ssh_key_passphrase,
+      label: `jump host ${jumpHost.hostname}`
+    });
+  }
+  if (encryptedKeys.length === 0) {
+    return null;
+  }
+
+  for (const { keyPath, passphrase, label } of encryptedKeys) {
+    await fs.writeFile(`${keyPath}.pub`, await getPublicKey(keyPath, passphrase, label), { mode: 0o600 });
+  }
+  const agent = await startAgent(path.join(keyDir, AGENT_SOCKET));
+  try {
+    for (const { keyPath, passphrase, label } of encryptedKeys) {
+      await addKey(agent, keyPath, passphrase, label);
+    }
+  } catch (error) {
+    await stopAgent(agent);
+    throw error;
+  }
+  return agent;
 }
 
 /**
- * Generate inventory content based on playbook type
+ * Lay out the hosts and groups of a run's inventory
+ * Servers are grouped by their roles (see assignServersToGroups), so a server with
+ * several roles is defined once and listed in each of its groups. Group vars come
+ * from the manifest's groups[].vars, overridden by the request's groupVars.
+ * Host names follow inventory.hostPrefix and the overall order (server-0, server-1, ...),
+ * or else the first group of the host (mysql-primary-0, secondary-0, ...).
  * @param {Array} servers - Server configurations
  * @param {string} playbookType - Type of playbook
- * @returns {string} Inventory file content
+ * @param {object} groupVars - Request group vars (group name -> vars)
+ * @returns {object} { hosts: [{ name, server }], groups: [{ name, hosts, vars }], parent }
  */
-function generateInventoryContent(servers, playbookType) {
-  let content = '';
-
-  if (playbookType === 'mysql') {
-    const primaryServers = servers.filter(s => s.role === 'primary' || !s.role);
-    const secondaryServers = servers.filter(s => s.role === 'secondary');
-
-    if (primaryServers.length > 0) {
-      content += '[primary]\n';
-      primaryServers.forEach((server, idx) => {
-        content += formatServerLine(server, `mysql-primary-${idx}`) + '\n';
-      });
-      content += '\n';
+function buildInventoryLayout(servers, playbookType, groupVars = {}) {
+  const manifest = getPlaybook(playbookType);
+  const inventory = manifest?.inventory || {};
+
+  // Servers sharing hostname+port are one host with all their roles, which avoids
+  // apt lock conflicts when several roles point to the same machine (env-check)
+  let members = servers;
+  if (inventory.uniqueHosts) {
+    const byAddress = new Map();
+    for (const server of servers) {
+      const key = `${server.hostname}:${server.ssh_port || 22}`;
+      const existing = byAddress.get(key);
+      if (existing) {
+        existing.roles = Array.from(new Set([...existing.roles, ...getServerRoles(server)]));
+      } else {
+        byAddress.set(key, { ...server, role: undefined, roles: getServerRoles(server) });
+      }
     }
+    members = Array.from(byAddress.values());
+  }
 
-    if (secondaryServers.length > 0) {
-      content += '[secondary]\n';
-      secondaryServers.forEach((server, idx) => {
-        content += formatServerLine(server, `mysql-secondary-${idx}`) + '\n';
-      });
-      content += '\n';
+  const assigned = assignServersToGroups(manifest, members);
+  const names = new Map();
+  const hosts = [];
+  const counters = {};
+
+  const nameHost = (server, group) => {
+    if (!names.has(server)) {
+      const prefix = inventory.hostPrefix || (group ? group.hostPrefix || group.name : 'server');
+      const index = inventory.hostPrefix ? hosts.length : (counters[prefix] || 0);
+      counters[prefix] = index + 1;
+      const name = `${prefix}-${index}`;
+      names.set(server, name);
+      hosts.push({ name, server });
     }
+    return names.get(server);
+  };
 
-    content += '[mysql:children]\n';
-    if (primaryServers.length > 0) content += 'primary\n';
-    if (secondaryServers.length > 0) content += 'secondary\n';
-
-  } else if (playbookType === 'mongodb') {
-    const primaryServers = servers.filter(s => s.role === 'primary' || !s.role);
-    const secondaryServers = servers.filter(s => s.role === 'secondary');
-    const arbiterServers = servers.filter(s => s.role === 'arbiter');
-
-    if (primaryServers.length > 0) {
-      content += '[primary]\n';
-      primaryServers.forEach((server, idx) => {
-        content += formatServerLine(server, `mongo-primary-${idx}`) + '\n';
-      });
-      content += '\n';
-    }
+  // With a flat prefix hosts are numbered in request order, otherwise per group
+  if (inventory.hostPrefix) {
+    members.forEach(server => nameHost(server, null));
+  }
 
-    if (secondaryServers.length > 0) {
-      content += '[secondary]\n';
-      secondaryServers.forEach((server, idx) => {
-        content += formatServerLine(server, `mongo-secondary-${idx}`) + '\n';
-      });
-      content += '\n';
-    }
+  const groups = assigned
+    .filter(entry => entry.servers.length > 0)
+    .map(({ group, servers: groupServers }) => ({
+      name: group.name,
+      declared: !group.adhoc,
+      hosts: groupServers.map(server => nameHost(server, group)),
+      vars: { ...(group.vars || {}), ...(groupVars[group.name] || {}) }
+    }));
+
+  // Servers without a group are still part of the run
+  const ungrouped = members.filter(server => !names.has(server));
+  if (ungrouped.length > 0) {
+    groups.push({
+      name: 'ungrouped',
+      declared: false,
+      hosts: ungrouped.map(server => nameHost(server, null)),
+      vars: {}
+    });
+  }
 
-    if (arbiterServers.length > 0) {
-      content += '[arbiter]\n';
-      arbiterServers.forEach((server, idx) => {
-        content += formatServerLine(server, `mongo-arbiter-${idx}`) + '\n';
-      });
-      content += '\n';
-    }
+  const children = groups.filter(group => group.declared).map(group => group.name);
+  const parent = inventory.parent && children.length > 0
+    ? { name: inventory.parent, children }
+    : null;
 
-    content += '[mongo:children]\n';
-    if (primaryServers.length > 0) content += 'primary\n';
-    if (secondaryServers.length > 0) content += 'secondary\n';
-    if (arbiterServers.length > 0) content += 'arbiter\n';
-
-  } else if (playbookType === 'kubernetes') {
-    // Support both 'master'/'worker' and 'k8s-master'/'k8s-worker' role names
-    const masterServers = servers.filter(s => s.role === 'master' || s.role === 'k8s-master');
-    const workerServers = servers.filter(s => s.role === 'worker' || s.role === 'k8s-worker');
-
-    if (masterServers.length > 0) {
-      content += '[master]\n';
-      masterServers.forEach((server, idx) => {
-        content += formatServerLine(server, `k8s-master-${idx}`) + '\n';
-      });
-      content += '\n';
+  return { hosts, groups: groups.map(({ declared, ...group }) => group), parent };
+}
+
+/**
+ * Build the inventory of a run: hosts with their variables, groups and common vars
+ * Connection passwords and secret group vars are kept apart (hostSecrets, group
+ * secrets) so they can go to vault-encrypted files or be masked in a preview.
+ * @param {Array} servers - Server configurations
+ * @param {string} playbookType - Type of playbook
+ * @param {object} groupVars - Request group vars (group name -> vars)
+ * @param {object} connection - How the hosts are reached:
+ *   executionOptions (services/executionOptions, for the jump host),
+ *   jumpHost (of the session, replaces the proxyJump option),
+ *   knownHosts (pinned host keys, see getHostKeyArgs)
+ * @param {string} inventoryId - Inventory ID of the run (for the paths of its files)
+ * @returns {object} { hosts, hostSecrets, groups: [{ name, hosts, vars, secrets }], parent, vars }
+ */
+function buildInventory(servers, playbookType, groupVars = {}, connection = {}, inventoryId = '<run>') {
+  const { executionOptions = {}, jumpHost = null, knownHosts = null } = connection;
+  const layout = buildInventoryLayout(servers, playbookType, groupVars);
+  const keyDir = getKeyDir(inventoryId);
+
+  const hosts = {};
+  const hostSecrets = {};
+  layout.hosts.forEach(({ name, server }) => {
+    hosts[name] = getHostVars(server, name, keyDir);
+    const secrets = getHostSecrets(server);
+    if (Object.keys(secrets).length > 0) {
+      hostSecrets[name] = secrets;
     }
+  });
+
+  const groups = layout.groups.map(group => {
+    const { plain, secret } = splitSecretVariables(group.vars);
+    return { name: group.name, hosts: group.hosts, vars: plain, secrets: secret };
+  });
+
+  const hostKeyArgs = getHostKeyArgs(knownHosts, getInventoryDir(inventoryId));
+  let sshCommonArgs = hostKeyArgs;
+  if (jumpHost) {
+    sshCommonArgs += ` -o ProxyCommand="${getProxyCommand(jumpHost, keyDir, executionOptions, hostKeyArgs)}"`;
+  } else if (executionOptions.proxyJump) {
+    const bastion = getProxyJumpHost(executionOptions);
+    sshCommonArgs += ` -o ProxyCommand="${getProxyJumpCommand(bastion, executionOptions, hostKeyArgs)}"`;
+  }
 
-    if (workerServers.length > 0) {
-      content += '[worker]\n';
-      workerServers.forEach((server, idx) => {
-        content += formatServerLine(server, `k8s-worker-${idx}`) + '\n';
-      });
-      content += '\n';
+  return {
+    hosts,
+    hostSecrets,
+    groups,
+    parent: layout.parent,
+    vars: {
+      ansible_user: servers.find(s => s.ansible_user)?.ansible_user || 'ubuntu',
+      ansible_become: true,
+      ansible_host_key_checking: true,
+      ansible_ssh_common_args: sshCommonArgs,
+      // Lets env-check test the jump host before connecting through it
+      ...(jumpHost && {
+        stackbill_jump_host: {
+          hostname: jumpHost.hostname,
+          port: Number(jumpHost.ssh_port) || 22,
+          user: jumpHost.ssh_user || 'root'
+        }
+      })
     }
+  };
+}
 
-    content += '[kubernetes:children]\n';
-    if (masterServers.length > 0) content += 'master\n';
-    if (workerServers.length > 0) content += 'worker\n';
+/**
+ * Replace every value of a secrets object with the redaction placeholder
+ * @param {object} secrets - Secret variables
+ * @returns {object}
+ */
+function maskSecrets(secrets = {}) {
+  return Object.fromEntries(Object.keys(secrets).map(key => [key, REDACTED]));
+}
 
-  } else if (playbookType === 'env-check') {
-    // For env-check, deduplicate servers based on hostname+port to avoid apt lock conflicts
-    // when multiple roles point to the same physical server
-    const uniqueServers = [];
-    const seen = new Set();
+/**
+ * Format a variable for an INI inventory
+ * Values are parsed by Ansible as Python literals, so strings are quoted when needed.
+ * @param {*} value - Variable value
+ * @returns {string}
+ */
+function formatIniValue(value) {
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  if (typeof value === 'string' && /^[A-Za-z0-9_.\/:@-]+$/.test(value)) return value;
+  return JSON.stringify(value);
+}
 
-    for (const server of servers) {
-      const key = `${server.hostname}:${server.ssh_port || 22}`;
-      if (!seen.has(key)) {
-        seen.add(key);
-        uniqueServers.push(server);
+/**
+ * Render an inventory as INI
+ * One section per group, [<parent>:children] for the manifest's groups and [all:vars].
+ * @param {object} inventory - Inventory from buildInventory
+ * @param {boolean} masked - Include secrets as placeholders (preview) instead of leaving them out
+ * @returns {string} INI content
+ */
+function renderIni(inventory, masked = false) {
+  let content = '';
+  const formatVars = (vars) => Object.entries(vars).map(([key, value]) => `${key}=${formatIniValue(value)}`);
+
+  // A host with several groups is defined once; later groups only list its name
+  const defined = new Set();
+  inventory.groups.forEach(group => {
+    content += `[${group.name}]\n`;
+    group.hosts.forEach(name => {
+      if (defined.has(name)) {
+        content += `${name}\n`;
+      } else {
+        const vars = masked
+          ? { ...inventory.hosts[name], ...maskSecrets(inventory.hostSecrets[name]) }
+          : inventory.hosts[name];
+        content += [name, ...formatVars(vars)].join(' ') + '\n';
+        defined.add(name);
       }
+    });
+    content += '\n';
+  });
+
+  inventory.groups.forEach(group => {
+    const vars = masked ? { ...group.vars, ...maskSecrets(group.secrets) } : group.vars;
+    if (Object.keys(vars).length > 0) {
+      content += `[${group.name}:vars]\n${formatVars(vars).join('\n')}\n\n`;
     }
+  });
 
-    content += '[all]\n';
-    uniqueServers.forEach((server, idx) => {
-      content += formatServerLine(server, `server-${idx}`) + '\n';
-    });
-  } else {
-    // For NFS, RabbitMQ, kubectl, helm, ssl, stackbill - use 'all' group
-    content += '[all]\n';
-    servers.forEach((server, idx) => {
-      content += formatServerLine(server, `server-${idx}`) + '\n';
+  if (inventory.parent) {
+    content += `[${inventory.parent.name}:children]\n${inventory.parent.children.join('\n')}\n\n`;
+  }
+
+  content += `[all:vars]\n${formatVars(inventory.vars).join('\n')}\n`;
+  return content;
+}
+
+/**
+ * Convert an inventory to the structure of Ansible's YAML inventory format
+ * (all -> children -> group -> hosts/vars), which is also valid as JSON.
+ * @param {object} inventory - Inventory from buildInventory
+ * @param {boolean} masked - Include secrets as placeholders (preview) instead of leaving them out
+ * @returns {object}
+ */
+function toInventoryTree(inventory, masked = false) {
+  const children = {};
+
+  const defined = new Set();
+  inventory.groups.forEach(group => {
+    const hosts = {};
+    group.hosts.forEach(name => {
+      if (defined.has(name)) {
+        hosts[name] = {};
+      } else {
+        hosts[name] = masked
+          ? { ...inventory.hosts[name], ...maskSecrets(inventory.hostSecrets[name]) }
+          : inventory.hosts[name];
+        defined.add(name);
+      }
     });
+
+    const vars = masked ? { ...group.vars, ...maskSecrets(group.secrets) } : group.vars;
+    children[group.name] = Object.keys(vars).length > 0 ? { hosts, vars } : { hosts };
+  });
+
+  if (inventory.parent) {
+    children[inventory.parent.name] = {
+      ...(children[inventory.parent.name] || {}),
+      children: Object.fromEntries(inventory.parent.children.map(name => [name, {}]))
+    };
   }
 
-  // Add common variables
-  content += '\n[all:vars]\n';
-  const defaultUser = servers.find(s => s.ansible_user)?.ansible_user || 'ubuntu';
-  content += `ansible_user=${defaultUser}\n`;
-  content += 'ansible_become=true\n';
-  content += `ansible_ssh_common_args='${config.ansible.sshCommonArgs}'\n`;
+  return { all: { children, vars: inventory.vars } };
+}
 
-  return content;
+/**
+ * Render a run's inventory for a preview, with every password and secret masked
+ * @param {Array} servers - Server configurations
+ * @param {string} playbookType - Type of playbook
+ * @param {string} format - One of INVENTORY_FORMATS
+ * @param {object} groupVars - Group vars (group name -> vars)
+ * @param {object} connection - { executionOptions, jumpHost, knownHosts } of the step (see buildInventory)
+ * @returns {string} Inventory content
+ */
+function renderInventoryPreview(servers, playbookType, format = 'ini', groupVars = {}, connection = {}) {
+  const inventory = buildInventory(servers, playbookType, groupVars, connection);
+  switch (format) {
+    case 'yaml':
+      return toYaml(toInventoryTree(inventory, true));
+    case 'json':
+      return JSON.stringify(toInventoryTree(inventory, true), null, 2) + '\n';
+    default:
+      return renderIni(inventory, true);
+  }
 }
 
 /**
- * Generate a dynamic inventory file
+ * Generate a dynamic inventory for one run
+ * Secret variables (passwords, keys, certificates) are moved out of the extra vars
+ * into the vault-encrypted secrets.yml.
  * @param {Array} servers - Server configurations
  * @param {string} playbookType - Type of playbook
- * @returns {object} Inventory ID and path
+ * @param {object} variables - Playbook variables
+ * @param {object} groupVars - Per-group variables (group name -> vars)
+ * @param {object} connection - { executionOptions, jumpHost, knownHosts } of the run (see buildInventory)
+ * @param {string} runId - ID of the run (deployment_runs), names its directories
+ * @returns {object} { inventoryId, inventoryPath, hosts ([{ name, hostname }]),
+ *   extraVars (safe for the command line), vault: { password, varsFile } }
  */
-async function generateInventory(servers, playbookType) {
+async function generateInventory(servers, playbookType, variables = {}, groupVars = {}, connection = {}, runId = null) {
   await ensureInventoryDir();
 
-  const inventoryId = crypto.randomBytes(8).toString('hex');
-  const inventoryPath = path.join(config.paths.inventory, `${inventoryId}.ini`);
+  const inventoryId = runId ? getRunInventoryId(runId) : crypto.randomBytes(8).toString('hex');
+  activeRuns.set(inventoryId, null);
+  try {
+    return await writeInventory(inventoryId, servers, playbookType, variables, groupVars, connection);
+  } catch (error) {
+    // Keys written before the failure must not stay behind
+    await cleanupInventory(inventoryId);
+    throw error;
+  }
+}
+
+/**
+ * Write the files of a run's inventory (see generateInventory)
+ * @param {string} inventoryId - Inventory ID
+ * @param {Array} servers - Server configurations
+ * @param {string} playbookType - Type of playbook
+ * @param {object} variables - Playbook variables
+ * @param {object} groupVars - Per-group variables
+ * @param {object} connection - { executionOptions, jumpHost, knownHosts } of the run
+ * @returns {object} See generateInventory
+ */
+async function writeInventory(inventoryId, servers, playbookType, variables, groupVars, connection) {
+  const inventoryDir = getInventoryDir(inventoryId);
+  const keyDir = getKeyDir(inventoryId);
+  const inventoryPath = path.join(inventoryDir, 'hosts.yml');
+  await fs.mkdir(path.join(inventoryDir, 'host_vars'), { recursive: true, mode: 0o700 });
+  await fs.mkdir(keyDir, { mode: 0o700 });
+
+  // SSH logins, and the ssh-agent for passphrase-protected keys
+  if (connection.jumpHost) {
+    await writeJumpHostFile(connection.jumpHost, keyDir);
+  }
+  const { hosts } = buildInventoryLayout(servers, playbookType, groupVars);
+  activeRuns.set(inventoryId, await writeSSHKeys(hosts, connection.jumpHost, keyDir));
+  await fs.writeFile(path.join(inventoryDir, 'known_hosts'), formatKnownHosts(connection.knownHosts?.keys || []), { mode: 0o600 });
+
+  // YAML rather than INI so values with spaces or quotes need no INI escaping
+  const inventory = buildInventory(servers, playbookType, groupVars, connection, inventoryId);
+  await fs.writeFile(inventoryPath, toYaml(toInventoryTree(inventory)), { mode: 0o600 });
+
+  const vaultPassword = generateVaultPassword();
+  const writeVaultFile = (filePath, vars) => fs.writeFile(
+    filePath,
+    encryptVault(toVaultYaml(vars), vaultPassword),
+    { mode: 0o600 }
+  );
+
+  for (const [name, secrets] of Object.entries(inventory.hostSecrets)) {
+    await writeVaultFile(path.join(inventoryDir, 'host_vars', `${name}.yml`), secrets);
+  }
+
+  const groupSecrets = inventory.groups.filter(group => Object.keys(group.secrets).length > 0);
+  if (groupSecrets.length > 0) {
+    await fs.mkdir(path.join(inventoryDir, 'group_vars'), { mode: 0o700 });
+    for (const group of groupSecrets) {
+      await writeVaultFile(path.join(inventoryDir, 'group_vars', `${group.name}.yml`), group.secrets);
+    }
+  }
 
-  // Write SSH keys if needed
-  await writeSSHKeys(servers);
+  const { plain, secret } = splitSecretVariables(variables);
+  let varsFile = null;
+  if (Object.keys(secret).length > 0) {
+    varsFile = path.join(inventoryDir, 'secrets.yml');
+    await writeVaultFile(varsFile, secret);
+  }
 
-  // Generate and write inventory content
-  const inventoryContent = generateInventoryContent(servers, playbookType);
-  await fs.writeFile(inventoryPath, inventoryContent);
+  return {
+    inventoryId,
+    inventoryPath,
+    hosts: Object.entries(inventory.hosts).map(([name, vars]) => ({ name, hostname: vars.ansible_host })),
+    extraVars: plain,
+    vault: { password: vaultPassword, varsFile }
+  };
+}
 
-  return { inventoryId, inventoryPath };
+/**
+ * Read the known_hosts file of a run (with the keys it recorded)
+ * @param {string} inventoryId - Inventory ID
+ * @returns {Promise<string>} File content, empty if the run has none
+ */
+async function readKnownHosts(inventoryId) {
+  try {
+    return await fs.readFile(path.join(getInventoryDir(inventoryId), 'known_hosts'), 'utf8');
+  } catch (error) {
+    return '';
+  }
 }
 
 /**
- * Cleanup inventory file and SSH keys
+ * Cleanup a run's inventory and key directories and stop its ssh-agent
  * @param {string} inventoryId - Inventory file ID
- * @param {Array} servers - Server configurations (for SSH key cleanup)
  */
-async function cleanupInventory(inventoryId, servers = []) {
+async function cleanupInventory(inventoryId) {
   try {
-    const inventoryPath = path.join(config.paths.inventory, `${inventoryId}.ini`);
-    await fs.unlink(inventoryPath);
-
-    // Clean up SSH key files
-    for (const server of servers) {
-      if (server.ssh_auth_type === 'key' && server.ssh_key) {
-        const keyPath = `/tmp/ansible_key_${server.hostname.replace(/\./g, '_')}.pem`;
-        try {
-          await fs.unlink(keyPath);
-        } catch (e) {
-          // Ignore if file doesn't exist
-        }
-      }
+    const agent = activeRuns.get(inventoryId);
+    if (agent) {
+      await stopAgent(agent);
     }
+    await fs.rm(getKeyDir(inventoryId), { recursive: true, force: true });
+    await fs.rm(getInventoryDir(inventoryId), { recursive: true, force: true });
   } catch (error) {
     console.error('Error cleaning up inventory:', error);
+  } finally {
+    activeRuns.delete(inventoryId);
+  }
+}
+
+/**
+ * Check whether a process is running
+ * @param {number} pid - Process ID
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: running, as another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * List a directory, empty if it does not exist
+ * @param {string} dir - Directory
+ * @returns {Promise<Array<string>>}
+ */
+async function listDir(dir) {
+  try {
+    return await fs.readdir(dir);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Remove what the runs of a stopped backend left behind
+ * Called on startup: the key directories of backends that are no longer running, the
+ * inventories no run in progress uses and the key files earlier versions wrote to /tmp.
+ * An inventory is in use while its run is in progress in this backend (also one started
+ * during the sweep), its job is queued or running (activeRunIds), or another running
+ * backend holds its key directory.
+ * @param {Array<string>} activeRunIds - Runs whose job is queued or running (database.getActiveRunIds)
+ * @returns {Promise<number>} Number of removed directories and files
+ */
+async function sweepRunFiles(activeRunIds = []) {
+  const leftovers = [];
+  const inUse = new Set(activeRunIds.map(getRunInventoryId));
+  const keyDirPattern = new RegExp(`^${KEY_DIR_PREFIX}(\\d+)-(.+)$`);
+
+  for (const entry of await listDir(KEY_ROOT)) {
+    const match = keyDirPattern.exec(entry);
+    if (match) {
+      const [, pid, inventoryId] = match;
+      // A new backend may get the PID of the one that left the directory (containers)
+      const stopped = Number(pid) === process.pid ? !activeRuns.has(inventoryId) : !isProcessAlive(Number(pid));
+      if (stopped) {
+        leftovers.push(path.join(KEY_ROOT, entry));
+      } else {
+        inUse.add(inventoryId);
+      }
+    } else if (LEGACY_KEY_FILE_PATTERN.test(entry)) {
+      leftovers.push(path.join(KEY_ROOT, entry));
+    }
+  }
+
+  for (const entry of await listDir(config.paths.inventory)) {
+    if (!inUse.has(entry) && !activeRuns.has(entry)) {
+      leftovers.push(path.join(config.paths.inventory, entry));
+    }
+  }
+
+  for (const leftover of leftovers) {
+    await fs.rm(leftover, { recursive: true, force: true });
   }
+  return leftovers.length;
 }
 
 module.exports = {
+  INVENTORY_FORMATS,
   ensureInventoryDir,
+  buildInventoryLayout,
+  renderInventoryPreview,
   generateInventory,
-  cleanupInventory
+  readKnownHosts,
+  cleanupInventory,
+  sweepRunFiles
 };
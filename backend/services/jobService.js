@@ -0,0 +1,765 @@
+/**
+ * Job Service
+ * Runs playbook executions as persisted background jobs so they survive
+ * browser disconnects. Clients attach to a job's event stream and can detach
+ * and reattach at any time; output is replayed from the job_events table.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('../config');
+const db = require('../database');
+const { generateInventory, readKnownHosts, cleanupInventory } = require('./inventoryService');
+const { executePlaybook, terminateProcessTree } = require('./playbookService');
+const { getServerRoles } = require('./playbookRegistry');
+const { resolveExecutionOptions } = require('./executionOptions');
+const { getRunBastion, getRunKnownHosts, recordRunHostKeys } = require('./hostKeyService');
+const webhookService = require('./webhookService');
+const { storeSecrets, resolveSecrets, removeSecrets, getSecretPath } = require('./secretStore');
+const { getPlaybookPath } = require('../utils/pathHelper');
+const { redactVariables, collectSecrets, redactText, redactTexts } = require('../utils/redactHelper');
+const { conflict } = require('../middleware/errorHandler');
+
+// Job statuses that will not change anymore
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+const CANCELLED_MESSAGE = 'Deployment cancelled by user';
+const SHUTDOWN_MESSAGE = 'Job interrupted by server shutdown';
+
+// Live event fan-out to attached clients (event name = job ID)
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Job IDs waiting for a free execution slot (FIFO)
+const queue = [];
+
+// Job IDs currently executing
+const runningJobs = new Set();
+
+// Child processes of executing jobs (job ID -> ChildProcess)
+const jobProcesses = new Map();
+
+// Running job IDs a cancel was requested for
+const cancelRequests = new Set();
+
+// Set once the server shuts down: queued jobs are no longer started (see stopJobs)
+let stopping = false;
+
+/**
+ * Check whether a job has reached a final status
+ * @param {object} job - Job record
+ * @returns {boolean}
+ */
+function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+/**
+ * Check whether a job deploys to the session's step (previews only report changes)
+ * @param {object} job - Job record
+ * @returns {boolean}
+ */
+function tracksStep(job) {
+  return Boolean(job.sessionId) && job.mode !== 'check';
+}
+
+/**
+ * Get the names of generated credentials by service (services without any are left out)
+ * @param {object} credentials - Generated credentials by service
+ * @returns {object} { service: [names] }
+ */
+function getCredentialNames(credentials = {}) {
+  return Object.fromEntries(
+    Object.entries(credentials || {})
+      .filter(([, values]) => Object.keys(values || {}).length > 0)
+      .map(([service, values]) => [service, Object.keys(values)])
+  );
+}
+
+/**
+ * Prepare an event for job_events, active_deployments and the event streams, which
+ * viewers can read: secrets are masked in every text and generated credentials are
+ * reduced to their names (the values are saved to the session, see saveRunCredentials)
+ * @param {object} event - Event from the output parser, or the 'complete' event
+ * @param {Array<string>} secrets - Secret values of the run (collectSecrets)
+ * @returns {object} Event without secret values
+ */
+function redactEvent(event, secrets) {
+  const { credentialUpdate, credentials, ...rest } = event;
+  return {
+    ...redactTexts(rest, secrets),
+    ...(credentialUpdate !== undefined && {
+      credentialUpdate: credentialUpdate && { service: credentialUpdate.service, keys: Object.keys(credentialUpdate.data || {}) }
+    }),
+    ...(credentials !== undefined && { credentials: getCredentialNames(credentials) })
+  };
+}
+
+/**
+ * Persist an event, mirror it to active_deployments and notify attached clients
+ * @param {object} job - Job record
+ * @param {object} event - Event payload (without secret values, see redactEvent)
+ */
+function publish(job, event) {
+  const seq = db.addJobEvent(job.id, event);
+  if (tracksStep(job)) {
+    db.addDeploymentEvent(job.sessionId, job.stepId, event);
+  }
+  jobEvents.emit(job.id, { seq, event });
+}
+
+/**
+ * Queue a webhook event of a job (previews raise none)
+ * @param {object} job - Job record
+ * @param {string} event - Webhook event (see services/webhookService)
+ * @param {object} data - Event details besides the job and step
+ */
+function notifyWebhooks(job, event, data = {}) {
+  if (job.mode === 'check') return;
+  webhookService.notify(event, job.sessionId, { jobId: job.id, stepId: job.stepId, ...data });
+}
+
+/**
+ * Map a 'complete' event to the final job status
+ * @param {object} completeEvent - Final 'complete' event
+ * @returns {string}
+ */
+function getFinalStatus(completeEvent) {
+  if (completeEvent.cancelled) return 'cancelled';
+  if (completeEvent.interrupted) return 'interrupted';
+  return completeEvent.success ? 'completed' : 'failed';
+}
+
+/**
+ * Publish the final event and record the job outcome
+ * Only the published event is redacted; waitForJob callers in this process get the
+ * credential values (the blocking ?wait=true response).
+ * @param {object} job - Job record
+ * @param {object} completeEvent - Final 'complete' event
+ * @param {Array<string>} secrets - Secret values of the run (collectSecrets)
+ */
+function finishJob(job, completeEvent, secrets = []) {
+  publish(job, redactEvent(completeEvent, secrets));
+
+  const status = getFinalStatus(completeEvent);
+  const errorMessage = completeEvent.success ? null : completeEvent.error;
+  db.finishJob(job.id, status, completeEvent.exitCode ?? null, errorMessage);
+  db.releaseRunLocks(job.id);
+
+  if (tracksStep(job)) {
+    db.completeActiveDeployment(job.sessionId, job.stepId, completeEvent.success, errorMessage, status);
+    if (completeEvent.cancelled) {
+      db.completeStep(job.sessionId, job.stepId, { jobId: job.id, cancelledAt: new Date().toISOString() }, 'cancelled');
+    }
+  }
+
+  jobEvents.emit(`${job.id}:end`, completeEvent);
+}
+
+/**
+ * Save the credentials a step generated to its session (keys that are not sent keep their value)
+ * @param {string} sessionId - Session ID
+ * @param {object} credentials - Generated credentials by service
+ */
+async function saveStepCredentials(sessionId, credentials = {}) {
+  for (const [service, values] of Object.entries(credentials)) {
+    const stored = await storeSecrets(
+      getSecretPath('sessions', sessionId, 'credentials', service),
+      { ...db.getCredentials(sessionId, service), ...values },
+      { everyField: true }
+    );
+    db.saveCredentials(sessionId, service, Object.fromEntries(Object.keys(values).map(key => [key, stored[key]])));
+  }
+}
+
+/**
+ * Save the credentials a session run generated, before its 'complete' event is published
+ * Failed and cancelled runs save them too: the passwords may already be set on the hosts.
+ * If they cannot be saved, a successful run counts as failed.
+ * @param {object} job - Job record
+ * @param {object} completeEvent - Final 'complete' event
+ * @returns {Promise<object>} The 'complete' event to finish the job with
+ */
+async function saveRunCredentials(job, completeEvent) {
+  const generated = Object.fromEntries(
+    Object.keys(getCredentialNames(completeEvent.credentials)).map(service => [service, completeEvent.credentials[service]])
+  );
+  if (Object.keys(generated).length === 0) return completeEvent;
+
+  try {
+    await saveStepCredentials(job.sessionId, generated);
+    return completeEvent;
+  } catch (error) {
+    const message = `Generated credentials could not be saved: ${error.message}`;
+    if (!completeEvent.success) {
+      console.error(`Job ${job.id}: ${message}`);
+      return completeEvent;
+    }
+    return { ...completeEvent, success: false, error: message };
+  }
+}
+
+/**
+ * Record the outcome of a run on its session step, as deploy-all does (enqueueJob recordStep)
+ * @param {object} job - Job record
+ * @param {object} completeEvent - Final 'complete' event (not cancelled)
+ * @param {Array<object>} servers - Servers of the run
+ */
+function recordStepOutcome(job, completeEvent, servers) {
+  if (completeEvent.success) {
+    db.completeStep(job.sessionId, job.stepId, {
+      jobId: job.id,
+      servers: servers.map(s => ({ hostname: s.hostname, role: s.role, name: s.name || '' })),
+      completedAt: new Date().toISOString()
+    }, 'completed');
+  } else {
+    db.completeStep(job.sessionId, job.stepId, { jobId: job.id, error: completeEvent.error, failedAt: new Date().toISOString() }, 'failed');
+  }
+}
+
+/**
+ * Map the hostnames a retry is limited to onto the run's inventory host names
+ * @param {Array<object>} inventoryHosts - [{ name, hostname }] from generateInventory
+ * @param {Array<string>} limit - Hostnames
+ * @returns {Array<string>} Inventory host names
+ */
+function getLimitHosts(inventoryHosts, limit) {
+  const missing = limit.filter(hostname => !inventoryHosts.some(host => host.hostname === hostname));
+  if (missing.length > 0) {
+    throw new Error(`Not among the servers of this run: ${missing.join(', ')}`);
+  }
+  return inventoryHosts.filter(host => limit.includes(host.hostname)).map(host => host.name);
+}
+
+/**
+ * Get the hosts that failed or were unreachable in a run
+ * The PLAY RECAP decides; without one (the playbook died early) the failed task
+ * results seen so far are used.
+ * @param {object} recap - Per-host recap counters
+ * @param {Map} hostFailures - Inventory host name -> 'failed' | 'unreachable' from task results
+ * @param {Array<object>} inventoryHosts - [{ name, hostname }]
+ * @returns {Array<object>} [{ host, hostname, status }]
+ */
+function getFailedHosts(recap, hostFailures, inventoryHosts) {
+  const failures = Object.keys(recap).length > 0
+    ? Object.entries(recap)
+      .filter(([, stats]) => stats.unreachable > 0 || stats.failed > 0)
+      .map(([host, stats]) => [host, stats.unreachable > 0 ? 'unreachable' : 'failed'])
+    : [...hostFailures.entries()];
+
+  return failures.map(([host, status]) => ({
+    host,
+    hostname: inventoryHosts.find(h => h.name === host)?.hostname || host,
+    status
+  }));
+}
+
+/**
+ * Delete the secrets a job kept in the secret store (see enqueueJob)
+ * @param {string|null} secretPath - Secret path from the job payload
+ */
+async function removeJobSecrets(secretPath) {
+  if (!secretPath) return;
+  try {
+    await removeSecrets(secretPath);
+  } catch (error) {
+    console.error(`Failed to remove job secrets ${secretPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Execute a queued job
+ * @param {string} jobId - Job ID
+ */
+async function runJob(jobId) {
+  const job = db.getJob(jobId);
+  if (!job || job.status !== 'queued') return;
+
+  const {
+    servers = [], variables = {}, groupVars = {}, diff = false, limit = [], startAtTask = null,
+    executionOptions = resolveExecutionOptions(), jumpHost = null, knownHosts = null, secretPath = null,
+    recordStep = false, saveCredentials = true
+  } = db.getJobPayload(jobId) || {};
+  const check = job.mode === 'check';
+  const recordsStep = recordStep && tracksStep(job);
+
+  db.startJob(jobId);
+  if (tracksStep(job)) {
+    db.startActiveDeployment(job.sessionId, job.stepId, jobId);
+  }
+
+  // History entry for this attempt - passwords and keys never reach deployment_runs
+  const run = db.createRun({
+    jobId,
+    sessionId: job.sessionId,
+    stepId: job.stepId,
+    mode: job.mode,
+    variables: redactVariables(variables),
+    hosts: servers.map(s => ({ hostname: s.hostname, name: s.name || '', role: getServerRoles(s).join(',') })),
+    limit,
+    startAtTask
+  });
+  publish(job, {
+    type: 'job', jobId, runId: run.id, mode: job.mode, status: 'running',
+    ...(limit.length > 0 && { limit }),
+    ...(startAtTask && { startAtTask })
+  });
+  notifyWebhooks(job, 'step.started', {
+    runId: run.id,
+    hosts: servers.map(s => s.hostname),
+    ...(limit.length > 0 && { limit }),
+    ...(startAtTask && { startAtTask })
+  });
+
+  let completeEvent;
+  let recap = {};
+  let inventoryId = null;
+  let inventoryHosts = [];
+  // Task names in run order and hosts with a failed task, for retries of the run
+  const tasks = [];
+  const hostFailures = new Map();
+  let resolved = { servers, variables, groupVars, jumpHost };
+  let secrets = [];
+  // Credentials generated so far; their values are masked in later events too
+  const generated = {};
+  try {
+    const playbookPath = getPlaybookPath(job.stepId);
+
+    // References to secrets in Vault are resolved only now, for this run
+    resolved = await resolveSecrets({ servers, variables, groupVars, jumpHost });
+    secrets = collectSecrets(resolved.servers, resolved.variables, resolved.groupVars, resolved.jumpHost);
+    const inventory = await generateInventory(resolved.servers, job.stepId, resolved.variables, resolved.groupVars, {
+      executionOptions, jumpHost: resolved.jumpHost, knownHosts
+    }, run.id);
+    inventoryId = inventory.inventoryId;
+    inventoryHosts = inventory.hosts;
+
+    if (cancelRequests.has(jobId)) {
+      throw new Error(CANCELLED_MESSAGE);
+    }
+    if (stopping) {
+      throw new Error(SHUTDOWN_MESSAGE);
+    }
+
+    const result = await executePlaybook(job.stepId, inventory.inventoryPath, playbookPath, inventory.extraVars, (output) => {
+      if (output.type === 'task' && !output.handler && !tasks.includes(output.task)) {
+        tasks.push(output.task);
+      }
+      if (output.credentialUpdate) {
+        generated[output.credentialUpdate.service] = output.credentialUpdate.data;
+        secrets = collectSecrets(resolved.servers, resolved.variables, resolved.groupVars, resolved.jumpHost, generated);
+      }
+      if (output.type === 'task_result' && output.status === 'fatal' && !output.ignored) {
+        hostFailures.set(output.host, output.unreachable ? 'unreachable' : 'failed');
+        notifyWebhooks(job, 'task.failed', {
+          runId: run.id,
+          task: output.task,
+          host: output.host,
+          hostname: inventoryHosts.find(h => h.name === output.host)?.hostname || output.host,
+          unreachable: output.unreachable,
+          error: redactText(output.errorMessage, secrets)
+        });
+      }
+      publish(job, redactEvent(output, secrets));
+    }, {
+      onSpawn: (child) => jobProcesses.set(jobId, child),
+      check,
+      diff,
+      vault: inventory.vault,
+      limit: limit.length > 0 ? getLimitHosts(inventoryHosts, limit) : [],
+      startAtTask,
+      execution: executionOptions
+    });
+
+    recap = result.recap || {};
+    completeEvent = {
+      type: 'complete',
+      success: true,
+      mode: job.mode,
+      exitCode: 0,
+      diffs: result.diffs || [],
+      credentials: result.credentials || {},
+      stdout: result.stdout,
+      stderr: result.stderr
+    };
+  } catch (error) {
+    // executePlaybook rejects with a result object, setup failures throw an Error
+    const cancelled = cancelRequests.has(jobId);
+    const interrupted = !cancelled && stopping;
+    recap = error.recap || {};
+    completeEvent = {
+      type: 'complete',
+      success: false,
+      cancelled,
+      ...(interrupted && { interrupted }),
+      mode: job.mode,
+      exitCode: error.exitCode ?? null,
+      diffs: error.diffs || [],
+      error: cancelled ? CANCELLED_MESSAGE : interrupted ? SHUTDOWN_MESSAGE : error.error || error.message,
+      stdout: error.stdout,
+      stderr: error.stderr,
+      credentials: error.credentials || {}
+    };
+  } finally {
+    jobProcesses.delete(jobId);
+    cancelRequests.delete(jobId);
+    // Bookkeeping errors are only logged: the job must still finish and release its locks
+    try {
+      // Also after a failed check: the keys of the hosts it reached are recorded
+      if (inventoryId && knownHosts?.mode === 'record' && job.sessionId) {
+        const bastion = getRunBastion(resolved.jumpHost, executionOptions);
+        recordRunHostKeys(job.sessionId, resolved.servers, await readKnownHosts(inventoryId), bastion);
+      }
+    } catch (error) {
+      console.error(`Host keys of job ${jobId} could not be recorded:`, error);
+    }
+    try {
+      if (inventoryId) {
+        await cleanupInventory(inventoryId);
+      }
+      await removeJobSecrets(secretPath);
+    } catch (error) {
+      console.error(`Run files of job ${jobId} could not be removed:`, error);
+    }
+  }
+
+  const failedHosts = getFailedHosts(recap, hostFailures, inventoryHosts);
+  completeEvent = { ...completeEvent, failedHosts };
+  if (tracksStep(job) && saveCredentials) {
+    completeEvent = await saveRunCredentials(job, completeEvent);
+  }
+  if (recordsStep && !completeEvent.cancelled && !completeEvent.interrupted) {
+    try {
+      recordStepOutcome(job, completeEvent, servers);
+    } catch (error) {
+      console.error(`Outcome of job ${jobId} could not be recorded on its step:`, error);
+    }
+  }
+
+  secrets = collectSecrets(
+    resolved.servers, resolved.variables, resolved.groupVars, resolved.jumpHost, completeEvent.credentials
+  );
+  finishJob(job, completeEvent, secrets);
+
+  // Only the names of generated credentials leave the server
+  const credentialNames = getCredentialNames(completeEvent.credentials);
+  if (Object.keys(credentialNames).length > 0) {
+    notifyWebhooks(job, 'credentials.generated', { runId: run.id, credentials: credentialNames });
+  }
+  const status = getFinalStatus(completeEvent);
+  notifyWebhooks(job, status === 'completed' ? 'step.completed' : 'step.failed', {
+    runId: run.id,
+    status,
+    exitCode: completeEvent.exitCode,
+    error: completeEvent.success ? null : redactText(completeEvent.error, secrets),
+    failedHosts
+  });
+  if (recordsStep && status === 'completed') {
+    webhookService.completeSessionIfDone(job.sessionId);
+  }
+  db.finishRun(run.id, {
+    status,
+    exitCode: completeEvent.exitCode,
+    errorMessage: completeEvent.success ? null : completeEvent.error,
+    hostRecap: recap,
+    failedHosts,
+    tasks,
+    stdout: redactText(completeEvent.stdout, secrets),
+    stderr: redactText(completeEvent.stderr, secrets)
+  });
+}
+
+/**
+ * Start queued jobs while execution slots are free
+ */
+function processQueue() {
+  while (!stopping && runningJobs.size < config.jobs.concurrency && queue.length > 0) {
+    const jobId = queue.shift();
+    runningJobs.add(jobId);
+
+    runJob(jobId)
+      .catch(error => console.error(`Job ${jobId} crashed:`, error))
+      .finally(() => {
+        runningJobs.delete(jobId);
+        processQueue();
+      });
+  }
+}
+
+/**
+ * Get the hosts a job works on, as locked by it ('hostname:port')
+ * @param {Array<object>} servers - Servers of the job
+ * @param {Array<string>} limit - Hostnames a retry is limited to
+ * @returns {Array<string>}
+ */
+function getLockedHosts(servers = [], limit = []) {
+  const hosts = servers
+    .filter(server => limit.length === 0 || limit.includes(server.hostname))
+    .map(server => `${String(server.hostname).toLowerCase()}:${Number(server.ssh_port) || 22}`);
+  return Array.from(new Set(hosts));
+}
+
+/**
+ * Build the 409 error for locks held by other jobs
+ * @param {Array<object>} locks - Conflicting locks (database.acquireRunLocks)
+ * @returns {ApiError} With the locks and their jobs as details
+ */
+function lockConflict(locks) {
+  const targets = Array.from(new Set(locks.map(lock => (lock.type === 'step' ? `step '${lock.target}'` : `host ${lock.target}`))));
+  const holders = Array.from(new Map(locks.map(lock => [lock.jobId, lock])).values()).map(lock =>
+    `job ${lock.jobId} (${lock.stepId}${lock.sessionId ? ` of session ${lock.sessionId}` : ''}, ${lock.status || 'starting'}` +
+    `${lock.lockedBy ? `, started by ${lock.lockedBy}` : ''} at ${lock.lockedAt})`
+  );
+  const message = `${targets.join(', ')} ${targets.length > 1 ? 'are' : 'is'} locked by ${holders.join('; ')}`;
+  return conflict(message.charAt(0).toUpperCase() + message.slice(1), { locks });
+}
+
+/**
+ * Create a persisted job and queue it for execution
+ * With the vault secret store, passwords and keys sent with the request are kept in
+ * Vault until the job has finished; the payload in SQLite only holds references.
+ * The job locks its session step and its hosts until it has finished (see
+ * database.acquireRunLocks); a second run of the step, or a run of another session on
+ * one of the hosts, is refused with 409 meanwhile.
+ * @param {string} stepId - Playbook type
+ * @param {object} options - { sessionId, servers, variables, groupVars, check, diff, limit, startAtTask,
+ *   executionOptions, jumpHost, requestedBy, recordStep, saveCredentials }
+ *   check queues a dry run (--check) that previews changes without touching step status;
+ *   limit (hostnames) and startAtTask retry part of a failed run; executionOptions override
+ *   the execution options stored for the session and step; jumpHost replaces the session's
+ *   jump host (null runs without one). Runs of a session check the pinned SSH host keys
+ *   of their hosts and jump host or proxyJump bastion (see services/hostKeyService). requestedBy (username)
+ *   is shown to the runs refused by the job's locks. Runs of a session save the
+ *   credentials they generate to the session unless saveCredentials is false; their
+ *   events only carry the names. With recordStep the job itself marks the session step
+ *   completed or failed - also when nobody follows the job (see
+ *   orchestratorService.runSessionStep).
+ * @returns {Promise<object>} Job record
+ * @throws {ApiError} 409 if the step or a host is locked by another job
+ */
+async function enqueueJob(stepId, {
+  sessionId = null, servers, variables = {}, groupVars = {}, check = false, diff = false, limit = [], startAtTask = null,
+  executionOptions = {}, jumpHost, requestedBy = null, recordStep = false, saveCredentials = true
+}) {
+  // Validate early so a bad request fails before anything is persisted
+  getPlaybookPath(stepId);
+
+  // Resolved now, so the job runs with the options it was queued with
+  const stored = sessionId ? db.getExecutionOptions(sessionId) : {};
+  executionOptions = resolveExecutionOptions(stored, stepId, executionOptions);
+  if (jumpHost === undefined) {
+    jumpHost = sessionId ? db.getJumpHost(sessionId) : null;
+  }
+  const knownHosts = getRunKnownHosts(sessionId, stepId, servers, getRunBastion(jumpHost, executionOptions));
+
+  // Taken before the first await, so a double submission cannot slip in between
+  const jobId = crypto.randomBytes(16).toString('hex');
+  const conflicts = db.acquireRunLocks(jobId, {
+    sessionId, stepId, hosts: getLockedHosts(servers, limit), username: requestedBy
+  });
+  if (conflicts.length > 0) {
+    throw lockConflict(conflicts);
+  }
+
+  let job;
+  try {
+    const secretPath = getSecretPath('jobs', crypto.randomBytes(8).toString('hex'));
+    const payload = await storeSecrets(secretPath, { servers, variables, groupVars, jumpHost });
+    job = db.createJob(
+      sessionId, stepId, {
+        ...payload, diff, limit, startAtTask, executionOptions, knownHosts, secretPath, recordStep, saveCredentials
+      },
+      check ? 'check' : 'run', jobId
+    );
+  } catch (error) {
+    db.releaseRunLocks(jobId);
+    throw error;
+  }
+  queue.push(job.id);
+  setImmediate(processQueue);
+  return job;
+}
+
+/**
+ * Release the locks of a job, for an administrator overriding a stale lock
+ * The job itself is not stopped.
+ * @param {string} jobId - Job ID
+ * @returns {Array<object>} The released locks
+ */
+function releaseJobLocks(jobId) {
+  const locks = db.getRunLocks({ jobId });
+  db.releaseRunLocks(jobId);
+  return locks;
+}
+
+/**
+ * Cancel a queued or running job
+ * Queued jobs are dropped immediately. Running playbooks are interrupted and the
+ * job finishes as 'cancelled' once the process tree has exited and the temporary
+ * inventory and key files have been removed.
+ * @param {string} jobId - Job ID
+ * @returns {object|null} Job record, or null if the job has already finished
+ */
+function cancelJob(jobId) {
+  const job = db.getJob(jobId);
+  if (!job || isFinished(job)) return null;
+
+  const position = queue.indexOf(jobId);
+  if (position >= 0) {
+    queue.splice(position, 1);
+    finishJob(job, { type: 'complete', success: false, cancelled: true, exitCode: null, error: CANCELLED_MESSAGE });
+    removeJobSecrets((db.getJobPayload(jobId) || {}).secretPath);
+    return db.getJob(jobId);
+  }
+
+  if (!cancelRequests.has(jobId)) {
+    cancelRequests.add(jobId);
+    publish(job, { type: 'job', jobId, status: 'cancelling' });
+
+    const child = jobProcesses.get(jobId);
+    if (child) {
+      terminateProcessTree(child);
+    }
+  }
+
+  return { ...db.getJob(jobId), status: 'cancelling' };
+}
+
+/**
+ * Get a job with its position in the queue
+ * @param {string} jobId - Job ID
+ * @returns {object|null}
+ */
+function getJob(jobId) {
+  const job = db.getJob(jobId);
+  if (!job) return null;
+
+  const position = queue.indexOf(jobId);
+  return {
+    ...job,
+    queuePosition: position >= 0 ? position + 1 : null
+  };
+}
+
+/**
+ * Attach to a job's event stream
+ * Replays stored events after `afterSeq`, then delivers live events until the job ends.
+ * @param {string} jobId - Job ID
+ * @param {number} afterSeq - Last sequence number the client has seen
+ * @param {Function} onEvent - Called with (seq, event)
+ * @param {Function} onEnd - Called once the job has finished
+ * @returns {Function} Detach function
+ */
+function attach(jobId, afterSeq, onEvent, onEnd) {
+  let lastSeq = afterSeq;
+
+  const deliver = ({ seq, event }) => {
+    if (seq <= lastSeq) return;
+    lastSeq = seq;
+    onEvent(seq, event);
+  };
+
+  // Replay and subscription happen synchronously, so no event can slip in between
+  db.getJobEvents(jobId, afterSeq).forEach(deliver);
+
+  const job = db.getJob(jobId);
+  if (!job || isFinished(job)) {
+    onEnd();
+    return () => {};
+  }
+
+  const handleEnd = () => {
+    detach();
+    onEnd();
+  };
+
+  function detach() {
+    jobEvents.removeListener(jobId, deliver);
+    jobEvents.removeListener(`${jobId}:end`, handleEnd);
+  }
+
+  jobEvents.on(jobId, deliver);
+  jobEvents.once(`${jobId}:end`, handleEnd);
+
+  return detach;
+}
+
+/**
+ * Wait for a job to finish
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object>} The job's final 'complete' event
+ */
+function waitForJob(jobId) {
+  return new Promise((resolve) => {
+    const job = db.getJob(jobId);
+    if (job && isFinished(job)) {
+      const events = db.getJobEvents(jobId);
+      const complete = events.map(e => e.event).reverse().find(e => e.type === 'complete');
+      return resolve(complete || { type: 'complete', success: job.status === 'completed', error: job.errorMessage });
+    }
+    jobEvents.once(`${jobId}:end`, resolve);
+  });
+}
+
+/**
+ * Reconcile jobs after a restart and resume the queue
+ * Jobs that were running when the process died are marked as interrupted;
+ * jobs that never started are queued again. Idempotency keys of step run requests that
+ * died before queueing their job are released, so the request can be sent again.
+ * @returns {object} Counts of interrupted and requeued jobs and released keys
+ */
+function initializeJobs() {
+  const message = 'Job interrupted by server restart';
+  const interrupted = db.interruptRunningJobs(message);
+  db.interruptActiveDeployments(message);
+  db.interruptRunningRuns(message);
+
+  for (const job of interrupted) {
+    db.addJobEvent(job.id, { type: 'complete', success: false, interrupted: true, error: message });
+    removeJobSecrets((db.getJobPayload(job.id) || {}).secretPath);
+    notifyWebhooks(job, 'step.failed', { status: 'interrupted', exitCode: null, error: message, failedHosts: [] });
+  }
+  // Queued jobs keep their locks
+  db.releaseStaleRunLocks();
+
+  const released = db.releasePendingIdempotencyKeys();
+
+  const queued = db.getQueuedJobIds();
+  queue.push(...queued);
+  processQueue();
+
+  return { interrupted: interrupted.length, requeued: queued.length, released };
+}
+
+/**
+ * Stop the running jobs before the server exits (SIGTERM, SIGINT)
+ * No queued job is started any more; running playbooks are interrupted like cancelled
+ * ones, and their jobs finish as 'interrupted' once their inventory, key and secret files
+ * have been removed. Queued jobs stay queued and start again after the restart
+ * (see initializeJobs).
+ * @returns {Promise<number>} Number of jobs that were stopped
+ */
+async function stopJobs() {
+  stopping = true;
+  const running = Array.from(runningJobs);
+  for (const jobId of running) {
+    const child = jobProcesses.get(jobId);
+    if (child) {
+      terminateProcessTree(child);
+    }
+  }
+  await Promise.all(running.map(waitForJob));
+  return running.length;
+}
+
+module.exports = {
+  enqueueJob,
+  cancelJob,
+  releaseJobLocks,
+  getJob,
+  attach,
+  waitForJob,
+  initializeJobs,
+  stopJobs,
+  isFinished
+};
@@ -0,0 +1,496 @@
+/**
+ * Orchestrator Service
+ * Runs "deploy everything" for a session on the server: every remaining wizard step is
+ * queued as a job once its prerequisites are completed (see services/stepGraph), with the
+ * request built from what the session has stored (see services/stepRequestService).
+ * Independent steps run side by side up to the step_parallelism setting.
+ *
+ * A step that fails or cannot be built pauses the orchestration with a reason; steps
+ * already running are allowed to finish, but no new step starts. Resuming runs the
+ * failed step again and continues from there.
+ *
+ * Progress goes to the session's event channel: orchestration and step events are kept
+ * in session_events (clients resume with the event ID), the output of the running jobs
+ * is forwarded live only - it stays available from each job's own event stream.
+ *
+ * Single steps are queued the same way for API callers (runSessionStep); those jobs
+ * record their outcome on the step themselves.
+ */
+
+const EventEmitter = require('events');
+const db = require('../database');
+const jobService = require('./jobService');
+const { getPlaybook } = require('./playbookRegistry');
+const { getReadySteps, getRemainingSteps, getMissingPrerequisites, getStepParallelism } = require('./stepGraph');
+const { buildStepRequest } = require('./stepRequestService');
+const { completeSessionIfDone } = require('./webhookService');
+const { storeSecrets, resolveSecrets, getSecretPath } = require('./secretStore');
+const { badRequest, notFound, conflict } = require('../middleware/errorHandler');
+
+// Live session events to attached clients (event name = session ID)
+const sessionEvents = new EventEmitter();
+sessionEvents.setMaxListeners(0);
+
+// Orchestrations this process is running (session ID -> { id, running: Map(stepId -> jobId) })
+const active = new Map();
+
+/**
+ * Persist a session event and deliver it to attached clients
+ * @param {string} sessionId - Session ID
+ * @param {object} event - Event payload
+ */
+function publishSessionEvent(sessionId, event) {
+  const id = db.addSessionEvent(sessionId, event);
+  sessionEvents.emit(sessionId, { id, event });
+}
+
+/**
+ * Deliver an event to attached clients without storing it (job output)
+ * @param {string} sessionId - Session ID
+ * @param {object} event - Event payload
+ */
+function forwardSessionEvent(sessionId, event) {
+  sessionEvents.emit(sessionId, { id: null, event });
+}
+
+/**
+ * Attach to a session's event channel
+ * Replays stored events after `afterId`, then delivers live events until detached.
+ * @param {string} sessionId - Session ID
+ * @param {number} afterId - Last event ID the client has seen
+ * @param {Function} onEvent - Called with (id, event); id is null for forwarded job output
+ * @returns {Function} Detach function
+ */
+function attachSession(sessionId, afterId, onEvent) {
+  let lastId = afterId;
+
+  const deliver = ({ id, event }) => {
+    if (id !== null) {
+      if (id <= lastId) return;
+      lastId = id;
+    }
+    onEvent(id, event);
+  };
+
+  // Replay and subscription happen synchronously, so no event can slip in between
+  db.getSessionEvents(sessionId, afterId).forEach(deliver);
+  sessionEvents.on(sessionId, deliver);
+
+  return () => sessionEvents.removeListener(sessionId, deliver);
+}
+
+/**
+ * Get the title of a step for messages
+ * @param {string} stepId - Step ID
+ * @returns {string}
+ */
+function getStepTitle(stepId) {
+  return getPlaybook(stepId)?.title || stepId;
+}
+
+/**
+ * Update an orchestration and publish its new state
+ * @param {object} orchestration - Orchestration record
+ * @param {object} updates - See database.updateOrchestration
+ * @returns {object} Updated orchestration
+ */
+function updateOrchestration(orchestration, updates) {
+  const updated = db.updateOrchestration(orchestration.id, updates);
+  publishSessionEvent(updated.sessionId, { type: 'orchestration', orchestration: updated });
+  return updated;
+}
+
+/**
+ * Pause an orchestration (its running steps finish, no new step starts)
+ * @param {string} sessionId - Session ID
+ * @param {object} updates - { failedStep, reason }
+ */
+function pauseOrchestration(sessionId, { failedStep = null, reason }) {
+  const entry = active.get(sessionId);
+  const orchestration = entry && db.getOrchestration(entry.id);
+  if (!orchestration || orchestration.status !== 'running') return;
+
+  updateOrchestration(orchestration, { status: 'paused', failedStep, reason });
+  if (entry.running.size === 0) {
+    active.delete(sessionId);
+  }
+}
+
+/**
+ * Save the servers a step runs on as the step's servers (see saveStepRequest)
+ * @param {string} sessionId - Session ID
+ * @param {string} stepId - Step ID
+ * @param {Array<object>} servers - Servers (may hold secret references)
+ */
+async function saveStepServers(sessionId, stepId, servers) {
+  const stored = await storeSecrets(
+    getSecretPath('sessions', sessionId, 'servers', stepId),
+    await resolveSecrets(servers)
+  );
+  db.saveServers(sessionId, stepId, stored);
+}
+
+/**
+ * Save what a step's request took from the session, as the wizard does when it deploys:
+ * the env-check servers it picked (or the servers sent with the call) as the step's
+ * servers, and the detected mode
+ * Called once the step's job is queued, so a run that is refused (409 lock) leaves the
+ * session as it was. The job runs with the request it was queued with, so a failure to
+ * save is only logged.
+ * @param {object} session - Session (database.getSession)
+ * @param {string} stepId - Step ID
+ * @param {object} request - Request (stepRequestService.buildStepRequest)
+ * @param {object} options - { replaceServers (servers were sent with the call) }
+ */
+async function saveStepRequest(session, stepId, request, { replaceServers = false } = {}) {
+  try {
+    if (replaceServers || request.serversFromEnvCheck) {
+      await saveStepServers(session.id, stepId, request.servers);
+    }
+    if (request.mode && request.mode !== session.modes[stepId]) {
+      db.setStepMode(session.id, stepId, request.mode);
+    }
+  } catch (error) {
+    console.error(`[ORCHESTRATOR] Request of step ${stepId} in session ${session.id} could not be saved:`, error);
+  }
+}
+
+/**
+ * Record the outcome of a step's job and continue with the next steps
+ * @param {string} sessionId - Session ID
+ * @param {string} stepId - Step ID
+ * @param {string} jobId - Job ID
+ * @param {Array<object>} servers - Servers the step ran on
+ * @param {object} result - The job's final 'complete' event
+ */
+async function finishStep(sessionId, stepId, jobId, servers, result) {
+  const entry = active.get(sessionId);
+  entry.running.delete(stepId);
+
+  // The job has already saved the credentials it generated
+  if (result.success) {
+    db.completeStep(sessionId, stepId, {
+      jobId,
+      servers: servers.map(s => ({ hostname: s.hostname, role: s.role, name: s.name || '' })),
+      completedAt: new Date().toISOString()
+    }, 'completed');
+    publishSessionEvent(sessionId, { type: 'step', stepId, jobId, status: 'completed' });
+    completeSessionIfDone(sessionId);
+    return schedule(sessionId);
+  }
+
+  // Cancelled jobs have already been recorded by the job service; jobs interrupted by a
+  // shutdown leave the step as it was
+  if (!result.cancelled && !result.interrupted) {
+    db.completeStep(sessionId, stepId, { jobId, error: result.error, failedAt: new Date().toISOString() }, 'failed');
+  }
+  const status = result.cancelled ? 'cancelled' : result.interrupted ? 'interrupted' : 'failed';
+  publishSessionEvent(sessionId, { type: 'step', stepId, jobId, status, error: result.error || null });
+  // The orchestration stays running and is marked interrupted at the next start
+  if (result.interrupted) return;
+
+  const orchestration = db.getOrchestration(entry.id);
+  if (orchestration.status === 'running') {
+    pauseOrchestration(sessionId, { failedStep: stepId, reason: `${getStepTitle(stepId)} ${status}: ${result.error || 'unknown error'}` });
+  } else if (entry.running.size === 0) {
+    active.delete(sessionId);
+  }
+}
+
+/**
+ * Follow a step's job: forward its output and record its outcome
+ * @param {string} sessionId - Session ID
+ * @param {string} stepId - Step ID
+ * @param {string} jobId - Job ID
+ * @param {Array<object>} servers - Servers the step runs on
+ */
+function followStep(sessionId, stepId, jobId, servers) {
+  const detach = jobService.attach(
+    jobId,
+    0,
+    (seq, event) => forwardSessionEvent(sessionId, { type: 'job_event', stepId, jobId, seq, event }),
+    () => {}
+  );
+
+  jobService.waitForJob(jobId)
+    .then((result) => {
+      detach();
+      return finishStep(sessionId, stepId, jobId, servers, result);
+    })
+    .catch((error) => {
+      console.error(`[ORCHESTRATOR] Step ${stepId} of session ${sessionId} could not be recorded:`, error);
+      active.get(sessionId)?.running.delete(stepId);
+      pauseOrchestration(sessionId, { failedStep: stepId, reason: `${getStepTitle(stepId)} could not be recorded: ${error.message}` });
+    });
+}
+
+/**
+ * Start a step: build its request from the session, queue the job and follow it
+ * A job the step already has (started from the wizard) is followed instead.
+ * @param {string} sessionId - Session ID
+ * @param {string} stepId - Step ID
+ * @returns {Promise<boolean>} Whether the step was started
+ */
+async function startStep(sessionId, stepId) {
+  const entry = active.get(sessionId);
+  const current = db.getCurrentJob(sessionId, stepId);
+
+  if (current) {
+    entry.running.set(stepId, current.id);
+    const servers = db.getSession(sessionId).servers[stepId] || [];
+    const orchestration = db.getOrchestration(entry.id);
+    updateOrchestration(orchestration, { stepJobs: { ...orchestration.stepJobs, [stepId]: current.id } });
+    publishSessionEvent(sessionId, { type: 'step', stepId, jobId: current.id, status: 'started' });
+    followStep(sessionId, stepId, current.id, servers);
+    return true;
+  }
+
+  const session = db.getSession(sessionId);
+  const request = buildStepRequest(session, stepId);
+  if (request.errors.length > 0) {
+    pauseOrchestration(sessionId, { failedStep: stepId, reason: `${getStepTitle(stepId)} cannot run: ${request.errors.join('; ')}` });
+    return false;
+  }
+
+  // Reserve the slot before the first await, so the scheduler does not start the step twice
+  entry.running.set(stepId, null);
+  try {
+    const job = await jobService.enqueueJob(stepId, {
+      sessionId,
+      servers: request.servers,
+      variables: request.variables,
+      requestedBy: db.getOrchestration(entry.id).startedBy
+    });
+    entry.running.set(stepId, job.id);
+    await saveStepRequest(session, stepId, request);
+
+    const orchestration = db.getOrchestration(entry.id);
+    updateOrchestration(orchestration, { stepJobs: { ...orchestration.stepJobs, [stepId]: job.id } });
+    publishSessionEvent(sessionId, { type: 'step', stepId, jobId: job.id, status: 'started' });
+    followStep(sessionId, stepId, job.id, request.servers);
+    return true;
+  } catch (error) {
+    entry.running.delete(stepId);
+    pauseOrchestration(sessionId, { failedStep: stepId, reason: `${getStepTitle(stepId)} could not be started: ${error.message}` });
+    return false;
+  }
+}
+
+/**
+ * Queue one step of a session, with the request built from what the session stores
+ * (the API counterpart of deploying a single step in the wizard)
+ * Servers sent with the call replace the step's stored servers once the job is queued,
+ * variables replace single manifest variables for this run. The job marks the step completed or failed by itself
+ * (see jobService.enqueueJob recordStep).
+ * @param {string} sessionId - Session ID
+ * @param {string} stepId - Step ID
+ * @param {object} options - { servers, variables, executionOptions, saveCredentials, requestedBy }
+ * @returns {Promise<object>} Job record
+ * @throws {ApiError} 404 unknown session or step, 400 incomplete request, 409 prerequisites
+ *   missing or step/hosts locked by another job
+ */
+async function runSessionStep(sessionId, stepId, {
+  servers, variables, executionOptions = {}, saveCredentials = true, requestedBy = null
+} = {}) {
+  const session = db.getSession(sessionId);
+  if (!session) {
+    throw notFound('Session');
+  }
+  if (!getPlaybook(stepId)) {
+    throw notFound(`Step '${stepId}'`);
+  }
+
+  const missing = getMissingPrerequisites(stepId, session.completedSteps);
+  if (missing.length > 0) {
+    throw conflict(`Step '${stepId}' needs ${missing.join(', ')} completed first`);
+  }
+
+  const request = buildStepRequest(session, stepId, { servers, variables });
+  if (request.errors.length > 0) {
+    throw badRequest(`${getStepTitle(stepId)} cannot run: ${request.errors.join('; ')}`);
+  }
+
+  const job = await jobService.enqueueJob(stepId, {
+    sessionId,
+    servers: request.servers,
+    variables: request.variables,
+    executionOptions,
+    requestedBy,
+    recordStep: true,
+    saveCredentials
+  });
+  await saveStepRequest(session, stepId, request, { replaceServers: Boolean(servers) });
+  return job;
+}
+
+/**
+ * Start the steps that are ready, or finish the orchestration when none are left
+ * @param {string} sessionId - Session ID
+ */
+async function schedule(sessionId) {
+  const entry = active.get(sessionId);
+  if (!entry) return;
+
+  let orchestration = db.getOrchestration(entry.id);
+  if (orchestration.status !== 'running') {
+    if (entry.running.size === 0) active.delete(sessionId);
+    return;
+  }
+
+  const { completedSteps } = db.getSession(sessionId);
+  const remaining = orchestration.steps.filter(stepId => !completedSteps.includes(stepId));
+
+  if (remaining.length === 0) {
+    active.delete(sessionId);
+    updateOrchestration(orchestration, { status: 'completed', failedStep: null, reason: null, finished: true });
+    return;
+  }
+
+  const ready = getReadySteps(completedSteps, [...entry.running.keys()])
+    .filter(stepId => remaining.includes(stepId));
+
+  for (const stepId of ready) {
+    // Another step finishing may have scheduled in the meantime
+    if (entry.running.size >= getStepParallelism()) break;
+    if (entry.running.has(stepId)) continue;
+    if (!(await startStep(sessionId, stepId))) return;
+  }
+
+  // Nothing runs and nothing could start: a step the plan needs is outside of it
+  orchestration = db.getOrchestration(entry.id);
+  if (orchestration.status === 'running' && entry.running.size === 0) {
+    const blocked = remaining[0];
+    const missing = getPlaybook(blocked).dependsOn.filter(id => !completedSteps.includes(id));
+    pauseOrchestration(sessionId, {
+      failedStep: blocked,
+      reason: `${getStepTitle(blocked)} is waiting for ${missing.map(getStepTitle).join(', ')}`
+    });
+  }
+}
+
+/**
+ * Schedule a session's steps once the current request is answered
+ * An error pauses the orchestration with its reason rather than escaping as an unhandled
+ * rejection, which would stop the server.
+ * @param {string} sessionId - Session ID
+ */
+function scheduleLater(sessionId) {
+  setImmediate(() => {
+    schedule(sessionId).catch((error) => {
+      console.error(`[ORCHESTRATOR] Steps of session ${sessionId} could not be scheduled:`, error);
+      try {
+        pauseOrchestration(sessionId, { reason: `Steps could not be scheduled: ${error.message}` });
+      } catch (pauseError) {
+        console.error(`[ORCHESTRATOR] Deploy-all of session ${sessionId} could not be paused:`, pauseError);
+      }
+      // A deleted session takes its orchestration along
+      const entry = active.get(sessionId);
+      if (entry && !db.getOrchestration(entry.id)) {
+        active.delete(sessionId);
+      }
+    });
+  });
+}
+
+/**
+ * Start deploying every remaining step of a session
+ * @param {string} sessionId - Session ID
+ * @param {string|null} username - User who started it
+ * @returns {object} The orchestration
+ */
+function startDeployAll(sessionId, username = null) {
+  const entry = active.get(sessionId);
+  if (entry) {
+    throw conflict(db.getOrchestration(entry.id).status === 'running'
+      ? 'Deploy-all is already running for this session'
+      : 'Steps of the paused deploy-all are still running');
+  }
+
+  const session = db.getSession(sessionId);
+  const steps = getRemainingSteps(session.completedSteps);
+  if (steps.length === 0) {
+    throw conflict('Every step of this session is already completed');
+  }
+
+  const orchestration = db.createOrchestration(sessionId, steps, username);
+  active.set(sessionId, { id: orchestration.id, running: new Map() });
+  publishSessionEvent(sessionId, { type: 'orchestration', orchestration });
+
+  scheduleLater(sessionId);
+  return orchestration;
+}
+
+/**
+ * Pause the running orchestration of a session
+ * @param {string} sessionId - Session ID
+ * @param {string|null} username - User who paused it
+ * @returns {object} The orchestration
+ */
+function pauseDeployAll(sessionId, username = null) {
+  const entry = active.get(sessionId);
+  const orchestration = entry && db.getOrchestration(entry.id);
+  if (!orchestration || orchestration.status !== 'running') {
+    throw conflict('Deploy-all is not running for this session');
+  }
+
+  pauseOrchestration(sessionId, { reason: `Paused by ${username || 'a user'}` });
+  return db.getOrchestration(orchestration.id);
+}
+
+/**
+ * Resume the paused or interrupted orchestration of a session
+ * The failed step runs again; steps completed since are skipped.
+ * @param {string} sessionId - Session ID
+ * @returns {object} The orchestration
+ */
+function resumeDeployAll(sessionId) {
+  const entry = active.get(sessionId);
+  const orchestration = db.getLatestOrchestration(sessionId);
+  if (!orchestration || !['paused', 'interrupted'].includes(orchestration.status)) {
+    throw conflict('There is no paused deploy-all to resume for this session');
+  }
+
+  const updated = updateOrchestration(orchestration, { status: 'running', failedStep: null, reason: null });
+  // Steps of the paused run may still be finishing; they are kept in the new entry
+  active.set(sessionId, { id: updated.id, running: entry?.id === updated.id ? entry.running : new Map() });
+
+  scheduleLater(sessionId);
+  return updated;
+}
+
+/**
+ * Get the latest orchestration of a session with the steps it is running
+ * @param {string} sessionId - Session ID
+ * @returns {object|null}
+ */
+function getDeployAll(sessionId) {
+  const orchestration = db.getLatestOrchestration(sessionId);
+  if (!orchestration) return null;
+
+  const entry = active.get(sessionId);
+  const runningSteps = entry?.id === orchestration.id ? [...entry.running.keys()] : [];
+  return { ...orchestration, runningSteps };
+}
+
+/**
+ * Mark orchestrations that were running when the server stopped as interrupted
+ * Their jobs were interrupted as well (see jobService.initializeJobs); they can be resumed.
+ * @returns {number} Number of interrupted orchestrations
+ */
+function initializeOrchestrations() {
+  const interrupted = db.interruptRunningOrchestrations('Interrupted by server restart');
+  for (const orchestration of interrupted) {
+    db.addSessionEvent(orchestration.sessionId, { type: 'orchestration', orchestration });
+  }
+  return interrupted.length;
+}
+
+module.exports = {
+  attachSession,
+  startDeployAll,
+  pauseDeployAll,
+  resumeDeployAll,
+  getDeployAll,
+  runSessionStep,
+  initializeOrchestrations
+};
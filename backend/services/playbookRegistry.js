@@ -0,0 +1,404 @@
+/**
+ * Playbook Registry
+ * Loads the manifest.json of every playbook directory under ansible/.
+ * Routes, request validation, inventory layout, credential outputs and the
+ * wizard steps in the frontend are all generated from these manifests, so adding
+ * a component only needs a playbook directory with a manifest.
+ *
+ * Manifest fields (see ansible/README.md):
+ *   id, title, fullTitle, description, icon, order, type ('check' | 'deployment'),
+ *   playbook, rolesPath, modes, wizard, form, inventory, variables, dependsOn, credentials
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const MANIFEST_FILE = 'manifest.json';
+
+const STEP_TYPES = ['check', 'deployment'];
+
+const VARIABLE_TYPES = ['string', 'text', 'number', 'boolean', 'select'];
+
+// Loaded manifests by ID, in wizard order
+let registry = null;
+
+// Playbook directory of each manifest (ID -> absolute path)
+const playbookDirs = new Map();
+
+/**
+ * Check a manifest for the fields the backend relies on
+ * @param {object} manifest - Parsed manifest
+ * @param {string} dir - Playbook directory
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+function getManifestErrors(manifest, dir) {
+  const errors = [];
+
+  if (!manifest.id || !/^[a-z0-9-]+$/.test(manifest.id)) {
+    errors.push('id is required and may only contain lowercase letters, digits and dashes');
+  }
+  if (!manifest.title) {
+    errors.push('title is required');
+  }
+  if (manifest.type && !STEP_TYPES.includes(manifest.type)) {
+    errors.push(`type must be one of: ${STEP_TYPES.join(', ')}`);
+  }
+  if (!manifest.playbook || !fs.existsSync(path.join(dir, manifest.playbook))) {
+    errors.push(`playbook file '${manifest.playbook}' not found`);
+  }
+
+  const groups = manifest.inventory?.groups || [];
+  groups.forEach((group, idx) => {
+    if (!group.name || !Array.isArray(group.roles)) {
+      errors.push(`inventory.groups[${idx}] needs a name and a roles array`);
+    }
+  });
+
+  (manifest.variables || []).forEach((variable, idx) => {
+    if (!variable.name) {
+      errors.push(`variables[${idx}] needs a name`);
+    }
+    if (variable.type && !VARIABLE_TYPES.includes(variable.type)) {
+      errors.push(`variable '${variable.name}' has unknown type '${variable.type}'`);
+    }
+    if (variable.type === 'select' && !Array.isArray(variable.options)) {
+      errors.push(`variable '${variable.name}' is a select without options`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check the dependsOn of all manifests: every dependency must exist and the steps
+ * must form a graph without cycles (see services/stepGraph)
+ * @param {Array<object>} manifests - Loaded manifests
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+function getDependencyErrors(manifests) {
+  const byId = new Map(manifests.map(m => [m.id, m]));
+  const errors = [];
+
+  for (const manifest of manifests) {
+    if (!Array.isArray(manifest.dependsOn)) {
+      errors.push(`${manifest.id}: dependsOn must be an array of step IDs`);
+      continue;
+    }
+    manifest.dependsOn
+      .filter(id => !byId.has(id))
+      .forEach(id => errors.push(`${manifest.id}: dependsOn unknown step '${id}'`));
+  }
+  if (errors.length > 0) return errors;
+
+  // Depth-first search; a step met again while it is still on the path closes a cycle
+  const visited = new Set();
+  const trail = [];
+  const visit = (id) => {
+    if (trail.includes(id)) {
+      errors.push(`dependency cycle: ${[...trail.slice(trail.indexOf(id)), id].join(' -> ')}`);
+      return;
+    }
+    if (visited.has(id)) return;
+    visited.add(id);
+    trail.push(id);
+    byId.get(id).dependsOn.forEach(visit);
+    trail.pop();
+  };
+  manifests.forEach(manifest => visit(manifest.id));
+
+  return errors;
+}
+
+/**
+ * Read and validate every manifest under the ansible directory
+ * Throws on an invalid manifest so a broken component is noticed at startup.
+ * @returns {Map} Manifests by ID
+ */
+function loadManifests() {
+  const manifests = [];
+  playbookDirs.clear();
+
+  const entries = fs.readdirSync(config.paths.ansible, { withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+
+    const dir = path.join(config.paths.ansible, entry.name);
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) continue;
+
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid playbook manifest ${manifestPath}: ${error.message}`);
+    }
+
+    const errors = getManifestErrors(manifest, dir);
+    if (playbookDirs.has(manifest.id)) {
+      errors.push(`id '${manifest.id}' is already used by ${playbookDirs.get(manifest.id)}`);
+    }
+    if (errors.length > 0) {
+      throw new Error(`Invalid playbook manifest ${manifestPath}: ${errors.join('; ')}`);
+    }
+
+    playbookDirs.set(manifest.id, dir);
+    manifests.push({
+      type: 'deployment',
+      modes: [],
+      wizard: true,
+      inventory: {},
+      variables: [],
+      dependsOn: [],
+      credentials: null,
+      ...manifest
+    });
+  }
+
+  const dependencyErrors = getDependencyErrors(manifests);
+  if (dependencyErrors.length > 0) {
+    throw new Error(`Invalid playbook manifests in ${config.paths.ansible}: ${dependencyErrors.join('; ')}`);
+  }
+
+  manifests.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.id.localeCompare(b.id));
+  return new Map(manifests.map(m => [m.id, m]));
+}
+
+/**
+ * Get the loaded manifests, loading them on first use
+ * @returns {Map}
+ */
+function getRegistry() {
+  if (!registry) {
+    registry = loadManifests();
+  }
+  return registry;
+}
+
+/**
+ * List all playbooks in wizard order
+ * @returns {Array<object>} Manifests
+ */
+function listPlaybooks() {
+  return Array.from(getRegistry().values());
+}
+
+/**
+ * Get a playbook manifest
+ * @param {string} playbookType - Playbook ID
+ * @returns {object|null} Manifest
+ */
+function getPlaybook(playbookType) {
+  return getRegistry().get(playbookType) || null;
+}
+
+/**
+ * Get the directory a playbook manifest was loaded from
+ * @param {string} playbookType - Playbook ID
+ * @returns {string|null}
+ */
+function getPlaybookDir(playbookType) {
+  getRegistry();
+  return playbookDirs.get(playbookType) || null;
+}
+
+/**
+ * Fill in declared defaults for variables the request did not set
+ * @param {object} manifest - Playbook manifest
+ * @param {object} variables - Request variables
+ * @returns {object} Variables with defaults applied
+ */
+function applyVariableDefaults(manifest, variables = {}) {
+  const result = { ...variables };
+  for (const variable of manifest.variables) {
+    const value = result[variable.name];
+    if ((value === undefined || value === null) && variable.default !== undefined) {
+      result[variable.name] = variable.default;
+    }
+  }
+  return result;
+}
+
+/**
+ * Check whether a value matches a declared variable type
+ * @param {object} variable - Variable declaration
+ * @param {*} value - Request value
+ * @returns {boolean}
+ */
+function matchesType(variable, value) {
+  switch (variable.type || 'string') {
+    case 'number':
+      return (typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+    case 'boolean':
+      return typeof value === 'boolean' || value === 'true' || value === 'false';
+    case 'select':
+      return variable.options.map(String).includes(String(value));
+    default:
+      return typeof value === 'string';
+  }
+}
+
+/**
+ * Validate request variables against a manifest (after defaults are applied)
+ * Variables the manifest does not declare are passed through unchecked.
+ * @param {object} manifest - Playbook manifest
+ * @param {object} variables - Request variables
+ * @returns {Array<string>} Error messages
+ */
+function validateVariables(manifest, variables = {}) {
+  const errors = [];
+
+  for (const variable of manifest.variables) {
+    const value = variables[variable.name];
+    const isEmpty = value === undefined || value === null || value === '';
+
+    const required = variable.required || (variable.requiredWhen &&
+      Object.entries(variable.requiredWhen).every(([key, expected]) => String(variables[key]) === String(expected)));
+
+    if (isEmpty) {
+      if (required) {
+        errors.push(`Variable ${variable.name} is required`);
+      }
+      continue;
+    }
+
+    if (!matchesType(variable, value)) {
+      errors.push(variable.type === 'select'
+        ? `Variable ${variable.name} must be one of: ${variable.options.join(', ')}`
+        : `Variable ${variable.name} must be a ${variable.type || 'string'}`);
+    }
+  }
+
+  return errors;
+}
+
+// Group names Ansible reserves for itself
+const RESERVED_GROUPS = ['all', 'ungrouped'];
+
+/**
+ * Get the roles of a server (a server may carry several, e.g. roles: ['nfs', 'rabbitmq'])
+ * @param {object} server - Server configuration
+ * @returns {Array<string>}
+ */
+function getServerRoles(server) {
+  const roles = [
+    ...(server.role ? [server.role] : []),
+    ...(Array.isArray(server.roles) ? server.roles : [])
+  ].map(role => String(role).trim()).filter(Boolean);
+  return Array.from(new Set(roles));
+}
+
+/**
+ * Turn a role into a valid Ansible group name (k8s-master -> k8s_master)
+ * @param {string} role - Server role
+ * @returns {string|null} Group name, or null for reserved names
+ */
+function toGroupName(role) {
+  let name = role.replace(/[^A-Za-z0-9_]/g, '_');
+  if (/^[0-9]/.test(name)) name = `_${name}`;
+  return RESERVED_GROUPS.includes(name) ? null : name;
+}
+
+/**
+ * Split servers into inventory groups by role
+ * Each role puts the server in the manifest group listing it; roles no group lists
+ * get a group of their own (named after the role), so servers can carry arbitrary
+ * roles. Servers without a role go to the group marked "default", or stay ungrouped.
+ * @param {object|null} manifest - Playbook manifest (null for unregistered types)
+ * @param {Array} servers - Server configurations
+ * @returns {Array<object>} [{ group, servers }] - manifest groups first, then role groups
+ */
+function assignServersToGroups(manifest, servers = []) {
+  const groups = manifest?.inventory?.groups || [];
+  const assigned = groups.map(group => ({ group, servers: [] }));
+
+  const addTo = (entry, server) => {
+    if (!entry.servers.includes(server)) {
+      entry.servers.push(server);
+    }
+  };
+
+  for (const server of servers) {
+    const roles = getServerRoles(server);
+
+    if (roles.length === 0) {
+      const target = assigned.find(entry => entry.group.default);
+      if (target) addTo(target, server);
+      continue;
+    }
+
+    for (const role of roles) {
+      let target = assigned.find(entry => entry.group.roles.includes(role));
+      if (!target) {
+        const name = toGroupName(role);
+        if (!name) continue;
+        target = assigned.find(entry => entry.group.name === name);
+        if (!target) {
+          target = { group: { name, roles: [role], adhoc: true }, servers: [] };
+          assigned.push(target);
+        }
+      }
+      addTo(target, server);
+    }
+  }
+
+  return assigned;
+}
+
+/**
+ * Validate the servers of a request against the manifest's group minimums
+ * @param {object} manifest - Playbook manifest
+ * @param {Array} servers - Server configurations
+ * @returns {Array<string>} Error messages
+ */
+function validateServerGroups(manifest, servers = []) {
+  return assignServersToGroups(manifest, servers)
+    .filter(({ group, servers: members }) => !group.adhoc && members.length < (group.min || 0))
+    .map(({ group }) => (group.min === 1
+      ? `At least one ${group.label || `${group.name} server`} is required`
+      : `At least ${group.min} ${group.label || `${group.name} server`}s are required`));
+}
+
+/**
+ * Validate the per-group variables of a request
+ * Groups must exist in the run's inventory (a manifest group or a server role).
+ * @param {object} manifest - Playbook manifest
+ * @param {Array} servers - Server configurations
+ * @param {object} groupVars - Group name -> variables
+ * @returns {Array<string>} Error messages
+ */
+function validateGroupVars(manifest, servers = [], groupVars = {}) {
+  if (!groupVars || typeof groupVars !== 'object' || Array.isArray(groupVars)) {
+    return ['groupVars must be an object of group name -> variables'];
+  }
+
+  const known = assignServersToGroups(manifest, servers).map(({ group }) => group.name);
+  const errors = [];
+
+  for (const [name, vars] of Object.entries(groupVars)) {
+    if (!known.includes(name)) {
+      errors.push(`groupVars: unknown group '${name}' (groups: ${known.join(', ') || 'none'})`);
+    } else if (!vars || typeof vars !== 'object' || Array.isArray(vars)) {
+      errors.push(`groupVars.${name} must be an object`);
+    } else {
+      Object.keys(vars)
+        .filter(key => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(key))
+        .forEach(key => errors.push(`groupVars.${name}: invalid variable name '${key}'`));
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  listPlaybooks,
+  getPlaybook,
+  getPlaybookDir,
+  applyVariableDefaults,
+  validateVariables,
+  getServerRoles,
+  assignServersToGroups,
+  validateServerGroups,
+  validateGroupVars
+};
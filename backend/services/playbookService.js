@@ -1,160 +1,18 @@
 /**
  * Playbook Service
  * Handles Ansible playbook execution with streaming support
+ *
+ * Playbooks run with the bundled stackbill_events stdout callback
+ * (ansible/callback_plugins), which writes one JSON event per line.
  */
 
 const { spawn } = require('child_process');
 const config = require('../config');
 const { toWslPath, getRolePath } = require('../utils/pathHelper');
-
-/**
- * Parse Ansible output for credentials
- * @param {string} text - Output text
- * @param {string} service - Service name
- * @param {object} credentials - Credentials object to update
- */
-function parseCredentials(text, service, credentials) {
-  const lines = text.split('\n');
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-
-    // Parse CREDENTIALS| format
-    if (trimmed.startsWith('CREDENTIALS|')) {
-      const parts = trimmed.split('|');
-      const svc = parts[1]?.toLowerCase();
-      if (svc) {
-        if (!credentials[svc]) credentials[svc] = {};
-        parts.slice(2).forEach(segment => {
-          const [k, v] = segment.split('=');
-          if (k && v) {
-            credentials[svc][k.trim()] = v.trim();
-          }
-        });
-      }
-      continue;
-    }
-
-    // Parse individual credential lines
-    let match;
-    if ((match = trimmed.match(/^MySQL user:\s*(.+)$/i))) {
-      if (!credentials.mysql) credentials.mysql = {};
-      credentials.mysql.username = match[1].trim();
-    } else if ((match = trimmed.match(/^MySQL password:\s*(.+)$/i))) {
-      if (!credentials.mysql) credentials.mysql = {};
-      credentials.mysql.password = match[1].trim();
-    } else if ((match = trimmed.match(/^MongoDB admin user:\s*(.+)$/i))) {
-      if (!credentials.mongodb) credentials.mongodb = {};
-      credentials.mongodb.username = match[1].trim();
-    } else if ((match = trimmed.match(/^MongoDB admin password:\s*(.+)$/i))) {
-      if (!credentials.mongodb) credentials.mongodb = {};
-      credentials.mongodb.password = match[1].trim();
-    } else if ((match = trimmed.match(/^MongoDB credentials stored in:\s*(.+)$/i))) {
-      if (!credentials.mongodb) credentials.mongodb = {};
-      credentials.mongodb.path = match[1].trim();
-    } else if ((match = trimmed.match(/^RabbitMQ Username:\s*(.+)$/i))) {
-      if (!credentials.rabbitmq) credentials.rabbitmq = {};
-      credentials.rabbitmq.username = match[1].trim();
-    } else if ((match = trimmed.match(/^RabbitMQ Password:\s*(.+)$/i))) {
-      if (!credentials.rabbitmq) credentials.rabbitmq = {};
-      credentials.rabbitmq.password = match[1].trim();
-    }
-  }
-}
-
-/**
- * Parse Ansible output for task information
- * @param {string} line - Output line
- * @param {string} currentTask - Current task name
- * @param {object} credentials - Credentials object
- * @param {string} service - Service name
- * @returns {object|null} Parsed event or null
- */
-function parseAnsibleOutput(line, currentTask, credentials, service) {
-  // Match task results
-  const taskResultMatch = line.match(/^(ok|changed|fatal|skipping):\s*\[(.+?)\]\s*(.*)/);
-  if (taskResultMatch) {
-    const status = taskResultMatch[1];
-    const host = taskResultMatch[2];
-    let message = taskResultMatch[3] || '';
-    let trimmedMessage = message.trim();
-
-    if (trimmedMessage.startsWith('=>')) {
-      trimmedMessage = trimmedMessage.replace(/^=>\s*/, '');
-    }
-
-    // Parse credentials from message
-    parseCredentials(trimmedMessage, service, credentials);
-
-    // Try to parse JSON message and extract error details
-    let errorMessage = null;
-    if (trimmedMessage.startsWith('{')) {
-      try {
-        const parsedJson = JSON.parse(trimmedMessage);
-        if (parsedJson) {
-          // Extract credentials from msg
-          if (parsedJson.msg !== undefined) {
-            const msgs = Array.isArray(parsedJson.msg) ? parsedJson.msg : [parsedJson.msg];
-            msgs.forEach(m => parseCredentials(String(m), service, credentials));
-          }
-
-          // Extract error message for failed tasks
-          if (status === 'fatal') {
-            // Prioritize stderr, then msg, then cmd for error details
-            if (parsedJson.stderr && parsedJson.stderr.trim()) {
-              errorMessage = parsedJson.stderr.trim();
-            } else if (parsedJson.msg) {
-              errorMessage = Array.isArray(parsedJson.msg) ? parsedJson.msg.join(', ') : String(parsedJson.msg);
-            } else if (parsedJson.cmd) {
-              errorMessage = `Command failed: ${parsedJson.cmd}`;
-            }
-          }
-        }
-      } catch (e) {
-        // Ignore JSON parse errors
-      }
-    }
-
-    let credentialUpdate = null;
-    if (credentials[service]) {
-      credentialUpdate = {
-        service: service,
-        data: { ...credentials[service] }
-      };
-    }
-
-    return {
-      type: 'task_result',
-      status,
-      host,
-      task: currentTask,
-      message: trimmedMessage,
-      errorMessage,
-      line,
-      credentialUpdate
-    };
-  }
-
-  // Match task names
-  const taskMatch = line.match(/TASK\s+\[(.+?)\]/);
-  if (taskMatch) {
-    return { type: 'task', task: taskMatch[1], line };
-  }
-
-  // Match play names
-  const playMatch = line.match(/PLAY\s+\[(.+?)\]/);
-  if (playMatch) {
-    return { type: 'play', play: playMatch[1], line };
-  }
-
-  // Match summary status
-  const statusMatch = line.match(/(ok|changed|failed|unreachable)=(\d+)/);
-  if (statusMatch) {
-    return { type: 'status', status: statusMatch[1], count: statusMatch[2], line };
-  }
-
-  return null;
-}
+const { createOutputParser, createLineSplitter } = require('../utils/ansibleOutputParser');
+const { VAULT_PASSWORD_ENV } = require('../utils/vaultHelper');
+const { getPlaybook } = require('./playbookRegistry');
+const { getAnsibleEnv } = require('./executionOptions');
 
 /**
  * Execute an Ansible playbook
@@ -163,14 +21,26 @@ function parseAnsibleOutput(line, currentTask, credentials, service) {
  * @param {string} playbookPath - Path to playbook file
  * @param {object} extraVars - Extra variables for playbook
  * @param {Function} onOutput - Callback for output events
+ * @param {object} options - { onSpawn, check, diff, vault, limit, startAtTask }
+ *   onSpawn receives the child process so callers can cancel it;
+ *   check runs with --check (no changes made, credentials ignored), diff adds --diff;
+ *   vault ({ password, varsFile } from generateInventory) unlocks the run's encrypted secrets;
+ *   limit (inventory host names) and startAtTask (task name) restrict a retry with
+ *   --limit and --start-at-task; execution (resolved services/executionOptions) sets forks,
+ *   SSH tuning and the task timeout, and stops the run after its timeout
  * @returns {Promise} Execution result
  */
-function executePlaybook(playbookType, inventoryPath, playbookPath, extraVars = {}, onOutput = null) {
+function executePlaybook(playbookType, inventoryPath, playbookPath, extraVars = {}, onOutput = null, options = {}) {
   return new Promise((resolve, reject) => {
     const rolesPathNative = getRolePath(playbookType);
+    const callbackPathNative = config.paths.callbackPlugins;
+    const vault = options.vault || null;
     let finalInventoryPath = inventoryPath;
     let finalPlaybookPath = playbookPath;
     let rolesPath = rolesPathNative;
+    let callbackPath = callbackPathNative;
+    let vaultClientPath = config.paths.vaultPasswordClient;
+    let vaultVarsPath = vault?.varsFile || null;
 
     if (config.platform.isWindows) {
       finalInventoryPath = toWslPath(inventoryPath);
@@ -179,8 +49,20 @@ function executePlaybook(playbookType, inventoryPath, playbookPath, extraVars =
       if (rolesPath.startsWith('"') && rolesPath.endsWith('"')) {
         rolesPath = rolesPath.slice(1, -1);
       }
+      callbackPath = toWslPath(callbackPathNative);
+      if (callbackPath.startsWith('"') && callbackPath.endsWith('"')) {
+        callbackPath = callbackPath.slice(1, -1);
+      }
+      vaultClientPath = toWslPath(vaultClientPath);
+      if (vaultVarsPath) {
+        vaultVarsPath = toWslPath(vaultVarsPath);
+      }
     }
 
+    const quote = (value) => (value.includes(' ') ? `'${value}'` : value);
+    // Single-quoted for the shell, for values that come from the request
+    const shellQuote = (value) => `'${value.replace(/'/g, "'\\''")}'`;
+
     // Build extra vars string
     let extraVarsStr = '';
     if (Object.keys(extraVars).length > 0) {
@@ -189,60 +71,109 @@ function executePlaybook(playbookType, inventoryPath, playbookPath, extraVars =
       extraVarsStr = ` -e '${escapedJson}'`;
     }
 
+    // Secrets stay in vault-encrypted files; only their paths are on the command line
+    let vaultArgs = '';
+    if (vault) {
+      vaultArgs = ` --vault-password-file ${vaultClientPath}`;
+      if (vaultVarsPath) {
+        vaultArgs += ` -e @${vaultVarsPath}`;
+      }
+    }
+
     // Build command
-    const rolesExport = `ANSIBLE_ROLES_PATH=${rolesPath.includes(' ') ? `'${rolesPath}'` : rolesPath}`;
-    const ansibleCmd = `${rolesExport} ansible-playbook -i ${finalInventoryPath} ${finalPlaybookPath}${extraVarsStr}`;
+    // Exported inline as well so they also reach ansible-playbook inside WSL
+    const executionEnv = options.execution ? getAnsibleEnv(options.execution) : {};
+    const envExports = [
+      `ANSIBLE_ROLES_PATH=${quote(rolesPath)}`,
+      `ANSIBLE_CALLBACK_PLUGINS=${quote(callbackPath)}`,
+      `ANSIBLE_STDOUT_CALLBACK=${config.ansible.stdoutCallback}`,
+      ...Object.entries(executionEnv).map(([name, value]) => `${name}=${shellQuote(value)}`)
+    ].join(' ');
+    const modeFlags = `${options.check ? ' --check' : ''}${options.diff ? ' --diff' : ''}`;
+    let scopeFlags = '';
+    if (options.limit && options.limit.length > 0) {
+      scopeFlags += ` --limit ${shellQuote(options.limit.join(','))}`;
+    }
+    if (options.startAtTask) {
+      scopeFlags += ` --start-at-task ${shellQuote(options.startAtTask)}`;
+    }
+    const ansibleCmd = `${envExports} ansible-playbook -i ${finalInventoryPath} ${finalPlaybookPath}${modeFlags}${scopeFlags}${vaultArgs}${extraVarsStr}`;
 
     // Set environment
+    // Host key checking is set by the inventory (ansible_host_key_checking, ansible_ssh_common_args)
     const env = {
       ...process.env,
-      ANSIBLE_HOST_KEY_CHECKING: 'False',
-      ANSIBLE_SSH_COMMON_ARGS: '-o StrictHostKeyChecking=no',
       PYTHONUNBUFFERED: '1',
-      ANSIBLE_ROLES_PATH: rolesPathNative
+      ANSIBLE_ROLES_PATH: rolesPathNative,
+      ANSIBLE_CALLBACK_PLUGINS: callbackPathNative,
+      ANSIBLE_STDOUT_CALLBACK: config.ansible.stdoutCallback,
+      ...executionEnv
     };
 
+    // The vault password is handed to the password client through the environment only
+    if (vault) {
+      env[VAULT_PASSWORD_ENV] = vault.password;
+      if (config.platform.isWindows) {
+        env.WSLENV = [process.env.WSLENV, VAULT_PASSWORD_ENV].filter(Boolean).join(':');
+      }
+    }
+
     console.log(`Executing: ${ansibleCmd}`);
 
     // Spawn process
+    // On Unix the shell leads its own process group so ansible-playbook, its forks
+    // and their ssh connections can be signalled together (see terminateProcessTree)
     let child;
     if (config.platform.isWindows) {
       child = spawn('wsl', ['bash', '-c', ansibleCmd], { cwd: config.paths.backend, env });
     } else {
-      child = spawn('/bin/sh', ['-c', ansibleCmd], { cwd: config.paths.backend, env });
+      child = spawn('/bin/sh', ['-c', ansibleCmd], { cwd: config.paths.backend, env, detached: true });
     }
 
+    if (options.onSpawn) {
+      options.onSpawn(child);
+    }
+
+    // Run timeout: the process tree is stopped like a cancelled run
+    const timeout = options.execution?.timeout || 0;
+    let timedOut = false;
+    const timeoutTimer = timeout > 0 ? setTimeout(() => {
+      timedOut = true;
+      if (onOutput) {
+        onOutput({ type: 'error', line: `Run timeout of ${timeout}s reached, stopping the playbook\n` });
+      }
+      terminateProcessTree(child);
+    }, timeout * 1000) : null;
+
+    // stdout holds the readable log rebuilt from the JSON events
     let stdout = '';
     let stderr = '';
-    let currentTask = '';
     const credentials = {};
 
-    // Determine service name
-    const currentService = ['mysql', 'mongodb', 'rabbitmq'].includes(playbookType)
-      ? playbookType
-      : null;
+    // Service whose credentials the playbook outputs (declared in its manifest)
+    const credentialOutput = getPlaybook(playbookType)?.credentials || null;
+    const currentService = credentialOutput?.service || null;
+    const credentialDefaults = credentialOutput?.defaults || null;
 
     // Add default credential paths
-    if (currentService && config.credentialDefaults[currentService]) {
-      credentials[currentService] = { ...config.credentialDefaults[currentService] };
+    if (currentService && credentialDefaults && !options.check) {
+      credentials[currentService] = { ...credentialDefaults };
     }
 
-    child.stdout.on('data', (data) => {
-      const text = data.toString();
-      stdout += text;
+    // Credentials printed in check mode are never real, so they are not collected
+    const parser = createOutputParser(currentService, credentials, { collectCredentials: !options.check });
+    const stdoutLines = createLineSplitter((line) => {
+      const { events, text } = parser.parseLine(line);
+      if (text) {
+        stdout += text + '\n';
+      }
+      if (onOutput) {
+        events.forEach(onOutput);
+      }
+    });
 
-      const lines = text.split('\n');
-      lines.forEach(line => {
-        if (line.trim() && onOutput) {
-          const parsed = parseAnsibleOutput(line, currentTask, credentials, currentService);
-          if (parsed) {
-            if (parsed.type === 'task') {
-              currentTask = parsed.task;
-            }
-            onOutput(parsed);
-          }
-        }
-      });
+    child.stdout.on('data', (data) => {
+      stdoutLines.write(data.toString());
     });
 
     child.stderr.on('data', (data) => {
@@ -253,11 +184,14 @@ function executePlaybook(playbookType, inventoryPath, playbookPath, extraVars =
       }
     });
 
-    child.on('close', (code) => {
+    child.on('close', (code, signal) => {
+      clearTimeout(timeoutTimer);
+      stdoutLines.flush();
+
       // Apply default credentials if missing
-      if (currentService && config.credentialDefaults[currentService]) {
+      if (currentService && credentialDefaults && !options.check) {
         credentials[currentService] = {
-          ...config.credentialDefaults[currentService],
+          ...credentialDefaults,
           ...(credentials[currentService] || {})
         };
       }
@@ -267,29 +201,40 @@ function executePlaybook(playbookType, inventoryPath, playbookPath, extraVars =
       // 2 = one or more hosts had failures
       // 4 = unreachable hosts
       // Other = errors
+      const recap = parser.recap;
+      const diffs = parser.diffs;
+
       if (code === 0) {
         resolve({
           success: true,
           stdout,
           stderr,
+          recap,
+          diffs,
           credentials
         });
       } else {
         reject({
           success: false,
-          error: code === 2 ? 'One or more tasks failed' :
+          error: timedOut ? `Run timed out after ${timeout}s` :
+                 code === 2 ? 'One or more tasks failed' :
                  code === 4 ? 'One or more hosts unreachable' :
+                 code === null ? `Process terminated by ${signal}` :
                  `Process exited with code ${code}`,
           exitCode: code,
+          signal,
           stdout,
           stderr,
           fullOutput: stdout + '\n' + stderr,
+          recap,
+          diffs,
           credentials
         });
       }
     });
 
     child.on('error', (error) => {
+      clearTimeout(timeoutTimer);
       reject({
         success: false,
         error: error.message,
@@ -300,8 +245,51 @@ function executePlaybook(playbookType, inventoryPath, playbookPath, extraVars =
   });
 }
 
+/**
+ * Send a signal to a playbook process and everything it started
+ * @param {ChildProcess} child - Process returned by spawn
+ * @param {string} signal - Signal name
+ */
+function signalProcessTree(child, signal) {
+  try {
+    if (config.platform.isWindows) {
+      child.kill(signal);
+    } else {
+      // Negative PID targets the whole process group
+      process.kill(-child.pid, signal);
+    }
+  } catch (e) {
+    // Process group already gone
+  }
+}
+
+/**
+ * Stop a running playbook
+ * Sends SIGINT first so Ansible can abort cleanly (the same as Ctrl+C), then
+ * escalates to SIGTERM and finally SIGKILL if the process tree is still alive.
+ * @param {ChildProcess} child - Process returned by spawn
+ * @param {number} gracePeriod - Milliseconds to wait before each escalation
+ */
+function terminateProcessTree(child, gracePeriod = config.jobs.cancelGracePeriod) {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+
+  const escalation = ['SIGTERM', 'SIGKILL'];
+  let timer = null;
+
+  const escalate = () => {
+    const signal = escalation.shift();
+    if (!signal) return;
+    console.log(`Playbook process ${child.pid} still running, sending ${signal}`);
+    signalProcessTree(child, signal);
+    timer = setTimeout(escalate, gracePeriod);
+  };
+
+  child.once('close', () => clearTimeout(timer));
+  signalProcessTree(child, 'SIGINT');
+  timer = setTimeout(escalate, gracePeriod);
+}
+
 module.exports = {
   executePlaybook,
-  parseAnsibleOutput,
-  parseCredentials
+  terminateProcessTree
 };
@@ -0,0 +1,263 @@
+/**
+ * Secret Store Service
+ * Decides where server passwords, SSH keys and service credentials are kept
+ * (STACKBILL_SECRET_STORE):
+ *
+ * - local (default): in their SQLite column, encrypted with the keyring by database.js
+ * - vault: in a KV v2 secrets engine (HashiCorp Vault). SQLite only keeps references
+ *   (vault:<mount>:<path>#<field>, see utils/secretRefHelper) which are resolved when
+ *   a playbook runs, so the secrets never reach the database file.
+ *
+ * Both stores implement:
+ *   storeSecrets(path, value, options) - copy of value as it is to be saved in SQLite
+ *   resolveSecrets(value)              - copy of value with every reference replaced by its secret
+ *   removeSecrets(path)                - delete everything stored below a path
+ * Paths are relative (see getSecretPath); the Vault store keeps them below its prefix.
+ */
+
+const config = require('../config');
+const { createVaultKvClient } = require('../utils/vaultKvClient');
+const { formatSecretRef, parseSecretRef } = require('../utils/secretRefHelper');
+const { isSecretKey } = require('../utils/redactHelper');
+
+const SECRET_STORES = ['local', 'vault'];
+
+/**
+ * Build a secret path from its parts ('sessions', sessionId, 'servers', stepId)
+ * Characters that are not safe in a path segment are replaced.
+ * @param {...string} parts - Path segments
+ * @returns {string}
+ */
+function getSecretPath(...parts) {
+  return parts.map(part => String(part).replace(/[^A-Za-z0-9._-]/g, '_')).join('/');
+}
+
+/**
+ * Copy a value, passing every string leaf through a function
+ * @param {*} value - Object, array or primitive
+ * @param {Function} fn - (leaf, location, key) => new leaf; location is the dotted
+ *   path of the leaf ('0.password'), key its own name
+ * @returns {*}
+ */
+function mapStrings(value, fn, location = '', key = '') {
+  const childLocation = (name) => (location ? `${location}.${name}` : String(name));
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => mapStrings(item, fn, childLocation(index), key));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [
+      name,
+      mapStrings(item, fn, childLocation(name), name)
+    ]));
+  }
+  return typeof value === 'string' ? fn(value, location, key) : value;
+}
+
+/**
+ * Collect the secret references in a value
+ * @param {*} value - Object, array or primitive
+ * @returns {Array<object>} Parsed references ({ mount, path, field, ref })
+ */
+function findSecretRefs(value) {
+  const refs = [];
+  mapStrings(value, (leaf) => {
+    const ref = parseSecretRef(leaf);
+    if (ref) refs.push({ ...ref, ref: leaf });
+    return leaf;
+  });
+  return refs;
+}
+
+/**
+ * Local store: secrets stay in the value (database.js encrypts them into their column)
+ * @returns {object} Secret store
+ */
+function createLocalStore() {
+  return {
+    name: 'local',
+
+    async storeSecrets(path, value) {
+      return value;
+    },
+
+    async resolveSecrets(value) {
+      const [ref] = findSecretRefs(value);
+      if (ref) {
+        throw new Error(`Cannot resolve ${ref.ref}: the secret store is 'local' (set STACKBILL_SECRET_STORE=vault)`);
+      }
+      return value;
+    },
+
+    async removeSecrets() {}
+  };
+}
+
+/**
+ * Vault store: secrets in a KV v2 secrets engine, references in SQLite
+ * One Vault secret holds the secrets of one path, a field per value ('0.password').
+ * @param {object} options - { address, token, mount, prefix, namespace, caCert, timeout }
+ * @returns {object} Secret store
+ */
+function createVaultStore({ prefix, ...clientOptions }) {
+  if (!clientOptions.address || !clientOptions.token) {
+    throw new Error('The vault secret store needs STACKBILL_VAULT_ADDR and STACKBILL_VAULT_TOKEN');
+  }
+
+  const client = createVaultKvClient(clientOptions);
+  const { mount } = client;
+  const fullPath = (path) => `${prefix}/${path}`;
+
+  // Only references below our prefix are followed, so a request cannot point a
+  // playbook at other secrets the token can read ('.' and '..' segments would be
+  // resolved by the URL and leave the prefix)
+  const checkRef = (ref) => {
+    const segments = ref.path.split('/');
+    if (ref.mount !== mount || !ref.path.startsWith(`${prefix}/`)
+      || segments.some(segment => segment === '.' || segment === '..')) {
+      throw new Error(`Secret reference ${ref.ref} is outside ${mount}:${prefix}/`);
+    }
+  };
+
+  async function removeTree(path) {
+    for (const key of await client.list(path)) {
+      if (key.endsWith('/')) {
+        await removeTree(`${path}/${key.slice(0, -1)}`);
+      } else {
+        await client.destroy(`${path}/${key}`);
+      }
+    }
+    await client.destroy(path);
+  }
+
+  return {
+    name: 'vault',
+
+    /**
+     * Write the secrets of a value to <prefix>/<path>, replacing what was stored there
+     * Secrets are string fields with a secret name (password, ssh_key, ...), or every
+     * string field with everyField. References into the same path (a value that was
+     * loaded and saved again) are carried over; other references are kept as they are.
+     * @param {string} path - Relative secret path
+     * @param {*} value - Servers, credentials or a job payload
+     * @param {object} options - { everyField }
+     * @returns {Promise<*>} Copy of value with references instead of secrets
+     */
+    async storeSecrets(path, value, { everyField = false } = {}) {
+      const target = fullPath(path);
+      const refs = findSecretRefs(value);
+      refs.forEach(checkRef);
+
+      const current = refs.some(ref => ref.path === target) ? (await client.read(target)) || {} : {};
+      const fields = {};
+
+      const stored = mapStrings(value, (leaf, location, key) => {
+        const ref = parseSecretRef(leaf);
+        if (ref) {
+          if (ref.path !== target) return leaf;
+          if (!(ref.field in current)) {
+            throw new Error(`Secret ${leaf} does not exist`);
+          }
+          fields[location] = current[ref.field];
+        } else if (leaf !== '' && (everyField || isSecretKey(key))) {
+          fields[location] = leaf;
+        } else {
+          return leaf;
+        }
+        return formatSecretRef(mount, target, location);
+      });
+
+      if (Object.keys(fields).length > 0) {
+        await client.write(target, fields);
+      } else {
+        await client.destroy(target);
+      }
+      return stored;
+    },
+
+    /**
+     * Replace every reference in a value by its secret (one read per Vault secret)
+     * @param {*} value - Object, array or primitive
+     * @returns {Promise<*>}
+     */
+    async resolveSecrets(value) {
+      const refs = findSecretRefs(value);
+      if (refs.length === 0) return value;
+      refs.forEach(checkRef);
+
+      const secrets = new Map();
+      for (const path of new Set(refs.map(ref => ref.path))) {
+        secrets.set(path, (await client.read(path)) || {});
+      }
+
+      return mapStrings(value, (leaf) => {
+        const ref = parseSecretRef(leaf);
+        if (!ref) return leaf;
+
+        const secret = secrets.get(ref.path);
+        if (!(ref.field in secret)) {
+          throw new Error(`Secret ${leaf} does not exist`);
+        }
+        return secret[ref.field];
+      });
+    },
+
+    /**
+     * Delete <prefix>/<path> and every secret below it
+     * @param {string} path - Relative secret path
+     */
+    async removeSecrets(path) {
+      await removeTree(fullPath(path));
+    }
+  };
+}
+
+let store = null;
+
+/**
+ * Get the configured secret store
+ * @returns {object} Secret store
+ * @throws {Error} Unknown store or incomplete Vault configuration
+ */
+function getSecretStore() {
+  if (!store) {
+    const { store: name, vault } = config.secrets;
+    if (!SECRET_STORES.includes(name)) {
+      throw new Error(`Unknown secret store '${name}'. Expected one of: ${SECRET_STORES.join(', ')}`);
+    }
+    store = name === 'vault' ? createVaultStore(vault) : createLocalStore();
+  }
+  return store;
+}
+
+/**
+ * Store the secrets of a value with the configured store (see createVaultStore)
+ */
+function storeSecrets(path, value, options = {}) {
+  return getSecretStore().storeSecrets(path, value, options);
+}
+
+/**
+ * Resolve the secret references in a value with the configured store
+ */
+function resolveSecrets(value) {
+  return getSecretStore().resolveSecrets(value);
+}
+
+/**
+ * Delete the secrets below a path from the configured store
+ */
+function removeSecrets(path) {
+  return getSecretStore().removeSecrets(path);
+}
+
+module.exports = {
+  SECRET_STORES,
+  getSecretPath,
+  createLocalStore,
+  createVaultStore,
+  getSecretStore,
+  storeSecrets,
+  resolveSecrets,
+  removeSecrets
+};
@@ -0,0 +1,236 @@
+/**
+ * Session Transfer Service
+ * Builds full session exports (for sharing across machines) and creates sessions from them.
+ * Shared by the modular and the legacy backend; encryption of the exported file is done by
+ * utils/exportBundleHelper.
+ *
+ * The export format is described by backend/schemas/session-export.schema.json. Imports of
+ * older versions are migrated to the current one first, then validated against the schema.
+ *
+ * Versions:
+ *   1.0 - first format ('version': '1.0'); files without a version are read as 1.0
+ *   2   - adds 'format'; version is a number; auto_cleanup is a boolean; servers lose
+ *         their database IDs; credential values are strings
+ */
+
+const db = require('../database');
+const { storeSecrets, resolveSecrets, removeSecrets, getSecretPath } = require('./secretStore');
+const { loadSchema, validateSchema, formatSchemaErrors } = require('../utils/jsonSchemaHelper');
+
+const EXPORT_FORMAT = 'stackbill-session-export';
+const EXPORT_VERSION = 2;
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Migrations to the next version, by the version they read
+ * Each one only converts what it recognizes and leaves anything else for the schema to report.
+ */
+const MIGRATIONS = {
+  '1.0': (data) => {
+    const session = isObject(data.session) ? { ...data.session } : data.session;
+    if (isObject(session) && typeof session.auto_cleanup === 'number') {
+      session.auto_cleanup = session.auto_cleanup !== 0;
+    }
+
+    const servers = isObject(data.servers) ? Object.fromEntries(
+      Object.entries(data.servers).map(([stepId, list]) => [
+        stepId,
+        Array.isArray(list) ? list.map((server) => {
+          if (!isObject(server)) return server;
+          const { id, ...rest } = server;
+          if (typeof rest.ssh_port === 'string' && /^\d+$/.test(rest.ssh_port)) {
+            rest.ssh_port = parseInt(rest.ssh_port, 10);
+          }
+          return rest;
+        }) : list
+      ])
+    ) : data.servers;
+
+    const credentials = isObject(data.credentials) ? Object.fromEntries(
+      Object.entries(data.credentials).map(([service, creds]) => [
+        service,
+        isObject(creds) ? Object.fromEntries(Object.entries(creds).map(([key, value]) => [
+          key,
+          typeof value === 'number' || typeof value === 'boolean' ? String(value) : value
+        ])) : creds
+      ])
+    ) : data.credentials;
+
+    return {
+      format: EXPORT_FORMAT,
+      version: 2,
+      ...(data.exportedAt !== undefined && { exportedAt: data.exportedAt }),
+      session,
+      servers: servers === undefined ? {} : servers,
+      credentials: credentials === undefined ? {} : credentials
+    };
+  }
+};
+
+/**
+ * Get the version of export data as a MIGRATIONS key or the current version
+ * @param {object} data - Export data
+ * @returns {string|number}
+ */
+function getExportVersion(data) {
+  if (data.version === undefined || data.version === '1.0' || data.version === '1' || data.version === 1) {
+    return '1.0';
+  }
+  return data.version;
+}
+
+/**
+ * Migrate export data of an older version to the current one
+ * @param {object} data - Export data
+ * @returns {object} { data, fromVersion, error }
+ */
+function migrateExport(data) {
+  const fromVersion = getExportVersion(data);
+  let migrated = data;
+  let version = fromVersion;
+
+  while (MIGRATIONS[version]) {
+    migrated = MIGRATIONS[version](migrated);
+    version = migrated.version;
+  }
+
+  if (version !== EXPORT_VERSION) {
+    const error = typeof version === 'number' && version > EXPORT_VERSION
+      ? `Export version ${version} is newer than this server supports (${EXPORT_VERSION})`
+      : `Unknown export version ${JSON.stringify(version)}`;
+    return { data: migrated, fromVersion, error };
+  }
+  return { data: migrated, fromVersion, error: null };
+}
+
+/**
+ * Migrate and validate import data
+ * @param {*} importData - Parsed export file (decrypted if it was a bundle)
+ * @returns {object} { data (migrated), fromVersion, errors (messages with JSON Pointer paths) }
+ */
+function checkSessionImport(importData) {
+  if (!isObject(importData)) {
+    return { data: importData, fromVersion: null, errors: ['/ must be an object'] };
+  }
+
+  const { data, fromVersion, error } = migrateExport(importData);
+  if (error) {
+    return { data, fromVersion, errors: [error] };
+  }
+  return { data, fromVersion, errors: formatSchemaErrors(validateSchema(loadSchema('session-export'), data)) };
+}
+
+/**
+ * Summarize valid import data for a preview
+ * @param {object} data - Migrated export data
+ * @returns {object}
+ */
+function getImportSummary(data) {
+  return {
+    name: data.session.name,
+    status: data.session.status || 'in_progress',
+    exportedAt: data.exportedAt || null,
+    completedSteps: data.session.completedSteps || [],
+    serverCount: Object.values(data.servers).reduce((count, list) => count + list.length, 0),
+    credentialServices: Object.keys(data.credentials)
+  };
+}
+
+/**
+ * Build the full export of a session
+ * Secrets kept in Vault are resolved, so the export can be imported on another machine.
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<object|null>} Export data, or null if the session does not exist
+ */
+async function buildSessionExport(sessionId) {
+  const session = db.getSession(sessionId);
+  if (!session) {
+    return null;
+  }
+
+  const servers = Object.fromEntries(Object.entries(session.servers || {}).map(([stepId, list]) => [
+    stepId,
+    list.map(({ id, ...server }) => server)
+  ]));
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+      name: session.name,
+      status: session.status,
+      current_step: session.current_step,
+      auto_cleanup: Boolean(session.auto_cleanup),
+      automation_mode: session.automation_mode || 'manual',
+      notes: session.notes,
+      created_at: session.created_at,
+      completedSteps: session.completedSteps || [],
+      modes: session.modes || {},
+      sslConfig: session.sslConfig || {},
+      nfsConfig: session.nfsConfig || {},
+      loadBalancerConfig: session.loadBalancerConfig || {},
+      executionOptions: session.executionOptions || { session: {}, steps: {} },
+      jumpHost: session.jumpHost ? await resolveSecrets(session.jumpHost) : null,
+      hostKeys: (session.hostKeys || []).map(({ hostname, port, keyType, publicKey, confirmedBy, confirmedAt }) => ({
+        hostname, port, keyType, publicKey, confirmedBy, confirmedAt
+      })),
+      stepData: session.stepData || {}
+    },
+    servers: await resolveSecrets(servers),
+    credentials: await resolveSecrets(session.credentials || {})
+  };
+}
+
+/**
+ * Create a new session from import data that passed checkSessionImport
+ * Secrets go to the secret store first; the database rows are then written in one
+ * transaction, so a failure leaves neither a half-created session nor stray secrets.
+ * @param {object} data - Migrated export data
+ * @returns {Promise<object>} The created session
+ */
+async function importSession(data) {
+  const sessionId = db.generateSessionId();
+  const servers = {};
+  const credentials = {};
+  let jumpHost = null;
+
+  try {
+    // References to Vault secrets (plain exports of another session) are copied to the new session
+    for (const [stepId, list] of Object.entries(data.servers)) {
+      if (list.length > 0) {
+        const secretPath = getSecretPath('sessions', sessionId, 'servers', stepId);
+        servers[stepId] = await storeSecrets(secretPath, await resolveSecrets(list));
+      }
+    }
+    for (const [service, creds] of Object.entries(data.credentials)) {
+      const secretPath = getSecretPath('sessions', sessionId, 'credentials', service);
+      credentials[service] = await storeSecrets(secretPath, await resolveSecrets(creds), { everyField: true });
+    }
+
+    if (data.session.jumpHost) {
+      const secretPath = getSecretPath('sessions', sessionId, 'jump-host');
+      jumpHost = await storeSecrets(secretPath, await resolveSecrets(data.session.jumpHost));
+    }
+
+    db.importSession(sessionId, { session: { ...data.session, jumpHost }, servers, credentials });
+  } catch (error) {
+    await removeSecrets(getSecretPath('sessions', sessionId)).catch((cleanupError) => {
+      console.error(`[IMPORT] Failed to remove secrets of ${sessionId}: ${cleanupError.message}`);
+    });
+    throw error;
+  }
+
+  return db.getSession(sessionId);
+}
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  migrateExport,
+  checkSessionImport,
+  getImportSummary,
+  buildSessionExport,
+  importSession
+};
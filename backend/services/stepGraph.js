@@ -0,0 +1,121 @@
+/**
+ * Step Graph
+ * Dependencies between the deployment steps, built from the dependsOn of the playbook
+ * manifests (checked for unknown steps and cycles by services/playbookRegistry).
+ *
+ * A step may run once every step it depends on is completed in the session. Steps
+ * without a path between them are independent branches: after env-check, RabbitMQ,
+ * MongoDB, MySQL and NFS can run side by side, and kubectl and helm only wait for
+ * Kubernetes. How many steps Auto-Complete runs at once is the step_parallelism setting.
+ */
+
+const db = require('../database');
+const { listPlaybooks, getPlaybook } = require('./playbookRegistry');
+
+const PARALLELISM_SETTING = 'step_parallelism';
+const DEFAULT_PARALLELISM = 2;
+
+// Built on first use; the manifests do not change while the server runs
+let graph = null;
+
+/**
+ * Build the graph: every step with its dependencies, dependents and level
+ * The level is the length of the longest dependency chain leading to the step, so the
+ * steps of one level never depend on each other.
+ * @returns {object} { steps, levels (step IDs by level) }
+ */
+function buildGraph() {
+  const manifests = listPlaybooks();
+  const levelOf = new Map();
+
+  const getLevel = (manifest) => {
+    if (!levelOf.has(manifest.id)) {
+      const parents = manifest.dependsOn.map(id => getLevel(getPlaybook(id)));
+      levelOf.set(manifest.id, parents.length > 0 ? Math.max(...parents) + 1 : 0);
+    }
+    return levelOf.get(manifest.id);
+  };
+
+  const steps = manifests.map(manifest => ({
+    id: manifest.id,
+    title: manifest.title,
+    type: manifest.type,
+    order: manifest.order ?? null,
+    wizard: manifest.wizard,
+    dependsOn: [...manifest.dependsOn],
+    dependents: manifests.filter(m => m.dependsOn.includes(manifest.id)).map(m => m.id),
+    level: getLevel(manifest)
+  }));
+
+  const levels = [];
+  for (const step of steps) {
+    (levels[step.level] = levels[step.level] || []).push(step.id);
+  }
+
+  return { steps, levels };
+}
+
+/**
+ * Get the step graph (steps in wizard order)
+ * @returns {object} { steps: [{ id, title, type, order, wizard, dependsOn, dependents, level }], levels }
+ */
+function getStepGraph() {
+  if (!graph) {
+    graph = buildGraph();
+  }
+  return graph;
+}
+
+/**
+ * Get the prerequisites of a step that are not completed yet
+ * @param {string} stepId - Step ID
+ * @param {Array<string>} completedSteps - Completed step IDs of the session
+ * @returns {Array<string>} Missing step IDs (empty if the step may run)
+ */
+function getMissingPrerequisites(stepId, completedSteps = []) {
+  const manifest = getPlaybook(stepId);
+  if (!manifest) return [];
+  return manifest.dependsOn.filter(id => !completedSteps.includes(id));
+}
+
+/**
+ * Get the steps that may start now: not completed, not running and all prerequisites completed
+ * @param {Array<string>} completedSteps - Completed step IDs of the session
+ * @param {Array<string>} activeSteps - Step IDs currently queued or running
+ * @returns {Array<string>} Step IDs in wizard order
+ */
+function getReadySteps(completedSteps = [], activeSteps = []) {
+  return getStepGraph().steps
+    .filter(step => !completedSteps.includes(step.id) && !activeSteps.includes(step.id))
+    .filter(step => getMissingPrerequisites(step.id, completedSteps).length === 0)
+    .map(step => step.id);
+}
+
+/**
+ * Get the wizard steps that are not completed, in wizard order
+ * @param {Array<string>} completedSteps - Completed step IDs of the session
+ * @returns {Array<string>} Step IDs (empty once the session is deployed)
+ */
+function getRemainingSteps(completedSteps = []) {
+  return getStepGraph().steps
+    .filter(step => step.wizard !== false && !completedSteps.includes(step.id))
+    .map(step => step.id);
+}
+
+/**
+ * Get how many independent steps may run at the same time for a session
+ * @returns {number} At least 1
+ */
+function getStepParallelism() {
+  const value = parseInt(db.getSetting(PARALLELISM_SETTING), 10);
+  return Number.isInteger(value) && value >= 1 ? value : DEFAULT_PARALLELISM;
+}
+
+module.exports = {
+  PARALLELISM_SETTING,
+  getStepGraph,
+  getMissingPrerequisites,
+  getReadySteps,
+  getRemainingSteps,
+  getStepParallelism
+};
@@ -0,0 +1,183 @@
+/**
+ * Step Request Service
+ * Builds a step's playbook request from what a session has stored, the way the wizard
+ * does in the browser: the step's own servers, or else the env-check servers whose
+ * purpose belongs to the step (mapped to inventory roles), the deployment mode detected
+ * from those purposes, and the manifest variables read from the session's modes, SSL,
+ * NFS and load balancer config, servers and credentials (the variables' "source").
+ */
+
+const {
+  listPlaybooks,
+  getPlaybook,
+  applyVariableDefaults,
+  validateVariables,
+  validateServerGroups
+} = require('./playbookRegistry');
+
+/**
+ * Get the env-check purposes a step offers, with the inventory role each maps to
+ * @param {object} manifest - Playbook manifest
+ * @returns {Array<object>} [{ value, role }]
+ */
+function getStepPurposes(manifest) {
+  const inventory = manifest.inventory || {};
+  return [
+    ...(inventory.groups || []).flatMap(group => (group.purposes || []).map(p => ({ value: p.value, role: group.roles[0] }))),
+    ...(inventory.purposes || []).map(p => ({ value: p.value, role: p.role || 'primary' }))
+  ];
+}
+
+/**
+ * Map an env-check purpose to the inventory role of the step it belongs to
+ * @param {string} purpose - Env-check purpose (e.g. 'mysql-secondary')
+ * @returns {string}
+ */
+function getPurposeRole(purpose) {
+  for (const manifest of listPlaybooks()) {
+    const match = getStepPurposes(manifest).find(p => p.value === purpose);
+    if (match) return match.role;
+  }
+  return 'primary';
+}
+
+/**
+ * Get the env-check purposes whose servers a step runs on: its own purposes and the
+ * purposes it reuses (e.g. kubectl runs on the first Kubernetes master)
+ * @param {object} manifest - Playbook manifest
+ * @returns {Array<string>}
+ */
+function getServerPurposes(manifest) {
+  return [...getStepPurposes(manifest).map(p => p.value), ...(manifest.inventory?.reuse || [])];
+}
+
+/**
+ * Get the env-check servers of a step
+ * @param {object} session - Session (database.getSession)
+ * @param {object} manifest - Playbook manifest
+ * @returns {Array<object>} Servers with the role of their purpose
+ */
+function getEnvCheckServers(session, manifest) {
+  const inventory = manifest.inventory || {};
+  const purposes = getServerPurposes(manifest);
+
+  let servers = (session.servers['env-check'] || []).filter(server => purposes.includes(server.purpose));
+  if (inventory.limit) {
+    servers = servers.slice(0, inventory.limit);
+  }
+
+  return servers.map(server => ({
+    hostname: server.hostname,
+    ssh_port: server.ssh_port,
+    ssh_auth_type: server.ssh_auth_type || 'password',
+    ssh_user: server.ssh_user || 'root',
+    ssh_user_type: server.ssh_user_type || 'root',
+    password: server.password,
+    ssh_key: server.ssh_key || '',
+    ssh_key_passphrase: server.ssh_key_passphrase || '',
+    sudo_password: server.sudo_password || '',
+    role: getPurposeRole(server.purpose),
+    name: server.name
+  }));
+}
+
+/**
+ * Detect a step's deployment mode from the env-check purposes: 'cluster' when a server
+ * has a purpose of another role than the first one (e.g. mysql-secondary)
+ * @param {object} session - Session
+ * @param {object} manifest - Playbook manifest
+ * @returns {string|null} Mode, or null without env-check servers for the step
+ */
+function detectMode(session, manifest) {
+  const purposes = getStepPurposes(manifest);
+  const servers = (session.servers['env-check'] || []).filter(server => purposes.some(p => p.value === server.purpose));
+  if (purposes.length === 0 || servers.length === 0) return null;
+
+  const primaryRole = purposes[0].role;
+  return servers.some(server => getPurposeRole(server.purpose) !== primaryRole) ? 'cluster' : 'single';
+}
+
+/**
+ * Read a dotted path ('servers.mysql.0.hostname') from an object
+ * @param {object} state - Object
+ * @param {string} path - Dotted path
+ * @returns {*}
+ */
+function getStatePath(state, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), state);
+}
+
+/**
+ * Check the servers of a step for a hostname and the secret of their SSH login
+ * @param {Array<object>} servers - Servers
+ * @returns {Array<string>} Error messages
+ */
+function getServerErrors(servers) {
+  return servers.flatMap((server, index) => {
+    const label = server.hostname || `Server ${index + 1}`;
+    if (!server.hostname) return [`${label}: hostname is required`];
+    if ((server.ssh_auth_type || 'password') === 'key') {
+      return server.ssh_key ? [] : [`${label}: SSH private key is required`];
+    }
+    return server.password ? [] : [`${label}: SSH password is required`];
+  });
+}
+
+/**
+ * Build the playbook request of a step from a session
+ * @param {object} session - Session (database.getSession)
+ * @param {string} stepId - Step ID
+ * @param {object} overrides - { servers, variables } sent by an API caller: servers replace
+ *   the stored ones, variables replace single manifest variables
+ * @returns {object} { servers, variables, mode, serversFromEnvCheck, errors }
+ *   errors explain why the step cannot run (empty if the request is complete)
+ */
+function buildStepRequest(session, stepId, overrides = {}) {
+  const manifest = getPlaybook(stepId);
+  const stored = (session.servers[stepId] || []).map(({ id, ...server }) => server);
+  const serversFromEnvCheck = !overrides.servers && stored.length === 0;
+  const servers = overrides.servers || (serversFromEnvCheck ? getEnvCheckServers(session, manifest) : stored);
+
+  const mode = manifest.modes.length > 0
+    ? detectMode(session, manifest) || session.modes[stepId] || 'single'
+    : session.modes[stepId] || null;
+
+  // The wizard state the manifest variables are read from
+  const state = {
+    servers: { ...session.servers, [stepId]: servers },
+    credentials: session.credentials || {},
+    modes: { ...session.modes, ...(mode && { [stepId]: mode }) },
+    sslConfig: session.sslConfig || {},
+    nfsConfig: session.nfsConfig || {},
+    loadBalancerConfig: session.loadBalancerConfig || {}
+  };
+
+  const values = {};
+  for (const variable of manifest.variables) {
+    const value = variable.source ? getStatePath(state, variable.source) : undefined;
+    if (value !== undefined && value !== null && value !== '') {
+      values[variable.name] = value;
+    }
+  }
+  // Like the wizard, every step gets its deployment mode next to the manifest variables
+  const variables = {
+    deployment_mode: mode || 'single',
+    ...applyVariableDefaults(manifest, { ...values, ...overrides.variables })
+  };
+
+  const errors = servers.length === 0
+    ? [getServerPurposes(manifest).length > 0
+      ? `No servers: add them to the step, or give env-check servers the purpose ${getServerPurposes(manifest).join(' or ')}`
+      : 'No servers: add them to the step']
+    : [
+      ...getServerErrors(servers),
+      ...validateServerGroups(manifest, servers),
+      ...validateVariables(manifest, variables)
+    ];
+
+  return { servers, variables, mode, serversFromEnvCheck, errors };
+}
+
+module.exports = {
+  buildStepRequest
+};
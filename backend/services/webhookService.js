@@ -0,0 +1,269 @@
+/**
+ * Webhook Service
+ * Pushes deployment lifecycle events to subscribed HTTP endpoints, so automation such as
+ * n8n no longer has to poll the blocking playbook endpoint.
+ *
+ * A subscription (database webhooks) is global or belongs to one session and lists the
+ * events it wants. An event is first written to webhook_deliveries, one row per
+ * subscription, and posted afterwards. A delivery that gets no 2xx response is retried
+ * with backoff up to the webhook_max_attempts setting, also across restarts. Bodies are
+ * signed with the webhook's secret (see utils/webhookHelper) and never carry passwords,
+ * keys or credential values.
+ */
+
+const db = require('../database');
+const { getRemainingSteps } = require('./stepGraph');
+const { signPayload, postJson } = require('../utils/webhookHelper');
+
+const WEBHOOK_EVENTS = [
+  'step.started',
+  'task.failed',
+  'step.completed',
+  'step.failed',
+  'session.completed',
+  'credentials.generated'
+];
+
+// Sent by POST /api/webhooks/:id/test, whatever events the webhook lists
+const TEST_EVENT = 'ping';
+
+// Seconds before the next attempt, by failed attempts; the last delay repeats
+const RETRY_DELAYS = [30, 120, 600, 1800, 7200];
+
+const MAX_ATTEMPTS_SETTING = 'webhook_max_attempts';
+const DEFAULT_MAX_ATTEMPTS = 6;
+const TIMEOUT_SETTING = 'webhook_timeout';
+const DEFAULT_TIMEOUT = 10;
+
+// Delivered and failed deliveries are kept this long
+const RETENTION_DAYS = 30;
+
+// Deliveries posted at once
+const BATCH_SIZE = 20;
+
+let timer = null;
+let processing = false;
+
+/**
+ * Read a positive whole number setting
+ * @param {string} key - Setting key
+ * @param {number} fallback - Value if unset or invalid
+ * @returns {number}
+ */
+function getNumberSetting(key, fallback) {
+  const value = parseInt(db.getSetting(key), 10);
+  return Number.isInteger(value) && value >= 1 ? value : fallback;
+}
+
+/**
+ * Build the body of a delivery; attempts of one delivery send the same body
+ * @param {object} delivery - Delivery (database.getWebhookDelivery)
+ * @returns {string} JSON
+ */
+function buildBody(delivery) {
+  return JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    sessionId: delivery.sessionId,
+    createdAt: delivery.createdAt,
+    data: delivery.data
+  });
+}
+
+/**
+ * Why a pending delivery must no longer be posted, checked before each attempt
+ * @param {object|null} webhook - Its webhook as it is now
+ * @param {object} delivery - Pending delivery
+ * @returns {string|null} Reason, or null to post it
+ */
+function getCancelReason(webhook, delivery) {
+  if (!webhook) return 'Webhook deleted';
+  if (!webhook.enabled) return 'Webhook disabled';
+  if (delivery.event !== TEST_EVENT && !webhook.events.includes(delivery.event)) {
+    return `Webhook no longer subscribes to ${delivery.event}`;
+  }
+  return null;
+}
+
+/**
+ * Post a delivery and record the attempt
+ * Deliveries whose webhook was deleted, disabled or unsubscribed from the event since
+ * they were queued are cancelled instead.
+ * @param {object} delivery - Pending delivery
+ */
+async function deliver(delivery) {
+  const webhook = db.getWebhook(delivery.webhookId);
+  const cancelReason = getCancelReason(webhook, delivery);
+  if (cancelReason) {
+    db.cancelWebhookDeliveries(delivery.webhookId, cancelReason, delivery.id);
+    return;
+  }
+
+  const body = buildBody(delivery);
+  const timestamp = Math.floor(Date.now() / 1000);
+  let responseStatus = null;
+  let error = null;
+  try {
+    const result = await postJson(webhook.url, body, {
+      'User-Agent': 'StackBill-Webhooks',
+      'X-Stackbill-Event': delivery.event,
+      'X-Stackbill-Delivery': delivery.id,
+      'X-Stackbill-Timestamp': String(timestamp),
+      'X-Stackbill-Signature': signPayload(db.getWebhookSecret(webhook.id), timestamp, body)
+    }, getNumberSetting(TIMEOUT_SETTING, DEFAULT_TIMEOUT) * 1000);
+    responseStatus = result.statusCode;
+    if (responseStatus < 200 || responseStatus >= 300) {
+      error = `HTTP ${responseStatus}${result.body ? `: ${result.body}` : ''}`;
+    }
+  } catch (e) {
+    error = e.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const retryIn = error && attempts < getNumberSetting(MAX_ATTEMPTS_SETTING, DEFAULT_MAX_ATTEMPTS)
+    ? RETRY_DELAYS[Math.min(attempts, RETRY_DELAYS.length) - 1]
+    : null;
+  db.recordWebhookAttempt(delivery.id, { delivered: !error, responseStatus, error, retryIn });
+}
+
+/**
+ * Process the due deliveries after a delay
+ * @param {number} seconds - Delay
+ */
+function scheduleDeliveries(seconds = 0) {
+  if (timer) clearTimeout(timer);
+  timer = setTimeout(processDeliveries, Math.ceil(seconds * 1000));
+  timer.unref();
+}
+
+/**
+ * Post every due delivery, then wait for the next one
+ * Never rejects (it runs from a timer): after an error the next pass is tried later.
+ */
+async function processDeliveries() {
+  timer = null;
+  if (processing) return;
+
+  processing = true;
+  let delay;
+  try {
+    let due = db.getDueWebhookDeliveries(BATCH_SIZE);
+    while (due.length > 0) {
+      await Promise.all(due.map(delivery => deliver(delivery).catch((error) => {
+        console.error(`Webhook delivery ${delivery.id} failed:`, error);
+      })));
+      due = db.getDueWebhookDeliveries(BATCH_SIZE);
+    }
+    delay = db.getNextWebhookDeliveryDelay();
+  } catch (error) {
+    console.error('Webhook deliveries could not be processed:', error);
+    delay = RETRY_DELAYS[0];
+  } finally {
+    processing = false;
+  }
+
+  if (delay !== null && !timer) {
+    scheduleDeliveries(delay);
+  }
+}
+
+/**
+ * Queue an event for the webhooks subscribed to it
+ * Never throws: a broken subscription must not fail the deployment that raised the event.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {string|null} sessionId - Session of the event (null for runs without one)
+ * @param {object} data - Event details (no secrets)
+ * @returns {number} Number of queued deliveries
+ */
+function notify(event, sessionId, data = {}) {
+  try {
+    const webhooks = db.getWebhookSubscribers(event, sessionId);
+    for (const webhook of webhooks) {
+      db.createWebhookDelivery({ webhookId: webhook.id, event, sessionId, data });
+    }
+    if (webhooks.length > 0) {
+      scheduleDeliveries();
+    }
+    return webhooks.length;
+  } catch (error) {
+    console.error(`Webhook event ${event} could not be queued:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Queue a test delivery to a webhook
+ * @param {object} webhook - Webhook
+ * @param {string|null} username - User who sent it
+ * @returns {object} The delivery
+ */
+function sendTest(webhook, username = null) {
+  const delivery = db.createWebhookDelivery({
+    webhookId: webhook.id,
+    event: TEST_EVENT,
+    sessionId: webhook.sessionId,
+    data: { webhookId: webhook.id, sentBy: username }
+  });
+  scheduleDeliveries();
+  return delivery;
+}
+
+/**
+ * Cancel the pending deliveries of a webhook that was disabled or is being deleted
+ * @param {string} webhookId - Webhook ID
+ * @param {string} reason - Stored as the deliveries' error
+ * @returns {number} Number of cancelled deliveries
+ */
+function cancelDeliveries(webhookId, reason) {
+  return db.cancelWebhookDeliveries(webhookId, reason);
+}
+
+/**
+ * Queue a delivery again, e.g. after the endpoint was fixed
+ * @param {string} deliveryId - Delivery ID
+ * @returns {object} The delivery
+ */
+function redeliver(deliveryId) {
+  const delivery = db.retryWebhookDelivery(deliveryId);
+  scheduleDeliveries();
+  return delivery;
+}
+
+/**
+ * Mark a session completed once every wizard step is, and notify session.completed
+ * Only the first call after the last step completes marks and notifies.
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} Whether the session was completed now
+ */
+function completeSessionIfDone(sessionId) {
+  const session = db.getSession(sessionId);
+  if (!session || getRemainingSteps(session.completedSteps).length > 0) return false;
+  if (!db.markSessionCompleted(sessionId)) return false;
+
+  notify('session.completed', sessionId, { name: session.name, completedSteps: session.completedSteps });
+  return true;
+}
+
+/**
+ * Drop old deliveries and resume the pending ones (on startup)
+ * @returns {number} Number of dropped deliveries
+ */
+function initializeWebhooks() {
+  const pruned = db.pruneWebhookDeliveries(RETENTION_DAYS);
+  const delay = db.getNextWebhookDeliveryDelay();
+  if (delay !== null) {
+    scheduleDeliveries(delay);
+  }
+  return pruned;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  notify,
+  sendTest,
+  cancelDeliveries,
+  redeliver,
+  completeSessionIfDone,
+  initializeWebhooks
+};
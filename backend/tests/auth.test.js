@@ -0,0 +1,63 @@
+/**
+ * Auth tests
+ * The initial admin's generated password goes to a file only its owner can read, never
+ * to the log, and every sign-in is audited, successful or not.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { startServer, stopServer, requestJson } = require('./helpers');
+const { ensureAdminUser } = require('../services/authService');
+const db = require('../database');
+
+let admin = null;
+
+before(async () => {
+  // Before startServer adds the test users: the database has no user yet
+  admin = await ensureAdminUser();
+  await startServer();
+});
+after(stopServer);
+
+test('the generated admin password is written to a 0600 file and signs in', async () => {
+  assert.strictEqual(admin.username, 'admin');
+  assert.ok(!('password' in admin), 'generated password returned for logging');
+  assert.strictEqual(fs.statSync(admin.passwordFile).mode & 0o777, 0o600);
+
+  const password = fs.readFileSync(admin.passwordFile, 'utf8').trim();
+  const login = await requestJson(null, '/api/auth/login', { method: 'POST', body: { username: 'admin', password } });
+  assert.strictEqual(login.status, 200, login.body.error);
+  assert.strictEqual(login.body.user.role, 'admin');
+
+  // Only the first start creates it
+  assert.strictEqual(await ensureAdminUser(), null);
+});
+
+test('successful and failed sign-ins are audited', async () => {
+  const login = (body) => requestJson(null, '/api/auth/login', { method: 'POST', body });
+
+  assert.strictEqual((await login({ username: 'test-operator', password: 'test-password-123' })).status, 200);
+  assert.strictEqual((await login({ username: 'test-operator', password: 'wrong-password' })).status, 401);
+  assert.strictEqual((await login({ username: 'nobody', password: 'test-password-123' })).status, 401);
+
+  const events = db.listAuditEvents({ action: 'auth.login', limit: 3 });
+  assert.deepStrictEqual(events.map(event => [event.actor.username, event.actor.role, event.outcome, event.statusCode]), [
+    ['nobody', null, 'denied', 401],
+    ['test-operator', null, 'denied', 401],
+    ['test-operator', 'operator', 'success', 200]
+  ]);
+  const [unknown, wrongPassword, success] = events;
+  assert.strictEqual(success.actor.userId, db.getUserCredentials('test-operator').id);
+  assert.strictEqual(success.actor.authMethod, 'password');
+  assert.strictEqual(wrongPassword.actor.userId, null);
+  assert.deepStrictEqual(wrongPassword.details, { error: 'Invalid username or password' });
+  assert.strictEqual(unknown.ip, success.ip);
+  // The password tried is never stored
+  assert.ok(!JSON.stringify(events).includes('wrong-password'));
+
+  // Requests without a username cannot name an actor and are left out
+  const count = db.listAuditEvents({ action: 'auth.login' }).length;
+  assert.strictEqual((await login({ password: 'x' })).status, 400);
+  assert.strictEqual(db.listAuditEvents({ action: 'auth.login' }).length, count);
+});
@@ -0,0 +1,119 @@
+/**
+ * Test helpers
+ * Requiring this module gives the test file its own data directory and puts a stub
+ * ansible-playbook first on the PATH, so it must be required before the app or database.
+ * Each test file runs in its own process (node --test), with its own database.
+ *
+ * The stub prints the file in STUB_OUTPUT (event lines of the stackbill_events callback),
+ * appends STUB_HOST_KEY to the run's known_hosts, sleeps STUB_SLEEP seconds and exits with
+ * STUB_EXIT; the playbook service passes the server's environment on to it (see setStub).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stackbill-test-'));
+const binDir = path.join(tmpDir, 'bin');
+fs.mkdirSync(binDir);
+fs.writeFileSync(path.join(binDir, 'ansible-playbook'), [
+  '#!/bin/sh',
+  '# Called as: ansible-playbook -i <inventory>/hosts.yml <playbook> ...',
+  'if [ -n "$STUB_HOST_KEY" ]; then echo "$STUB_HOST_KEY" >> "$(dirname "$2")/known_hosts"; fi',
+  'if [ -n "$STUB_SLEEP" ]; then sleep "$STUB_SLEEP"; fi',
+  'if [ -n "$STUB_OUTPUT" ]; then cat "$STUB_OUTPUT"; fi',
+  'exit "${STUB_EXIT:-0}"',
+  ''
+].join('\n'), { mode: 0o755 });
+process.env.STACKBILL_DATA_DIR = path.join(tmpDir, 'data');
+process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+
+const STUB_VARIABLES = ['STUB_OUTPUT', 'STUB_HOST_KEY', 'STUB_SLEEP', 'STUB_EXIT'];
+
+let server = null;
+let baseUrl = null;
+const tokens = {};
+
+/**
+ * Set how the stub ansible-playbook behaves in the next runs
+ * @param {object} stub - { events (objects printed as event lines), hostKey, sleep, exit }
+ */
+function setStub({ events = [], hostKey = null, sleep = null, exit = 0 } = {}) {
+  for (const name of STUB_VARIABLES) {
+    delete process.env[name];
+  }
+  if (events.length > 0) {
+    const file = path.join(tmpDir, 'stub-output.jsonl');
+    fs.writeFileSync(file, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+    process.env.STUB_OUTPUT = file;
+  }
+  if (hostKey) process.env.STUB_HOST_KEY = hostKey;
+  if (sleep) process.env.STUB_SLEEP = String(sleep);
+  process.env.STUB_EXIT = String(exit);
+}
+
+/**
+ * Start the app on a free port with a user and an API token per role
+ * @returns {Promise<void>}
+ */
+async function startServer() {
+  const app = require('../app');
+  const authService = require('../services/authService');
+
+  for (const role of ['viewer', 'operator', 'admin']) {
+    const user = await authService.createUser({ username: `test-${role}`, password: 'test-password-123', role });
+    tokens[role] = authService.createApiToken(user, { name: 'test' }).token;
+  }
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Stop the app and remove the test's data directory
+ */
+function stopServer() {
+  if (server) {
+    server.closeAllConnections();
+    server.close();
+  }
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+/**
+ * Call the API with a user's token
+ * @param {string} role - 'viewer', 'operator' or 'admin' (null: no token)
+ * @param {string} url - Path below the server
+ * @param {object} options - fetch options; an object body is sent as JSON
+ * @returns {Promise<Response>}
+ */
+function request(role, url, options = {}) {
+  const { body, headers = {}, ...rest } = options;
+  return fetch(`${baseUrl}${url}`, {
+    ...rest,
+    ...(body !== undefined && { body: typeof body === 'string' ? body : JSON.stringify(body) }),
+    headers: {
+      'Content-Type': 'application/json',
+      ...(role && { Authorization: `Bearer ${tokens[role]}` }),
+      ...headers
+    }
+  });
+}
+
+/**
+ * Call the API and read the JSON response
+ * @returns {Promise<object>} { status, body }
+ */
+async function requestJson(role, url, options = {}) {
+  const res = await request(role, url, options);
+  return { status: res.status, body: await res.json() };
+}
+
+module.exports = {
+  tmpDir,
+  setStub,
+  startServer,
+  stopServer,
+  request,
+  requestJson
+};
@@ -0,0 +1,80 @@
+/**
+ * Job event tests
+ * Runs playbook jobs against the stub ansible-playbook (see helpers): what viewers can
+ * replay (and job_events stores) holds no secret value, and a job whose bookkeeping after
+ * the run fails still finishes and releases its locks.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setStub, startServer, stopServer, request, requestJson } = require('./helpers');
+const db = require('../database');
+
+const GENERATED_PASSWORD = 'S3cretGenerated!';
+const SERVER_PASSWORD = 'ServerPassw0rd';
+const SERVERS = [{ hostname: '10.0.0.5', username: 'root', password: SERVER_PASSWORD, role: 'primary' }];
+
+before(startServer);
+after(stopServer);
+
+test('a viewer replaying a job gets no passwords or generated credentials', async () => {
+  setStub({
+    events: [
+      { event: 'task_start', task: 'Show credentials', action: 'debug' },
+      {
+        event: 'host_result',
+        host: 'mysql-primary-0',
+        task: 'Show credentials',
+        status: 'ok',
+        result: { msg: `MySQL password: ${GENERATED_PASSWORD}` }
+      },
+      { event: 'recap', stats: { 'mysql-primary-0': { ok: 1 } } }
+    ]
+  });
+  const { body: result } = await requestJson('operator', '/api/playbook/mysql?wait=true', {
+    method: 'POST',
+    body: { servers: SERVERS }
+  });
+  assert.strictEqual(result.success, true, result.error);
+  // The operator waiting for the run still gets the generated credentials
+  assert.strictEqual(result.credentials.mysql.password, GENERATED_PASSWORD);
+
+  const replay = await request('viewer', `/api/jobs/${result.jobId}/events`, {
+    headers: { Accept: 'text/event-stream' }
+  });
+  assert.strictEqual(replay.status, 200);
+  const stream = await replay.text();
+  const events = stream.split('\n')
+    .filter(line => line.startsWith('data: '))
+    .map(line => JSON.parse(line.slice('data: '.length)));
+
+  assert.ok(!stream.includes(GENERATED_PASSWORD), 'generated password in the event stream');
+  assert.ok(!stream.includes(SERVER_PASSWORD), 'server password in the event stream');
+
+  const credentialResult = events.find(event => event.credentialUpdate);
+  assert.deepStrictEqual(credentialResult.credentialUpdate, { service: 'mysql', keys: ['path', 'password'] });
+  assert.ok(credentialResult.line.includes('********'));
+
+  const complete = events.find(event => event.type === 'complete');
+  assert.deepStrictEqual(complete.credentials, { mysql: ['path', 'password'] });
+
+  const stored = JSON.stringify(db.getJobEvents(result.jobId));
+  assert.ok(!stored.includes(GENERATED_PASSWORD), 'generated password in job_events');
+});
+
+test('a job whose host keys cannot be recorded still finishes and releases its locks', { timeout: 10000 }, async (t) => {
+  const session = db.createSession('Host keys');
+  setStub({ hostKey: '10.0.0.5 ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIHostKeyOfTheTestServer' });
+  t.mock.method(db, 'recordHostKeys', () => {
+    throw new Error('database is locked');
+  });
+
+  const { status, body } = await requestJson('operator', '/api/playbook/env-check?wait=true', {
+    method: 'POST',
+    body: { sessionId: session.id, servers: SERVERS }
+  });
+  assert.strictEqual(status, 200, body.error);
+  assert.strictEqual(db.recordHostKeys.mock.callCount(), 1);
+  assert.strictEqual(db.getJob(body.jobId).status, 'completed');
+  assert.deepStrictEqual(db.getRunLocks({ sessionId: session.id }), []);
+});
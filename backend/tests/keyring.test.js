@@ -0,0 +1,116 @@
+/**
+ * Keyring tests
+ * Values written before key rotation (AES-256-CBC) stay readable, tampered AES-256-GCM
+ * values are rejected, and a key rotation that fails part way leaves every value and
+ * the keyring as they were.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { tmpDir, stopServer } = require('./helpers');
+const {
+  loadKeyring,
+  addActiveKey,
+  encryptWithKeyring,
+  decryptWithKeyring,
+  getCiphertextKeyId
+} = require('../utils/encryptionHelper');
+const db = require('../database');
+const config = require('../config');
+
+after(stopServer);
+
+/**
+ * Encrypt text the way values were written before key rotation existed
+ */
+function encryptCbc(text, secret, salt) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', crypto.scryptSync(secret, salt, 32), iv);
+  return `${iv.toString('hex')}:${cipher.update(text, 'utf8', 'hex')}${cipher.final('hex')}`;
+}
+
+test('a single-key file is converted to a keyring that still reads CBC values', () => {
+  const dir = fs.mkdtempSync(path.join(tmpDir, 'keys-'));
+  const keyFile = path.join(dir, '.encryption_key');
+  const saltFile = path.join(dir, '.encryption_salt');
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(keyFile, secret);
+  fs.writeFileSync(saltFile, 'installation-salt');
+
+  const legacyValue = encryptCbc('OldServerPassw0rd', secret, 'installation-salt');
+  const keyring = loadKeyring(keyFile, saltFile);
+  assert.strictEqual(getCiphertextKeyId(legacyValue), 'legacy');
+  assert.strictEqual(decryptWithKeyring(legacyValue, keyring), 'OldServerPassw0rd');
+
+  const stored = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+  assert.strictEqual(stored.active, keyring.activeKeyId);
+  assert.strictEqual(stored.legacy, keyring.activeKeyId);
+
+  // After rotation the old key still reads them, new values use the new key
+  const rotated = addActiveKey(keyring, crypto.randomBytes(32).toString('hex'));
+  assert.strictEqual(decryptWithKeyring(legacyValue, rotated), 'OldServerPassw0rd');
+  assert.strictEqual(getCiphertextKeyId(encryptWithKeyring('x', rotated)), rotated.activeKeyId);
+  // A reloaded keyring reads them too
+  assert.strictEqual(decryptWithKeyring(legacyValue, loadKeyring(keyFile, saltFile)), 'OldServerPassw0rd');
+});
+
+test('tampered GCM values are rejected instead of decrypted', () => {
+  const keyring = db.getKeyring();
+  const value = encryptWithKeyring('ServerPassw0rd', keyring);
+  const [keyId, iv, authTag, data] = value.split(':');
+  const flip = (hex) => (hex[0] === '0' ? '1' : '0') + hex.slice(1);
+
+  assert.strictEqual(decryptWithKeyring(value, keyring), 'ServerPassw0rd');
+  for (const tampered of [
+    [keyId, iv, authTag, flip(data)],
+    [keyId, iv, flip(authTag), data],
+    [keyId, flip(iv), authTag, data]
+  ]) {
+    assert.throws(() => decryptWithKeyring(tampered.join(':'), keyring), /authenticate/);
+  }
+  assert.throws(() => decryptWithKeyring(['00000000', iv, authTag, data].join(':'), keyring), /Unknown encryption key '00000000'/);
+  assert.throws(() => decryptWithKeyring('not-encrypted', keyring), /Invalid encrypted data format/);
+
+  // The database layer reports them as unreadable (null), never as garbage plaintext
+  assert.strictEqual(db.decrypt([keyId, iv, authTag, flip(data)].join(':')), null);
+});
+
+test('a key rotation that fails part way changes nothing', () => {
+  const session = db.createSession('Rotation');
+  db.saveServers(session.id, 'mysql', [{ hostname: '10.0.0.5', password: 'ServerPassw0rd', role: 'primary' }]);
+  db.saveCredentials(session.id, 'mysql', { password: 'Generated1', root_password: 'Generated2' });
+
+  // Break one credential behind the database layer's back
+  const raw = new Database(path.join(config.paths.data, 'stackbill.db'));
+  const row = raw.prepare("SELECT rowid AS row_id, value_encrypted FROM credentials WHERE key = 'root_password'").get();
+  const [keyId, iv, authTag, data] = row.value_encrypted.split(':');
+  raw.prepare('UPDATE credentials SET value_encrypted = ? WHERE rowid = ?')
+    .run([keyId, iv, authTag, (data[0] === '0' ? '1' : '0') + data.slice(1)].join(':'), row.row_id);
+
+  const previous = db.getKeyring();
+  const statusBefore = db.getEncryptionStatus();
+  const serversBefore = raw.prepare('SELECT password_encrypted FROM servers').all();
+
+  const next = addActiveKey(previous, crypto.randomBytes(32).toString('hex'));
+  assert.throws(() => db.rotateEncryptionKey(next), /Cannot decrypt credentials\.value_encrypted of row \d+/);
+
+  // Servers come before credentials: their re-encryption was rolled back as well
+  assert.strictEqual(db.getKeyring(), previous);
+  assert.deepStrictEqual(db.getEncryptionStatus(), statusBefore);
+  assert.deepStrictEqual(raw.prepare('SELECT password_encrypted FROM servers').all(), serversBefore);
+  assert.strictEqual(db.getCredentials(session.id, 'mysql').password, 'Generated1');
+
+  // With the broken value gone the same rotation succeeds
+  raw.prepare('UPDATE credentials SET value_encrypted = ? WHERE rowid = ?').run(db.encrypt('Generated2'), row.row_id);
+  raw.close();
+  const counts = db.rotateEncryptionKey(next);
+  assert.strictEqual(counts.servers, 1);
+  assert.strictEqual(counts.credentials, 2);
+  assert.strictEqual(db.getKeyring(), next);
+  assert.deepStrictEqual(Object.keys(db.getEncryptionStatus().credentials), [next.activeKeyId]);
+  assert.deepStrictEqual(db.getCredentials(session.id, 'mysql'), { password: 'Generated1', root_password: 'Generated2' });
+});
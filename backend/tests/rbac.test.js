@@ -0,0 +1,112 @@
+/**
+ * Role tests
+ * Every route needs a login or an API token and checks the minimum role of the caller
+ * (viewer < operator < admin): viewers read with secrets masked, operators run and
+ * change sessions, administrators manage users, settings, webhooks, imports and exports.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, request, requestJson } = require('./helpers');
+const db = require('../database');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const SERVER_PASSWORD = 'ServerPassw0rd';
+
+let sessionId = null;
+
+before(async () => {
+  await startServer();
+  sessionId = db.createSession('Roles').id;
+  db.saveServers(sessionId, 'mysql', [{ hostname: '10.0.5.1', password: SERVER_PASSWORD, role: 'primary' }]);
+  db.saveCredentials(sessionId, 'mysql', { password: 'Generated1' });
+});
+after(stopServer);
+
+/**
+ * Routes with their minimum role; bodies are chosen so an allowed call changes
+ * nothing lasting (it is refused by validation or finds nothing)
+ */
+const ROUTES = [
+  ['GET', '/api/sessions', 'viewer'],
+  ['GET', () => `/api/sessions/${sessionId}`, 'viewer'],
+  ['GET', () => `/api/sessions/${sessionId}/host-keys`, 'viewer'],
+  ['GET', '/api/jobs', 'viewer'],
+  ['GET', '/api/jobs/locks', 'viewer'],
+  ['GET', '/api/settings', 'viewer'],
+  ['GET', '/api/steps', 'viewer'],
+  ['GET', '/api/playbook', 'viewer'],
+  ['POST', '/api/playbook/env-check', 'operator', {}],
+  ['POST', '/api/jobs/unknown/cancel', 'operator'],
+  ['PATCH', () => `/api/sessions/${sessionId}`, 'operator', { notes: 'Checked' }],
+  ['POST', () => `/api/sessions/${sessionId}/steps/unknown/cancel`, 'operator'],
+  ['GET', () => `/api/sessions/${sessionId}/files/0/download`, 'operator'],
+  ['GET', '/api/users', 'admin'],
+  ['GET', '/api/audit', 'admin'],
+  ['GET', '/api/webhooks', 'admin'],
+  ['DELETE', '/api/jobs/unknown/locks', 'admin'],
+  ['POST', '/api/sessions/import', 'admin', { bundle: 'not a bundle' }],
+  ['POST', () => `/api/sessions/${sessionId}/export-plain`, 'admin'],
+  ['DELETE', '/api/settings/unknown-setting', 'admin']
+];
+
+test('each role reaches the routes of its role and below, and no others', async () => {
+  for (const [method, url, minimum, body] of ROUTES) {
+    const path = typeof url === 'function' ? url() : url;
+    for (const role of ROLES) {
+      const res = await request(role, path, { method, body });
+      await res.arrayBuffer();
+      const allowed = ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+      if (allowed) {
+        assert.ok(![401, 403].includes(res.status), `${role} ${method} ${path}: ${res.status}`);
+      } else {
+        assert.strictEqual(res.status, 403, `${role} ${method} ${path}: ${res.status}`);
+      }
+    }
+  }
+});
+
+test('a refused call says which role it needs and changes nothing', async () => {
+  const { status, body } = await requestJson('viewer', `/api/sessions/${sessionId}`, {
+    method: 'PATCH',
+    body: { notes: 'Changed by a viewer' }
+  });
+  assert.strictEqual(status, 403);
+  assert.strictEqual(body.error, 'This action requires the operator role');
+  assert.notStrictEqual(db.getSession(sessionId).notes, 'Changed by a viewer');
+
+  const denied = await requestJson('operator', '/api/users', {
+    method: 'POST',
+    body: { username: 'intruder', password: 'intruder-password-1', role: 'admin' }
+  });
+  assert.strictEqual(denied.status, 403);
+  assert.strictEqual(denied.body.error, 'This action requires the admin role');
+  assert.ok(!db.listUsers().some(user => user.username === 'intruder'));
+});
+
+test('viewers read sessions with secrets masked', async () => {
+  const viewer = await requestJson('viewer', `/api/sessions/${sessionId}`);
+  assert.strictEqual(viewer.status, 200);
+  assert.strictEqual(viewer.body.session.servers.mysql[0].hostname, '10.0.5.1');
+  assert.strictEqual(viewer.body.session.servers.mysql[0].password, '********');
+  assert.strictEqual(viewer.body.session.credentials.mysql.password, '********');
+
+  const operator = await requestJson('operator', `/api/sessions/${sessionId}`);
+  assert.strictEqual(operator.body.session.servers.mysql[0].password, SERVER_PASSWORD);
+});
+
+test('calls without a valid login or token are refused', async () => {
+  const anonymous = await requestJson(null, '/api/sessions');
+  assert.strictEqual(anonymous.status, 401);
+  assert.strictEqual(anonymous.body.error, 'Authentication required');
+
+  const badToken = await requestJson(null, '/api/sessions', { headers: { Authorization: 'Bearer not-a-token' } });
+  assert.strictEqual(badToken.status, 401);
+  assert.strictEqual(badToken.body.error, 'Invalid or expired API token');
+
+  const badCookie = await requestJson(null, '/api/sessions', { headers: { Cookie: 'stackbill_session=expired' } });
+  assert.strictEqual(badCookie.status, 401);
+
+  // Health stays public
+  assert.strictEqual((await request(null, '/api/health')).status, 200);
+});
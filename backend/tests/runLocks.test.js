@@ -0,0 +1,96 @@
+/**
+ * Run lock tests
+ * A job locks its session step and hosts until it has finished: a second run of the step,
+ * or a run of another session on one of the hosts, gets 409 meanwhile; an administrator
+ * can release the locks of a job; and the locks go when the job succeeds or fails.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setStub, startServer, stopServer, requestJson } = require('./helpers');
+const jobService = require('../services/jobService');
+const db = require('../database');
+
+before(startServer);
+after(stopServer);
+
+/**
+ * Queue an environment check (it needs no completed steps or confirmed host keys)
+ */
+function startEnvCheck(role, sessionId, hostname, query = '') {
+  return requestJson(role, `/api/playbook/env-check${query}`, {
+    method: 'POST',
+    body: { sessionId, servers: [{ hostname, username: 'root', password: 'ServerPassw0rd' }] }
+  });
+}
+
+test('a second run of a locked step gets 409 until an admin releases the lock', { timeout: 20000 }, async () => {
+  const session = db.createSession('Step lock');
+  setStub({ sleep: 2 });
+
+  const first = await startEnvCheck('operator', session.id, '10.0.1.1');
+  assert.strictEqual(first.status, 202, first.body.error);
+  const firstJobId = first.body.jobId;
+
+  const second = await startEnvCheck('operator', session.id, '10.0.1.2');
+  assert.strictEqual(second.status, 409);
+  assert.match(second.body.error, new RegExp(`^Step 'env-check' is locked by job ${firstJobId} \\(env-check of session ${session.id}, .*started by test-operator`));
+  assert.deepStrictEqual(second.body.locks.map(lock => [lock.type, lock.target, lock.jobId]), [['step', 'env-check', firstJobId]]);
+
+  // Only administrators override locks
+  const denied = await requestJson('operator', `/api/jobs/${firstJobId}/locks`, { method: 'DELETE' });
+  assert.strictEqual(denied.status, 403);
+
+  const released = await requestJson('admin', `/api/jobs/${firstJobId}/locks`, { method: 'DELETE' });
+  assert.strictEqual(released.status, 200, released.body.error);
+  assert.deepStrictEqual(released.body.released.map(lock => [lock.type, lock.target]).sort(), [['host', '10.0.1.1:22'], ['step', 'env-check']]);
+  assert.strictEqual((await requestJson('admin', `/api/jobs/${firstJobId}/locks`, { method: 'DELETE' })).status, 404);
+
+  // The job itself keeps running; the step can be run again meanwhile
+  assert.ok(['queued', 'running'].includes(db.getJob(firstJobId).status));
+  const third = await startEnvCheck('operator', session.id, '10.0.1.2');
+  assert.strictEqual(third.status, 202, third.body.error);
+
+  await jobService.waitForJob(firstJobId);
+  await jobService.waitForJob(third.body.jobId);
+  assert.deepStrictEqual(db.getRunLocks({ sessionId: session.id }), []);
+});
+
+test('a host locked by one session cannot be run on by another or without a session', { timeout: 20000 }, async () => {
+  const sessionA = db.createSession('Host lock A');
+  const sessionB = db.createSession('Host lock B');
+  setStub({ sleep: 2 });
+
+  const first = await startEnvCheck('operator', sessionA.id, '10.0.2.1');
+  assert.strictEqual(first.status, 202, first.body.error);
+
+  for (const sessionId of [sessionB.id, null]) {
+    const other = await startEnvCheck('operator', sessionId, '10.0.2.1');
+    assert.strictEqual(other.status, 409);
+    assert.match(other.body.error, new RegExp(`^Host 10\\.0\\.2\\.1:22 is locked by job ${first.body.jobId}`));
+    assert.deepStrictEqual(other.body.locks.map(lock => [lock.type, lock.target]), [['host', '10.0.2.1:22']]);
+  }
+  // Nothing of the refused runs was created or locked
+  assert.deepStrictEqual(db.getRunLocks({ sessionId: sessionB.id }), []);
+
+  // Other hosts are free
+  const elsewhere = await startEnvCheck('operator', sessionB.id, '10.0.2.2');
+  assert.strictEqual(elsewhere.status, 202, elsewhere.body.error);
+
+  await jobService.waitForJob(first.body.jobId);
+  await jobService.waitForJob(elsewhere.body.jobId);
+});
+
+test('locks are released when a job succeeds and when it fails', { timeout: 20000 }, async () => {
+  const session = db.createSession('Release');
+
+  for (const [exit, status, jobStatus] of [[0, 200, 'completed'], [2, 500, 'failed']]) {
+    setStub({ exit });
+    const run = await startEnvCheck('operator', session.id, '10.0.3.1', '?wait=true');
+    assert.strictEqual(run.status, status);
+    assert.strictEqual(db.getJob(run.body.jobId).status, jobStatus);
+    assert.deepStrictEqual(db.getRunLocks({ jobId: run.body.jobId }), []);
+    const { body } = await requestJson('viewer', `/api/jobs/locks?sessionId=${session.id}`);
+    assert.deepStrictEqual(body.locks, []);
+  }
+});
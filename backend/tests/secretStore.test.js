@@ -0,0 +1,164 @@
+/**
+ * Secret store tests
+ * Runs the Vault store against a stand-in for the KV v2 API (an HTTP server keeping
+ * secrets in a Map): references round-trip through storeSecrets, resolveSecrets and
+ * removeSecrets, references outside the prefix are refused, and missing secrets (404)
+ * are handled.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createVaultStore } = require('../services/secretStore');
+
+const TOKEN = 'test-vault-token';
+
+// Secret path below the mount -> fields of its latest version
+const secrets = new Map();
+// Requests the stand-in received ('GET data/stackbill/...')
+const calls = [];
+let failWith = null;
+let server = null;
+let store = null;
+
+/**
+ * Answer a KV v2 request for the 'secret' mount
+ */
+function handleKv(req, res, body) {
+  const send = (status, payload) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(payload ? JSON.stringify(payload) : '');
+  };
+  const url = new URL(req.url, 'http://vault');
+  const match = /^\/v1\/secret\/(data|metadata)\/(.+)$/.exec(url.pathname);
+  calls.push(`${req.method} ${match ? `${match[1]}/${decodeURIComponent(match[2])}` : url.pathname}`);
+
+  if (req.headers['x-vault-token'] !== TOKEN) return send(403, { errors: ['permission denied'] });
+  if (failWith) return send(failWith, { errors: ['internal error'] });
+  if (!match) return send(404, { errors: [] });
+
+  const [, kind, encoded] = match;
+  const path = decodeURIComponent(encoded);
+
+  if (kind === 'data' && req.method === 'GET') {
+    return secrets.has(path) ? send(200, { data: { data: secrets.get(path) } }) : send(404, { errors: [] });
+  }
+  if (kind === 'data' && req.method === 'POST') {
+    secrets.set(path, JSON.parse(body).data);
+    return send(200, { data: { version: 1 } });
+  }
+  if (kind === 'metadata' && req.method === 'DELETE') {
+    secrets.delete(path);
+    return send(204);
+  }
+  if (kind === 'metadata' && req.method === 'GET' && url.searchParams.get('list') === 'true') {
+    const keys = new Set();
+    for (const key of secrets.keys()) {
+      if (key.startsWith(`${path}/`)) {
+        const [first, ...rest] = key.slice(path.length + 1).split('/');
+        keys.add(rest.length > 0 ? `${first}/` : first);
+      }
+    }
+    return keys.size > 0 ? send(200, { data: { keys: [...keys] } }) : send(404, { errors: [] });
+  }
+  return send(405, { errors: ['unsupported operation'] });
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => handleKv(req, res, body));
+  });
+  server.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  store = createVaultStore({
+    address: `http://127.0.0.1:${server.address().port}`,
+    token: TOKEN,
+    mount: 'secret',
+    prefix: 'stackbill',
+    timeout: 5000
+  });
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('secrets round-trip through references and are removed with their path', async () => {
+  const servers = [
+    { hostname: '10.0.0.5', username: 'root', password: 'ServerPassw0rd', role: 'primary' },
+    { hostname: '10.0.0.6', username: 'root', ssh_key: '-----BEGIN KEY-----', password: '' }
+  ];
+
+  const stored = await store.storeSecrets('sessions/s1/servers/mysql', servers);
+  assert.strictEqual(stored[0].hostname, '10.0.0.5');
+  assert.strictEqual(stored[0].password, 'vault:secret:stackbill/sessions/s1/servers/mysql#0.password');
+  assert.strictEqual(stored[1].ssh_key, 'vault:secret:stackbill/sessions/s1/servers/mysql#1.ssh_key');
+  // Empty values are no secrets and stay as they are
+  assert.strictEqual(stored[1].password, '');
+  assert.ok(!JSON.stringify(stored).includes('ServerPassw0rd'));
+  assert.deepStrictEqual(secrets.get('stackbill/sessions/s1/servers/mysql'), {
+    '0.password': 'ServerPassw0rd',
+    '1.ssh_key': '-----BEGIN KEY-----'
+  });
+
+  assert.deepStrictEqual(await store.resolveSecrets(stored), servers);
+
+  // Saving the loaded value again carries the referenced secrets over
+  const changed = stored.map(server => ({ ...server, username: 'deploy' }));
+  const restored = await store.storeSecrets('sessions/s1/servers/mysql', changed);
+  assert.deepStrictEqual(restored, changed);
+  assert.strictEqual((await store.resolveSecrets(restored))[0].password, 'ServerPassw0rd');
+
+  await store.storeSecrets('sessions/s1/credentials', { mysql: { password: 'Generated1' } });
+  await store.removeSecrets('sessions/s1');
+  assert.deepStrictEqual([...secrets.keys()].filter(key => key.startsWith('stackbill/sessions/s1')), []);
+  await assert.rejects(store.resolveSecrets(stored), /does not exist/);
+});
+
+test('references outside the store prefix are refused without reading them', async () => {
+  secrets.set('other/app', { password: 'NotOurs' });
+  calls.length = 0;
+
+  for (const ref of [
+    'vault:secret:other/app#password',
+    'vault:secret:stackbill-other/x#password',
+    'vault:secret:stackbill/../other/app#password',
+    'vault:secret:stackbill/sessions/./../../other/app#password',
+    'vault:kv:stackbill/x#password'
+  ]) {
+    await assert.rejects(store.resolveSecrets({ password: ref }), /is outside secret:stackbill\//);
+    await assert.rejects(store.storeSecrets('sessions/s2/servers/mysql', [{ password: ref }]), /is outside/);
+  }
+  assert.deepStrictEqual(calls, []);
+});
+
+test('missing secrets are reported and removing them succeeds', async () => {
+  // A path that was never written reads as 404
+  await assert.rejects(
+    store.resolveSecrets({ password: 'vault:secret:stackbill/sessions/none#password' }),
+    /Secret vault:secret:stackbill\/sessions\/none#password does not exist/
+  );
+  // So does a field the stored secret does not have
+  const stored = await store.storeSecrets('sessions/s3/credentials', { password: 'Generated1' });
+  const missingField = { ...stored, other: stored.password.replace('#password', '#other') };
+  await assert.rejects(store.resolveSecrets(missingField), /#other does not exist/);
+
+  // Listing and deleting an unknown path answer 404, which is not an error
+  await store.removeSecrets('sessions/none');
+
+  // Other error statuses are reported with Vault's messages
+  failWith = 500;
+  try {
+    await assert.rejects(store.resolveSecrets(stored), /Vault read secret\/stackbill\/sessions\/s3\/credentials failed with HTTP 500: internal error/);
+  } finally {
+    failWith = null;
+  }
+});
+
+test('the store needs an address and a token', () => {
+  assert.throws(() => createVaultStore({ prefix: 'stackbill', mount: 'secret', token: TOKEN }), /STACKBILL_VAULT_ADDR/);
+});
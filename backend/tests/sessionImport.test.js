@@ -0,0 +1,146 @@
+/**
+ * Session import tests
+ * Invalid import data is refused with every problem listed, exports of version 1.0 are
+ * migrated before they are validated, and an import that fails part way leaves no
+ * session behind.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { startServer, stopServer, requestJson } = require('./helpers');
+const { encryptBundle } = require('../utils/exportBundleHelper');
+const db = require('../database');
+const config = require('../config');
+
+const HOST_KEY = 'AAAAC3NzaC1lZDI1NTE5AAAAIHostKeyOfTheImportedServer';
+
+before(startServer);
+after(stopServer);
+
+/**
+ * Export data of the current version
+ */
+function exportData(overrides = {}) {
+  return {
+    format: 'stackbill-session-export',
+    version: 2,
+    exportedAt: '2026-10-01T12:00:00.000Z',
+    session: {
+      name: 'Imported',
+      completedSteps: ['env-check'],
+      hostKeys: [{ hostname: '10.0.4.1', port: 22, keyType: 'ssh-ed25519', publicKey: HOST_KEY }]
+    },
+    servers: { mysql: [{ hostname: '10.0.4.1', ssh_port: 22, password: 'ServerPassw0rd', role: 'primary' }] },
+    credentials: { mysql: { password: 'Generated1' } },
+    ...overrides
+  };
+}
+
+function importData(body, role = 'admin', query = '') {
+  return requestJson(role, `/api/sessions/import${query}`, { method: 'POST', body });
+}
+
+test('invalid import data is refused with its problems', async () => {
+  const invalid = await importData(exportData({
+    session: { name: '', auto_cleanup: 'yes' },
+    servers: { mysql: [{ hostname: '10.0.4.1', ssh_port: 70000, password: 'x' }] },
+    credentials: { mysql: { password: 12 } }
+  }));
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(invalid.body.error, `Invalid import data: ${invalid.body.errors.length} problems`);
+  for (const pointer of ['/session/name', '/session/auto_cleanup', '/servers/mysql/0/ssh_port', '/credentials/mysql/password']) {
+    assert.ok(invalid.body.errors.some(error => error.startsWith(pointer)), `no error for ${pointer}: ${invalid.body.errors}`);
+  }
+
+  const unknownField = await importData(exportData({ extra: true }));
+  assert.strictEqual(unknownField.status, 400);
+  assert.match(unknownField.body.error, /^Invalid import data: .*extra/);
+
+  const newer = await importData(exportData({ version: 3 }));
+  assert.deepStrictEqual(newer.body.errors, ['Export version 3 is newer than this server supports (2)']);
+  const unknown = await importData(exportData({ version: 'beta' }));
+  assert.deepStrictEqual(unknown.body.errors, ['Unknown export version "beta"']);
+  const notObject = await importData([exportData()]);
+  assert.deepStrictEqual(notObject.body.errors, ['/ must be an object']);
+
+  const bundle = await encryptBundle(exportData(), 'correct horse battery');
+  assert.strictEqual((await importData({ bundle })).status, 400);
+  assert.strictEqual((await importData(bundle)).body.error, 'Send encrypted bundles as { bundle, passphrase }');
+  const wrongPassphrase = await importData({ bundle, passphrase: 'wrong horse battery' });
+  assert.strictEqual(wrongPassphrase.status, 400);
+
+  // Only administrators import
+  assert.strictEqual((await importData(exportData(), 'operator')).status, 403);
+  assert.ok(!db.listSessions().some(session => session.name === 'Imported'));
+});
+
+test('an export of version 1.0 is migrated and imported', async () => {
+  const oldExport = {
+    version: '1.0',
+    exportedAt: '2025-01-15T08:00:00.000Z',
+    session: { name: 'Old export', status: 'in_progress', auto_cleanup: 1, completedSteps: ['env-check'] },
+    servers: { mysql: [{ id: 41, hostname: '10.0.4.2', ssh_port: '2222', password: 'OldPassw0rd', role: 'primary' }] },
+    credentials: { mysql: { password: 'Generated1', port: 3306, tls: false } }
+  };
+
+  const preview = await importData(oldExport, 'admin', '?dryRun=true');
+  assert.strictEqual(preview.status, 200, preview.body.error);
+  assert.strictEqual(preview.body.fromVersion, '1.0');
+  assert.deepStrictEqual(preview.body.summary, {
+    name: 'Old export',
+    status: 'in_progress',
+    exportedAt: '2025-01-15T08:00:00.000Z',
+    completedSteps: ['env-check'],
+    serverCount: 1,
+    credentialServices: ['mysql']
+  });
+  assert.ok(!db.listSessions().some(session => session.name === 'Old export'));
+
+  // The encrypted bundle of an old export is migrated the same way
+  const bundle = await encryptBundle(oldExport, 'correct horse battery');
+  const imported = await importData({ bundle, passphrase: 'correct horse battery' });
+  assert.strictEqual(imported.status, 200, imported.body.error);
+  assert.strictEqual(imported.body.fromVersion, '1.0');
+
+  const session = db.getSession(imported.body.session.id);
+  assert.strictEqual(session.name, 'Old export');
+  assert.strictEqual(session.auto_cleanup, 1);
+  assert.deepStrictEqual(session.completedSteps, ['env-check']);
+  const [server] = session.servers.mysql;
+  assert.notStrictEqual(server.id, 41);
+  assert.strictEqual(server.ssh_port, 2222);
+  assert.strictEqual(server.password, 'OldPassw0rd');
+  assert.deepStrictEqual(session.credentials.mysql, { password: 'Generated1', port: '3306', tls: 'false' });
+});
+
+test('an import that fails part way leaves no session behind', async () => {
+  const raw = new Database(path.join(config.paths.data, 'stackbill.db'));
+  const count = (table) => raw.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+  const tables = ['sessions', 'servers', 'credentials', 'completed_steps', 'host_keys'];
+  const before = Object.fromEntries(tables.map(table => [table, count(table)]));
+
+  // Host keys are written last: everything before them has to be rolled back
+  raw.exec(`
+    CREATE TRIGGER fail_host_key BEFORE INSERT ON host_keys WHEN NEW.hostname = '10.0.4.1'
+    BEGIN SELECT RAISE(ABORT, 'disk I/O error'); END
+  `);
+  try {
+    const failed = await importData(exportData());
+    assert.strictEqual(failed.status, 500);
+    assert.match(failed.body.error, /disk I\/O error/);
+    assert.deepStrictEqual(Object.fromEntries(tables.map(table => [table, count(table)])), before);
+    assert.ok(!db.listSessions().some(session => session.name === 'Imported'));
+  } finally {
+    raw.exec('DROP TRIGGER fail_host_key');
+  }
+
+  // Without the failure the same data imports completely
+  const imported = await importData(exportData());
+  assert.strictEqual(imported.status, 200, imported.body.error);
+  const session = db.getSession(imported.body.session.id);
+  assert.strictEqual(session.servers.mysql[0].password, 'ServerPassw0rd');
+  assert.deepStrictEqual(session.hostKeys.map(key => [key.hostname, key.publicKey]), [['10.0.4.1', HOST_KEY]]);
+  raw.close();
+});
@@ -0,0 +1,48 @@
+/**
+ * Step inventory preview tests
+ * GET /api/sessions/:id/steps/:stepId/inventory renders the inventory of the request a run
+ * of the step would send: its saved servers, or else the env-check servers of its
+ * purposes, with every password masked.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, request, requestJson } = require('./helpers');
+const db = require('../database');
+
+before(startServer);
+after(stopServer);
+
+async function getInventory(sessionId, stepId, format = 'json') {
+  const res = await request('viewer', `/api/sessions/${sessionId}/steps/${stepId}/inventory?format=${format}`);
+  return { status: res.status, text: await res.text() };
+}
+
+test('without saved servers the preview uses the env-check servers of the step', async () => {
+  const session = db.createSession('Preview');
+  db.saveServers(session.id, 'env-check', [
+    { hostname: '10.0.9.1', password: 'RabbitPassw0rd', purpose: 'rabbitmq', name: 'rabbit one' },
+    { hostname: '10.0.9.2', password: 'MysqlPassw0rd', purpose: 'mysql-primary' }
+  ]);
+
+  const preview = await getInventory(session.id, 'rabbitmq');
+  assert.strictEqual(preview.status, 200, preview.text);
+  assert.ok(!preview.text.includes('Passw0rd'), 'password in the preview');
+  const inventory = JSON.parse(preview.text);
+  const hosts = inventory.all.children.rabbitmq.hosts;
+  assert.deepStrictEqual(Object.values(hosts).map(host => [host.ansible_host, host.ansible_ssh_pass]), [['10.0.9.1', '********']]);
+
+  // Saved servers of the step take their place
+  db.saveServers(session.id, 'rabbitmq', [{ hostname: '10.0.9.3', password: 'SavedPassw0rd', role: 'rabbitmq' }]);
+  const saved = await getInventory(session.id, 'rabbitmq', 'ini');
+  assert.strictEqual(saved.status, 200, saved.text);
+  assert.match(saved.text, /ansible_host=10\.0\.9\.3 /);
+  assert.ok(!saved.text.includes('10.0.9.1') && !saved.text.includes('Passw0rd'));
+});
+
+test('a step without saved or env-check servers has no inventory', async () => {
+  const session = db.createSession('Empty preview');
+  const { status, body } = await requestJson('viewer', `/api/sessions/${session.id}/steps/rabbitmq/inventory`);
+  assert.strictEqual(status, 404);
+  assert.strictEqual(body.error, "Servers for step 'rabbitmq' not found");
+});
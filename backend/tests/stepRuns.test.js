@@ -0,0 +1,101 @@
+/**
+ * Step run tests
+ * POST /api/sessions/:id/steps/:stepId/run with an Idempotency-Key: a repeated request
+ * gets the first one's run, a different request with the same key 409, and keys of
+ * requests that never queued a job are released on startup. A run refused because the
+ * step is locked leaves the step's stored servers as they were.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setStub, startServer, stopServer, request, requestJson } = require('./helpers');
+const jobService = require('../services/jobService');
+const db = require('../database');
+
+before(startServer);
+after(stopServer);
+
+function runStep(sessionId, body, idempotencyKey = null) {
+  return request('operator', `/api/sessions/${sessionId}/steps/env-check/run`, {
+    method: 'POST',
+    body,
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+  });
+}
+
+const servers = (hostname) => [{ hostname, username: 'root', password: 'ServerPassw0rd', role: 'primary' }];
+
+test('a repeated request replays its run, a different one with the same key gets 409', { timeout: 20000 }, async () => {
+  const session = db.createSession('Replay');
+  setStub();
+
+  const first = await runStep(session.id, { servers: servers('10.0.6.1'), saveCredentials: true }, 'deploy-1');
+  assert.strictEqual(first.status, 202);
+  const { run } = await first.json();
+  assert.strictEqual(first.headers.get('idempotent-replayed'), null);
+
+  // Same request with its keys in another order
+  const replay = await runStep(session.id, { saveCredentials: true, servers: [{ role: 'primary', password: 'ServerPassw0rd', username: 'root', hostname: '10.0.6.1' }] }, 'deploy-1');
+  assert.strictEqual(replay.status, 202);
+  assert.strictEqual(replay.headers.get('idempotent-replayed'), 'true');
+  assert.strictEqual(replay.headers.get('location'), run.links.self);
+  assert.strictEqual((await replay.json()).run.id, run.id);
+
+  const different = await runStep(session.id, { servers: servers('10.0.6.2') }, 'deploy-1');
+  assert.strictEqual(different.status, 409);
+  assert.strictEqual((await different.json()).error, 'Idempotency-Key was already used with a different request');
+
+  await jobService.waitForJob(run.id);
+  assert.deepStrictEqual(db.listJobs({ sessionId: session.id }).map(job => job.id), [run.id]);
+});
+
+test('a run refused by a lock keeps the stored servers and frees its key', { timeout: 20000 }, async () => {
+  const session = db.createSession('Locked');
+  setStub({ sleep: 2 });
+
+  const first = await runStep(session.id, { servers: servers('10.0.7.1') });
+  assert.strictEqual(first.status, 202);
+  const { run } = await first.json();
+
+  const refused = await runStep(session.id, { servers: servers('10.0.7.2') }, 'deploy-2');
+  assert.strictEqual(refused.status, 409);
+  assert.match((await refused.json()).error, /^Step 'env-check' is locked by job /);
+  assert.deepStrictEqual(db.getSession(session.id).servers['env-check'].map(server => server.hostname), ['10.0.7.1']);
+
+  await jobService.waitForJob(run.id);
+  setStub();
+  const retried = await runStep(session.id, { servers: servers('10.0.7.2') }, 'deploy-2');
+  assert.strictEqual(retried.status, 202);
+  assert.strictEqual(retried.headers.get('idempotent-replayed'), null);
+  await jobService.waitForJob((await retried.json()).run.id);
+  assert.deepStrictEqual(db.getSession(session.id).servers['env-check'].map(server => server.hostname), ['10.0.7.2']);
+});
+
+test('keys of requests that never queued a job are released on startup', { timeout: 20000 }, async () => {
+  const session = db.createSession('Restart');
+  setStub();
+  const body = { servers: servers('10.0.8.1') };
+
+  // A request that was cut off between reserving its key and queueing its job
+  db.reserveIdempotencyKey({ sessionId: session.id, stepId: 'env-check', key: 'deploy-3', requestHash: 'cut-off' });
+  const pending = await requestJson('operator', `/api/sessions/${session.id}/steps/env-check/run`, {
+    method: 'POST',
+    body,
+    headers: { 'Idempotency-Key': 'deploy-3' }
+  });
+  // Held: the request is refused whatever it is
+  assert.strictEqual(pending.status, 409);
+
+  assert.strictEqual(jobService.initializeJobs().released, 1);
+
+  const sent = await runStep(session.id, body, 'deploy-3');
+  assert.strictEqual(sent.status, 202);
+  const { run } = await sent.json();
+  await jobService.waitForJob(run.id);
+
+  // Keys that queued a job are kept
+  assert.strictEqual(jobService.initializeJobs().released, 0);
+  const replay = await runStep(session.id, body, 'deploy-3');
+  assert.strictEqual(replay.headers.get('idempotent-replayed'), 'true');
+  assert.strictEqual((await replay.json()).run.id, run.id);
+});
@@ -0,0 +1,350 @@
+/**
+ * Ansible Output Parser
+ * Converts the JSON lines written by the bundled stackbill_events callback plugin
+ * (ansible/callback_plugins) into the SSE events sent to clients and a readable log.
+ * Shared by the modular playbook service and the legacy api-server.js.
+ */
+
+// Legacy SSE status names for host results
+const LEGACY_STATUS = {
+  ok: 'ok',
+  changed: 'changed',
+  failed: 'fatal',
+  unreachable: 'fatal',
+  skipped: 'skipping'
+};
+
+const CREDENTIAL_PATTERNS = [
+  { regex: /^MySQL user:\s*(.+)$/i, service: 'mysql', key: 'username' },
+  { regex: /^MySQL password:\s*(.+)$/i, service: 'mysql', key: 'password' },
+  { regex: /^MongoDB admin user:\s*(.+)$/i, service: 'mongodb', key: 'username' },
+  { regex: /^MongoDB admin password:\s*(.+)$/i, service: 'mongodb', key: 'password' },
+  { regex: /^MongoDB credentials stored in:\s*(.+)$/i, service: 'mongodb', key: 'path' },
+  { regex: /^RabbitMQ Username:\s*(.+)$/i, service: 'rabbitmq', key: 'username' },
+  { regex: /^RabbitMQ Password:\s*(.+)$/i, service: 'rabbitmq', key: 'password' }
+];
+
+/**
+ * Parse credential lines out of a task message
+ * Supports `CREDENTIALS|service|key=value|...` and the "MySQL password: ..." style.
+ * @param {string} text - Message text (may span several lines)
+ * @param {object} credentials - Credentials object to update
+ * @returns {object} { updated: Set of services that changed, display: non-credential lines }
+ */
+function parseCredentials(text, credentials) {
+  const updated = new Set();
+  const display = [];
+
+  for (const line of String(text).split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+
+    if (trimmed.startsWith('CREDENTIALS|')) {
+      const parts = trimmed.split('|');
+      const svc = parts[1]?.toLowerCase();
+      if (svc) {
+        if (!credentials[svc]) credentials[svc] = {};
+        parts.slice(2).forEach(segment => {
+          const [k, v] = segment.split('=');
+          if (k && v) {
+            credentials[svc][k.trim()] = v.trim();
+          }
+        });
+        updated.add(svc);
+      }
+      continue;
+    }
+
+    const pattern = CREDENTIAL_PATTERNS.find(p => p.regex.test(trimmed));
+    if (pattern) {
+      if (!credentials[pattern.service]) credentials[pattern.service] = {};
+      credentials[pattern.service][pattern.key] = trimmed.match(pattern.regex)[1].trim();
+      updated.add(pattern.service);
+      continue;
+    }
+
+    display.push(trimmed);
+  }
+
+  return { updated, display };
+}
+
+/**
+ * Get the texts of a result that may carry credentials (msg, or stdout of shell tasks)
+ * @param {object} result - Task result
+ * @returns {Array<string>}
+ */
+function getResultMessages(result = {}) {
+  const source = result.msg !== undefined ? result.msg : result.stdout;
+  if (source === undefined || source === null || source === '') return [];
+  return (Array.isArray(source) ? source : [source]).map(m => (typeof m === 'string' ? m : JSON.stringify(m)));
+}
+
+/**
+ * Extract a short error description from a failed result
+ * Prioritizes stderr, then msg, then cmd.
+ * @param {object} result - Task result
+ * @returns {string|null}
+ */
+function getErrorMessage(result = {}) {
+  if (typeof result.stderr === 'string' && result.stderr.trim()) {
+    return result.stderr.trim();
+  }
+  if (result.msg) {
+    return Array.isArray(result.msg) ? result.msg.join(', ') : String(result.msg);
+  }
+  if (result.cmd) {
+    return `Command failed: ${Array.isArray(result.cmd) ? result.cmd.join(' ') : result.cmd}`;
+  }
+  return null;
+}
+
+/**
+ * Format a recap line like the default callback does
+ * @param {string} host - Inventory host name
+ * @param {object} stats - Host counters
+ * @returns {string}
+ */
+function formatRecapLine(host, stats) {
+  const counters = ['ok', 'changed', 'unreachable', 'failed', 'skipped', 'rescued', 'ignored']
+    .map(key => `${key}=${stats[key] || 0}`)
+    .join('    ');
+  return `${host.padEnd(26)} : ${counters}`;
+}
+
+/**
+ * Create a parser for one playbook execution
+ * @param {string|null} service - Service whose credentials the playbook generates
+ * @param {object} credentials - Credentials object updated while parsing
+ * @param {object} options - { collectCredentials: false to ignore credential output (check mode) }
+ * @returns {object} { parseLine, recap, diffs }
+ */
+function createOutputParser(service = null, credentials = {}, options = {}) {
+  const { collectCredentials: keepCredentials = true } = options;
+  const state = {
+    currentTask: '',
+    recap: {},
+    diffs: []
+  };
+
+  /**
+   * Collect credentials from a result (and its loop items)
+   * @returns {object|null} credentialUpdate for the SSE event
+   */
+  function collectCredentials(result, display) {
+    const texts = [
+      ...getResultMessages(result),
+      ...(Array.isArray(result.results) ? result.results.flatMap(getResultMessages) : [])
+    ];
+
+    // Credential lines are still kept out of the displayed message
+    if (!keepCredentials) {
+      texts.forEach(text => display.push(...parseCredentials(text, {}).display));
+      return null;
+    }
+
+    let updatedService = null;
+    for (const text of texts) {
+      const parsed = parseCredentials(text, credentials);
+      display.push(...parsed.display);
+      if (parsed.updated.size > 0) {
+        updatedService = parsed.updated.has(service) ? service : Array.from(parsed.updated)[0];
+      }
+    }
+
+    return updatedService
+      ? { service: updatedService, data: { ...credentials[updatedService] } }
+      : null;
+  }
+
+  function hostResultEvent(event) {
+    const result = event.result || {};
+    const status = LEGACY_STATUS[event.status] || event.status;
+    const display = [];
+    const credentialUpdate = collectCredentials(result, display);
+
+    const items = Array.isArray(result.results)
+      ? result.results.map(item => ({
+        item: item._ansible_item_label ?? item.item,
+        status: item.failed ? 'failed' : item.skipped ? 'skipped' : item.changed ? 'changed' : 'ok',
+        message: getResultMessages(item).join(' | ') || undefined
+      }))
+      : undefined;
+
+    // Readable log line in the style of the default callback
+    let line;
+    if (event.status === 'failed' || event.status === 'unreachable') {
+      const label = event.status === 'unreachable' ? 'UNREACHABLE!' : 'FAILED!';
+      line = `fatal: [${event.host}]: ${label} => ${JSON.stringify(result)}`;
+      if (event.ignore_errors) line += '\n...ignoring';
+    } else if (result.msg !== undefined) {
+      line = `${status}: [${event.host}] => ${JSON.stringify({ msg: result.msg })}`;
+    } else {
+      line = `${status}: [${event.host}]`;
+    }
+
+    return {
+      type: 'task_result',
+      status,
+      host: event.host,
+      task: event.task || state.currentTask,
+      action: event.action,
+      message: display.join(' | '),
+      errorMessage: status === 'fatal' ? getErrorMessage(result) : null,
+      changed: event.changed,
+      unreachable: event.status === 'unreachable',
+      ignored: Boolean(event.ignore_errors),
+      duration: event.duration,
+      items,
+      line,
+      credentialUpdate
+    };
+  }
+
+  /**
+   * Parse one line of playbook stdout
+   * @param {string} raw - Output line
+   * @returns {object} { events: SSE events to publish, text: readable log text }
+   */
+  function parseLine(raw) {
+    const trimmed = raw.trim();
+    if (!trimmed) return { events: [], text: '' };
+
+    let event = null;
+    if (trimmed.startsWith('{')) {
+      try {
+        event = JSON.parse(trimmed);
+      } catch (e) {
+        event = null;
+      }
+    }
+
+    // Not from the callback plugin (e.g. a module printing to stdout) - keep it in the log
+    if (!event || !event.event) {
+      return { events: [{ type: 'output', line: raw }], text: raw };
+    }
+
+    switch (event.event) {
+      case 'playbook_start':
+        return { events: [], text: `PLAYBOOK: ${event.playbook || ''}` };
+
+      case 'play_start': {
+        const line = `PLAY [${event.play}] ${'*'.repeat(40)}`;
+        return { events: [{ type: 'play', play: event.play, hosts: event.hosts, line }], text: line };
+      }
+
+      case 'task_start': {
+        state.currentTask = event.task;
+        const line = `${event.handler ? 'RUNNING HANDLER' : 'TASK'} [${event.task}] ${'*'.repeat(40)}`;
+        return {
+          events: [{ type: 'task', task: event.task, action: event.action, handler: event.handler, line }],
+          text: line
+        };
+      }
+
+      case 'host_result': {
+        const parsed = hostResultEvent(event);
+        return { events: [parsed], text: parsed.line };
+      }
+
+      case 'item_result': {
+        const status = LEGACY_STATUS[event.status] || event.status;
+        const line = `${status}: [${event.host}] => (item=${typeof event.item === 'string' ? event.item : JSON.stringify(event.item)})`;
+        return {
+          events: [{
+            type: 'item_result',
+            status,
+            host: event.host,
+            task: event.task || state.currentTask,
+            item: event.item,
+            changed: event.changed,
+            line
+          }],
+          text: line
+        };
+      }
+
+      case 'retry': {
+        const left = (event.retries || 0) - (event.attempts || 0);
+        const line = `FAILED - RETRYING: [${event.host}]: ${event.task} (${left} retries left).`;
+        return {
+          events: [{ type: 'retry', host: event.host, task: event.task, attempts: event.attempts, retries: event.retries, line }],
+          text: line
+        };
+      }
+
+      case 'diff': {
+        const task = event.task || state.currentTask;
+        const entry = { task, host: event.host, item: event.item ?? null, diff: event.diff };
+        state.diffs.push(entry);
+        const header = `--- diff: [${event.host}]${entry.item !== null ? ` (item=${entry.item})` : ''}`;
+        const line = `${header}\n${event.diff}`;
+        return { events: [{ type: 'diff', ...entry, line }], text: line };
+      }
+
+      case 'warning': {
+        const line = `[WARNING]: ${event.message}`;
+        return { events: [{ type: 'warning', message: event.message, line }], text: line };
+      }
+
+      case 'recap': {
+        state.recap = event.stats || {};
+        const lines = Object.entries(state.recap).map(([host, stats]) => formatRecapLine(host, stats));
+        const events = [
+          { type: 'recap', stats: state.recap, duration: event.duration, line: 'PLAY RECAP' },
+          // Per-host summary events, as previously scraped from the recap lines
+          ...Object.entries(state.recap).map(([host, stats], idx) => ({
+            type: 'status',
+            status: 'ok',
+            count: String(stats.ok || 0),
+            host,
+            line: lines[idx]
+          }))
+        ];
+        return { events, text: [`PLAY RECAP ${'*'.repeat(40)}`, ...lines].join('\n') };
+      }
+
+      default:
+        return { events: [], text: '' };
+    }
+  }
+
+  return {
+    parseLine,
+    get recap() {
+      return state.recap;
+    },
+    get diffs() {
+      return state.diffs;
+    }
+  };
+}
+
+/**
+ * Split streamed chunks into complete lines
+ * JSON events can be split across chunks, so partial lines are buffered.
+ * @param {Function} onLine - Called for every complete line
+ * @returns {object} { write(chunk), flush() }
+ */
+function createLineSplitter(onLine) {
+  let buffer = '';
+  return {
+    write(chunk) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(onLine);
+    },
+    flush() {
+      if (buffer) onLine(buffer);
+      buffer = '';
+    }
+  };
+}
+
+module.exports = {
+  createOutputParser,
+  createLineSplitter,
+  parseCredentials,
+  getErrorMessage
+};
@@ -0,0 +1,282 @@
+/**
+ * Encryption Helper Utilities
+ * Versioned keys (a keyring) and AES-256-GCM for secrets stored in SQLite.
+ *
+ * Ciphertext format: <keyId>:<iv>:<authTag>:<data> (hex). The key ID names the keyring
+ * key that encrypted the value, so keys can be rotated while older values stay readable.
+ * Values written before key rotation existed are AES-256-CBC ('<iv>:<data>') and are
+ * read with the keyring's legacy key.
+ *
+ * Key sources, in order:
+ * 1. STACKBILL_ENCRYPTION_KEY (active key) and STACKBILL_ENCRYPTION_OLD_KEYS
+ *    (comma-separated keys that are still read, newest first)
+ * 2. The keyring file data/.encryption_key:
+ *    { "active": "<keyId>", "legacy": "<keyId>|null", "keys": { "<keyId>": "<secret>" } }
+ *    A file holding a single key (before rotation existed) is converted on load.
+ * 3. A new keyring file with a generated key
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ACTIVE_KEY_ENV = 'STACKBILL_ENCRYPTION_KEY';
+const OLD_KEYS_ENV = 'STACKBILL_ENCRYPTION_OLD_KEYS';
+
+const GCM_IV_BYTES = 12;
+
+/**
+ * Generate a new random key secret
+ * @returns {string} 64 hex characters
+ */
+function generateKeySecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Derive the AES key of a secret and its key ID
+ * The ID is taken from the derived key (not the secret), so it does not help guessing
+ * weak secrets past scrypt.
+ * @param {string} secret - Key secret
+ * @param {string} salt - Installation salt
+ * @returns {object} { id, secret, key }
+ */
+function deriveKey(secret, salt) {
+  const key = crypto.scryptSync(secret, salt, 32);
+  const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+  return { id, secret, key };
+}
+
+/**
+ * Build a keyring
+ * @param {object} options
+ * @param {string[]} options.secrets - Key secrets, the active key first
+ * @param {string|null} options.legacySecret - Secret of the key that decrypts CBC values
+ * @param {string} options.salt - Installation salt
+ * @param {string} options.source - 'env' or 'file'
+ * @returns {object} { activeKeyId, legacyKeyId, keys: Map<id, { id, secret, key }>, salt, source }
+ */
+function createKeyring({ secrets, legacySecret = null, salt, source }) {
+  const derived = secrets.map(secret => deriveKey(secret, salt));
+  const keys = new Map(derived.map(entry => [entry.id, entry]));
+
+  let legacyKeyId = null;
+  if (legacySecret) {
+    const legacy = derived.find(entry => entry.secret === legacySecret) || deriveKey(legacySecret, salt);
+    keys.set(legacy.id, legacy);
+    legacyKeyId = legacy.id;
+  }
+
+  return { activeKeyId: derived[0].id, legacyKeyId, keys, salt, source };
+}
+
+/**
+ * Return a keyring with a new active key, keeping the current keys readable
+ * @param {object} keyring - Current keyring
+ * @param {string} secret - Secret of the new key
+ * @returns {object} New keyring
+ */
+function addActiveKey(keyring, secret) {
+  const active = keyring.keys.get(keyring.activeKeyId).secret;
+  const others = [...keyring.keys.values()]
+    .map(entry => entry.secret)
+    .filter(existing => existing !== active);
+  const legacy = keyring.legacyKeyId ? keyring.keys.get(keyring.legacyKeyId).secret : null;
+
+  return createKeyring({
+    secrets: [secret, ...[active, ...others].filter(existing => existing !== secret)],
+    legacySecret: legacy,
+    salt: keyring.salt,
+    source: keyring.source
+  });
+}
+
+/**
+ * Return a keyring with only its active key (after every value was re-encrypted)
+ * @param {object} keyring - Keyring
+ * @returns {object} New keyring
+ */
+function retireOldKeys(keyring) {
+  return createKeyring({
+    secrets: [keyring.keys.get(keyring.activeKeyId).secret],
+    salt: keyring.salt,
+    source: keyring.source
+  });
+}
+
+/**
+ * Get or create the installation salt
+ * @param {string} saltFile - Path of the salt file
+ * @returns {string}
+ */
+function loadSalt(saltFile) {
+  if (fs.existsSync(saltFile)) {
+    try {
+      return fs.readFileSync(saltFile, 'utf8').trim();
+    } catch (e) {
+      console.error('Failed to read salt file:', e.message);
+    }
+  }
+
+  const salt = crypto.randomBytes(16).toString('hex');
+  try {
+    fs.writeFileSync(saltFile, salt, { mode: 0o600 });
+  } catch (e) {
+    console.error('Failed to save salt:', e.message);
+  }
+  return salt;
+}
+
+/**
+ * Write a keyring file (owner read/write only), replacing it atomically
+ * @param {object} keyring - Keyring with source 'file'
+ * @param {string} keyFile - Path of the keyring file
+ */
+function saveKeyring(keyring, keyFile) {
+  const content = {
+    active: keyring.activeKeyId,
+    legacy: keyring.legacyKeyId,
+    keys: Object.fromEntries([...keyring.keys.values()].map(entry => [entry.id, entry.secret]))
+  };
+
+  const tmpFile = `${keyFile}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(content, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmpFile, keyFile);
+}
+
+/**
+ * Load the keyring from the environment or the keyring file (see module header)
+ * @param {string} keyFile - Path of the keyring file
+ * @param {string} saltFile - Path of the salt file
+ * @returns {object} Keyring
+ */
+function loadKeyring(keyFile, saltFile) {
+  const salt = loadSalt(saltFile);
+
+  // 1. Environment (production); before rotation the oldest key wrote the CBC values
+  if (process.env[ACTIVE_KEY_ENV]) {
+    const oldKeys = (process.env[OLD_KEYS_ENV] || '').split(',').map(key => key.trim()).filter(Boolean);
+    const secrets = [process.env[ACTIVE_KEY_ENV], ...oldKeys];
+    return createKeyring({ secrets, legacySecret: secrets[secrets.length - 1], salt, source: 'env' });
+  }
+
+  // 2. Keyring file
+  if (fs.existsSync(keyFile)) {
+    const content = fs.readFileSync(keyFile, 'utf8').trim();
+
+    if (!content.startsWith('{')) {
+      // Single key from before rotation: it wrote every existing (CBC) value
+      if (content.length < 32) {
+        throw new Error(`Encryption key in ${keyFile} is too short`);
+      }
+      const keyring = createKeyring({ secrets: [content], legacySecret: content, salt, source: 'file' });
+      try {
+        saveKeyring(keyring, keyFile);
+        console.log(`Converted ${keyFile} to a keyring (active key ${keyring.activeKeyId})`);
+      } catch (e) {
+        console.error('Failed to convert encryption key file:', e.message);
+      }
+      return keyring;
+    }
+
+    const stored = JSON.parse(content);
+    const secrets = [stored.keys[stored.active], ...Object.entries(stored.keys)
+      .filter(([id]) => id !== stored.active)
+      .map(([, secret]) => secret)];
+    if (!secrets[0]) {
+      throw new Error(`Active key '${stored.active}' is missing from ${keyFile}`);
+    }
+
+    const keyring = createKeyring({
+      secrets,
+      legacySecret: stored.legacy ? stored.keys[stored.legacy] : null,
+      salt,
+      source: 'file'
+    });
+    if (keyring.activeKeyId !== stored.active) {
+      throw new Error(`Key IDs in ${keyFile} do not match their keys (was the salt file replaced?)`);
+    }
+    return keyring;
+  }
+
+  // 3. New installation
+  const keyring = createKeyring({ secrets: [generateKeySecret()], salt, source: 'file' });
+  try {
+    saveKeyring(keyring, keyFile);
+    console.log('Generated new encryption key for this installation');
+  } catch (e) {
+    console.error('Failed to save encryption key:', e.message);
+    console.warn('WARNING: Using in-memory key - data will not be decryptable after restart!');
+  }
+  return keyring;
+}
+
+/**
+ * Encrypt text with the keyring's active key (AES-256-GCM)
+ * @param {string} text - Plaintext
+ * @param {object} keyring - Keyring
+ * @returns {string} <keyId>:<iv>:<authTag>:<data>
+ */
+function encryptWithKeyring(text, keyring) {
+  const { id, key } = keyring.keys.get(keyring.activeKeyId);
+  const iv = crypto.randomBytes(GCM_IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+  return [id, iv.toString('hex'), cipher.getAuthTag().toString('hex'), data.toString('hex')].join(':');
+}
+
+/**
+ * Get the ID of the key that encrypted a value
+ * @param {string} ciphertext - Stored value
+ * @returns {string} Key ID, or 'legacy' for AES-256-CBC values
+ */
+function getCiphertextKeyId(ciphertext) {
+  const parts = ciphertext.split(':');
+  return parts.length === 4 ? parts[0] : 'legacy';
+}
+
+/**
+ * Decrypt a value written by encryptWithKeyring (or a legacy AES-256-CBC value)
+ * @param {string} ciphertext - Stored value
+ * @param {object} keyring - Keyring
+ * @returns {string} Plaintext
+ * @throws {Error} Unknown key, tampered data or invalid format
+ */
+function decryptWithKeyring(ciphertext, keyring) {
+  const parts = ciphertext.split(':');
+
+  if (parts.length === 4) {
+    const [keyId, iv, authTag, data] = parts;
+    const entry = keyring.keys.get(keyId);
+    if (!entry) {
+      throw new Error(`Unknown encryption key '${keyId}'`);
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', entry.key, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'hex')), decipher.final()]).toString('utf8');
+  }
+
+  if (parts.length === 2) {
+    if (!keyring.legacyKeyId) {
+      throw new Error('No legacy key to decrypt AES-256-CBC data');
+    }
+    const { key } = keyring.keys.get(keyring.legacyKeyId);
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(parts[0], 'hex'));
+    return decipher.update(parts[1], 'hex', 'utf8') + decipher.final('utf8');
+  }
+
+  throw new Error('Invalid encrypted data format');
+}
+
+module.exports = {
+  ACTIVE_KEY_ENV,
+  OLD_KEYS_ENV,
+  generateKeySecret,
+  loadKeyring,
+  saveKeyring,
+  addActiveKey,
+  retireOldKeys,
+  encryptWithKeyring,
+  decryptWithKeyring,
+  getCiphertextKeyId
+};
@@ -0,0 +1,155 @@
+/**
+ * Export Bundle Helper Utilities
+ * Encrypts session exports with a passphrase, so a downloaded file does not give away
+ * the server passwords, SSH keys and credentials it carries.
+ *
+ * Bundle format (version 1):
+ * {
+ *   "format": "stackbill-session-bundle",
+ *   "version": 1,
+ *   "exportedAt": "<ISO timestamp>",
+ *   "kdf": { "name": "scrypt", "N": 32768, "r": 8, "p": 1, "salt": "<base64>" },
+ *   "cipher": { "name": "aes-256-gcm", "iv": "<base64>", "tag": "<base64>" },
+ *   "data": "<base64 ciphertext of the export JSON>"
+ * }
+ *
+ * The key is derived from the passphrase with scrypt. The GCM tag covers the ciphertext
+ * and, as additional authenticated data, every other field of the bundle, so a wrong
+ * passphrase and any change to the file are both detected on import.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const BUNDLE_FORMAT = 'stackbill-session-bundle';
+const BUNDLE_VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 12;
+
+const KDF_DEFAULTS = { N: 32768, r: 8, p: 1 };
+// Upper bounds for the scrypt cost read from a bundle (memory is 128 * N * r bytes): what
+// the exporter writes, so an uploaded bundle cannot make an import cost more than that
+const KDF_LIMITS = { ...KDF_DEFAULTS };
+const GCM_IV_BYTES = 12;
+
+/**
+ * Check whether a value is an encrypted bundle (of any version)
+ * @param {*} value - Parsed JSON
+ * @returns {boolean}
+ */
+function isEncryptedBundle(value) {
+  return Boolean(value) && typeof value === 'object' && value.format === BUNDLE_FORMAT;
+}
+
+/**
+ * Derive the AES key of a passphrase
+ * @param {string} passphrase - User-supplied passphrase
+ * @param {object} kdf - { N, r, p, salt (base64) }
+ * @returns {Promise<Buffer>}
+ */
+function deriveBundleKey(passphrase, { N, r, p, salt }) {
+  return scrypt(passphrase, Buffer.from(salt, 'base64'), 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * Get the authenticated header of a bundle (everything but the tag and the ciphertext)
+ * @param {object} bundle - Bundle
+ * @returns {Buffer}
+ */
+function getBundleHeader({ format, version, exportedAt, kdf, cipher }) {
+  return Buffer.from(JSON.stringify({
+    format,
+    version,
+    exportedAt,
+    kdf: { name: kdf.name, N: kdf.N, r: kdf.r, p: kdf.p, salt: kdf.salt },
+    cipher: { name: cipher.name, iv: cipher.iv }
+  }));
+}
+
+/**
+ * Encrypt export data into a bundle
+ * @param {object} data - Export data (see services/sessionTransferService)
+ * @param {string} passphrase - At least MIN_PASSPHRASE_LENGTH characters
+ * @returns {Promise<object>} Bundle
+ */
+async function encryptBundle(data, passphrase) {
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: data.exportedAt || new Date().toISOString(),
+    kdf: { name: 'scrypt', ...KDF_DEFAULTS, salt: crypto.randomBytes(16).toString('base64') },
+    cipher: { name: 'aes-256-gcm', iv: crypto.randomBytes(GCM_IV_BYTES).toString('base64') }
+  };
+
+  const key = await deriveBundleKey(passphrase, bundle.kdf);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, Buffer.from(bundle.cipher.iv, 'base64'));
+  cipher.setAAD(getBundleHeader(bundle));
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+  bundle.cipher.tag = cipher.getAuthTag().toString('base64');
+  bundle.data = encrypted.toString('base64');
+  return bundle;
+}
+
+/**
+ * Check the envelope of a bundle before spending any work on it
+ * @param {object} bundle - Bundle
+ * @returns {string|null} Error message
+ */
+function getBundleError(bundle) {
+  if (!isEncryptedBundle(bundle)) {
+    return 'Not an encrypted session bundle';
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    return `Unsupported bundle version ${bundle.version} (this server reads version ${BUNDLE_VERSION})`;
+  }
+
+  const { kdf, cipher } = bundle;
+  if (!kdf || kdf.name !== 'scrypt' || typeof kdf.salt !== 'string' ||
+    !Object.entries(KDF_LIMITS).every(([name, max]) => Number.isInteger(kdf[name]) && kdf[name] > 0 && kdf[name] <= max)) {
+    return 'Invalid bundle: unsupported key derivation';
+  }
+  if (!cipher || cipher.name !== 'aes-256-gcm' || typeof cipher.iv !== 'string' || typeof cipher.tag !== 'string') {
+    return 'Invalid bundle: unsupported cipher';
+  }
+  if (typeof bundle.data !== 'string') {
+    return 'Invalid bundle: missing data';
+  }
+  return null;
+}
+
+/**
+ * Decrypt a bundle
+ * @param {object} bundle - Bundle
+ * @param {string} passphrase - Passphrase it was exported with
+ * @returns {Promise<object>} Export data
+ * @throws {Error} Invalid bundle, wrong passphrase or modified file
+ */
+async function decryptBundle(bundle, passphrase) {
+  const error = getBundleError(bundle);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const key = await deriveBundleKey(passphrase, bundle.kdf);
+  let plaintext;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(bundle.cipher.iv, 'base64'));
+    decipher.setAAD(getBundleHeader(bundle));
+    decipher.setAuthTag(Buffer.from(bundle.cipher.tag, 'base64'));
+    plaintext = Buffer.concat([decipher.update(Buffer.from(bundle.data, 'base64')), decipher.final()]);
+  } catch (e) {
+    throw new Error('Wrong passphrase, or the bundle was modified');
+  }
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  MIN_PASSPHRASE_LENGTH,
+  isEncryptedBundle,
+  encryptBundle,
+  decryptBundle
+};
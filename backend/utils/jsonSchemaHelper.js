@@ -0,0 +1,204 @@
+/**
+ * JSON Schema Helper Utilities
+ * Validates values against the JSON Schemas in backend/schemas (draft-07).
+ *
+ * Only the keywords those schemas use are supported: $ref (to #/definitions/...),
+ * type, enum, const, properties, required, additionalProperties, propertyNames, items,
+ * minItems, maxItems, minLength, maxLength, pattern, minimum and maximum. Annotations
+ * such as description and format are ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMAS_DIR = path.join(__dirname, '..', 'schemas');
+
+// Stop collecting after this many errors (a wrong file can have thousands)
+const MAX_ERRORS = 50;
+
+const schemas = new Map();
+
+/**
+ * Load a schema from backend/schemas
+ * @param {string} name - File name without extension ('session-export')
+ * @returns {object} Parsed schema
+ */
+function loadSchema(name) {
+  if (!schemas.has(name)) {
+    const file = path.join(SCHEMAS_DIR, `${name}.schema.json`);
+    schemas.set(name, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  return schemas.get(name);
+}
+
+/**
+ * Get the JSON type name of a value ('integer' for whole numbers)
+ * @param {*} value
+ * @returns {string}
+ */
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Type names as used in error messages
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array',
+  null: 'null'
+};
+
+/**
+ * Escape a property name for a JSON Pointer
+ * @param {string|number} name
+ * @returns {string}
+ */
+function escapePointer(name) {
+  return String(name).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Resolve a $ref to the root schema's definitions
+ * @param {object} root - Root schema
+ * @param {object} node - Schema node
+ * @returns {object}
+ */
+function resolveRef(root, node) {
+  if (!node.$ref) return node;
+
+  const match = /^#\/definitions\/(.+)$/.exec(node.$ref);
+  if (!match || !root.definitions || !root.definitions[match[1]]) {
+    throw new Error(`Unsupported schema reference ${node.$ref}`);
+  }
+  return root.definitions[match[1]];
+}
+
+/**
+ * Validate a value against a schema node, collecting errors
+ * @param {object} root - Root schema (for $ref)
+ * @param {object} node - Schema node
+ * @param {*} value - Value
+ * @param {string} pointer - JSON Pointer of the value
+ * @param {Array<object>} errors - Errors found so far
+ */
+function validateNode(root, node, value, pointer, errors) {
+  if (errors.length >= MAX_ERRORS) return;
+  node = resolveRef(root, node);
+  const report = (message, at = pointer) => errors.push({ path: at || '/', message });
+
+  if (node.const !== undefined && value !== node.const) {
+    return report(`must be ${JSON.stringify(node.const)}`);
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    return report(`must be one of: ${node.enum.join(', ')}`);
+  }
+  if (node.type) {
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    const type = getType(value);
+    if (!types.some(expected => expected === type || (expected === 'number' && type === 'integer'))) {
+      return report(`must be ${types.map(expected => TYPE_NAMES[expected]).join(' or ')}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) {
+      report(node.minLength === 1 ? 'must not be empty' : `must be at least ${node.minLength} characters`);
+    }
+    if (node.maxLength !== undefined && value.length > node.maxLength) {
+      report(`must be at most ${node.maxLength} characters`);
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      report(`must match ${node.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) {
+      report(`must be at least ${node.minimum}`);
+    }
+    if (node.maximum !== undefined && value > node.maximum) {
+      report(`must be at most ${node.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (node.minItems !== undefined && value.length < node.minItems) {
+      report(`must have at least ${node.minItems} items`);
+    }
+    if (node.maxItems !== undefined && value.length > node.maxItems) {
+      report(`must have at most ${node.maxItems} items`);
+    }
+    if (node.items) {
+      value.forEach((item, index) => validateNode(root, node.items, item, `${pointer}/${index}`, errors));
+    }
+  }
+
+  if (getType(value) === 'object') {
+    for (const name of node.required || []) {
+      if (value[name] === undefined) {
+        report('is required', `${pointer}/${escapePointer(name)}`);
+      }
+    }
+
+    const properties = node.properties || {};
+    for (const [name, item] of Object.entries(value)) {
+      // Not a JSON value (left by a migration); reported by 'required' if needed
+      if (item === undefined) continue;
+
+      const itemPointer = `${pointer}/${escapePointer(name)}`;
+      if (node.propertyNames) {
+        const nameErrors = [];
+        validateNode(root, node.propertyNames, name, itemPointer, nameErrors);
+        if (nameErrors.length > 0) {
+          report(`is not a valid name (${nameErrors[0].message})`, itemPointer);
+          continue;
+        }
+      }
+
+      if (properties[name]) {
+        validateNode(root, properties[name], item, itemPointer, errors);
+      } else if (node.additionalProperties === false) {
+        report('is not allowed', itemPointer);
+      } else if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+        validateNode(root, node.additionalProperties, item, itemPointer, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {object} schema - Root schema
+ * @param {*} value - Value to validate
+ * @returns {Array<object>} Errors ({ path, message }, path as a JSON Pointer); empty if valid
+ *
+ * @example
+ * validateSchema(loadSchema('session-export'), data)
+ * // => [{ path: '/servers/mysql/0/hostname', message: 'must be a string' }]
+ */
+function validateSchema(schema, value) {
+  const errors = [];
+  validateNode(schema, schema, value, '', errors);
+  return errors.slice(0, MAX_ERRORS);
+}
+
+/**
+ * Format validation errors as messages ('/servers/mysql/0/hostname must be a string')
+ * @param {Array<object>} errors - Errors of validateSchema
+ * @returns {string[]}
+ */
+function formatSchemaErrors(errors) {
+  return errors.map(error => `${error.path} ${error.message}`);
+}
+
+module.exports = {
+  loadSchema,
+  validateSchema,
+  formatSchemaErrors
+};
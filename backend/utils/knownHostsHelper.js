@@ -0,0 +1,72 @@
+/**
+ * Known Hosts Helper Utilities
+ * Reads and writes OpenSSH known_hosts files and computes host key fingerprints
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Get the known_hosts name of a host: the hostname, or [hostname]:port off port 22
+ * @param {string} hostname - Hostname or IP address
+ * @param {number} port - SSH port
+ * @returns {string}
+ */
+function getHostPattern(hostname, port = 22) {
+  return Number(port) === 22 ? hostname : `[${hostname}]:${port}`;
+}
+
+/**
+ * Get the SHA256 fingerprint of a public key, as shown by ssh and ssh-keygen -l
+ * @param {string} publicKey - Base64 key blob
+ * @returns {string} 'SHA256:...'
+ */
+function getFingerprint(publicKey) {
+  const digest = crypto.createHash('sha256').update(Buffer.from(publicKey, 'base64')).digest('base64');
+  return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+/**
+ * Parse a known_hosts file
+ * Hashed names, markers (@cert-authority, @revoked) and comments are skipped; a line
+ * with several names gives one entry per name.
+ * @param {string} content - File content
+ * @returns {Array<object>} [{ hostname, port, keyType, publicKey }]
+ */
+function parseKnownHosts(content = '') {
+  const entries = [];
+  for (const line of content.split('\n')) {
+    const fields = line.trim().split(/\s+/);
+    if (fields.length < 3 || fields[0].startsWith('#') || fields[0].startsWith('@')) continue;
+
+    const [names, keyType, publicKey] = fields;
+    for (const name of names.split(',')) {
+      const match = /^\[([^\]]+)\]:(\d+)$/.exec(name);
+      if (name.startsWith('|')) continue;
+      entries.push({
+        hostname: match ? match[1] : name,
+        port: match ? Number(match[2]) : 22,
+        keyType,
+        publicKey
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Write host keys as a known_hosts file
+ * @param {Array<object>} entries - [{ hostname, port, keyType, publicKey }]
+ * @returns {string} File content
+ */
+function formatKnownHosts(entries = []) {
+  return entries
+    .map(entry => `${getHostPattern(entry.hostname, entry.port)} ${entry.keyType} ${entry.publicKey}\n`)
+    .join('');
+}
+
+module.exports = {
+  getHostPattern,
+  getFingerprint,
+  parseKnownHosts,
+  formatKnownHosts
+};
@@ -5,6 +5,7 @@
 
 const path = require('path');
 const config = require('../config');
+const { getPlaybook, getPlaybookDir } = require('../services/playbookRegistry');
 
 /**
  * Convert Windows path to WSL path
@@ -54,12 +55,16 @@ function getPlatformPath(nativePath) {
 
 /**
  * Get role path for a specific playbook type
+ * Uses the manifest's rolesPath (relative to the playbook directory), otherwise ansible/roles
  * @param {string} playbookType - The type of playbook
  * @returns {string} The role path
  */
 function getRolePath(playbookType) {
-  const roleDir = config.rolePaths[playbookType] || config.rolePaths.default;
-  return path.join(config.paths.ansible, roleDir);
+  const manifest = getPlaybook(playbookType);
+  if (manifest?.rolesPath) {
+    return path.join(getPlaybookDir(playbookType), manifest.rolesPath);
+  }
+  return path.join(config.paths.ansible, 'roles');
 }
 
 /**
@@ -68,11 +73,11 @@ function getRolePath(playbookType) {
  * @returns {string} The playbook path
  */
 function getPlaybookPath(playbookType) {
-  const playbookFile = config.playbooks[playbookType];
-  if (!playbookFile) {
+  const manifest = getPlaybook(playbookType);
+  if (!manifest) {
     throw new Error(`Unknown playbook type: ${playbookType}`);
   }
-  return path.join(config.paths.ansible, playbookFile);
+  return path.join(getPlaybookDir(playbookType), manifest.playbook);
 }
 
 module.exports = {
@@ -0,0 +1,138 @@
+/**
+ * Redaction Helper Utilities
+ * Masks secrets before playbook variables and output are stored for history
+ */
+
+const REDACTED = '********';
+
+// Variable names that hold secrets (mysql_password, ssh_key, private_key, api_token, ...)
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|private_?key|ssh_?key|certificate|api_?key/i;
+
+/**
+ * Check whether a variable name refers to a secret
+ * @param {string} key - Variable name
+ * @returns {boolean}
+ */
+function isSecretKey(key) {
+  return SECRET_KEY_PATTERN.test(key);
+}
+
+/**
+ * Deep-copy a value with every secret field replaced by a placeholder
+ * @param {*} value - Object, array or primitive
+ * @returns {*} Redacted copy
+ */
+function redactVariables(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactVariables);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, val] of Object.entries(value)) {
+      result[key] = isSecretKey(key) && val !== '' && val !== null && val !== undefined
+        ? REDACTED
+        : redactVariables(val);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Collect the values of all secret fields
+ * @param {...*} sources - Objects to search (servers, variables, credentials)
+ * @returns {Array<string>} Secret values, longest first
+ */
+function collectSecrets(...sources) {
+  const secrets = new Set();
+
+  const visit = (value, key = '') => {
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(item, key));
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([k, v]) => visit(v, k));
+    } else if (isSecretKey(key) && value !== null && value !== undefined && String(value).length >= 4) {
+      secrets.add(String(value));
+    }
+  };
+
+  sources.forEach(source => visit(source));
+
+  // Longest first so a secret containing another one is masked as a whole
+  return Array.from(secrets).sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Check whether a value contains a secret field at any depth
+ * @param {*} value - Object, array or primitive
+ * @returns {boolean}
+ */
+function containsSecretKey(value) {
+  if (Array.isArray(value)) {
+    return value.some(containsSecretKey);
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).some(([key, val]) => isSecretKey(key) || containsSecretKey(val));
+  }
+  return false;
+}
+
+/**
+ * Split playbook variables into plain and secret ones
+ * A top-level variable is secret if its name looks like a secret or it holds secret fields.
+ * @param {object} variables - Playbook variables
+ * @returns {object} { plain, secret }
+ */
+function splitSecretVariables(variables = {}) {
+  const plain = {};
+  const secret = {};
+  for (const [key, value] of Object.entries(variables)) {
+    if (isSecretKey(key) || containsSecretKey(value)) {
+      secret[key] = value;
+    } else {
+      plain[key] = value;
+    }
+  }
+  return { plain, secret };
+}
+
+/**
+ * Replace every occurrence of the given secrets in a text
+ * @param {string} text - Text to redact (playbook output)
+ * @param {Array<string>} secrets - Secret values from collectSecrets
+ * @returns {string}
+ */
+function redactText(text, secrets) {
+  if (!text) return text;
+  return secrets.reduce((result, secret) => result.split(secret).join(REDACTED), text);
+}
+
+/**
+ * Deep-copy a value with the given secrets replaced in every text
+ * @param {*} value - Object, array or primitive (a playbook event)
+ * @param {Array<string>} secrets - Secret values from collectSecrets
+ * @returns {*} Redacted copy
+ */
+function redactTexts(value, secrets) {
+  if (secrets.length === 0) return value;
+  if (typeof value === 'string') {
+    return redactText(value, secrets);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactTexts(item, secrets));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, redactTexts(val, secrets)]));
+  }
+  return value;
+}
+
+module.exports = {
+  REDACTED,
+  isSecretKey,
+  redactVariables,
+  splitSecretVariables,
+  collectSecrets,
+  redactText,
+  redactTexts
+};
@@ -0,0 +1,48 @@
+/**
+ * Secret Reference Helper Utilities
+ * A secret kept in an external store is saved in SQLite as a reference to it:
+ *   vault:<mount>:<path>#<field>
+ * References are not secret themselves; they are resolved when a playbook runs
+ * (see services/secretStore).
+ */
+
+const SECRET_REF_PREFIX = 'vault:';
+
+const SECRET_REF_PATTERN = /^vault:([^:#]+):([^#]+)#(.+)$/;
+
+/**
+ * Build a reference to a field of a stored secret
+ * @param {string} mount - KV v2 mount ('secret')
+ * @param {string} path - Secret path below the mount
+ * @param {string} field - Field of the secret
+ * @returns {string}
+ */
+function formatSecretRef(mount, path, field) {
+  return `${SECRET_REF_PREFIX}${mount}:${path}#${field}`;
+}
+
+/**
+ * Parse a secret reference
+ * @param {string} value - Stored value
+ * @returns {object|null} { mount, path, field }, or null if the value is no reference
+ */
+function parseSecretRef(value) {
+  const match = typeof value === 'string' ? SECRET_REF_PATTERN.exec(value) : null;
+  return match ? { mount: match[1], path: match[2], field: match[3] } : null;
+}
+
+/**
+ * Check whether a value is a secret reference
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+function isSecretRef(value) {
+  return parseSecretRef(value) !== null;
+}
+
+module.exports = {
+  SECRET_REF_PREFIX,
+  formatSecretRef,
+  parseSecretRef,
+  isSecretRef
+};
@@ -0,0 +1,44 @@
+/**
+ * Server-Sent Events Helper Utilities
+ * Shared SSE response handling for streaming endpoints
+ */
+
+/**
+ * Check if request wants streaming
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+function isStreamingRequest(req) {
+  return req.query.stream === 'true' || req.headers.accept?.includes('text/event-stream');
+}
+
+/**
+ * Set up an Express response as an SSE stream
+ * @param {object} res - Express response object
+ */
+function openStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+  res.flushHeaders();
+}
+
+/**
+ * Write a single SSE event
+ * @param {object} res - Express response object
+ * @param {object} data - Event payload (serialized as JSON)
+ * @param {number} id - Optional event ID (used by clients to resume)
+ */
+function sendEvent(res, data, id = null) {
+  if (id !== null) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = {
+  isStreamingRequest,
+  openStream,
+  sendEvent
+};
@@ -0,0 +1,127 @@
+/**
+ * SSH Agent Helper Utilities
+ * Runs a private ssh-agent for one playbook run, so passphrase-protected keys can be
+ * used without writing them to disk decrypted.
+ *
+ * The agent is started in command mode around a `cat` that reads from a pipe of this
+ * process: stopping the run, or a crash of the backend, closes the pipe and ssh-agent
+ * exits by itself once `cat` is gone. Passphrases are written to the stdin of ssh-add
+ * and ssh-keygen (no terminal, no askpass), never to disk or the command line.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+
+// Milliseconds to wait for the agent socket and for ssh-add / ssh-keygen
+const AGENT_TIMEOUT = 5000;
+
+/**
+ * Run an OpenSSH tool with text on its stdin
+ * The process gets its own session (no controlling terminal) and no askpass, so a
+ * passphrase prompt reads stdin.
+ * @param {string} command - ssh-add or ssh-keygen
+ * @param {Array<string>} args - Arguments
+ * @param {string} input - Text for stdin
+ * @param {object} env - Additional environment variables
+ * @returns {Promise<object>} { code, stdout, stderr }
+ */
+function runTool(command, args, input = '', env = {}) {
+  return new Promise((resolve, reject) => {
+    const { DISPLAY, SSH_ASKPASS, ...baseEnv } = process.env;
+    const child = spawn(command, args, {
+      detached: true,
+      env: { ...baseEnv, SSH_ASKPASS_REQUIRE: 'never', ...env }
+    });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), AGENT_TIMEOUT);
+
+    child.stdout.on('data', (data) => { stdout += data; });
+    child.stderr.on('data', (data) => { stderr += data; });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`${command} could not be started: ${error.message}`));
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr });
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Get the public key of a passphrase-protected private key
+ * Also checks the passphrase before the run starts.
+ * @param {string} keyPath - Private key file
+ * @param {string} passphrase - Passphrase of the key
+ * @param {string} label - Name of the key in error messages
+ * @returns {Promise<string>} Public key line
+ */
+async function getPublicKey(keyPath, passphrase, label) {
+  const { code, stdout } = await runTool('ssh-keygen', ['-y', '-f', keyPath], `${passphrase}\n`);
+  if (code !== 0 || !stdout.trim()) {
+    throw new Error(`The SSH key of ${label} could not be unlocked: check its passphrase`);
+  }
+  return stdout.trim() + '\n';
+}
+
+/**
+ * Start an ssh-agent listening on a socket
+ * @param {string} socketPath - Socket in the run's private directory
+ * @returns {Promise<object>} Agent { socket, process }
+ */
+async function startAgent(socketPath) {
+  const child = spawn('ssh-agent', ['-a', socketPath, 'cat'], { stdio: ['pipe', 'ignore', 'pipe'] });
+  let stderr = '';
+  let exited = false;
+  child.stderr.on('data', (data) => { stderr += data; });
+  child.stdin.on('error', () => {});
+  child.on('error', () => { exited = true; });
+  child.on('close', () => { exited = true; });
+
+  const deadline = Date.now() + AGENT_TIMEOUT;
+  while (!fs.existsSync(socketPath)) {
+    if (exited || Date.now() > deadline) {
+      child.stdin.end();
+      throw new Error(`ssh-agent could not be started${stderr ? `: ${stderr.trim()}` : ''}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return { socket: socketPath, process: child };
+}
+
+/**
+ * Add a passphrase-protected key to an agent
+ * @param {object} agent - Agent (startAgent)
+ * @param {string} keyPath - Private key file
+ * @param {string} passphrase - Passphrase of the key
+ * @param {string} label - Name of the key in error messages
+ */
+async function addKey(agent, keyPath, passphrase, label) {
+  const { code } = await runTool('ssh-add', [keyPath], `${passphrase}\n`, { SSH_AUTH_SOCK: agent.socket });
+  if (code !== 0) {
+    throw new Error(`The SSH key of ${label} could not be added to ssh-agent: check its passphrase`);
+  }
+}
+
+/**
+ * Stop an agent: its keys are deleted right away, the agent exits once `cat` has ended
+ * @param {object} agent - Agent (startAgent)
+ */
+async function stopAgent(agent) {
+  try {
+    await runTool('ssh-add', ['-D'], '', { SSH_AUTH_SOCK: agent.socket });
+  } catch (error) {
+    // The agent is already gone
+  }
+  agent.process.stdin.end();
+}
+
+module.exports = {
+  getPublicKey,
+  startAgent,
+  addKey,
+  stopAgent
+};
@@ -0,0 +1,72 @@
+/**
+ * Ansible Vault Helper Utilities
+ * Writes per-run secrets in the Ansible Vault 1.1 (AES256) format so that
+ * passwords, keys and certificates never appear in inventory files or argv.
+ */
+
+const crypto = require('crypto');
+
+const VAULT_HEADER = '$ANSIBLE_VAULT;1.1;AES256';
+
+// Environment variable the vault password client script reads
+// (ansible/vault/password-client.sh) - the password is never written to disk
+const VAULT_PASSWORD_ENV = 'STACKBILL_VAULT_PASSWORD';
+
+/**
+ * Generate a one-time vault password for a single playbook run
+ * @returns {string}
+ */
+function generateVaultPassword() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+/**
+ * Encrypt text as an Ansible Vault 1.1 AES256 document
+ * PBKDF2-SHA256 (10000 rounds) derives the AES-256-CTR key, the HMAC-SHA256 key
+ * and the counter IV from the password and a random salt, as ansible-vault does.
+ * @param {string} plaintext - Text to encrypt (YAML)
+ * @param {string} password - Vault password
+ * @returns {string} Vault document
+ */
+function encryptVault(plaintext, password) {
+  const salt = crypto.randomBytes(32);
+  const derived = crypto.pbkdf2Sync(password, salt, 10000, 80, 'sha256');
+  const cipherKey = derived.subarray(0, 32);
+  const hmacKey = derived.subarray(32, 64);
+  const iv = derived.subarray(64, 80);
+
+  // PKCS#7 padding to the AES block size, even though CTR mode does not need it
+  const data = Buffer.from(plaintext, 'utf8');
+  const padLength = 16 - (data.length % 16);
+  const padded = Buffer.concat([data, Buffer.alloc(padLength, padLength)]);
+
+  const cipher = crypto.createCipheriv('aes-256-ctr', cipherKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(padded), cipher.final()]);
+  const hmac = crypto.createHmac('sha256', hmacKey).update(ciphertext).digest('hex');
+
+  const body = Buffer.from([salt.toString('hex'), hmac, ciphertext.toString('hex')].join('\n')).toString('hex');
+  const lines = body.match(/.{1,80}/g);
+
+  return [VAULT_HEADER, ...lines].join('\n') + '\n';
+}
+
+/**
+ * Render variables as YAML for a vault file
+ * Strings are tagged !unsafe so Ansible never templates passwords containing "{{".
+ * JSON strings are valid YAML double-quoted scalars.
+ * @param {object} vars - Variables
+ * @returns {string} YAML document
+ */
+function toVaultYaml(vars) {
+  const lines = Object.entries(vars).map(([key, value]) => (typeof value === 'string'
+    ? `${key}: !unsafe ${JSON.stringify(value)}`
+    : `${key}: ${JSON.stringify(value)}`));
+  return ['---', ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+  VAULT_PASSWORD_ENV,
+  generateVaultPassword,
+  encryptVault,
+  toVaultYaml
+};
@@ -0,0 +1,144 @@
+/**
+ * Vault KV Client
+ * Minimal HTTP client for the KV version 2 secrets engine of HashiCorp Vault
+ * (or any server implementing its API). Not to be confused with Ansible Vault
+ * (utils/vaultHelper), which encrypts the per-run files.
+ *
+ * API used (paths relative to the mount):
+ *   GET    /v1/<mount>/data/<path>                read the latest version
+ *   POST   /v1/<mount>/data/<path>                write a new version { data: {...} }
+ *   DELETE /v1/<mount>/metadata/<path>            delete all versions
+ *   GET    /v1/<mount>/metadata/<path>?list=true  list the keys below a path (LIST)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+/**
+ * Encode a secret path for a URL, keeping its slashes
+ * @param {string} path - Secret path ('stackbill/sessions/abc')
+ * @returns {string}
+ */
+function encodePath(path) {
+  return path.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+}
+
+/**
+ * Create a client for one KV v2 mount
+ * @param {object} options
+ * @param {string} options.address - Vault address (https://vault.example.com:8200)
+ * @param {string} options.token - Vault token
+ * @param {string} options.mount - KV v2 mount ('secret')
+ * @param {string|null} options.namespace - Vault Enterprise namespace
+ * @param {string|null} options.caCert - Path of a CA certificate to trust for HTTPS
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {object} { mount, read, write, destroy, list }
+ */
+function createVaultKvClient({ address, token, mount, namespace = null, caCert = null, timeout = 10000 }) {
+  const baseUrl = new URL(address);
+  const transport = baseUrl.protocol === 'https:' ? https : http;
+  const ca = caCert ? fs.readFileSync(caCert) : undefined;
+
+  /**
+   * Send a request to the Vault API
+   * @returns {Promise<object>} { statusCode, body } (body parsed from JSON, or null)
+   */
+  function request(method, apiPath, payload = null) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(`/v1/${apiPath}`, baseUrl);
+      const data = payload ? JSON.stringify(payload) : null;
+      const headers = { 'X-Vault-Token': token, Accept: 'application/json' };
+      if (namespace) {
+        headers['X-Vault-Namespace'] = namespace;
+      }
+      if (data) {
+        headers['Content-Type'] = 'application/json';
+        headers['Content-Length'] = Buffer.byteLength(data);
+      }
+
+      const req = transport.request(url, { method, headers, ca, timeout }, (res) => {
+        let raw = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { raw += chunk; });
+        res.on('end', () => {
+          let body = null;
+          try {
+            body = raw ? JSON.parse(raw) : null;
+          } catch (e) {
+            // Non-JSON error pages (proxies) are reported by status code only
+          }
+          resolve({ statusCode: res.statusCode, body });
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`Vault request timed out after ${timeout}ms`)));
+      req.on('error', reject);
+      if (data) {
+        req.write(data);
+      }
+      req.end();
+    });
+  }
+
+  /**
+   * Fail with Vault's error messages unless the status code is expected
+   */
+  function check(result, method, path, expected) {
+    if (!expected.includes(result.statusCode)) {
+      const errors = result.body && Array.isArray(result.body.errors) ? result.body.errors.join('; ') : '';
+      throw new Error(`Vault ${method} ${mount}/${path} failed with HTTP ${result.statusCode}${errors ? `: ${errors}` : ''}`);
+    }
+  }
+
+  return {
+    mount,
+
+    /**
+     * Read the latest version of a secret
+     * @param {string} path - Secret path
+     * @returns {Promise<object|null>} Secret fields, or null if there is no secret
+     */
+    async read(path) {
+      const result = await request('GET', `${mount}/data/${encodePath(path)}`);
+      if (result.statusCode === 404) return null;
+      check(result, 'read', path, [200]);
+      return (result.body && result.body.data && result.body.data.data) || null;
+    },
+
+    /**
+     * Write a secret (a new version replacing all fields)
+     * @param {string} path - Secret path
+     * @param {object} data - Secret fields
+     */
+    async write(path, data) {
+      const result = await request('POST', `${mount}/data/${encodePath(path)}`, { data });
+      check(result, 'write', path, [200, 204]);
+    },
+
+    /**
+     * Delete a secret with all its versions and metadata
+     * @param {string} path - Secret path
+     */
+    async destroy(path) {
+      const result = await request('DELETE', `${mount}/metadata/${encodePath(path)}`);
+      check(result, 'delete', path, [200, 204, 404]);
+    },
+
+    /**
+     * List the keys below a path (sub-paths end with '/')
+     * @param {string} path - Secret path
+     * @returns {Promise<string[]>}
+     */
+    async list(path) {
+      const result = await request('GET', `${mount}/metadata/${encodePath(path)}?list=true`);
+      if (result.statusCode === 404) return [];
+      check(result, 'list', path, [200]);
+      return (result.body && result.body.data && result.body.data.keys) || [];
+    }
+  };
+}
+
+module.exports = {
+  createVaultKvClient
+};
@@ -0,0 +1,76 @@
+/**
+ * Webhook Helper Utilities
+ * Signs webhook bodies and posts them to subscriber endpoints.
+ *
+ * Receivers verify a delivery by computing HMAC-SHA256 over "<timestamp>.<body>" with the
+ * webhook's secret, where timestamp is the X-Stackbill-Timestamp header (Unix seconds)
+ * and body the raw request body, and comparing it with X-Stackbill-Signature.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+// Characters of a response body kept in the delivery log
+const MAX_RESPONSE_LENGTH = 1000;
+
+/**
+ * Generate a signing secret for a webhook
+ * @returns {string} 64 hex characters
+ */
+function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Secret of the webhook
+ * @param {number} timestamp - Unix seconds sent as X-Stackbill-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} 'sha256=<hex>'
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * POST a JSON body to a webhook endpoint (redirects are not followed)
+ * @param {string} url - http(s) URL of the endpoint
+ * @param {string} body - Raw JSON body
+ * @param {object} headers - Additional headers
+ * @param {number} timeout - Milliseconds to wait for the response
+ * @returns {Promise<object>} { statusCode, body (shortened) }
+ */
+function postJson(url, body, headers = {}, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      },
+      timeout
+    }, (res) => {
+      let raw = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        if (raw.length < MAX_RESPONSE_LENGTH) raw += chunk;
+      });
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: raw.slice(0, MAX_RESPONSE_LENGTH) }));
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`No response within ${timeout / 1000}s`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = {
+  generateWebhookSecret,
+  signPayload,
+  postJson
+};
@@ -0,0 +1,77 @@
+/**
+ * YAML Helper Utilities
+ * Minimal YAML emitter for generated files (inventories). Strings are written as
+ * JSON strings, which are valid YAML double-quoted scalars, so spaces, quotes,
+ * '#' or ':' in values never need further escaping.
+ */
+
+/**
+ * Format a mapping key, quoting it unless it is a plain identifier
+ * @param {string} key - Mapping key
+ * @returns {string}
+ */
+function formatKey(key) {
+  return /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Format a scalar value
+ * @param {*} value - String, number, boolean or null
+ * @returns {string}
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Render the lines of a value at an indentation level
+ * @param {*} value - Value to render
+ * @param {number} depth - Indentation level (2 spaces each)
+ * @returns {Array<string>}
+ */
+function renderLines(value, depth) {
+  const pad = '  '.repeat(depth);
+
+  if (Array.isArray(value)) {
+    return value.flatMap(item => {
+      if (item && typeof item === 'object' && Object.keys(item).length > 0) {
+        const [first, ...rest] = renderLines(item, depth + 1);
+        return [`${pad}- ${first.trimStart()}`, ...rest];
+      }
+      return [`${pad}- ${renderInline(item)}`];
+    });
+  }
+
+  return Object.entries(value).flatMap(([key, val]) => {
+    const isNested = val && typeof val === 'object' && Object.keys(val).length > 0;
+    return isNested
+      ? [`${pad}${formatKey(key)}:`, ...renderLines(val, depth + 1)]
+      : [`${pad}${formatKey(key)}: ${renderInline(val)}`];
+  });
+}
+
+/**
+ * Render a scalar or an empty collection on one line
+ * @param {*} value - Value to render
+ * @returns {string}
+ */
+function renderInline(value) {
+  if (Array.isArray(value)) return '[]';
+  if (value && typeof value === 'object') return '{}';
+  return formatScalar(value);
+}
+
+/**
+ * Render an object as a YAML document
+ * @param {object} value - Object to render
+ * @returns {string} YAML document
+ */
+function toYaml(value) {
+  return ['---', ...renderLines(value, 0)].join('\n') + '\n';
+}
+
+module.exports = {
+  toYaml
+};
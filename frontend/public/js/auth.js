@@ -0,0 +1,69 @@
+/**
+ * StackBill Deployment Center - Authentication
+ * Shared by all pages: sends the browser to the login page when the API answers
+ * 401, and shows the signed-in user with a sign-out button in #userMenu.
+ * The signed-in role is set as data-role on <html>, which hides .requires-admin
+ * and .requires-operator controls (see styles.css).
+ */
+(function () {
+    const originalFetch = window.fetch.bind(window);
+
+    function redirectToLogin() {
+        const next = window.location.pathname + window.location.search + window.location.hash;
+        window.location.href = '/login.html?next=' + encodeURIComponent(next);
+    }
+
+    // Any API call without a valid login session leads to the login page
+    window.fetch = async function (input, init) {
+        const response = await originalFetch(input, init);
+        const url = typeof input === 'string' ? input : input.url;
+        const isApi = url.startsWith('/api/') || url.startsWith(window.location.origin + '/api/');
+        if (response.status === 401 && isApi && !url.includes('/api/auth/login')) {
+            redirectToLogin();
+        }
+        return response;
+    };
+
+    function escapeText(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    function renderUserMenu(user) {
+        const menu = document.getElementById('userMenu');
+        if (!menu) return;
+
+        menu.innerHTML = `
+            <span class="user-menu-name" title="Signed in as ${escapeText(user.username)}">&#128100; ${escapeText(user.username)}</span>
+            <span class="user-menu-role">${escapeText(user.role)}</span>
+            <button class="header-btn" onclick="signOut()" title="Sign out">
+                <span>&#10162;</span>
+                <span class="btn-text">Sign out</span>
+            </button>
+        `;
+    }
+
+    async function loadCurrentUser() {
+        const response = await fetch('/api/auth/me');
+        if (!response.ok) return null;
+
+        const data = await response.json();
+        window.currentUser = data.user;
+        document.documentElement.setAttribute('data-role', data.user.role);
+        renderUserMenu(data.user);
+        document.dispatchEvent(new CustomEvent('stackbill:user', { detail: data.user }));
+        return data.user;
+    }
+
+    window.signOut = async function () {
+        try {
+            await originalFetch('/api/auth/logout', { method: 'POST' });
+        } finally {
+            window.location.href = '/login.html';
+        }
+    };
+
+    // Resolves with the signed-in user ({ id, username, role })
+    window.currentUserReady = loadCurrentUser();
+})();